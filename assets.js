@@ -0,0 +1,79 @@
+/**
+ * Downloads a file, reporting progress as it arrives
+ * @param {string} url - File URL or path
+ * @param {Function} onProgress - Called with (loaded, total) bytes; total is 0 when unknown
+ * @param {Function} fetchImpl - fetch implementation (default: global fetch)
+ * @returns {Promise<Uint8Array>} File contents
+ * @throws {Error} When the file can't be reached or the server answers with an error
+ */
+export const fetchWithProgress = async (url, onProgress = () => {}, fetchImpl = fetch) => {
+  let response;
+  try {
+    response = await fetchImpl(url);
+  } catch (error) {
+    throw new Error(`Could not reach ${url}`, { cause: error });
+  }
+  if (!response.ok) {
+    throw new Error(`Could not load ${url} (HTTP ${response.status})`);
+  }
+
+  const total = Number(response.headers.get("content-length")) || 0;
+
+  if (!response.body) {
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    onProgress(bytes.length, bytes.length);
+    return bytes;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    onProgress(loaded, total);
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
+
+/**
+ * Lists the delegates to try, most preferred first
+ * The CPU always works, so GPU is followed by CPU as a fallback
+ * @param {string} preferred - 'GPU' or 'CPU'
+ * @returns {Array<string>} Delegates in the order to try them
+ */
+export const getDelegateOrder = (preferred) =>
+  preferred === "CPU" ? ["CPU"] : ["GPU", "CPU"];
+
+/**
+ * Creates something with the first delegate that works
+ * @param {Array<string>} delegates - Delegates in the order to try them
+ * @param {Function} create - Async (delegate) => instance; throws if the delegate can't be used
+ * @param {Function} onFallback - Called with (delegate, error) when a delegate fails and another is left
+ * @returns {Promise<Object>} { instance, delegate } for the delegate that worked
+ * @throws {Error} The last delegate's error when none of them work
+ */
+export const createWithFallback = async (delegates, create, onFallback = () => {}) => {
+  let lastError = null;
+
+  for (const [i, delegate] of delegates.entries()) {
+    try {
+      return { instance: await create(delegate), delegate };
+    } catch (error) {
+      lastError = error;
+      if (i < delegates.length - 1) onFallback(delegate, error);
+    }
+  }
+
+  throw lastError;
+};
@@ -0,0 +1,164 @@
+import { measureFingerCurls } from "./gestures.js";
+import { getHandSize } from "./utils.js";
+import { percentile } from "./metrics.js";
+import { CURL_FINGERS, DEFAULT_PROFILE, parseProfile } from "./profiles.js";
+
+/**
+ * The poses the calibration walks through, in order
+ * open and fist measure each finger's curl range, near and far the hand's size range
+ */
+export const CALIBRATION_STEPS = [
+  { id: "open", instruction: "Hold up an open hand, fingers straight and spread" },
+  { id: "fist", instruction: "Make a tight fist, thumb tucked in" },
+  { id: "near", instruction: "Open hand as close to the camera as you'll play" },
+  { id: "far", instruction: "Open hand as far from the camera as you'll play" },
+];
+
+// Time to get into the pose once a hand shows up, then time spent measuring it
+const SETTLE_MS = 1200;
+const RECORD_MS = 2000;
+
+// Narrowest open-to-fist curl range worth calibrating; narrower keeps the default range
+const MIN_CURL_RANGE = 0.2;
+
+// How much bigger the near hand must look than the far one
+const MIN_NEAR_TO_FAR = 1.2;
+
+/**
+ * Takes the measurements calibration needs from a hand
+ * @param {Array} hand - Hand landmarks
+ * @returns {Object} { curls: raw curl per finger, size: hand size }
+ */
+export const measureHand = (hand) => ({
+  curls: measureFingerCurls(hand),
+  size: getHandSize(hand),
+});
+
+/**
+ * Builds a profile from the samples of every step
+ * The open hand shows in the open, near and far steps, so all of them set where each finger opens
+ * @param {string} name - Profile name
+ * @param {Object} samples - Arrays of measureHand samples keyed by step id
+ * @returns {import("./profiles.js").CalibrationProfile} The profile
+ * @throws {Error} When a step has no samples or the near and far sizes are too alike
+ */
+export const buildProfile = (name, samples) => {
+  CALIBRATION_STEPS.forEach(({ id }) => {
+    if (!samples[id] || samples[id].length === 0) {
+      throw new Error(`Calibration is missing the ${id} step`);
+    }
+  });
+
+  const median = (values) => percentile(values, 0.5);
+  const openSamples = [...samples.open, ...samples.near, ...samples.far];
+
+  const curls = Object.fromEntries(
+    CURL_FINGERS.map((finger) => {
+      const open = median(openSamples.map((sample) => sample.curls[finger]));
+      const closed = median(samples.fist.map((sample) => sample.curls[finger]));
+      return [finger, closed - open >= MIN_CURL_RANGE ? { open, closed } : { ...DEFAULT_PROFILE.curls[finger] }];
+    })
+  );
+
+  const near = median(samples.near.map((sample) => sample.size));
+  const far = median(samples.far.map((sample) => sample.size));
+  if (near < far * MIN_NEAR_TO_FAR) {
+    throw new Error("Your hand looked about the same size near and far; move it closer, then farther back");
+  }
+
+  return parseProfile({
+    version: DEFAULT_PROFILE.version,
+    name,
+    createdAt: new Date().toISOString(),
+    handSize: { near, far },
+    curls,
+  });
+};
+
+/**
+ * Creates a calibration session that steps through CALIBRATION_STEPS as hands are shown
+ * Each step waits for a hand, gives it time to settle into the pose, then records it.
+ * Losing the hand while recording starts that step over.
+ * @param {Object} options - { settleMs, recordMs } in milliseconds
+ * @returns {Object} Session with update, getStatus, getSamples and reset methods
+ */
+export const createCalibrationSession = ({ settleMs = SETTLE_MS, recordMs = RECORD_MS } = {}) => {
+  let stepIndex = 0;
+  let phase = "waiting";
+  let phaseStart = null;
+  let samples = {};
+  let progress = 0;
+
+  return {
+    /**
+     * Advances the session with the hand in view
+     * @param {Array|null} hand - Landmarks of the hand being calibrated, or null if none is in view
+     * @param {number} now - Frame time in milliseconds
+     */
+    update: (hand, now) => {
+      if (phase === "done") return;
+
+      const step = CALIBRATION_STEPS[stepIndex];
+      if (!hand) {
+        phase = "waiting";
+        phaseStart = null;
+        progress = 0;
+        samples[step.id] = [];
+        return;
+      }
+
+      if (phase === "waiting") {
+        phase = "settling";
+        phaseStart = now;
+        progress = 0;
+      }
+
+      if (phase === "settling" && now - phaseStart >= settleMs) {
+        phase = "recording";
+        phaseStart = now;
+        samples[step.id] = [];
+      }
+
+      if (phase === "recording") {
+        samples[step.id].push(measureHand(hand));
+        progress = recordMs > 0 ? Math.min(1, (now - phaseStart) / recordMs) : 1;
+
+        if (progress >= 1) {
+          stepIndex++;
+          phaseStart = null;
+          progress = 0;
+          phase = stepIndex < CALIBRATION_STEPS.length ? "waiting" : "done";
+        }
+      }
+    },
+
+    /**
+     * Gets where the session is
+     * @returns {Object} { step: the current step or null when done, stepIndex, phase: 'waiting',
+     *   'settling', 'recording' or 'done', progress: 0 to 1 through the recording }
+     */
+    getStatus: () => ({
+      step: CALIBRATION_STEPS[stepIndex] || null,
+      stepIndex,
+      phase,
+      progress,
+    }),
+
+    /**
+     * Gets the recorded samples
+     * @returns {Object} Arrays of measureHand samples keyed by step id
+     */
+    getSamples: () => samples,
+
+    /**
+     * Starts over from the first step
+     */
+    reset: () => {
+      stepIndex = 0;
+      phase = "waiting";
+      phaseStart = null;
+      samples = {};
+      progress = 0;
+    },
+  };
+};
@@ -1,22 +1,250 @@
+/**
+ * Resolutions offered by the camera picker; the browser picks the closest it supports
+ */
+export const RESOLUTIONS = [
+  { label: "640 × 480", width: 640, height: 480 },
+  { label: "1280 × 720", width: 1280, height: 720 },
+  { label: "1920 × 1080", width: 1920, height: 1080 },
+];
+
+/**
+ * Frame rates offered by the camera picker
+ */
+export const FRAME_RATES = [30, 60];
+
+/**
+ * Default camera settings
+ * deviceId: null lets the browser choose
+ * mirrored: show the camera like a mirror (selfie view)
+ */
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: null,
+  width: 640,
+  height: 480,
+  frameRate: 30,
+  mirrored: false,
+};
+
+const SETTINGS_KEY = "cameraSettings";
+
+/**
+ * Messages shown to the user for each CameraError code
+ */
+export const CAMERA_ERROR_MESSAGES = {
+  unsupported: "This browser can't use a camera. Try a recent Chrome, Edge, Firefox or Safari over https or localhost.",
+  "permission-denied": "Camera access was blocked. Allow it in the browser's site settings, then retry.",
+  "not-found": "No camera was found. Plug one in, then retry.",
+  "in-use": "The camera couldn't be started. Close other apps or tabs using it, then retry.",
+  overconstrained: "The selected camera doesn't support these settings. Pick another resolution or frame rate.",
+  disconnected: "The camera was disconnected. Plug it back in, then retry.",
+  unknown: "The camera couldn't be started.",
+};
+
+/**
+ * An error starting or running the camera, with a code the UI can act on
+ */
+export class CameraError extends Error {
+  /**
+   * @param {string} code - One of the keys of CAMERA_ERROR_MESSAGES
+   * @param {Error} [cause] - The underlying browser error
+   */
+  constructor(code, cause) {
+    super(CAMERA_ERROR_MESSAGES[code] || CAMERA_ERROR_MESSAGES.unknown, { cause });
+    this.name = "CameraError";
+    this.code = code;
+  }
+}
+
+/**
+ * Converts an error from getUserMedia into a CameraError
+ * @param {Error} error - DOMException or other error
+ * @returns {CameraError} Error with a code for the UI
+ */
+export const toCameraError = (error) => {
+  if (error instanceof CameraError) return error;
+
+  switch (error?.name) {
+    case "NotAllowedError":
+    case "SecurityError":
+    case "PermissionDeniedError":
+      return new CameraError("permission-denied", error);
+    case "NotFoundError":
+    case "DevicesNotFoundError":
+      return new CameraError("not-found", error);
+    case "NotReadableError":
+    case "TrackStartError":
+    case "AbortError":
+      return new CameraError("in-use", error);
+    case "OverconstrainedError":
+    case "ConstraintNotSatisfiedError":
+      return new CameraError("overconstrained", error);
+    default:
+      return new CameraError("unknown", error);
+  }
+};
+
+/**
+ * Builds getUserMedia video constraints from camera settings
+ * Resolution and frame rate are ideals so a camera that can't match them still starts
+ * @param {Object} settings - Partial camera settings, see DEFAULT_CAMERA_SETTINGS
+ * @returns {Object} MediaTrackConstraints
+ */
+export const buildVideoConstraints = (settings = {}) => {
+  const { deviceId, width, height, frameRate } = { ...DEFAULT_CAMERA_SETTINGS, ...settings };
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+    width: { ideal: width },
+    height: { ideal: height },
+    frameRate: { ideal: frameRate },
+  };
+};
+
+/**
+ * Loads the camera settings saved by the last session
+ * @returns {Object} Camera settings, falling back to the defaults
+ */
+export const loadCameraSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_CAMERA_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_CAMERA_SETTINGS };
+  }
+};
+
+/**
+ * Saves camera settings for the next session
+ * @param {Object} settings - Camera settings
+ */
+export const saveCameraSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage can be unavailable (private mode, quota); the settings just won't persist
+  }
+};
+
+/**
+ * Lists the video input devices
+ * Labels are empty until the user has granted camera access once
+ * @returns {Promise<Array>} Cameras as { deviceId, label }
+ */
+export const listCameras = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((device) => device.kind === "videoinput")
+    .map((device, i) => ({
+      deviceId: device.deviceId,
+      label: device.label || `Camera ${i + 1}`,
+    }));
+};
+
+/**
+ * Flips normalized landmarks horizontally
+ * @param {Array} groups - Per-hand, per-person or per-face arrays of landmarks
+ * @returns {Array} Mirrored copies
+ */
+const mirrorLandmarks = (groups = []) =>
+  groups.map((group) => group.map((pt) => ({ ...pt, x: 1 - pt.x })));
+
+/**
+ * Flips world landmarks, which are centered on the hand or hips, across x = 0
+ * @param {Array} groups - Per-hand or per-person arrays of world landmarks
+ * @returns {Array} Mirrored copies
+ */
+const mirrorWorldLandmarks = (groups = []) =>
+  groups.map((group) => group.map((pt) => ({ ...pt, x: -pt.x })));
+
+/**
+ * Mirrors detection results horizontally, as if the camera image had been flipped
+ * Landmarks flip x, world landmarks negate x, and handedness labels swap, since
+ * MediaPipe labels a hand by how it would look in the flipped image. Pose landmark
+ * ids name the person's own joints, so they keep their ids.
+ * @param {import("./detection.js").DetectionResults} results - Live or replayed results
+ * @returns {import("./detection.js").DetectionResults} Mirrored copy of the results
+ */
+export const mirrorResults = (results) => ({
+  ...results,
+  landmarks: mirrorLandmarks(results.landmarks),
+  worldLandmarks: mirrorWorldLandmarks(results.worldLandmarks),
+  handedness: (results.handedness || []).map((categories) =>
+    categories.map((category) => ({
+      ...category,
+      categoryName: category.categoryName === "Left" ? "Right" : "Left",
+    }))
+  ),
+  ...(results.pose && {
+    pose: {
+      landmarks: mirrorLandmarks(results.pose.landmarks),
+      worldLandmarks: mirrorWorldLandmarks(results.pose.worldLandmarks),
+    },
+  }),
+  ...(results.face && {
+    face: { landmarks: mirrorLandmarks(results.face.landmarks) },
+  }),
+});
+
 /**
  * Starts the webcam stream and sets up the video element
  * @param {HTMLVideoElement} video - The video element to use
  * @param {HTMLCanvasElement} canvas - The canvas element to sync dimensions
- * @param {Function} onReady - Callback when video is loaded and ready
+ * @param {Object} settings - Partial camera settings, see DEFAULT_CAMERA_SETTINGS
+ * @param {Function} onEnded - Called with a CameraError if the camera stops mid-session
+ * @returns {Promise<Object|null>} The actual { width, height, deviceId } once the first frame is ready,
+ *   or null if the webcam was stopped before then
+ * @throws {CameraError} When the camera can't be started
  */
-export const startWebcam = async (video, canvas, onReady) => {
-  const stream = await navigator.mediaDevices.getUserMedia({
-    video: { width: 640, height: 480 },
-    audio: false,
+export const startWebcam = async (video, canvas, settings = {}, onEnded = () => {}) => {
+  if (!navigator.mediaDevices?.getUserMedia) {
+    throw new CameraError("unsupported");
+  }
+
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: buildVideoConstraints(settings),
+      audio: false,
+    });
+  } catch (error) {
+    throw toCameraError(error);
+  }
+
+  const [track] = stream.getVideoTracks();
+
+  // Unplugging the camera or revoking access ends the track
+  track.addEventListener("ended", () => {
+    if (video.srcObject === stream) onEnded(new CameraError("disconnected"));
   });
 
   video.srcObject = stream;
 
-  video.addEventListener("loadeddata", () => {
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-    onReady();
+  // stopWebcam empties the video, so a session stopped while starting doesn't hang here
+  await new Promise((resolve) => {
+    video.addEventListener("loadeddata", resolve, { once: true });
+    video.addEventListener("emptied", resolve, { once: true });
   });
+  if (video.srcObject !== stream) return null;
+
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+
+  return {
+    width: video.videoWidth,
+    height: video.videoHeight,
+    deviceId: track.getSettings?.().deviceId ?? null,
+  };
 };
 
+/**
+ * Stops the webcam stream and detaches it from the video element
+ * @param {HTMLVideoElement} video - The video element playing the stream
+ */
+export const stopWebcam = (video) => {
+  const stream = video.srcObject;
+  if (!stream) return;
 
+  video.srcObject = null;
+  stream.getTracks().forEach((track) => track.stop());
+};
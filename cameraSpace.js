@@ -0,0 +1,115 @@
+/**
+ * Hand positions in meters from the webcam
+ *
+ * MediaPipe's world landmarks give a hand's shape in meters around its own center, and
+ * its image landmarks give where that shape appears. With the webcam's intrinsics there
+ * is one position of the shape that projects onto the image, and solving for it uses
+ * all 21 points, so it holds steady as the hand turns edge-on where its outline shrinks.
+ *
+ * Camera space has x right, y down and z forward from the lens, the same axes as the
+ * world landmarks.
+ */
+
+import { CAMERA_CONFIG } from "./config.js";
+
+const PALM_IDS = [0, 5, 9, 13, 17];
+
+/**
+ * @typedef {Object} CameraIntrinsics
+ * @property {number} fx - Focal length in pixels, horizontally
+ * @property {number} fy - Focal length in pixels, vertically
+ * @property {number} cx - Principal point x in pixels
+ * @property {number} cy - Principal point y in pixels
+ * @property {number} width - Frame width in pixels
+ * @property {number} height - Frame height in pixels
+ */
+
+/**
+ * @typedef {Object} HandLocation
+ * @property {Object} center - The world landmarks' origin { x, y, z } in meters
+ * @property {Object} wrist - Wrist { x, y, z } in meters
+ * @property {Object} palmCenter - Middle of the wrist and knuckles { x, y, z } in meters
+ */
+
+/**
+ * Works out a pinhole camera for a video frame
+ * Square pixels and a centered principal point, which webcams come close to
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {number} horizontalFov - Horizontal field of view in degrees (default: CAMERA_CONFIG)
+ * @returns {CameraIntrinsics} Intrinsics
+ */
+export const getCameraIntrinsics = (width, height, horizontalFov = CAMERA_CONFIG.horizontalFov) => {
+  const focal = width / 2 / Math.tan((horizontalFov * Math.PI) / 360);
+  return { fx: focal, fy: focal, cx: width / 2, cy: height / 2, width, height };
+};
+
+/**
+ * Solves a 3x3 linear system by Cramer's rule
+ * @param {Array<Array<number>>} m - Matrix rows
+ * @param {Array<number>} b - Right-hand side
+ * @returns {Array<number>|null} Solution, or null when the matrix is singular
+ */
+const solve3 = (m, b) => {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+  const d = det(m);
+  if (Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map((col) => det(m.map((row, i) => row.map((value, j) => (j === col ? b[i] : value)))) / d);
+};
+
+/**
+ * Finds where a hand is in front of the camera
+ * Each landmark gives two equations linear in the hand's offset t, from
+ * u = cx + fx * (X + tx) / (Z + tz), and the least-squares t fits them all.
+ * @param {Array} landmarks - 21 image landmarks, normalized to the frame
+ * @param {Array} worldLandmarks - The same hand's 21 world landmarks in meters
+ * @param {CameraIntrinsics} intrinsics - The camera
+ * @returns {HandLocation|null} Where the hand is, or null when it can't be solved
+ */
+export const locateHand = (landmarks, worldLandmarks, { fx, fy, cx, cy, width, height }) => {
+  if (!landmarks || !worldLandmarks || landmarks.length < 21 || worldLandmarks.length < 21) return null;
+
+  // Normal equations of rows [1, 0, -a] t = a * Z - X and [0, 1, -b] t = b * Z - Y
+  const ata = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  const atb = [0, 0, 0];
+  const addRow = (row, value) => {
+    row.forEach((ri, i) => {
+      row.forEach((rj, j) => (ata[i][j] += ri * rj));
+      atb[i] += ri * value;
+    });
+  };
+
+  landmarks.forEach((landmark, i) => {
+    const { x, y, z } = worldLandmarks[i];
+    const a = (landmark.x * width - cx) / fx;
+    const b = (landmark.y * height - cy) / fy;
+    addRow([1, 0, -a], a * z - x);
+    addRow([0, 1, -b], b * z - y);
+  });
+
+  const t = solve3(ata, atb);
+  if (!t || !t.every(Number.isFinite)) return null;
+
+  const toCamera = ({ x, y, z }) => ({ x: x + t[0], y: y + t[1], z: z + t[2] });
+  const wrist = toCamera(worldLandmarks[0]);
+  if (wrist.z <= 0) return null;
+
+  const palm = PALM_IDS.reduce(
+    (sum, id) => ({ x: sum.x + worldLandmarks[id].x, y: sum.y + worldLandmarks[id].y, z: sum.z + worldLandmarks[id].z }),
+    { x: 0, y: 0, z: 0 }
+  );
+
+  return {
+    center: { x: t[0], y: t[1], z: t[2] },
+    wrist,
+    palmCenter: toCamera({ x: palm.x / PALM_IDS.length, y: palm.y / PALM_IDS.length, z: palm.z / PALM_IDS.length }),
+  };
+};
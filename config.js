@@ -0,0 +1,72 @@
+/**
+ * Where MediaPipe's wasm runtime and models are loaded from
+ *
+ * By default they come from jsDelivr and Google's model storage. To run offline,
+ * `npm run fetch-assets` copies them into public/mediapipe/ and the paths below
+ * can point there through Vite env variables (see .env.example).
+ */
+
+const env = import.meta.env || {};
+
+export const MEDIAPIPE_VERSION = "0.10.14";
+
+const CDN_WASM_PATH = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`;
+const CDN_MODEL_ROOT = "https://storage.googleapis.com/mediapipe-models";
+
+/**
+ * The landmark detectors experiments can ask for, see Experiment.detectors
+ */
+export const DETECTOR_TYPES = ["hands", "pose", "face"];
+
+/**
+ * Asset locations and inference settings
+ * wasmPath: folder holding the vision_wasm_internal.{js,wasm} files
+ * handModelPath, poseModelPath, faceModelPath: .task model files
+ * delegate: 'GPU' or 'CPU'; GPU falls back to CPU if it fails to start
+ */
+export const MEDIAPIPE_CONFIG = {
+  wasmPath: env.VITE_MEDIAPIPE_WASM_PATH || CDN_WASM_PATH,
+  handModelPath:
+    env.VITE_HAND_MODEL_PATH ||
+    `${CDN_MODEL_ROOT}/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task`,
+  poseModelPath:
+    env.VITE_POSE_MODEL_PATH ||
+    `${CDN_MODEL_ROOT}/pose_landmarker/pose_landmarker_lite/float16/latest/pose_landmarker_lite.task`,
+  faceModelPath:
+    env.VITE_FACE_MODEL_PATH ||
+    `${CDN_MODEL_ROOT}/face_landmarker/face_landmarker/float16/latest/face_landmarker.task`,
+  delegate: (env.VITE_MEDIAPIPE_DELEGATE || "GPU").toUpperCase(),
+};
+
+/**
+ * Where and how often detection runs
+ * useWorker: run the landmarkers in a Web Worker, falling back to the main thread
+ *   when the browser can't; off by default, since the worker needs a Content Security
+ *   Policy that allows 'unsafe-eval' (see detectionWorker.js)
+ * maxFps, minFps: bounds of the detection rate, which drops toward minFps when
+ *   inference can't keep up
+ */
+export const DETECTION_CONFIG = {
+  useWorker: env.VITE_DETECTION_WORKER === "true",
+  maxFps: Number(env.VITE_DETECTION_MAX_FPS) || 60,
+  minFps: Number(env.VITE_DETECTION_MIN_FPS) || 5,
+};
+
+/**
+ * What the webcam's lens is assumed to be, for measuring distances from it
+ * horizontalFov: horizontal field of view in degrees; browsers don't report it, and
+ *   most laptop and USB webcams are between 55 and 70
+ */
+export const CAMERA_CONFIG = {
+  horizontalFov: Number(env.VITE_CAMERA_FOV) || 60,
+};
+
+/**
+ * Where the landmark stream publishes to when it is turned on (see landmarkStream.js)
+ * url: WebSocket endpoint, by default the relay from `npm run relay`
+ * maxFps: most frames sent per second; events are always sent
+ */
+export const STREAM_CONFIG = {
+  url: env.VITE_STREAM_URL || "ws://localhost:8765",
+  maxFps: Number(env.VITE_STREAM_MAX_FPS) || 30,
+};
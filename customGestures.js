@@ -0,0 +1,395 @@
+/**
+ * Custom static gestures taught by example
+ *
+ * A pose is normalized into the hand's own frame: moved to the wrist, scaled by
+ * the palm and, for rotation-invariant sets, turned so the palm faces forward with
+ * the fingers up. Left hands are mirrored onto right ones, so either hand matches
+ * samples recorded with the other. Live poses are classified by their nearest
+ * samples (k-nearest neighbors), which needs no training step and stays fast for
+ * the few hundred samples a set holds.
+ */
+
+import { getPalmBasis, toWorld } from "./orientation.js";
+
+const GESTURE_SET_KEY = "customGestures";
+
+const GESTURE_SET_VERSION = 1;
+
+const LANDMARK_COUNT = 21;
+export const FEATURE_LENGTH = LANDMARK_COUNT * 3;
+
+// Landmark indices used to place and scale the pose
+const WRIST = 0;
+const MIDDLE_MCP = 9;
+
+// Neighbors that vote on a live pose
+const NEIGHBORS = 5;
+
+// RMS landmark distance, in palm sizes, past which a pose matches nothing
+// An open hand and a peace sign are about 0.5 apart, fingers curled halfway about 0.35
+export const MAX_DISTANCE = 0.25;
+
+// Confidence isGesture needs
+export const MIN_CONFIDENCE = 0.6;
+
+const WORLD_AXES = {
+  x: { x: 1, y: 0, z: 0 },
+  y: { x: 0, y: 1, z: 0 },
+  z: { x: 0, y: 0, z: 1 },
+};
+
+/**
+ * @typedef {Object} GestureSet
+ * @property {number} version - Format version
+ * @property {string} name - Name of the set
+ * @property {boolean} rotationInvariant - Whether poses match at any hand orientation; when
+ *   false, a thumbs up and a thumbs down are different gestures
+ * @property {Array<Object>} gestures - { name, samples } per gesture, samples being
+ *   normalized poses of FEATURE_LENGTH numbers
+ */
+
+/**
+ * @typedef {Object} GestureMatch
+ * @property {string|null} name - Best matching gesture, or null when no sample is near
+ * @property {number} confidence - 0 to 1: the share of the neighbors' vote, lowered as the
+ *   nearest sample gets farther away
+ * @property {number} distance - RMS landmark distance to the nearest sample, in palm sizes
+ */
+
+/**
+ * Creates an empty gesture set
+ * @param {string} name - Name of the set (default: 'Custom gestures')
+ * @param {Object} options - { rotationInvariant } (default: true)
+ * @returns {GestureSet} The set
+ */
+export const createGestureSet = (name = "Custom gestures", { rotationInvariant = true } = {}) => ({
+  version: GESTURE_SET_VERSION,
+  name,
+  rotationInvariant,
+  gestures: [],
+});
+
+let activeGestureSet = createGestureSet();
+
+/**
+ * Gets the gesture set isGesture and classifyGesture use
+ * @returns {GestureSet} The active set
+ */
+export const getActiveGestureSet = () => activeGestureSet;
+
+/**
+ * Makes a gesture set the one isGesture and classifyGesture use
+ * @param {GestureSet} set - The set (default: an empty set)
+ */
+export const setActiveGestureSet = (set = createGestureSet()) => {
+  activeGestureSet = set;
+};
+
+/**
+ * Normalizes a hand pose for comparison with gesture samples
+ * @param {Array} hand - 21 landmarks
+ * @param {Object} options - Pose options
+ * @param {string} options.handedness - The user's 'left' or 'right' hand (default: 'right')
+ * @param {number} options.aspect - Image width / height; use 1 for world landmarks (default: 1)
+ * @param {boolean} options.mirrored - Whether the landmarks were mirrored (default: false)
+ * @param {boolean} options.rotationInvariant - Turn the pose into the palm frame (default: true)
+ * @returns {Array<number>|null} x, y, z of every landmark in palm sizes from the wrist, or
+ *   null for a degenerate hand
+ */
+export const normalizeHandPose = (
+  hand,
+  { handedness = "right", aspect = 1, mirrored = false, rotationInvariant = true } = {}
+) => {
+  const basis = rotationInvariant ? getPalmBasis(hand, { handedness, aspect, mirrored }) : WORLD_AXES;
+  if (!basis) return null;
+
+  const points = hand.map((landmark) => toWorld(landmark, aspect));
+  const wrist = points[WRIST];
+  const size = Math.hypot(
+    points[MIDDLE_MCP].x - wrist.x,
+    points[MIDDLE_MCP].y - wrist.y,
+    points[MIDDLE_MCP].z - wrist.z
+  );
+  if (size < 1e-6) return null;
+
+  // A left hand is a right hand with x flipped, in the palm frame as in the image
+  const side = (handedness === "left") !== mirrored ? -1 : 1;
+  const project = (d, axis) => (d.x * axis.x + d.y * axis.y + d.z * axis.z) / size;
+
+  return points.flatMap((point) => {
+    const d = { x: point.x - wrist.x, y: point.y - wrist.y, z: point.z - wrist.z };
+    return [side * project(d, basis.x), project(d, basis.y), project(d, basis.z)];
+  });
+};
+
+/**
+ * Measures how far apart two normalized poses are
+ * @param {Array<number>} a - Normalized pose
+ * @param {Array<number>} b - Normalized pose
+ * @returns {number} RMS landmark distance in palm sizes
+ */
+export const poseDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum / LANDMARK_COUNT);
+};
+
+/**
+ * Classifies a normalized pose by its nearest samples
+ * Neighbors vote with weights falling off with distance, so one close sample
+ * outweighs several far ones
+ * @param {Array<number>} pose - Normalized pose from normalizeHandPose
+ * @param {GestureSet} set - Gesture set
+ * @param {Object} options - { k: neighbors that vote, maxDistance: in palm sizes }
+ * @returns {GestureMatch} The match
+ */
+export const classifyPose = (pose, set, { k = NEIGHBORS, maxDistance = MAX_DISTANCE } = {}) => {
+  const neighbors = set.gestures
+    .flatMap(({ name, samples }) => samples.map((sample) => ({ name, distance: poseDistance(pose, sample) })))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, k);
+
+  if (neighbors.length === 0 || neighbors[0].distance > maxDistance) {
+    return { name: null, confidence: 0, distance: neighbors.length ? neighbors[0].distance : Infinity };
+  }
+
+  const votes = new Map();
+  neighbors.forEach(({ name, distance }) => {
+    votes.set(name, (votes.get(name) || 0) + 1 / (distance + 0.01));
+  });
+  const total = [...votes.values()].reduce((sum, weight) => sum + weight, 0);
+  const [name, weight] = [...votes.entries()].sort((a, b) => b[1] - a[1])[0];
+  const nearest = neighbors.find((neighbor) => neighbor.name === name).distance;
+
+  return {
+    name,
+    confidence: (weight / total) * (1 - (nearest / maxDistance) ** 2),
+    distance: nearest,
+  };
+};
+
+/**
+ * Classifies a hand against a gesture set
+ * @param {Array} hand - 21 landmarks
+ * @param {Object} options - { handedness, aspect, mirrored }, see normalizeHandPose
+ * @param {GestureSet} set - Gesture set (default: the active one)
+ * @returns {GestureMatch} The match; a degenerate hand matches nothing
+ */
+export const classifyGesture = (hand, options = {}, set = getActiveGestureSet()) => {
+  const pose = normalizeHandPose(hand, { ...options, rotationInvariant: set.rotationInvariant });
+  return pose ? classifyPose(pose, set) : { name: null, confidence: 0, distance: Infinity };
+};
+
+/**
+ * Scores how much a hand looks like one gesture of a set
+ * @param {Array} hand - 21 landmarks
+ * @param {string} name - Gesture name
+ * @param {Object} options - { handedness, aspect, mirrored }, see normalizeHandPose
+ * @param {GestureSet} set - Gesture set (default: the active one)
+ * @returns {number} Confidence from 0 to 1; 0 when another gesture matches better
+ */
+export const getGestureScore = (hand, name, options = {}, set = getActiveGestureSet()) => {
+  const match = classifyGesture(hand, options, set);
+  return match.name === name ? match.confidence : 0;
+};
+
+/**
+ * Detects if a hand is making a custom gesture
+ * @param {Array} hand - 21 landmarks
+ * @param {string} name - Gesture name
+ * @param {Object} options - { handedness, aspect, mirrored }, see normalizeHandPose
+ * @param {GestureSet} set - Gesture set (default: the active one)
+ * @returns {boolean} True if the gesture matches with at least MIN_CONFIDENCE
+ */
+export const isGesture = (hand, name, options = {}, set = getActiveGestureSet()) =>
+  getGestureScore(hand, name, options, set) >= MIN_CONFIDENCE;
+
+/**
+ * Builds a createGestureTracker definition for a custom gesture
+ * Its score takes a tracked hand, whose handedness it needs
+ * @param {string} name - Gesture name
+ * @param {Object} options - { aspect, mirrored }, see normalizeHandPose
+ * @returns {import("./gestureEvents.js").GestureDefinition} Definition with hysteresis
+ *   around MIN_CONFIDENCE, matching against the active set
+ */
+export const createCustomGestureDefinition = (name, options = {}) => ({
+  score: ({ landmarks, handedness }) => getGestureScore(landmarks, name, { ...options, handedness }),
+  enter: MIN_CONFIDENCE,
+  exit: MIN_CONFIDENCE - 0.2,
+  minHoldMs: 80,
+});
+
+/**
+ * Adds samples to a gesture, creating the gesture if the set lacks it
+ * @param {GestureSet} set - Gesture set
+ * @param {string} name - Gesture name
+ * @param {Array<Array<number>>} samples - Normalized poses
+ * @returns {GestureSet} A new set with the samples added
+ */
+export const addGestureSamples = (set, name, samples) => {
+  const existing = set.gestures.find((gesture) => gesture.name === name);
+  return {
+    ...set,
+    gestures: existing
+      ? set.gestures.map((gesture) =>
+          gesture === existing ? { name, samples: [...gesture.samples, ...samples] } : gesture
+        )
+      : [...set.gestures, { name, samples: [...samples] }],
+  };
+};
+
+/**
+ * Removes a gesture and its samples
+ * @param {GestureSet} set - Gesture set
+ * @param {string} name - Gesture name
+ * @returns {GestureSet} A new set without the gesture
+ */
+export const removeGesture = (set, name) => ({
+  ...set,
+  gestures: set.gestures.filter((gesture) => gesture.name !== name),
+});
+
+/**
+ * Checks a gesture set loaded from storage or a file
+ * @param {Object} data - Parsed JSON
+ * @returns {GestureSet} The set
+ * @throws {Error} When something is missing or malformed
+ */
+export const parseGestureSet = (data) => {
+  if (!data || typeof data.name !== "string" || !data.name.trim()) {
+    throw new Error("Invalid gesture set: missing name");
+  }
+  if (data.version !== GESTURE_SET_VERSION) {
+    throw new Error(`Unsupported gesture set version: ${data.version}`);
+  }
+  if (!Array.isArray(data.gestures)) {
+    throw new Error("Invalid gesture set: missing gestures");
+  }
+
+  const names = new Set();
+  data.gestures.forEach(({ name, samples } = {}) => {
+    if (typeof name !== "string" || !name.trim() || names.has(name.trim())) {
+      throw new Error("Invalid gesture set: every gesture needs a unique name");
+    }
+    names.add(name.trim());
+
+    const valid = Array.isArray(samples) && samples.every((sample) =>
+      Array.isArray(sample) &&
+      sample.length === FEATURE_LENGTH &&
+      sample.every((value) => typeof value === "number" && Number.isFinite(value))
+    );
+    if (!valid) {
+      throw new Error(`Invalid gesture set: ${name} has malformed samples`);
+    }
+  });
+
+  return {
+    version: GESTURE_SET_VERSION,
+    name: data.name.trim(),
+    rotationInvariant: data.rotationInvariant !== false,
+    gestures: data.gestures.map(({ name, samples }) => ({
+      name: name.trim(),
+      samples: samples.map((sample) => [...sample]),
+    })),
+  };
+};
+
+/**
+ * Loads the saved gesture set
+ * @returns {GestureSet} The saved set, or an empty one if there is none or it no longer parses
+ */
+export const loadGestureSet = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GESTURE_SET_KEY));
+    return saved ? parseGestureSet(saved) : createGestureSet();
+  } catch {
+    return createGestureSet();
+  }
+};
+
+/**
+ * Saves a gesture set for the next session
+ * @param {GestureSet} set - The set
+ */
+export const saveGestureSet = (set) => {
+  try {
+    localStorage.setItem(GESTURE_SET_KEY, JSON.stringify(set));
+  } catch {
+    // Storage can be unavailable (private mode, quota); the set lasts until the page closes
+  }
+};
+
+/**
+ * Creates a recorder that collects normalized poses of one gesture
+ * Recording waits settleMs for the hand to get into the pose, then samples it every
+ * intervalMs for recordMs. Frames without a hand are skipped rather than ending it.
+ * @param {Object} options - { settleMs, recordMs, intervalMs } in milliseconds
+ * @returns {Object} Recorder with start, update, getStatus and cancel methods
+ */
+export const createGestureRecorder = ({ settleMs = 1000, recordMs = 3000, intervalMs = 50 } = {}) => {
+  let phase = "idle";
+  let phaseStart = null;
+  let lastSample = -Infinity;
+  let samples = [];
+  let progress = 0;
+
+  return {
+    /**
+     * Starts recording; the first update sets the clock
+     */
+    start: () => {
+      phase = "settling";
+      phaseStart = null;
+      lastSample = -Infinity;
+      samples = [];
+      progress = 0;
+    },
+
+    /**
+     * Advances the recorder with the pose in view
+     * @param {Array<number>|null} pose - Normalized pose, or null if no hand is in view
+     * @param {number} now - Frame time in milliseconds
+     * @returns {Array<Array<number>>|null} The samples once recording finishes, otherwise null
+     */
+    update: (pose, now) => {
+      if (phase === "idle") return null;
+      if (phaseStart === null) phaseStart = now;
+
+      if (phase === "settling" && now - phaseStart >= settleMs) {
+        phase = "recording";
+        phaseStart = now;
+      }
+      if (phase !== "recording") return null;
+
+      if (pose && now - lastSample >= intervalMs) {
+        samples.push(pose);
+        lastSample = now;
+      }
+
+      progress = recordMs > 0 ? Math.min(1, (now - phaseStart) / recordMs) : 1;
+      if (progress < 1) return null;
+
+      phase = "idle";
+      progress = 0;
+      return samples;
+    },
+
+    /**
+     * Gets where the recorder is
+     * @returns {Object} { phase: 'idle', 'settling' or 'recording', progress: 0 to 1, samples: count so far }
+     */
+    getStatus: () => ({ phase, progress, samples: samples.length }),
+
+    /**
+     * Stops without returning samples
+     */
+    cancel: () => {
+      phase = "idle";
+      phaseStart = null;
+      samples = [];
+      progress = 0;
+    },
+  };
+};
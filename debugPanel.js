@@ -0,0 +1,306 @@
+/**
+ * @typedef {Object} DebugField
+ * @property {string} label - Name shown next to the value
+ * @property {string} type - 'boolean', 'number', 'vector', 'angle' or 'text'
+ * @property {*} value - The value; null or undefined shows "-".
+ *   number: a number, or an object of named numbers such as finger curls
+ *   vector: { x, y, z }
+ *   angle: radians, or Euler angles { x, y, z } in radians, shown in degrees
+ * @property {string} [unit] - Unit shown after numbers and vectors
+ * @property {number} [digits] - Decimal places (default: 2, or 1 for angles)
+ * @property {boolean|Object} [graph] - Draw a sparkline of recent values: true, or
+ *   { min, max, thresholds } to fix the range (in degrees for angles) and mark levels
+ */
+
+/**
+ * @typedef {Object} DebugSection
+ * @property {string} [id] - Unique key that keeps the section's graphs when its title changes (default: title)
+ * @property {string} title - Heading
+ * @property {Array<DebugField>} fields - Fields in display order
+ */
+
+// Samples kept per graph; at 60 fps that is two seconds
+const HISTORY_LENGTH = 120;
+
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 24;
+
+// One color per series, in the order the series first appear
+const SERIES_COLORS = ["#4fc3f7", "#ffb74d", "#81c784", "#e57373", "#ba68c8"];
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Gets the decimal places for a field
+ * @param {DebugField} field - The field
+ * @returns {number} Decimal places
+ */
+const getDigits = (field) => field.digits ?? (field.type === "angle" ? 1 : 2);
+
+/**
+ * Formats a field's value for display
+ * @param {DebugField} field - The field
+ * @returns {string} Display string
+ */
+export const formatField = (field) => {
+  const { type, value, unit } = field;
+  if (value === null || value === undefined) return "-";
+
+  const digits = getDigits(field);
+  const withUnit = (text) => (unit ? `${text} ${unit}` : text);
+
+  switch (type) {
+    case "boolean":
+      return value ? "yes" : "no";
+    case "number":
+      return typeof value === "number"
+        ? withUnit(value.toFixed(digits))
+        : Object.entries(value)
+          .map(([name, n]) => `${name[0].toUpperCase()}:${n.toFixed(digits)}`)
+          .join(" ");
+    case "vector":
+      return withUnit(`(${value.x.toFixed(digits)}, ${value.y.toFixed(digits)}, ${value.z.toFixed(digits)})`);
+    case "angle":
+      return typeof value === "number"
+        ? `${toDegrees(value).toFixed(digits)}°`
+        : `P:${toDegrees(value.x).toFixed(digits)}° Y:${toDegrees(value.y).toFixed(digits)}° R:${toDegrees(value.z).toFixed(digits)}°`;
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Reads the value a field's graph plots
+ * @param {DebugField} field - The field
+ * @returns {number|Object|null} A number, named numbers, or null for a gap
+ */
+export const getGraphSample = ({ type, value }) => {
+  if (value === null || value === undefined) return null;
+  if (type === "boolean") return value ? 1 : 0;
+  if (type === "angle") {
+    return typeof value === "number"
+      ? toDegrees(value)
+      : { x: toDegrees(value.x), y: toDegrees(value.y), z: toDegrees(value.z) };
+  }
+  if (type === "vector") return { x: value.x, y: value.y, z: value.z };
+  return typeof value === "number" || typeof value === "object" ? value : null;
+};
+
+/**
+ * Maps a value to a sparkline's y coordinate, clamped to the graph
+ * @param {number} value - The value
+ * @param {number} low - Value at the bottom edge
+ * @param {number} high - Value at the top edge
+ * @param {number} height - Graph height in pixels
+ * @returns {number} y in pixels, 0 at the top
+ */
+export const toSparklineY = (value, low, high, height) => {
+  const t = (value - low) / (high - low || 1);
+  return height - Math.max(0, Math.min(1, t)) * height;
+};
+
+/**
+ * Lays out a sparkline's series, newest sample on the right edge
+ * @param {Array} samples - Oldest first: numbers, objects of named numbers, or null for gaps
+ * @param {Object} options - { width, height, capacity, min, max }; the range fits the samples when min or max is missing
+ * @returns {Object} { low, high, series: [{ name, points }] } where points are [x, y] pairs, or null at gaps
+ */
+export const getSparklineSeries = (
+  samples,
+  { width = SPARKLINE_WIDTH, height = SPARKLINE_HEIGHT, capacity = HISTORY_LENGTH, min, max } = {}
+) => {
+  const valueOf = (sample, name) => {
+    if (sample === null) return null;
+    const value = typeof sample === "number" ? sample : sample[name];
+    return Number.isFinite(value) ? value : null;
+  };
+
+  const names = [
+    ...new Set(
+      samples.flatMap((sample) => {
+        if (sample === null) return [];
+        return typeof sample === "number" ? ["value"] : Object.keys(sample);
+      })
+    ),
+  ];
+  const values = samples
+    .flatMap((sample) => names.map((name) => valueOf(sample, name)))
+    .filter((value) => value !== null);
+
+  const low = min ?? (values.length ? Math.min(...values) : 0);
+  const high = max ?? (values.length ? Math.max(...values) : 1);
+  const step = width / Math.max(capacity - 1, 1);
+  const start = width - (samples.length - 1) * step;
+
+  return {
+    low,
+    high,
+    series: names.map((name) => ({
+      name,
+      points: samples.map((sample, i) => {
+        const value = valueOf(sample, name);
+        return value === null ? null : [start + i * step, toSparklineY(value, low, high, height)];
+      }),
+    })),
+  };
+};
+
+/**
+ * Draws a sparkline with its threshold lines
+ * @param {HTMLCanvasElement} canvas - The sparkline canvas
+ * @param {Array} samples - Recent samples, oldest first
+ * @param {Object} graph - { min, max, thresholds }
+ */
+const drawSparkline = (canvas, samples, graph) => {
+  const ctx = canvas.getContext("2d");
+  const { width, height } = canvas;
+  const { low, high, series } = getSparklineSeries(samples, { width, height, ...graph });
+
+  ctx.clearRect(0, 0, width, height);
+
+  ctx.strokeStyle = "rgba(255, 255, 255, 0.35)";
+  ctx.setLineDash([2, 2]);
+  (graph.thresholds || []).forEach((threshold) => {
+    const y = toSparklineY(threshold, low, high, height);
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  series.forEach(({ points }, i) => {
+    ctx.strokeStyle = SERIES_COLORS[i % SERIES_COLORS.length];
+    ctx.beginPath();
+    let drawing = false;
+    points.forEach((point) => {
+      if (!point) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(...point);
+      } else {
+        ctx.moveTo(...point);
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+  });
+};
+
+/**
+ * Gets the key a field's history is stored under
+ * @param {DebugSection} section - The section holding the field
+ * @param {DebugField} field - The field
+ * @returns {string} History key
+ */
+const getFieldKey = (section, field) => `${section.id ?? section.title}/${field.label}`;
+
+/**
+ * Creates a debug panel that renders experiment debug sections into a container
+ * The DOM is only rebuilt when the sections or fields change, so updating every frame is cheap
+ * @param {HTMLElement} container - Element to render into
+ * @returns {Object} Panel with update(sections) and reset() methods
+ */
+export const createDebugPanel = (container) => {
+  let layout = null;
+  let titleEls = new Map();
+  let fieldEls = new Map();
+  let histories = new Map();
+
+  /**
+   * Rebuilds the panel's elements for a new set of sections and fields
+   * @param {Array<DebugSection>} sections - Sections to show
+   */
+  const build = (sections) => {
+    titleEls = new Map();
+    fieldEls = new Map();
+
+    container.replaceChildren(
+      ...sections.map((section) => {
+        const sectionEl = document.createElement("div");
+        sectionEl.className = "debug-section";
+
+        const titleEl = document.createElement("div");
+        titleEl.className = "debug-section-title";
+        sectionEl.appendChild(titleEl);
+        titleEls.set(section.id ?? section.title, titleEl);
+
+        section.fields.forEach((field) => {
+          const row = document.createElement("div");
+          row.className = "debug-field";
+
+          const labelEl = document.createElement("span");
+          labelEl.className = "debug-label";
+          labelEl.textContent = field.label;
+
+          const valueEl = document.createElement("span");
+          valueEl.className = "debug-value";
+          row.append(labelEl, valueEl);
+
+          let canvas = null;
+          if (field.graph) {
+            canvas = document.createElement("canvas");
+            canvas.className = "debug-sparkline";
+            canvas.width = SPARKLINE_WIDTH;
+            canvas.height = SPARKLINE_HEIGHT;
+            row.appendChild(canvas);
+          }
+
+          sectionEl.appendChild(row);
+          fieldEls.set(getFieldKey(section, field), { valueEl, canvas });
+        });
+
+        return sectionEl;
+      })
+    );
+
+    // Forget graphs of fields that are gone
+    histories = new Map([...histories].filter(([key]) => fieldEls.has(key)));
+  };
+
+  return {
+    /**
+     * Shows the latest values, adding a sample to every graph
+     * @param {Array<DebugSection>} sections - Sections to show
+     */
+    update: (sections) => {
+      const next = sections
+        .map((section) => `${section.id ?? section.title}:${section.fields.map((field) => `${field.label}${field.graph ? "~" : ""}`).join(",")}`)
+        .join("|");
+      if (next !== layout) {
+        build(sections);
+        layout = next;
+      }
+
+      sections.forEach((section) => {
+        titleEls.get(section.id ?? section.title).textContent = section.title;
+
+        section.fields.forEach((field) => {
+          const key = getFieldKey(section, field);
+          const { valueEl, canvas } = fieldEls.get(key);
+          valueEl.textContent = formatField(field);
+          if (!canvas) return;
+
+          const history = histories.get(key) || [];
+          history.push(getGraphSample(field));
+          if (history.length > HISTORY_LENGTH) history.shift();
+          histories.set(key, history);
+          drawSparkline(canvas, history, field.graph === true ? {} : field.graph);
+        });
+      });
+    },
+
+    /**
+     * Clears the panel and every graph's history
+     */
+    reset: () => {
+      layout = null;
+      titleEls = new Map();
+      fieldEls = new Map();
+      histories = new Map();
+      container.replaceChildren();
+    },
+  };
+};
@@ -0,0 +1,200 @@
+import {
+  HandLandmarker,
+  PoseLandmarker,
+  FaceLandmarker,
+  FilesetResolver,
+} from "@mediapipe/tasks-vision";
+import { MEDIAPIPE_CONFIG } from "./config.js";
+import { fetchWithProgress, getDelegateOrder, createWithFallback } from "./assets.js";
+
+/**
+ * @typedef {Object} DetectionResults
+ * Hand results stay at the top level, shaped like HandLandmarker output, so
+ * recordings made before pose and face support still replay
+ * @property {Array} landmarks - Per-hand arrays of 21 normalized landmarks
+ * @property {Array} worldLandmarks - Per-hand arrays of 21 world landmarks in meters
+ * @property {Array} handedness - Per-hand arrays of { categoryName, score }
+ * @property {Object} [pose] - { landmarks, worldLandmarks }: per-person arrays of 33 body landmarks
+ * @property {Object} [face] - { landmarks }: per-face arrays of 478 face mesh landmarks
+ */
+
+/**
+ * The MediaPipe tasks behind each detector type, and how their output joins the results
+ */
+const DETECTORS = {
+  hands: {
+    label: "hand",
+    Task: HandLandmarker,
+    getModelPath: () => MEDIAPIPE_CONFIG.handModelPath,
+    options: { numHands: 2 },
+    toResults: ({ landmarks, worldLandmarks, handedness }) => ({
+      landmarks,
+      worldLandmarks,
+      handedness,
+    }),
+  },
+  pose: {
+    label: "pose",
+    Task: PoseLandmarker,
+    getModelPath: () => MEDIAPIPE_CONFIG.poseModelPath,
+    options: { numPoses: 1 },
+    toResults: ({ landmarks, worldLandmarks }) => ({ pose: { landmarks, worldLandmarks } }),
+  },
+  face: {
+    label: "face",
+    Task: FaceLandmarker,
+    getModelPath: () => MEDIAPIPE_CONFIG.faceModelPath,
+    options: { numFaces: 1 },
+    toResults: ({ faceLandmarks }) => ({ face: { landmarks: faceLandmarks } }),
+  },
+};
+
+const instances = {};
+const delegates = {};
+const loading = {};
+let vision = null;
+
+/**
+ * Downloads a detector's model and starts it, falling back to the CPU if the GPU fails
+ * @param {string} type - Detector type, one of DETECTOR_TYPES
+ * @param {Function} onProgress - See initDetector
+ */
+const loadDetector = async (type, onProgress) => {
+  const { Task, getModelPath, options } = DETECTORS[type];
+  const report = (progress) => onProgress({ detector: type, ...progress });
+
+  report({ stage: "model", loaded: 0, total: 0 });
+  const model = await fetchWithProgress(getModelPath(), (loaded, total) =>
+    report({ stage: "model", loaded, total })
+  );
+
+  if (!vision) vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_CONFIG.wasmPath);
+
+  const created = await createWithFallback(
+    getDelegateOrder(MEDIAPIPE_CONFIG.delegate),
+    (candidate) => {
+      report({ stage: "starting", delegate: candidate });
+      return Task.createFromOptions(vision, {
+        baseOptions: {
+          delegate: candidate,
+          modelAssetBuffer: model,
+        },
+        runningMode: "VIDEO",
+        ...options,
+      });
+    },
+    (failed, error) => console.warn(`The ${type} detector could not start on the ${failed}`, error)
+  );
+
+  instances[type] = created.instance;
+  delegates[type] = created.delegate;
+  report({ stage: "ready", delegate: created.delegate });
+};
+
+/**
+ * Initializes a MediaPipe landmarker
+ * Each detector is created once and reused by every experiment; calls made while
+ * it is loading share the same load, and a failed load can be retried
+ * @param {string} type - Detector type, one of DETECTOR_TYPES
+ * @param {Function} onProgress - Called with { detector, stage, loaded, total, delegate }: stage
+ *   is 'model' while downloading (bytes loaded of total, 0 if unknown), 'starting' while
+ *   trying a delegate, then 'ready'
+ * @returns {Promise<void>} Resolves once the detector is ready
+ */
+export const initDetector = (type, onProgress = () => {}) => {
+  if (!loading[type]) {
+    loading[type] = loadDetector(type, onProgress).catch((error) => {
+      loading[type] = null;
+      throw error;
+    });
+  }
+  return loading[type];
+};
+
+/**
+ * Initializes several detectors one after another, so progress reads one model at a time
+ * @param {Array<string>} types - Detector types
+ * @param {Function} onProgress - See initDetector
+ * @returns {Promise<void>} Resolves once every detector is ready
+ */
+export const initDetectors = async (types, onProgress = () => {}) => {
+  for (const type of types) {
+    await initDetector(type, onProgress);
+  }
+};
+
+/**
+ * Gets a readable name for a detector's model
+ * @param {string} type - Detector type
+ * @returns {string} Name such as 'hand'
+ */
+export const getDetectorLabel = (type) => DETECTORS[type].label;
+
+/**
+ * Gets the delegate a detector is running on
+ * @param {string} type - Detector type (default: 'hands')
+ * @returns {string|null} 'GPU' or 'CPU', or null before it has loaded
+ */
+export const getDelegate = (type = "hands") => delegates[type] || null;
+
+/**
+ * Runs the chosen landmarkers on one image
+ * @param {HTMLVideoElement|ImageBitmap} image - The video or a frame grabbed from it
+ * @param {number} now - Frame time in milliseconds; must increase from call to call
+ * @param {Array<string>} types - Detector types to run; each must be initialized
+ * @returns {DetectionResults} Combined results
+ */
+export const runDetectors = (image, now, types) =>
+  types.reduce(
+    (results, type) => ({
+      ...results,
+      ...DETECTORS[type].toResults(instances[type].detectForVideo(image, now)),
+    }),
+    { landmarks: [], worldLandmarks: [], handedness: [] }
+  );
+
+/**
+ * Creates a detection source that runs the chosen landmarkers on a live video, on the main thread
+ * @param {HTMLVideoElement} video - The webcam video element
+ * @param {Array<string>} types - Detector types to run; each must be initialized (default: hands)
+ * @param {Object} options - { rate: adaptive rate deciding which frames to detect on,
+ *   metrics: frame metrics that inference latency is recorded to }, both from metrics.js
+ * @returns {Object} Live source with detect() and close() methods
+ */
+export const createLiveSource = (video, types = ["hands"], { rate = null, metrics = null } = {}) => ({
+  isReplay: false,
+
+  /**
+   * Runs every chosen detector on the current video frame, when the rate says one is due
+   * @param {number} now - Current time in milliseconds
+   * @returns {DetectionResults|null} Combined results, or null if this frame was skipped
+   */
+  detect: (now) => {
+    if (rate && !rate.isDue(now)) return null;
+    rate?.markSent(now);
+
+    const start = performance.now();
+    const results = runDetectors(video, now, types);
+    const latency = performance.now() - start;
+    rate?.recordLatency(latency);
+    metrics?.recordDetection(performance.now(), latency);
+    return results;
+  },
+
+  /**
+   * Nothing to release; here for the same shape as the worker source
+   */
+  close: () => {},
+});
+
+/**
+ * Detection on the main thread, for browsers that can't run it in a worker
+ * Has the same shape as the worker backend in workerDetection.js
+ */
+export const mainThreadBackend = {
+  inWorker: false,
+  initDetectors,
+  getDelegate,
+  createSource: createLiveSource,
+  isBroken: () => false,
+};
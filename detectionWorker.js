@@ -0,0 +1,86 @@
+/**
+ * Web Worker that runs the MediaPipe landmarkers off the main thread
+ *
+ * Messages in:
+ *   { type: 'init', id, types } loads detectors
+ *   { type: 'detect', source, image, timestamp, types } runs them on an ImageBitmap, which the worker closes
+ * Messages out:
+ *   { type: 'progress', id, progress } while loading, see initDetector
+ *   { type: 'ready', id, delegates } or { type: 'error', id, message, fatal } once loading ends,
+ *     fatal when the worker can't load MediaPipe at all and detection should move to the main thread
+ *   { type: 'results', source, timestamp, results, latency } or { type: 'results', source, timestamp, error } per frame
+ */
+
+import { initDetectors, getDelegate, runDetectors } from "./detection.js";
+
+// Set once MediaPipe's loader has been refused, which no retry in this worker can fix
+let loaderBlocked = false;
+
+/**
+ * MediaPipe loads its wasm glue with importScripts, which module workers don't have,
+ * so fetch each script synchronously and run it at global scope instead
+ * The glue is a classic script that defines a global ModuleFactory, so neither import()
+ * nor a classic worker (Vite serves this file and detection.js as modules) can stand in.
+ * Running it this way needs a Content Security Policy whose script-src allows
+ * 'unsafe-eval' for the worker, which is why the worker is opt-in (DETECTION_CONFIG.useWorker);
+ * under a stricter policy it reports a fatal error and the app detects on the main thread.
+ * @param {...string} urls - Script URLs
+ */
+self.importScripts = (...urls) => {
+  urls.forEach((url) => {
+    const request = new XMLHttpRequest();
+    request.open("GET", url, false);
+    request.send();
+    if (request.status !== 200) {
+      throw new Error(`Could not load ${url} (HTTP ${request.status})`);
+    }
+
+    try {
+      (0, eval)(request.responseText);
+    } catch (error) {
+      if (!(error instanceof EvalError)) throw error;
+      loaderBlocked = true;
+      throw new Error(
+        "The detection worker can't run MediaPipe's loader: the page's Content Security Policy must allow 'unsafe-eval' in workers"
+      );
+    }
+  });
+};
+
+/**
+ * Loads detectors and reports back with the delegate each runs on
+ * @param {Object} message - { id, types }
+ */
+const handleInit = async ({ id, types }) => {
+  try {
+    await initDetectors(types, (progress) => self.postMessage({ type: "progress", id, progress }));
+    self.postMessage({
+      type: "ready",
+      id,
+      delegates: Object.fromEntries(types.map((type) => [type, getDelegate(type)])),
+    });
+  } catch (error) {
+    self.postMessage({ type: "error", id, message: error.message, fatal: loaderBlocked });
+  }
+};
+
+/**
+ * Runs the detectors on a frame and sends the results back with how long inference took
+ * @param {Object} message - { source, image, timestamp, types }
+ */
+const handleDetect = ({ source, image, timestamp, types }) => {
+  const start = performance.now();
+  try {
+    const results = runDetectors(image, timestamp, types);
+    self.postMessage({ type: "results", source, timestamp, results, latency: performance.now() - start });
+  } catch (error) {
+    self.postMessage({ type: "results", source, timestamp, error: error.message });
+  } finally {
+    image.close();
+  }
+};
+
+self.addEventListener("message", ({ data }) => {
+  if (data.type === "init") handleInit(data);
+  if (data.type === "detect") handleDetect(data);
+});
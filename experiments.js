@@ -0,0 +1,100 @@
+import { DETECTOR_TYPES } from "./config.js";
+
+/**
+ * @typedef {Object} ExperimentContext
+ * @property {HTMLCanvasElement} canvas - The 2D video canvas
+ * @property {CanvasRenderingContext2D} ctx - The 2D video canvas context
+ * @property {HTMLCanvasElement} canvas3D - The Three.js overlay canvas
+ * @property {number} width - Source frame width in pixels
+ * @property {number} height - Source frame height in pixels
+ * @property {boolean} mirrored - Whether the view and landmarks are mirrored (selfie view)
+ * @property {function(string, Object): void} logEvent - Notes an event, such as a fist bump or a
+ *   point scored, in the sidecar of a session video being recorded
+ */
+
+/**
+ * @typedef {Object} DetectionFrame
+ * @property {number} timestamp - Frame time in milliseconds
+ * @property {Array<import("./handTracking.js").TrackedHand>} hands - Tracked hands, oldest id first,
+ *   with smoothed landmarks and worldLandmarks plus rawLandmarks as detected
+ * @property {Array} landmarks - Per-hand arrays of normalized landmarks (smoothed), in the order of hands
+ * @property {Array} rawLandmarks - Per-hand arrays of landmarks as detected, in the order of hands
+ * @property {Array} worldLandmarks - Per-hand arrays of world landmarks, in the order of hands
+ * @property {Object|null} pose - First detected body as { landmarks, worldLandmarks, rawLandmarks },
+ *   33 points each (see pose.js), or null when nobody is seen or the pose detector is not running
+ * @property {Object|null} face - First detected face as { landmarks, rawLandmarks }, 478 points each,
+ *   or null when no face is seen or the face detector is not running
+ */
+
+/**
+ * @typedef {Object} Experiment
+ * @property {string} id - Unique experiment id
+ * @property {string} name - Label shown on the selection screen
+ * @property {number} [order] - Sort position on the selection screen
+ * @property {Object|boolean} [smoothing] - Landmark filter defaults, or false for raw landmarks
+ * @property {Array<string>} [detectors] - Detectors to run: any of 'hands', 'pose' and 'face' (default: ['hands'])
+ * @property {import("./renderer.js").Overlay} [overlay] - Landmarks drawn over the video when the debug
+ *   toggle is off, such as { hands: { labels: true } } (default: none)
+ * @property {function(ExperimentContext): void} [setup] - Called once before the first frame
+ * @property {function(DetectionFrame, ExperimentContext): void} update - Called every frame
+ * @property {function(DetectionFrame, ExperimentContext): Array<import("./debugPanel.js").DebugSection>} [getDebugInfo] - Debug panel sections
+ * @property {function(ExperimentContext): void} [teardown] - Releases everything setup created
+ */
+
+const registry = new Map();
+
+/**
+ * Adds an experiment to the registry
+ * @param {Experiment} experiment - The experiment module
+ */
+export const registerExperiment = (experiment) => {
+  if (!experiment || !experiment.id || !experiment.name) {
+    throw new Error("Experiments need an id and a name");
+  }
+  if (typeof experiment.update !== "function") {
+    throw new Error(`Experiment "${experiment.id}" is missing an update function`);
+  }
+  const unknown = (experiment.detectors || []).filter((type) => !DETECTOR_TYPES.includes(type));
+  if (unknown.length) {
+    throw new Error(`Experiment "${experiment.id}" asks for unknown detectors: ${unknown.join(", ")}`);
+  }
+  if (registry.has(experiment.id)) {
+    throw new Error(`Experiment "${experiment.id}" is already registered`);
+  }
+
+  registry.set(experiment.id, experiment);
+};
+
+/**
+ * Gets the detectors an experiment needs
+ * @param {Experiment} experiment - The experiment
+ * @returns {Array<string>} Detector types
+ */
+export const getDetectors = (experiment) => experiment.detectors || ["hands"];
+
+/**
+ * Gets all registered experiments in display order
+ * @returns {Array<Experiment>} Registered experiments
+ */
+export const getExperiments = () =>
+  [...registry.values()].sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+
+/**
+ * Looks up an experiment by id
+ * @param {string} id - The experiment id
+ * @returns {Experiment|null} The experiment, or null if unknown
+ */
+export const getExperiment = (id) => registry.get(id) || null;
+
+/**
+ * Registers every experiment module in the experiments/ directory
+ * Each file default-exports one Experiment, so adding an experiment is adding a file
+ */
+export const loadExperiments = () => {
+  const modules = import.meta.glob("./experiments/*.js", {
+    eager: true,
+    import: "default",
+  });
+
+  Object.values(modules).forEach(registerExperiment);
+};
@@ -0,0 +1,146 @@
+import { createCalibrationSession, buildProfile, measureHand, CALIBRATION_STEPS } from "../calibration.js";
+import {
+  loadProfiles,
+  saveProfile,
+  setActiveProfile,
+  saveActiveProfileName,
+} from "../profiles.js";
+
+let session = null;
+let panel = null;
+let profile = null;
+let failure = null;
+let latestSample = null;
+let saved = false;
+
+/**
+ * Creates the instructions overlay, with a name field and buttons for the end
+ */
+const createPanel = () => {
+  panel = document.createElement("div");
+  panel.className = "calibration-panel";
+  panel.innerHTML = `
+    <div class="calibration-step"></div>
+    <div class="calibration-instruction"></div>
+    <progress class="calibration-progress" max="1" value="0"></progress>
+    <div class="calibration-finish hidden">
+      <input class="calibration-name" type="text" maxlength="40" placeholder="Profile name">
+      <button class="calibration-save" type="button">Save profile</button>
+    </div>
+    <button class="calibration-restart hidden" type="button">Start over</button>`;
+  document.body.appendChild(panel);
+
+  const nameInput = panel.querySelector(".calibration-name");
+  nameInput.value = `Profile ${loadProfiles().length + 1}`;
+
+  panel.querySelector(".calibration-save").addEventListener("click", () => {
+    const name = nameInput.value.trim();
+    if (!name || !profile) return;
+
+    profile = { ...profile, name };
+    saveProfile(profile);
+    setActiveProfile(profile);
+    saveActiveProfileName(name);
+    saved = true;
+  });
+
+  panel.querySelector(".calibration-restart").addEventListener("click", () => {
+    session.reset();
+    profile = null;
+    failure = null;
+    saved = false;
+  });
+};
+
+/**
+ * Shows the current step, or the result once every step is done
+ */
+const updatePanel = () => {
+  const { step, stepIndex, phase, progress } = session.getStatus();
+  const done = phase === "done";
+
+  let heading = `Step ${stepIndex + 1} of ${CALIBRATION_STEPS.length}`;
+  let instruction = step ? step.instruction : "";
+  if (phase === "waiting") instruction += " (show one hand)";
+  if (phase === "settling") instruction += ": get ready…";
+  if (phase === "recording") instruction += ": hold still…";
+
+  if (done) {
+    heading = failure ? "Calibration failed" : saved ? "Saved" : "Calibration done";
+    instruction = failure
+      ? failure.message
+      : saved
+        ? `Gestures and depth now use ${profile.name}. Press Escape to go back.`
+        : "Name the profile to save it and use it from now on";
+  }
+
+  panel.querySelector(".calibration-step").textContent = heading;
+  panel.querySelector(".calibration-instruction").textContent = instruction;
+  panel.querySelector(".calibration-progress").value = phase === "recording" ? progress : 0;
+  panel.querySelector(".calibration-progress").classList.toggle("hidden", done);
+  panel.querySelector(".calibration-finish").classList.toggle("hidden", !done || Boolean(failure) || saved);
+  panel.querySelector(".calibration-restart").classList.toggle("hidden", !done);
+};
+
+/**
+ * Calibration: walks through open hand, fist, near and far poses and saves the
+ * measurements as a profile that depth estimation and gestures use
+ * @type {import("../experiments.js").Experiment}
+ */
+export default {
+  id: "calibration",
+  name: "Calibrate Hands",
+  order: 2,
+  overlay: { hands: true },
+
+  setup: () => {
+    session = createCalibrationSession();
+    profile = null;
+    failure = null;
+    saved = false;
+    createPanel();
+  },
+
+  update: ({ hands, timestamp }) => {
+    // Measure the raw landmarks; smoothing would blur the extremes being measured
+    const hand = hands.length > 0 ? hands[0].rawLandmarks : null;
+    latestSample = hand ? measureHand(hand) : null;
+    session.update(hand, timestamp);
+
+    if (session.getStatus().phase === "done" && !profile && !failure) {
+      try {
+        // Named for real when it is saved
+        profile = buildProfile("Calibration", session.getSamples());
+      } catch (error) {
+        failure = error;
+      }
+    }
+    updatePanel();
+  },
+
+  getDebugInfo: () => {
+    const { step, phase, progress } = session.getStatus();
+    return [
+      {
+        title: "Calibration",
+        fields: [
+          { label: "Step", type: "text", value: step ? step.id : "done" },
+          { label: "Phase", type: "text", value: phase },
+          { label: "Progress", type: "number", value: progress * 100, unit: "%", digits: 0 },
+          { label: "Hand Size", type: "number", value: latestSample && latestSample.size, digits: 3, graph: { min: 0, max: 0.3 } },
+          { label: "Raw Curls", type: "number", value: latestSample && latestSample.curls, graph: { min: 0, max: 1 } },
+        ],
+      },
+    ];
+  },
+
+  teardown: () => {
+    if (panel) panel.remove();
+    panel = null;
+    session = null;
+    profile = null;
+    failure = null;
+    latestSample = null;
+    saved = false;
+  },
+};
@@ -0,0 +1,204 @@
+import { triggerConfetti } from "../renderer.js";
+import { createGestureTracker } from "../gestureEvents.js";
+import {
+  getFistOrientation,
+  isPeace,
+  isThumbsUp,
+  getHandsDistance,
+  getFingerCurls,
+  FIST_GESTURE,
+  EXTENDED_CURL,
+  FOLDED_CURL,
+} from "../gestures.js";
+
+// How far back to look for the hands moving toward each other
+const APPROACH_WINDOW_MS = 800;
+
+// How much closer, in palm sizes, the hands must have come within that window
+const MIN_APPROACH = 1;
+
+/**
+ * Contact between the two wrists, with hysteresis so hovering at the edge
+ * does not fire repeatedly, and a cooldown between bumps
+ * @type {import("../gestureEvents.js").GestureDefinition}
+ */
+const CONTACT_GESTURE = {
+  score: ([A, B]) => getHandsDistance(A, B),
+  activeBelow: true,
+  enter: 2,
+  exit: 2.6,
+  cooldownMs: 1000,
+};
+
+let handTracker = null;
+let pairTracker = null;
+let distanceHistory = [];
+let currentHands = [];
+let logEvent = () => {};
+
+/**
+ * Builds the debug section for one of the pair's hands
+ * @param {string} id - Section id, 'handA' or 'handB'
+ * @param {string} name - Heading, such as 'Hand A'
+ * @param {Object|undefined} hand - Tracked hand, if there are two
+ * @returns {import("../debugPanel.js").DebugSection} Debug section
+ */
+const getHandSection = (id, name, hand) => {
+  const A = hand ? hand.landmarks : null;
+  return {
+    id,
+    title: hand ? `${name} (${hand.handedness} #${hand.id})` : name,
+    fields: [
+      { label: "Fist", type: "boolean", value: hand ? handTracker.isActive(String(hand.id), "fist") : null },
+      { label: "Peace", type: "boolean", value: A && isPeace(A) },
+      { label: "Thumbs Up", type: "boolean", value: A && isThumbsUp(A) },
+      { label: "Orientation", type: "text", value: A && getFistOrientation(A) },
+      {
+        label: "Curls",
+        type: "number",
+        value: A && getFingerCurls(A),
+        graph: { min: 0, max: 1, thresholds: [EXTENDED_CURL, FOLDED_CURL] },
+      },
+    ],
+  };
+};
+
+/**
+ * Checks if two fists point toward each other
+ * @param {Array} A - First hand landmarks
+ * @param {Array} B - Second hand landmarks
+ * @returns {boolean} True if one points left and the other right
+ */
+const areFacing = (A, B) => {
+  const orientA = getFistOrientation(A);
+  const orientB = getFistOrientation(B);
+
+  return (
+    (orientA === "left" && orientB === "right") ||
+    (orientA === "right" && orientB === "left")
+  );
+};
+
+/**
+ * Measures how much closer the hands are now than at their farthest in the approach window
+ * @returns {number} Approach in palm sizes
+ */
+const getApproach = () => {
+  if (distanceHistory.length === 0) return 0;
+
+  const farthest = Math.max(...distanceHistory.map((sample) => sample.distance));
+  return farthest - distanceHistory[distanceHistory.length - 1].distance;
+};
+
+/**
+ * Fires confetti when contact starts between two held fists that swung in toward each other
+ * Every contact is logged, bump or not, so a session video shows why one didn't count.
+ */
+const handleContact = () => {
+  const [handA, handB] = currentHands;
+  const A = handA.landmarks;
+  const B = handB.landmarks;
+  const bothFists =
+    handTracker.isActive(String(handA.id), "fist") &&
+    handTracker.isActive(String(handB.id), "fist");
+
+  const facing = areFacing(A, B);
+  const approach = getApproach();
+  const bump = bothFists && facing && approach >= MIN_APPROACH;
+  logEvent("contact", { bump, bothFists, facing, approach });
+
+  if (bump) {
+    const midX = (A[0].x + B[0].x) / 2;
+    const midY = (A[0].y + B[0].y) / 2;
+    triggerConfetti(midX, midY, "FIST BUMP!");
+  }
+};
+
+/**
+ * Fist Bump: two fists facing each other that swing together fire confetti
+ * @type {import("../experiments.js").Experiment}
+ */
+export default {
+  id: "fist-bump",
+  name: "Fist Bump",
+  order: 0,
+  overlay: { hands: { labels: true } },
+
+  setup: (ctx) => {
+    logEvent = ctx.logEvent;
+    handTracker = createGestureTracker({ fist: FIST_GESTURE });
+    pairTracker = createGestureTracker({ contact: CONTACT_GESTURE });
+    pairTracker.on("start", handleContact);
+    distanceHistory = [];
+  },
+
+  update: ({ hands, timestamp }) => {
+    currentHands = hands;
+    handTracker.update(
+      Object.fromEntries(hands.map((hand) => [hand.id, hand.landmarks])),
+      timestamp
+    );
+
+    if (hands.length !== 2) {
+      distanceHistory = [];
+      pairTracker.update({}, timestamp);
+      return;
+    }
+
+    const [handA, handB] = hands;
+    const A = handA.landmarks;
+    const B = handB.landmarks;
+    const distance = getHandsDistance(A, B);
+
+    distanceHistory.push({ timestamp, distance });
+    distanceHistory = distanceHistory.filter(
+      (sample) => timestamp - sample.timestamp <= APPROACH_WINDOW_MS
+    );
+
+    pairTracker.update({ pair: [A, B] }, timestamp);
+  },
+
+  getDebugInfo: () => {
+    const [handA, handB] = currentHands.length === 2 ? currentHands : [];
+
+    return [
+      {
+        title: "Detection",
+        fields: [
+          { label: "Hands", type: "number", value: currentHands.length, digits: 0 },
+          {
+            label: "Distance",
+            type: "number",
+            unit: "palms",
+            value: handA ? getHandsDistance(handA.landmarks, handB.landmarks) : null,
+            graph: { min: 0, max: 6, thresholds: [CONTACT_GESTURE.enter, CONTACT_GESTURE.exit] },
+          },
+        ],
+      },
+      getHandSection("handA", "Hand A", handA),
+      getHandSection("handB", "Hand B", handB),
+      {
+        title: "Interaction",
+        fields: [
+          { label: "Facing Each Other", type: "boolean", value: handA ? areFacing(handA.landmarks, handB.landmarks) : null },
+          { label: "Close", type: "boolean", value: handA ? pairTracker.isActive("pair", "contact") : null },
+          {
+            label: "Approach",
+            type: "number",
+            unit: "palms",
+            value: handA ? getApproach() : null,
+            graph: { min: 0, max: 3, thresholds: [MIN_APPROACH] },
+          },
+        ],
+      },
+    ];
+  },
+
+  teardown: () => {
+    handTracker = null;
+    pairTracker = null;
+    distanceHistory = [];
+    currentHands = [];
+    logEvent = () => {};
+  },
+};
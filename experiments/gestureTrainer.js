@@ -0,0 +1,253 @@
+import {
+  MAX_DISTANCE,
+  MIN_CONFIDENCE,
+  addGestureSamples,
+  classifyPose,
+  createGestureRecorder,
+  createGestureSet,
+  getActiveGestureSet,
+  normalizeHandPose,
+  parseGestureSet,
+  removeGesture,
+  saveGestureSet,
+  setActiveGestureSet,
+} from "../customGestures.js";
+import { createMotionRecognizer } from "../motionGestures.js";
+import { downloadJSON } from "../utils.js";
+
+let recorder = null;
+let motionRecognizer = null;
+let lastMotion = null;
+let panel = null;
+let recordingName = null;
+let match = null;
+let message = "";
+
+/**
+ * Makes a set the active one and saves it, then redraws the gesture list
+ * @param {import("../customGestures.js").GestureSet} set - The set
+ */
+const useGestureSet = (set) => {
+  setActiveGestureSet(set);
+  saveGestureSet(set);
+  renderGestureList();
+};
+
+/**
+ * Lists the gestures of the active set with their sample counts and remove buttons
+ */
+const renderGestureList = () => {
+  const set = getActiveGestureSet();
+  const list = panel.querySelector(".gesture-trainer-list");
+  list.replaceChildren(
+    ...set.gestures.map(({ name, samples }) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = `${name} (${samples.length} samples)`;
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => {
+        useGestureSet(removeGesture(getActiveGestureSet(), name));
+        message = `Removed ${name}`;
+      });
+
+      item.append(label, remove);
+      return item;
+    })
+  );
+
+  // Samples only compare within one normalization, so it is fixed once a set has gestures
+  const rotationCheckbox = panel.querySelector(".gesture-trainer-rotation input");
+  rotationCheckbox.checked = set.rotationInvariant;
+  rotationCheckbox.disabled = set.gestures.length > 0;
+  panel.querySelector(".gesture-trainer-export").disabled = set.gestures.length === 0;
+  panel.querySelector(".gesture-trainer-clear").disabled = set.gestures.length === 0;
+};
+
+/**
+ * Creates the trainer overlay: a name field and record button, the gesture list,
+ * and buttons to export, import and clear the set
+ */
+const createPanel = () => {
+  panel = document.createElement("div");
+  panel.className = "gesture-trainer-panel";
+  panel.innerHTML = `
+    <div class="gesture-trainer-match"></div>
+    <div class="gesture-trainer-motion"></div>
+    <div class="gesture-trainer-record">
+      <input class="gesture-trainer-name" type="text" maxlength="40" placeholder="Gesture name">
+      <button class="gesture-trainer-record-button" type="button">Record</button>
+    </div>
+    <progress class="gesture-trainer-progress" max="1" value="0"></progress>
+    <div class="gesture-trainer-message"></div>
+    <ul class="gesture-trainer-list"></ul>
+    <label class="gesture-trainer-rotation">
+      <input type="checkbox"> Match at any hand orientation
+    </label>
+    <div class="gesture-trainer-files">
+      <button class="gesture-trainer-export" type="button">Export</button>
+      <label class="gesture-trainer-import">Import<input type="file" accept="application/json,.json"></label>
+      <button class="gesture-trainer-clear" type="button">Clear</button>
+    </div>`;
+  document.body.appendChild(panel);
+
+  const nameInput = panel.querySelector(".gesture-trainer-name");
+
+  panel.querySelector(".gesture-trainer-record-button").addEventListener("click", () => {
+    const name = nameInput.value.trim();
+    if (!name) {
+      message = "Name the gesture first";
+      return;
+    }
+    recordingName = name;
+    recorder.start();
+  });
+
+  panel.querySelector(".gesture-trainer-rotation input").addEventListener("change", (e) => {
+    useGestureSet(createGestureSet(getActiveGestureSet().name, { rotationInvariant: e.target.checked }));
+  });
+
+  panel.querySelector(".gesture-trainer-export").addEventListener("click", () => {
+    const set = getActiveGestureSet();
+    downloadJSON(set, `${set.name.replace(/[^\w-]+/g, "-").toLowerCase()}.json`);
+  });
+
+  panel.querySelector(".gesture-trainer-import input").addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    e.target.value = "";
+
+    try {
+      useGestureSet(parseGestureSet(JSON.parse(await file.text())));
+      message = `Imported ${file.name}`;
+    } catch (error) {
+      message = `Could not import ${file.name}: ${error.message}`;
+    }
+  });
+
+  panel.querySelector(".gesture-trainer-clear").addEventListener("click", () => {
+    const { name, rotationInvariant } = getActiveGestureSet();
+    useGestureSet(createGestureSet(name, { rotationInvariant }));
+    message = "Cleared every gesture";
+  });
+
+  renderGestureList();
+};
+
+/**
+ * Shows the live match and the recording state
+ */
+const updatePanel = () => {
+  const { phase, progress, samples } = recorder.getStatus();
+
+  let status = message;
+  if (phase === "settling") status = `Get into the ${recordingName} pose…`;
+  if (phase === "recording") status = `Recording ${recordingName}: ${samples} samples`;
+
+  panel.querySelector(".gesture-trainer-match").textContent = match && match.name
+    ? `${match.name} ${Math.round(match.confidence * 100)}%`
+    : getActiveGestureSet().gestures.length > 0 ? "No match" : "Record a gesture to start";
+  panel.querySelector(".gesture-trainer-match").classList.toggle("matched", Boolean(match && match.confidence >= MIN_CONFIDENCE));
+  panel.querySelector(".gesture-trainer-motion").textContent = lastMotion
+    ? `Last motion: ${lastMotion.gesture} ${Math.round(lastMotion.confidence * 100)}%`
+    : "Swipe, wave, circle, push or pull to try motions";
+  panel.querySelector(".gesture-trainer-message").textContent = status;
+  panel.querySelector(".gesture-trainer-progress").value = phase === "recording" ? progress : 0;
+  panel.querySelector(".gesture-trainer-record-button").disabled = phase !== "idle";
+};
+
+/**
+ * Gesture Trainer: records named hand poses and classifies live hands against them
+ * The set it builds is the active one, so any experiment can check it with isGesture.
+ * It also shows the last motion gesture, for trying the motion recognizer out.
+ * @type {import("../experiments.js").Experiment}
+ */
+export default {
+  id: "gesture-trainer",
+  name: "Teach Gestures",
+  order: 3,
+  overlay: { hands: { labels: true } },
+
+  setup: () => {
+    recorder = createGestureRecorder();
+    motionRecognizer = createMotionRecognizer();
+    lastMotion = null;
+    recordingName = null;
+    match = null;
+    message = "";
+    createPanel();
+  },
+
+  update: ({ hands, timestamp }, { width, height, mirrored }) => {
+    const set = getActiveGestureSet();
+    const hand = hands[0];
+    const pose = hand
+      ? normalizeHandPose(hand.landmarks, {
+        handedness: hand.handedness,
+        aspect: width / height,
+        mirrored,
+        rotationInvariant: set.rotationInvariant,
+      })
+      : null;
+
+    match = pose ? classifyPose(pose, set) : null;
+
+    const motions = motionRecognizer.update(hands, timestamp);
+    if (motions.length > 0) lastMotion = motions[motions.length - 1];
+
+    const samples = recorder.update(pose, timestamp);
+    if (samples) {
+      if (samples.length > 0) {
+        useGestureSet(addGestureSamples(set, recordingName, samples));
+        message = `Recorded ${samples.length} samples of ${recordingName}`;
+      } else {
+        message = "No hand was seen; try again";
+      }
+      recordingName = null;
+    }
+    updatePanel();
+  },
+
+  getDebugInfo: () => {
+    const { phase } = recorder.getStatus();
+    const set = getActiveGestureSet();
+    return [
+      {
+        title: "Gestures",
+        fields: [
+          { label: "Match", type: "text", value: match && match.name ? match.name : "none" },
+          {
+            label: "Confidence",
+            type: "number",
+            value: match && match.confidence,
+            digits: 2,
+            graph: { min: 0, max: 1, thresholds: [MIN_CONFIDENCE] },
+          },
+          {
+            label: "Distance",
+            type: "number",
+            value: match && Number.isFinite(match.distance) ? match.distance : null,
+            digits: 3,
+            graph: { min: 0, max: MAX_DISTANCE * 2, thresholds: [MAX_DISTANCE] },
+          },
+          { label: "Gestures", type: "number", value: set.gestures.length, digits: 0 },
+          { label: "Recorder", type: "text", value: phase },
+          { label: "Last Motion", type: "text", value: lastMotion ? lastMotion.gesture : "none" },
+        ],
+      },
+    ];
+  },
+
+  teardown: () => {
+    if (panel) panel.remove();
+    panel = null;
+    recorder = null;
+    motionRecognizer = null;
+    lastMotion = null;
+    recordingName = null;
+    match = null;
+    message = "";
+  },
+};
@@ -0,0 +1,163 @@
+import { landmarkTo3D, getHandDepth } from "../utils.js";
+import { FIST_GESTURE, PINCH_GESTURE } from "../gestures.js";
+import { createGestureTracker } from "../gestureEvents.js";
+import { getPalmCenter } from "../handTracking.js";
+import { getProjectionView, viewToWorld } from "../projection.js";
+import {
+  initThreeScene,
+  disposeThreeScene,
+  setCylinderVisibility,
+  render as render3D,
+} from "../threeScene.js";
+import {
+  GRAB,
+  createGrabbable,
+  createGrabWorld,
+  getGrabDistance,
+  getHoveredObjects,
+  updateGrabWorld,
+} from "./grabAndMove/grab.js";
+import { createGrabScene, updateGrabScene, disposeGrabScene } from "./grabAndMove/scene.js";
+
+const OBJECTS = [
+  { id: "cube", shape: "box", color: 0x4a90e2, position: { x: -3, y: 0.5, z: -3 } },
+  { id: "ball", shape: "ball", color: 0xe94f37, position: { x: -1, y: -0.5, z: -3 } },
+  { id: "cylinder", shape: "cylinder", color: 0x44bba4, position: { x: 1, y: 0.5, z: -3 } },
+  { id: "ring", shape: "torus", color: 0xf2c14e, position: { x: 3, y: -0.5, z: -3 } },
+];
+const OBJECT_RADIUS = 0.6;
+
+// Free objects stay between these depths, and within the view at BOUNDS_DEPTH
+const NEAR_Z = -1;
+const FAR_Z = -5;
+const BOUNDS_DEPTH = -3;
+
+let gestureTracker = null;
+let world = null;
+let handPoints = [];
+let lastEvent = "-";
+let logEvent = () => {};
+
+/**
+ * Finds the box free objects stay in: as deep as the hands reach, and as wide and tall
+ * as the window shows
+ * @returns {Object} { min, max } corners in world units
+ */
+const getBounds = () => {
+  const { width, height } = getProjectionView();
+  const topLeft = viewToWorld({ x: 0, y: 0 }, BOUNDS_DEPTH);
+  const bottomRight = viewToWorld({ x: width, y: height }, BOUNDS_DEPTH);
+  return {
+    min: { x: topLeft.x, y: bottomRight.y, z: FAR_Z },
+    max: { x: bottomRight.x, y: topLeft.y, z: NEAR_Z },
+  };
+};
+
+/**
+ * Describes a grab event for the debug panel
+ * @param {Object} event - Event from updateGrabWorld
+ * @returns {string} Display string
+ */
+const formatEvent = ({ type, object, hand, hands, held }) => {
+  if (type === "grab") return `hand ${hand} grabbed ${object}${hands > 1 ? " (two hands)" : ""}`;
+  return `hand ${hand} ${held ? "let go of" : "threw"} ${object}`;
+};
+
+/**
+ * Grab & Move: pick objects up with a fist or pinch, carry and throw them, and scale
+ * and turn them with both hands
+ * @type {import("../experiments.js").Experiment}
+ */
+export default {
+  id: "grab-and-move",
+  name: "Grab & Move",
+  order: 4,
+  overlay: { hands: true, hands3D: true },
+
+  setup: ({ canvas3D, logEvent: log }) => {
+    logEvent = log;
+    initThreeScene(canvas3D);
+    setCylinderVisibility(false);
+
+    const objects = OBJECTS.map(({ id, shape, color, position }) => ({
+      ...createGrabbable(id, position, OBJECT_RADIUS),
+      shape,
+      color,
+    }));
+    createGrabScene(objects);
+    world = createGrabWorld(objects, getBounds());
+    gestureTracker = createGestureTracker({ fist: FIST_GESTURE, pinch: PINCH_GESTURE });
+  },
+
+  update: ({ hands, timestamp }, { canvas }) => {
+    const { width, height } = canvas;
+    gestureTracker.update(
+      Object.fromEntries(hands.map((hand) => [hand.id, hand.landmarks])),
+      timestamp
+    );
+
+    handPoints = hands.map(({ id, landmarks, worldLandmarks }) => ({
+      id,
+      point: landmarkTo3D(
+        getPalmCenter(landmarks),
+        width,
+        height,
+        getHandDepth(landmarks, worldLandmarks, width, height, "palm")
+      ),
+      gripping: gestureTracker.isActive(String(id), "fist") || gestureTracker.isActive(String(id), "pinch"),
+    }));
+
+    // The window may have been resized
+    world.bounds = getBounds();
+    updateGrabWorld(world, handPoints, timestamp).forEach(({ type, ...detail }) => {
+      lastEvent = formatEvent({ type, ...detail });
+      logEvent(type, detail);
+    });
+
+    updateGrabScene(world.objects, getHoveredObjects(world));
+    render3D();
+  },
+
+  getDebugInfo: () => {
+    const held = world.objects.filter(({ hold }) => hold);
+    const [hand] = handPoints;
+    const nearest = hand
+      ? Math.min(...world.objects.map((object) => getGrabDistance(object, hand.point)))
+      : null;
+
+    return [
+      {
+        title: "Grab",
+        fields: [
+          { label: "Grabbed", type: "boolean", value: held.length > 0 },
+          {
+            label: "Held",
+            type: "text",
+            value: held.map(({ id, hold }) => `${id} (${hold.hands.length})`).join(", ") || "none",
+          },
+          { label: "Gripping", type: "boolean", value: hand ? hand.gripping : null },
+          {
+            label: "Hand A to Object",
+            type: "number",
+            value: nearest,
+            digits: 2,
+            graph: { min: -1, max: 2, thresholds: [GRAB.reach] },
+          },
+          { label: "Hand A", type: "vector", value: hand ? hand.point : null },
+          { label: "Last Event", type: "text", value: lastEvent },
+        ],
+      },
+    ];
+  },
+
+  teardown: () => {
+    disposeGrabScene();
+    disposeThreeScene();
+
+    gestureTracker = null;
+    world = null;
+    handPoints = [];
+    lastEvent = "-";
+    logEvent = () => {};
+  },
+};
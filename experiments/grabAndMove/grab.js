@@ -0,0 +1,308 @@
+/**
+ * Grabbing, carrying and throwing objects with tracked hands, in world units
+ *
+ * Hands come in as points in the Three.js world with a gripping flag (a fist or a
+ * pinch). An open hand within reach of an object hovers it; gripping picks the
+ * hovered object up. One hand carries it at the offset it was grabbed at; a
+ * second hand on the same object scales it with the distance between the hands
+ * and turns it with the line between them. Letting go throws it with the hand's
+ * velocity, then it drifts to a stop, bouncing off the bounds.
+ */
+
+import {
+  IDENTITY_QUATERNION,
+  multiplyQuaternions,
+  quaternionBetween,
+  rotateByQuaternion,
+} from "../../orientation.js";
+
+export const GRAB = {
+  reach: 0.4, // How far past an object's surface a hand can grab it
+  minScale: 0.4,
+  maxScale: 3,
+  drag: 1.2, // Exponential velocity decay per second
+  restitution: 0.6, // Speed kept when bouncing off the bounds
+  maxThrowSpeed: 12,
+  velocityWindowMs: 100, // Hand motion the throw velocity is averaged over
+  maxFrameTime: 0.05, // Longest step in seconds, so a stalled frame doesn't fling objects
+};
+
+const ZERO = { x: 0, y: 0, z: 0 };
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+const length = (a) => Math.hypot(a.x, a.y, a.z);
+const midpoint = (a, b) => scale(add(a, b), 0.5);
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Creates an object hands can pick up
+ * @param {string} id - Object id
+ * @param {Object} position - Center in world units
+ * @param {number} radius - Grab radius at scale 1, about the object's half size
+ * @param {Object} options - { quaternion, scale } to start with
+ * @returns {Object} Grabbable { id, position, quaternion, scale, radius, velocity, hold }
+ */
+export const createGrabbable = (id, position, radius, { quaternion = IDENTITY_QUATERNION, scale: size = 1 } = {}) => ({
+  id,
+  position: { ...position },
+  quaternion: { ...quaternion },
+  scale: size,
+  radius,
+  velocity: { ...ZERO },
+  hold: null,
+});
+
+/**
+ * Creates the state of a grab scene
+ * @param {Array<Object>} objects - Objects from createGrabbable
+ * @param {Object} bounds - { min, max } corners of the box free objects stay in
+ * @returns {Object} World { objects, bounds, hands, lastTimestamp }
+ */
+export const createGrabWorld = (objects, bounds) => ({
+  objects,
+  bounds,
+  hands: new Map(),
+  lastTimestamp: null,
+});
+
+/**
+ * Measures how far a point is from an object's grab surface
+ * @param {Object} object - Grabbable
+ * @param {Object} point - World point
+ * @returns {number} Distance past the surface, negative inside it
+ */
+export const getGrabDistance = (object, point) =>
+  length(sub(object.position, point)) - object.radius * object.scale;
+
+/**
+ * Finds the object nearest a hand that is within reach of it
+ * @param {Object} world - World from createGrabWorld
+ * @param {Object} point - Hand position
+ * @returns {Object|null} The object, or null if none is in reach
+ */
+export const findReachableObject = (world, point) => {
+  let nearest = null;
+  let nearestDistance = GRAB.reach;
+  world.objects.forEach((object) => {
+    const distance = getGrabDistance(object, point);
+    if (distance <= nearestDistance) {
+      nearest = object;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+/**
+ * Averages a hand's velocity over its recent positions
+ * @param {Object} hand - Hand state
+ * @returns {Object} Velocity in units per second, capped at GRAB.maxThrowSpeed
+ */
+const getHandVelocity = ({ samples }) => {
+  if (samples.length < 2) return { ...ZERO };
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const seconds = (last.t - first.t) / 1000;
+  if (seconds <= 0) return { ...ZERO };
+
+  const velocity = scale(sub(last.point, first.point), 1 / seconds);
+  const speed = length(velocity);
+  return speed > GRAB.maxThrowSpeed ? scale(velocity, GRAB.maxThrowSpeed / speed) : velocity;
+};
+
+/**
+ * Records how an object sits relative to the hands holding it, so it keeps that as they move
+ * @param {Object} world - World state
+ * @param {Object} object - Grabbable with hold.hands set (mutated)
+ */
+const anchor = (world, object) => {
+  const [a, b] = object.hold.hands.map((id) => world.hands.get(id).point);
+
+  if (!b) {
+    object.hold = { hands: object.hold.hands, offset: sub(object.position, a) };
+    return;
+  }
+
+  const span = sub(b, a);
+  object.hold = {
+    hands: object.hold.hands,
+    offset: sub(object.position, midpoint(a, b)),
+    distance: Math.max(length(span), 1e-6),
+    direction: scale(span, 1 / Math.max(length(span), 1e-6)),
+    scale: object.scale,
+    quaternion: object.quaternion,
+  };
+};
+
+/**
+ * Lets go of an object with one hand; the other hand, if any, keeps holding it
+ * @param {Object} world - World state
+ * @param {Object} object - Held grabbable (mutated)
+ * @param {string} handId - Hand letting go
+ * @param {Array} events - Event list to append to
+ */
+const release = (world, object, handId, events) => {
+  const remaining = object.hold.hands.filter((id) => id !== handId);
+  const hand = world.hands.get(handId);
+  if (hand) hand.holding = null;
+
+  if (remaining.length > 0) {
+    object.hold = { hands: remaining };
+    anchor(world, object);
+    events.push({ type: "release", object: object.id, hand: handId, held: true });
+    return;
+  }
+
+  object.hold = null;
+  object.velocity = hand ? getHandVelocity(hand) : { ...ZERO };
+  events.push({ type: "release", object: object.id, hand: handId, held: false, velocity: object.velocity });
+};
+
+/**
+ * Picks an object up with a hand, joining any hand already holding it
+ * @param {Object} world - World state
+ * @param {Object} object - Grabbable (mutated)
+ * @param {Object} hand - Hand state (mutated)
+ * @param {Array} events - Event list to append to
+ */
+const grab = (world, object, hand, events) => {
+  object.hold = { hands: [...(object.hold ? object.hold.hands : []), hand.id] };
+  object.velocity = { ...ZERO };
+  hand.holding = object.id;
+  anchor(world, object);
+  events.push({ type: "grab", object: object.id, hand: hand.id, hands: object.hold.hands.length });
+};
+
+/**
+ * Moves a held object with its hands
+ * @param {Object} world - World state
+ * @param {Object} object - Held grabbable (mutated)
+ */
+const carry = (world, object) => {
+  const { hold } = object;
+  const [a, b] = hold.hands.map((id) => world.hands.get(id));
+
+  if (!b) {
+    object.position = add(a.point, hold.offset);
+    object.velocity = getHandVelocity(a);
+    return;
+  }
+
+  const span = sub(b.point, a.point);
+  const distance = length(span);
+  if (distance < 1e-6) return;
+
+  const ratio = clamp(hold.scale * (distance / hold.distance), GRAB.minScale, GRAB.maxScale) / hold.scale;
+  const turn = quaternionBetween(hold.direction, scale(span, 1 / distance));
+
+  object.scale = hold.scale * ratio;
+  object.quaternion = multiplyQuaternions(turn, hold.quaternion);
+  object.position = add(midpoint(a.point, b.point), scale(rotateByQuaternion(hold.offset, turn), ratio));
+  object.velocity = scale(add(getHandVelocity(a), getHandVelocity(b)), 0.5);
+};
+
+/**
+ * Moves a free object along its velocity, slowing it and bouncing it off the bounds
+ * @param {Object} object - Free grabbable (mutated)
+ * @param {Object} bounds - { min, max } box
+ * @param {number} dt - Step in seconds
+ */
+const drift = (object, { min, max }, dt) => {
+  const position = add(object.position, scale(object.velocity, dt));
+  const velocity = scale(object.velocity, Math.exp(-GRAB.drag * dt));
+  const radius = object.radius * object.scale;
+
+  ["x", "y", "z"].forEach((axis) => {
+    if (position[axis] - radius < min[axis]) {
+      position[axis] = min[axis] + radius;
+      velocity[axis] = Math.abs(velocity[axis]) * GRAB.restitution;
+    } else if (position[axis] + radius > max[axis]) {
+      position[axis] = max[axis] - radius;
+      velocity[axis] = -Math.abs(velocity[axis]) * GRAB.restitution;
+    }
+  });
+
+  object.position = position;
+  object.velocity = velocity;
+};
+
+/**
+ * Advances the scene by a frame
+ * @param {Object} world - World from createGrabWorld (mutated)
+ * @param {Array<Object>} hands - { id, point, gripping } per tracked hand, point in world units
+ * @param {number} timestamp - Frame time in milliseconds
+ * @returns {Array<Object>} Events: { type: 'grab', object, hand, hands } and
+ *   { type: 'release', object, hand, held, velocity }, held being whether another hand still holds it
+ */
+export const updateGrabWorld = (world, hands, timestamp) => {
+  const events = [];
+  const objectsById = new Map(world.objects.map((object) => [object.id, object]));
+  const seen = new Set(hands.map(({ id }) => String(id)));
+
+  // Lost hands drop what they hold, thrown with their last motion
+  [...world.hands.values()].forEach((hand) => {
+    if (seen.has(hand.id)) return;
+    if (hand.holding) release(world, objectsById.get(hand.holding), hand.id, events);
+    world.hands.delete(hand.id);
+  });
+
+  // Move every hand first, so a hold handed from one hand to the other anchors on this frame
+  const wasGripping = new Map();
+  hands.forEach(({ id, point, gripping }) => {
+    const key = String(id);
+    const hand = world.hands.get(key) || { id: key, gripping: false, holding: null, hovering: null, samples: [] };
+    world.hands.set(key, hand);
+
+    wasGripping.set(key, hand.gripping);
+    hand.point = point;
+    hand.gripping = gripping;
+    hand.samples = [...hand.samples, { t: timestamp, point }].filter(
+      ({ t }) => t >= timestamp - GRAB.velocityWindowMs
+    );
+  });
+
+  hands.forEach(({ id, point, gripping }) => {
+    const key = String(id);
+    const hand = world.hands.get(key);
+
+    if (hand.holding && !gripping) {
+      release(world, objectsById.get(hand.holding), key, events);
+    }
+
+    if (!gripping) {
+      const reachable = findReachableObject(world, point);
+      hand.hovering = reachable ? reachable.id : null;
+    } else if (!wasGripping.get(key) && !hand.holding) {
+      // Grab what was hovered, or failing that what is in reach now, as a fast hand closes
+      const target = objectsById.get(hand.hovering) || findReachableObject(world, point);
+      if (target) grab(world, target, hand, events);
+      hand.hovering = null;
+    }
+  });
+
+  const dt = world.lastTimestamp === null
+    ? 0
+    : clamp((timestamp - world.lastTimestamp) / 1000, 0, GRAB.maxFrameTime);
+  world.lastTimestamp = timestamp;
+
+  world.objects.forEach((object) => {
+    if (object.hold) {
+      carry(world, object);
+    } else {
+      drift(object, world.bounds, dt);
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Lists the objects some open hand is hovering
+ * @param {Object} world - World state
+ * @returns {Set<string>} Object ids
+ */
+export const getHoveredObjects = (world) =>
+  new Set([...world.hands.values()].map(({ hovering }) => hovering).filter(Boolean));
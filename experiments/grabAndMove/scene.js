@@ -0,0 +1,80 @@
+import * as THREE from "three";
+import { addToScene, removeFromScene, setObjectRotation } from "../../threeScene.js";
+
+// Glow added to an object's color while a hand hovers or holds it
+const HOVER_EMISSIVE = 0x333333;
+const HELD_EMISSIVE = 0x666666;
+
+let group = null;
+let meshes = new Map();
+
+/**
+ * Builds the geometry for a shape, sized to fit its grab radius
+ * @param {string} shape - 'box', 'ball', 'cylinder' or 'torus'
+ * @param {number} radius - Grab radius
+ * @returns {THREE.BufferGeometry} Geometry centered on the origin
+ */
+const createGeometry = (shape, radius) => {
+  if (shape === "ball") return new THREE.SphereGeometry(radius, 32, 16);
+  if (shape === "cylinder") return new THREE.CylinderGeometry(radius * 0.6, radius * 0.6, radius * 1.6, 32);
+  if (shape === "torus") return new THREE.TorusGeometry(radius * 0.65, radius * 0.3, 16, 48);
+  const side = radius * 1.2;
+  return new THREE.BoxGeometry(side, side, side);
+};
+
+/**
+ * Adds a mesh for each grabbable object to the Three.js scene
+ * The scene must already be initialized with initThreeScene
+ * @param {Array<Object>} objects - Grabbables with shape and color set
+ */
+export const createGrabScene = (objects) => {
+  group = new THREE.Group();
+  meshes = new Map(
+    objects.map(({ id, shape, color, radius }) => {
+      const mesh = new THREE.Mesh(
+        createGeometry(shape, radius),
+        new THREE.MeshStandardMaterial({ color, metalness: 0.2, roughness: 0.5 })
+      );
+      group.add(mesh);
+      return [id, mesh];
+    })
+  );
+  addToScene(group);
+};
+
+/**
+ * Poses each mesh from its object and lights up the hovered and held ones
+ * @param {Array<Object>} objects - Grabbables
+ * @param {Set<string>} hovered - Ids of objects an open hand is near
+ */
+export const updateGrabScene = (objects, hovered) => {
+  objects.forEach(({ id, position, quaternion, scale, hold }) => {
+    const mesh = meshes.get(id);
+    if (!mesh) return;
+
+    mesh.position.set(position.x, position.y, position.z);
+    mesh.scale.setScalar(scale);
+    setObjectRotation(mesh, quaternion);
+
+    let emissive = 0x000000;
+    if (hovered.has(id)) emissive = HOVER_EMISSIVE;
+    if (hold) emissive = HELD_EMISSIVE;
+    mesh.material.emissive.setHex(emissive);
+  });
+};
+
+/**
+ * Removes the objects from the scene
+ */
+export const disposeGrabScene = () => {
+  if (!group) return;
+
+  removeFromScene(group);
+  group.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+
+  group = null;
+  meshes = new Map();
+};
@@ -0,0 +1,371 @@
+import { handTo3D, getHandDepth, HAND_DEPTH } from "../utils.js";
+import { getFingerCurls, FIST_GESTURE, EXTENDED_CURL, FOLDED_CURL } from "../gestures.js";
+import { getHandOrientation, IDENTITY_QUATERNION } from "../orientation.js";
+import { createQuaternionSmoother } from "../filters.js";
+import { createGestureTracker } from "../gestureEvents.js";
+import { findHand } from "../handTracking.js";
+import {
+  initThreeScene,
+  disposeThreeScene,
+  setCylinderVisibility,
+  render as render3D,
+} from "../threeScene.js";
+import {
+  TABLE,
+  createBall,
+  createWorld,
+  createPaddle,
+  movePaddle,
+  releasePaddle,
+  stepWorld,
+  getBallSpeed,
+  getPaddlePose,
+} from "./tableTennis/physics.js";
+import { createMatch } from "./tableTennis/rules.js";
+import { createOpponent, updateOpponent, playShot } from "./tableTennis/opponent.js";
+import {
+  createTableTennisScene,
+  disposeTableTennisScene,
+  setBall,
+  setPlayerPaddle,
+  setOpponentPaddle,
+} from "./tableTennis/scene.js";
+
+// Which of the user's hands holds the paddle
+const PADDLE_HAND = "right";
+
+// Where the player's serve is tossed from, just off the near end of the table
+const TOSS_POSITION = { x: 0, y: TABLE.topY + 0.6, z: TABLE.nearZ + 0.4 };
+const TOSS_VELOCITY = { x: 0, y: 3, z: 0 };
+
+// Pauses between game steps, in milliseconds
+const RETOSS_DELAY = 800;
+const OPPONENT_SERVE_DELAY = 900;
+const POINT_DELAY = 1500;
+const GAME_OVER_DELAY = 4000;
+
+// Longest frame the physics will simulate, so a stalled tab doesn't fling the ball
+const MAX_FRAME_TIME = 0.05;
+
+let rotationSmoother = null;
+let fistTracker = null;
+let paddleHandId = null;
+
+let world = null;
+let match = null;
+let opponent = null;
+let playerPaddle = null;
+let paddleGrip = { x: 0, y: 0, z: 0 };
+let paddleOrientation = { ...IDENTITY_QUATERNION };
+let lastTimestamp = null;
+let ballHeld = false;
+let scheduled = null;
+let lastEvent = "-";
+let message = "";
+let scoreboard = null;
+let logEvent = () => {};
+
+/**
+ * Describes a physics event for the debug panel
+ * @param {Object} event - Event from stepWorld or updateOpponent
+ * @returns {string} Display string
+ */
+const formatEvent = (event) => {
+  if (event.type === "hit") return `hit by ${event.by}`;
+  if (event.type === "bounce" || event.type === "floor") return `${event.type} (${event.side})`;
+  return event.type;
+};
+
+/**
+ * Queues the next game step
+ * @param {string} action - 'serve', 'opponentServe', 'nextServe' or 'newMatch'
+ * @param {number} at - Frame time to run it at, in milliseconds
+ */
+const schedule = (action, at) => {
+  scheduled = { action, at };
+};
+
+/**
+ * Creates the scoreboard overlay
+ */
+const createScoreboard = () => {
+  scoreboard = document.createElement("div");
+  scoreboard.className = "scoreboard";
+  scoreboard.innerHTML =
+    '<div class="scoreboard-score"></div><div class="scoreboard-message"></div>';
+  document.body.appendChild(scoreboard);
+};
+
+/**
+ * Shows the current score and message
+ */
+const updateScoreboard = () => {
+  if (!scoreboard) return;
+  const { score } = match.getState();
+  scoreboard.querySelector(".scoreboard-score").textContent =
+    `You ${score.player} – ${score.opponent} CPU`;
+  scoreboard.querySelector(".scoreboard-message").textContent = message;
+};
+
+/**
+ * Puts the ball in play for whoever is serving
+ * @param {number} timestamp - Frame time in milliseconds
+ */
+const serve = (timestamp) => {
+  const { server } = match.getState();
+
+  if (server === "player") {
+    world.ball = createBall(TOSS_POSITION, TOSS_VELOCITY);
+    ballHeld = false;
+    message = "Your serve: make a fist with your right hand and hit the ball";
+    return;
+  }
+
+  // The opponent holds the ball over its paddle for a moment before serving
+  const { center } = opponent.paddle;
+  world.ball = createBall({ x: center.x, y: center.y + 0.3, z: center.z + 0.2 });
+  ballHeld = true;
+  message = "CPU serving";
+  schedule("opponentServe", timestamp + OPPONENT_SERVE_DELAY);
+};
+
+/**
+ * Applies an event to the match, and queues the next serve when it ends a point
+ * Hits and points go to the session video log.
+ * @param {Object} event - Event from stepWorld or updateOpponent
+ * @param {number} timestamp - Frame time in milliseconds
+ */
+const handleEvent = (event, timestamp) => {
+  lastEvent = formatEvent(event);
+  if (event.type === "hit") logEvent("hit", { by: event.by });
+
+  const point = match.handleEvent(event);
+  if (!point) return;
+
+  const { phase, winner, score } = match.getState();
+  logEvent("point", { winner: point.winner, reason: point.reason, score: { ...score } });
+  if (phase === "over") {
+    message = winner === "player" ? "You win! New game soon" : "CPU wins. New game soon";
+    schedule("newMatch", timestamp + GAME_OVER_DELAY);
+  } else {
+    message = `${point.winner === "player" ? "Your" : "CPU"} point: ${point.reason}`;
+    schedule("nextServe", timestamp + POINT_DELAY);
+  }
+};
+
+/**
+ * Runs the queued game step once its time has come
+ * @param {number} timestamp - Frame time in milliseconds
+ */
+const runScheduled = (timestamp) => {
+  if (!scheduled || timestamp < scheduled.at) return;
+  const { action } = scheduled;
+  scheduled = null;
+
+  if (action === "opponentServe") {
+    ballHeld = false;
+    message = "";
+    playShot(opponent, world.ball, world.time);
+    handleEvent({ type: "hit", by: "opponent" }, timestamp);
+    return;
+  }
+
+  if (action === "nextServe") match.nextServe();
+  if (action === "newMatch") match = createMatch();
+  serve(timestamp);
+};
+
+/**
+ * Moves the player's paddle to follow the paddle hand, or takes it out of play
+ * @param {Object|null} hand - The paddle hand if it is making a fist
+ * @param {number} timestamp - Frame time in milliseconds
+ * @param {number} dt - Frame length in seconds
+ * @param {Object} context - Experiment context, for landmark scaling and mirroring
+ */
+const updatePlayerPaddle = (hand, timestamp, dt, { canvas, mirrored }) => {
+  if (!hand) {
+    releasePaddle(playerPaddle);
+    return;
+  }
+
+  paddleGrip = handTo3D(hand.landmarks, canvas.width, canvas.height, hand.worldLandmarks);
+  const { quaternion } = getHandOrientation(hand.landmarks, {
+    handedness: hand.handedness,
+    aspect: canvas.width / canvas.height,
+    mirrored,
+  });
+  paddleOrientation = rotationSmoother.smooth(quaternion, timestamp);
+  const { center, normal } = getPaddlePose(paddleGrip, paddleOrientation);
+  movePaddle(playerPaddle, center, normal, dt);
+};
+
+/**
+ * Table Tennis: rally against a computer opponent with a paddle held in a right-hand fist
+ * @type {import("../experiments.js").Experiment}
+ */
+export default {
+  id: "table-tennis",
+  name: "Table Tennis",
+  order: 1,
+
+  setup: ({ canvas3D, logEvent: log }) => {
+    logEvent = log;
+    initThreeScene(canvas3D);
+    setCylinderVisibility(false);
+    createTableTennisScene();
+    createScoreboard();
+
+    rotationSmoother = createQuaternionSmoother();
+    fistTracker = createGestureTracker({ fist: FIST_GESTURE });
+
+    // Start the paddle from the new fist's rotation instead of easing in from the old one
+    fistTracker.on("end", ({ subject }) => {
+      if (subject === String(paddleHandId)) rotationSmoother.reset();
+    });
+
+    playerPaddle = createPaddle("player");
+    opponent = createOpponent();
+    world = createWorld(createBall(TOSS_POSITION));
+    world.paddles.push(playerPaddle, opponent.paddle);
+    match = createMatch();
+    schedule("serve", -Infinity);
+  },
+
+  update: ({ hands, timestamp }, context) => {
+    const dt = lastTimestamp === null
+      ? 0
+      : Math.min(Math.max(timestamp - lastTimestamp, 0) / 1000, MAX_FRAME_TIME);
+    lastTimestamp = timestamp;
+
+    fistTracker.update(
+      Object.fromEntries(hands.map((hand) => [hand.id, hand.landmarks])),
+      timestamp
+    );
+
+    const paddleHand = findHand(hands, PADDLE_HAND);
+    if (!paddleHand) {
+      paddleHandId = null;
+    } else if (paddleHand.id !== paddleHandId) {
+      paddleHandId = paddleHand.id;
+      rotationSmoother.reset();
+    }
+
+    const holding = paddleHand && fistTracker.isActive(String(paddleHand.id), "fist");
+    updatePlayerPaddle(holding ? paddleHand : null, timestamp, dt, context);
+
+    runScheduled(timestamp);
+
+    if (!ballHeld && !world.ball.dead) {
+      stepWorld(world, dt).forEach((event) => handleEvent(event, timestamp));
+    }
+
+    const opponentHit = ballHeld
+      ? null
+      : updateOpponent(opponent, world, match.canHit("opponent"), dt);
+    if (opponentHit) handleEvent(opponentHit, timestamp);
+
+    // A serve that nobody hit just gets tossed again
+    if (world.ball.dead && match.getState().phase === "serve" && !scheduled) {
+      schedule("serve", timestamp + RETOSS_DELAY);
+    }
+
+    setBall(world.ball.position, !world.ball.dead);
+    setPlayerPaddle(paddleGrip, paddleOrientation, playerPaddle.active);
+    setOpponentPaddle(opponent.paddle.center);
+    updateScoreboard();
+    render3D();
+  },
+
+  getDebugInfo: ({ hands }, { canvas, mirrored }) => {
+    const { score, server, phase } = match.getState();
+    const { ball } = world;
+
+    const handSections = ["Hand A", "Hand B"].map((name, index) => {
+      const hand = hands[index];
+      const landmarks = hand ? hand.landmarks : null;
+      const fist = hand ? fistTracker.isActive(String(hand.id), "fist") : null;
+      const orientation = fist
+        ? getHandOrientation(landmarks, {
+          handedness: hand.handedness,
+          aspect: canvas.width / canvas.height,
+          mirrored,
+        })
+        : null;
+
+      return {
+        id: `hand${"AB"[index]}`,
+        title: hand
+          ? `${name} (${hand.handedness} #${hand.id}${hand.id === paddleHandId ? ", paddle" : ""})`
+          : name,
+        fields: [
+          { label: "Fist", type: "boolean", value: fist },
+          {
+            label: "Curls",
+            type: "number",
+            value: landmarks && getFingerCurls(landmarks),
+            graph: { min: 0, max: 1, thresholds: [EXTENDED_CURL, FOLDED_CURL] },
+          },
+          {
+            label: "3D Position",
+            type: "vector",
+            value: landmarks && handTo3D(landmarks, canvas.width, canvas.height, hand.worldLandmarks),
+          },
+          {
+            label: "Depth",
+            type: "number",
+            value: landmarks && getHandDepth(landmarks, hand.worldLandmarks, canvas.width, canvas.height),
+            graph: { min: HAND_DEPTH.near, max: HAND_DEPTH.far },
+          },
+          { label: "Rotation", type: "angle", value: orientation && orientation.euler },
+        ],
+      };
+    });
+
+    return [
+      {
+        title: "Game",
+        fields: [
+          { label: "Phase", type: "text", value: phase },
+          { label: "Score", type: "text", value: `${score.player} - ${score.opponent}` },
+          { label: "Server", type: "text", value: server },
+          { label: "Ball Speed", type: "number", value: getBallSpeed(ball), graph: { min: 0 } },
+          { label: "Ball Spin", type: "vector", unit: "rad/s", value: ball.spin },
+          {
+            label: "Paddle Speed",
+            type: "number",
+            value: playerPaddle.active
+              ? Math.hypot(playerPaddle.velocity.x, playerPaddle.velocity.y, playerPaddle.velocity.z)
+              : null,
+            graph: { min: 0 },
+          },
+          { label: "Last Event", type: "text", value: lastEvent },
+        ],
+      },
+      { title: "Detection", fields: [{ label: "Hands", type: "number", value: hands.length, digits: 0 }] },
+      ...handSections,
+    ];
+  },
+
+  teardown: () => {
+    disposeTableTennisScene();
+    disposeThreeScene();
+    if (scoreboard) scoreboard.remove();
+
+    rotationSmoother = null;
+    fistTracker = null;
+    paddleHandId = null;
+    world = null;
+    match = null;
+    opponent = null;
+    playerPaddle = null;
+    paddleGrip = { x: 0, y: 0, z: 0 };
+    paddleOrientation = { ...IDENTITY_QUATERNION };
+    lastTimestamp = null;
+    ballHeld = false;
+    scheduled = null;
+    lastEvent = "-";
+    message = "";
+    scoreboard = null;
+    logEvent = () => {};
+  },
+};
@@ -0,0 +1,199 @@
+import {
+  TABLE,
+  BALL_RADIUS,
+  PHYSICS,
+  createBall,
+  createPaddle,
+  createWorld,
+  stepWorld,
+  predictBallAt,
+} from "./physics.js";
+
+/**
+ * Computer opponent tuning
+ * hitZ: depth of the plane the opponent hits the ball in
+ * speed: how fast the paddle moves, in units per second
+ * reach: how far from the paddle center the ball can be and still be hit
+ * accuracy: 1 aims anywhere on the player's half, lower keeps shots central and easier
+ */
+export const OPPONENT = {
+  hitZ: TABLE.farZ - 0.3,
+  homeY: TABLE.topY + 0.6,
+  speed: 3.5,
+  reach: 0.55,
+  accuracy: 0.8,
+  topspin: 40,
+};
+
+/**
+ * Finds the velocity that carries the ball from one point to another in a set time,
+ * ignoring drag and spin
+ * @param {Object} from - Start position
+ * @param {Object} to - Target position
+ * @param {number} flightTime - Time to reach the target in seconds
+ * @param {number} gravity - Downward acceleration (default: PHYSICS.gravity)
+ * @returns {Object} Launch velocity
+ */
+export const ballisticVelocity = (from, to, flightTime, gravity = PHYSICS.gravity) => ({
+  x: (to.x - from.x) / flightTime,
+  y: (to.y - from.y + 0.5 * gravity * flightTime * flightTime) / flightTime,
+  z: (to.z - from.z) / flightTime,
+});
+
+/**
+ * Simulates a shot until it first touches the table
+ * @param {Object} from - Start position
+ * @param {Object} velocity - Launch velocity
+ * @param {Object} spin - Launch spin
+ * @returns {Object|null} Position of the first bounce, or null if it misses the table
+ */
+const findLanding = (from, velocity, spin) => {
+  const world = createWorld(createBall(from, velocity, spin));
+  const step = 1 / 60;
+
+  for (let t = 0; t < 3 && !world.ball.dead; t += step) {
+    const bounce = stepWorld(world, step).find((event) => event.type === "bounce");
+    if (bounce) return bounce.position;
+  }
+
+  return null;
+};
+
+/**
+ * Aims a shot at a point on the table, correcting the ballistic guess for drag and spin
+ * Each pass simulates the shot and moves the aim point by the miss, scaled by how far
+ * the landing moved for the last change of aim (a secant step)
+ * @param {Object} from - Start position
+ * @param {Object} target - Point on the table to land on
+ * @param {number} flightTime - Rough time to the bounce in seconds
+ * @param {Object} spin - Spin to put on the ball
+ * @returns {Object} Launch velocity
+ */
+export const aimShot = (from, target, flightTime, spin = { x: 0, y: 0, z: 0 }) => {
+  const surface = { ...target, y: TABLE.topY + BALL_RADIUS };
+  let aim = { ...surface };
+  let previous = null;
+
+  for (let i = 0; i < 6; i++) {
+    const landing = findLanding(from, ballisticVelocity(from, aim, flightTime), spin);
+    if (!landing) break;
+
+    const miss = { x: surface.x - landing.x, z: surface.z - landing.z };
+    if (Math.abs(miss.x) < 0.005 && Math.abs(miss.z) < 0.005) break;
+
+    const gain = (axis) => {
+      if (!previous) return 1;
+      const moved = landing[axis] - previous.landing[axis];
+      if (Math.abs(moved) < 1e-6) return 1;
+      return Math.min(4, Math.max(0.5, (aim[axis] - previous.aim[axis]) / moved));
+    };
+
+    const next = {
+      x: aim.x + miss.x * gain("x"),
+      y: aim.y,
+      z: aim.z + miss.z * gain("z"),
+    };
+    previous = { aim, landing };
+    aim = next;
+  }
+
+  return ballisticVelocity(from, aim, flightTime);
+};
+
+/**
+ * Creates the computer opponent
+ * @param {Object} options - Overrides for OPPONENT
+ * @param {Function} options.random - Random source returning [0, 1) (default: Math.random)
+ * @returns {Object} Opponent state with a paddle shaped like the physics paddles
+ */
+export const createOpponent = ({ random = Math.random, ...options } = {}) => {
+  const settings = { ...OPPONENT, ...options };
+
+  // The opponent's hits are scripted, so its paddle stays out of the physics
+  const paddle = createPaddle("opponent");
+  paddle.center = { x: 0, y: settings.homeY, z: settings.hitZ };
+  paddle.normal = { x: 0, y: 0, z: 1 };
+
+  return { settings, random, paddle };
+};
+
+/**
+ * Picks a random landing point on the player's half
+ * @param {Object} opponent - Opponent state
+ * @returns {Object} Target position on the table
+ */
+const pickTarget = ({ settings, random }) => {
+  const halfWidth = (TABLE.width / 2 - 0.3) * settings.accuracy;
+  const nearest = TABLE.nearZ - 0.5;
+  const deepest = TABLE.netZ + 1.2;
+
+  return {
+    x: (random() * 2 - 1) * halfWidth,
+    y: TABLE.topY,
+    z: deepest + (nearest - deepest) * (0.3 + 0.7 * random() * settings.accuracy),
+  };
+};
+
+/**
+ * Hits the ball from the opponent's paddle toward the player's half
+ * @param {Object} opponent - Opponent state
+ * @param {Object} ball - Ball state (mutated)
+ * @param {number} time - World time, recorded as the hit time
+ */
+export const playShot = (opponent, ball, time) => {
+  // Topspin on a ball travelling toward the player (+z) turns about +x
+  const spin = { x: opponent.settings.topspin, y: 0, z: 0 };
+  const flightTime = 0.55 + opponent.random() * 0.2;
+
+  ball.velocity = aimShot(ball.position, pickTarget(opponent), flightTime, spin);
+  ball.spin = spin;
+  ball.lastHit = { by: "opponent", time };
+};
+
+/**
+ * Moves the opponent's paddle toward where the ball will cross its hitting plane,
+ * and returns the ball when it is allowed to and the ball is within reach
+ * @param {Object} opponent - Opponent state (mutated)
+ * @param {Object} world - Physics world; the ball is mutated when hit
+ * @param {boolean} canHit - Whether the rules allow the opponent to hit now
+ * @param {number} dt - Frame length in seconds
+ * @returns {Object|null} A hit event shaped like the physics events, or null
+ */
+export const updateOpponent = (opponent, world, canHit, dt) => {
+  const { paddle, settings } = opponent;
+  const { ball } = world;
+
+  let target = { x: 0, y: settings.homeY };
+  if (!ball.dead && ball.velocity.z < 0) {
+    const predicted = predictBallAt(ball, settings.hitZ);
+    if (predicted) {
+      target = {
+        x: predicted.position.x,
+        y: Math.max(TABLE.topY + 0.1, predicted.position.y),
+      };
+    }
+  }
+
+  const dx = target.x - paddle.center.x;
+  const dy = target.y - paddle.center.y;
+  const distance = Math.hypot(dx, dy);
+  const move = Math.min(distance, settings.speed * dt);
+  const ratio = distance > 0 ? move / distance : 0;
+
+  paddle.center = {
+    x: paddle.center.x + dx * ratio,
+    y: paddle.center.y + dy * ratio,
+    z: settings.hitZ,
+  };
+  paddle.velocity = dt > 0 ? { x: (dx * ratio) / dt, y: (dy * ratio) / dt, z: 0 } : paddle.velocity;
+
+  const atPlane = ball.position.z <= settings.hitZ + 0.1 && ball.velocity.z < 0;
+  const inReach =
+    Math.hypot(ball.position.x - paddle.center.x, ball.position.y - paddle.center.y) <=
+    settings.reach;
+
+  if (!canHit || ball.dead || !atPlane || !inReach) return null;
+
+  playShot(opponent, ball, world.time);
+  return { type: "hit", by: "opponent", position: { ...ball.position } };
+};
@@ -0,0 +1,401 @@
+import { rotateByQuaternion } from "../../orientation.js";
+
+/**
+ * Step-based table tennis physics with no rendering dependencies
+ *
+ * World units match the Three.js scene: x right, y up, z toward the camera.
+ * The player's end of the table is nearest the camera and the opponent's end is deeper in the scene.
+ */
+
+// Table dimensions keep real proportions (2.74 x 1.525 m, 15.25 cm net) at about twice real size
+export const TABLE = {
+  width: 3,
+  length: 5.5,
+  topY: -1.8,
+  nearZ: -3.2,
+  farZ: -8.7,
+  netZ: -5.95,
+  netHeight: 0.3,
+  floorY: -4.5,
+};
+
+// The ball is oversized (real scale would be 0.04) so it stays visible at the far end
+export const BALL_RADIUS = 0.1;
+
+// Paddles are discs; the grip sits handleLength from the middle of the blade
+export const PADDLE = {
+  radius: 0.45,
+  handleLength: 0.55,
+};
+
+export const PHYSICS = {
+  gravity: 19.6,
+  drag: 0.08,
+  magnus: 0.004,
+  tableRestitution: 0.88,
+  tableFriction: 0.25,
+  netRestitution: 0.2,
+  paddleRestitution: 0.8,
+  paddleFriction: 0.4,
+  paddleThickness: 0.05,
+  maxSpeed: 16,
+  substep: 1 / 240,
+  hitCooldown: 0.15,
+  paddleVelocitySmoothing: 0.5,
+};
+
+const ZERO = { x: 0, y: 0, z: 0 };
+const UP = { x: 0, y: 1, z: 0 };
+
+const add = (a, b) => ({ x: a.x + b.x, y: a.y + b.y, z: a.z + b.z });
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const scale = (a, s) => ({ x: a.x * s, y: a.y * s, z: a.z * s });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+});
+const length = (a) => Math.sqrt(dot(a, a));
+
+/**
+ * Places a paddle blade from the pose of the hand holding it
+ * In the hand's frame (see getHandOrientation) the blade runs up from the grip along
+ * the fingers and its face points out of the palm, as in a shakehand grip
+ * @param {Object} grip - Position of the hand
+ * @param {Object} orientation - Unit quaternion of the hand
+ * @returns {Object} { center, normal } of the blade
+ */
+export const getPaddlePose = (grip, orientation) => ({
+  center: add(grip, rotateByQuaternion({ x: 0, y: PADDLE.handleLength, z: 0 }, orientation)),
+  normal: rotateByQuaternion({ x: 0, y: 0, z: 1 }, orientation),
+});
+
+/**
+ * Tells which half of the table a depth belongs to
+ * @param {number} z - Depth in world units
+ * @returns {string} 'player' or 'opponent'
+ */
+export const getSide = (z) => (z > TABLE.netZ ? "player" : "opponent");
+
+/**
+ * Creates a ball
+ * @param {Object} position - Starting position
+ * @param {Object} velocity - Starting velocity in units per second
+ * @param {Object} spin - Angular velocity in radians per second
+ * @returns {Object} Ball state
+ */
+export const createBall = (position, velocity = ZERO, spin = ZERO) => ({
+  position: { ...position },
+  velocity: { ...velocity },
+  spin: { ...spin },
+  lastHit: null,
+  dead: false,
+});
+
+/**
+ * Creates a paddle: a disc facing along its normal, out of play until it is first moved
+ * @param {string} id - Who holds it, reported in hit events
+ * @param {number} radius - Blade radius (default: PADDLE.radius)
+ * @returns {Object} Paddle { id, center, normal, velocity, radius, active, sweepFrom }
+ */
+export const createPaddle = (id, radius = PADDLE.radius) => ({
+  id,
+  center: { ...ZERO },
+  normal: { ...UP },
+  velocity: { ...ZERO },
+  radius,
+  active: false,
+  sweepFrom: null,
+});
+
+/**
+ * Moves a paddle to where its hand is this frame
+ * Its velocity is an average of recent frame-to-frame movement, so one jumpy frame
+ * doesn't launch the ball, and the next stepWorld sweeps it from the old position to the new one
+ * @param {Object} paddle - Paddle from createPaddle (mutated)
+ * @param {Object} center - New blade center
+ * @param {Object} normal - New blade normal
+ * @param {number} dt - Time since the last move in seconds
+ */
+export const movePaddle = (paddle, center, normal, dt) => {
+  if (paddle.active && dt > 0) {
+    const measured = scale(sub(center, paddle.center), 1 / dt);
+    const weight = PHYSICS.paddleVelocitySmoothing;
+    paddle.velocity = add(scale(paddle.velocity, 1 - weight), scale(measured, weight));
+    paddle.sweepFrom = paddle.center;
+  } else {
+    paddle.velocity = { ...ZERO };
+    paddle.sweepFrom = null;
+  }
+
+  paddle.center = { ...center };
+  paddle.normal = { ...normal };
+  paddle.active = true;
+};
+
+/**
+ * Takes a paddle out of play
+ * @param {Object} paddle - Paddle from createPaddle (mutated)
+ */
+export const releasePaddle = (paddle) => {
+  paddle.active = false;
+  paddle.velocity = { ...ZERO };
+  paddle.sweepFrom = null;
+};
+
+/**
+ * Creates a world holding a ball and any number of paddles
+ * @param {Object} ball - Ball from createBall
+ * @returns {Object} World state
+ */
+export const createWorld = (ball) => ({
+  ball,
+  paddles: [],
+  time: 0,
+});
+
+/**
+ * Applies a bounce against a surface: restitution along the normal, and friction that
+ * trades the ball's slip at the contact point between linear velocity and spin
+ * @param {Object} ball - Ball state (mutated)
+ * @param {Object} normal - Unit surface normal pointing toward the ball
+ * @param {Object} surfaceVelocity - Velocity of the surface
+ * @param {number} restitution - Normal restitution coefficient
+ * @param {number} friction - Coulomb friction coefficient
+ * @returns {boolean} True if the ball was moving into the surface and bounced
+ */
+const applyContact = (ball, normal, surfaceVelocity, restitution, friction) => {
+  const relative = sub(ball.velocity, surfaceVelocity);
+  const approach = dot(relative, normal);
+  if (approach >= 0) return false;
+
+  const normalImpulse = -(1 + restitution) * approach;
+
+  // Slip of the contact point, including the surface speed from the ball's spin
+  const contactOffset = scale(normal, -BALL_RADIUS);
+  const tangential = sub(relative, scale(normal, approach));
+  const slip = add(tangential, cross(ball.spin, contactOffset));
+  const slipSpeed = length(slip);
+
+  // A hollow sphere stops slipping once 2/5 of the slip is removed
+  let frictionImpulse = ZERO;
+  if (slipSpeed > 1e-9) {
+    const magnitude = Math.min(friction * normalImpulse, 0.4 * slipSpeed);
+    frictionImpulse = scale(slip, -magnitude / slipSpeed);
+  }
+
+  ball.velocity = add(ball.velocity, add(scale(normal, normalImpulse), frictionImpulse));
+
+  // Hollow sphere: I = 2/3 m r^2
+  const spinChange = scale(
+    cross(contactOffset, frictionImpulse),
+    3 / (2 * BALL_RADIUS * BALL_RADIUS)
+  );
+  ball.spin = add(ball.spin, spinChange);
+
+  return true;
+};
+
+/**
+ * Limits the ball's speed
+ * @param {Object} ball - Ball state (mutated)
+ */
+const clampSpeed = (ball) => {
+  const speed = length(ball.velocity);
+  if (speed > PHYSICS.maxSpeed) {
+    ball.velocity = scale(ball.velocity, PHYSICS.maxSpeed / speed);
+  }
+};
+
+/**
+ * Checks the ball against the table top
+ * @param {Object} ball - Ball state (mutated)
+ * @param {Array} events - Event list to append to
+ */
+const collideTable = (ball, events) => {
+  const { position } = ball;
+  const onTable =
+    Math.abs(position.x) <= TABLE.width / 2 &&
+    position.z <= TABLE.nearZ &&
+    position.z >= TABLE.farZ;
+
+  if (!onTable || position.y - BALL_RADIUS > TABLE.topY || position.y < TABLE.topY) return;
+
+  position.y = TABLE.topY + BALL_RADIUS;
+  if (applyContact(ball, UP, ZERO, PHYSICS.tableRestitution, PHYSICS.tableFriction)) {
+    events.push({ type: "bounce", side: getSide(position.z), position: { ...position } });
+  }
+};
+
+/**
+ * Checks the ball against the net
+ * @param {Object} ball - Ball state (mutated)
+ * @param {Object} previous - Ball position before this substep
+ * @param {Array} events - Event list to append to
+ */
+const collideNet = (ball, previous, events) => {
+  const { position } = ball;
+  const netTop = TABLE.topY + TABLE.netHeight;
+  const withinNet =
+    Math.abs(position.x) <= TABLE.width / 2 + 0.15 &&
+    position.y - BALL_RADIUS < netTop &&
+    position.y > TABLE.topY;
+  if (!withinNet) return;
+
+  const crossed = (previous.z - TABLE.netZ) * (position.z - TABLE.netZ) <= 0;
+  const touching = Math.abs(position.z - TABLE.netZ) < BALL_RADIUS;
+  if (!crossed && !touching) return;
+
+  // Push the ball back out on the side it came from
+  const fromSide = previous.z > TABLE.netZ ? 1 : -1;
+  position.z = TABLE.netZ + fromSide * BALL_RADIUS;
+  if (applyContact(ball, { x: 0, y: 0, z: fromSide }, ZERO, PHYSICS.netRestitution, 0.1)) {
+    events.push({ type: "net", position: { ...position } });
+  }
+};
+
+/**
+ * Checks the ball against one paddle, including a ball and paddle that passed each other within a substep
+ * @param {Object} world - World state (ball mutated)
+ * @param {Object} paddle - Paddle disc
+ * @param {Object} previous - Ball position before this substep
+ * @param {Object} previousCenter - Paddle center before this substep
+ * @param {Array} events - Event list to append to
+ */
+const collidePaddle = (world, paddle, previous, previousCenter, events) => {
+  const { ball } = world;
+  const { lastHit } = ball;
+  if (lastHit && lastHit.by === paddle.id && world.time - lastHit.time < PHYSICS.hitCooldown) {
+    return;
+  }
+
+  const offset = sub(ball.position, paddle.center);
+  const distance = dot(offset, paddle.normal);
+  const lateral = sub(offset, scale(paddle.normal, distance));
+  if (length(lateral) > paddle.radius + BALL_RADIUS * 0.5) return;
+
+  const previousDistance = dot(sub(previous, previousCenter), paddle.normal);
+  const reach = BALL_RADIUS + PHYSICS.paddleThickness / 2;
+  const touching = Math.abs(distance) < reach;
+  const passedThrough = previousDistance * distance < 0;
+  if (!touching && !passedThrough) return;
+
+  // Bounce off the face the ball arrived on
+  const side = Math.sign(previousDistance) || Math.sign(distance) || 1;
+  const normal = scale(paddle.normal, side);
+
+  if (!applyContact(ball, normal, paddle.velocity, PHYSICS.paddleRestitution, PHYSICS.paddleFriction)) {
+    return;
+  }
+
+  ball.position = add(add(paddle.center, lateral), scale(normal, reach));
+  clampSpeed(ball);
+  ball.lastHit = { by: paddle.id, time: world.time };
+  events.push({ type: "hit", by: paddle.id, position: { ...ball.position } });
+};
+
+/**
+ * Advances the ball by one substep
+ * @param {Object} world - World state (mutated)
+ * @param {number} dt - Substep length in seconds
+ * @param {Array} events - Event list to append to
+ * @param {Map} paddleStarts - Paddle centers before this substep, for paddles being swept
+ */
+const substep = (world, dt, events, paddleStarts) => {
+  const { ball } = world;
+  const previous = { ...ball.position };
+  const speed = length(ball.velocity);
+
+  const acceleration = add(
+    add({ x: 0, y: -PHYSICS.gravity, z: 0 }, scale(ball.velocity, -PHYSICS.drag * speed)),
+    scale(cross(ball.spin, ball.velocity), PHYSICS.magnus)
+  );
+
+  ball.velocity = add(ball.velocity, scale(acceleration, dt));
+  ball.position = add(ball.position, scale(ball.velocity, dt));
+  world.time += dt;
+
+  collideTable(ball, events);
+  collideNet(ball, previous, events);
+  world.paddles
+    .filter((paddle) => paddle.active !== false)
+    .forEach((paddle) =>
+      collidePaddle(world, paddle, previous, paddleStarts.get(paddle) || paddle.center, events)
+    );
+
+  if (ball.position.y - BALL_RADIUS <= TABLE.floorY) {
+    ball.position.y = TABLE.floorY + BALL_RADIUS;
+    ball.dead = true;
+    events.push({ type: "floor", side: getSide(ball.position.z), position: { ...ball.position } });
+  }
+};
+
+/**
+ * Advances the world by a frame, in fixed substeps
+ * Paddles that were moved this frame sweep from their old center to their new one,
+ * so a fast swing still meets the ball; normals and velocities hold for the whole frame
+ * @param {Object} world - World state (mutated)
+ * @param {number} dt - Frame length in seconds
+ * @returns {Array} Events from this frame: bounce, net, hit and floor
+ */
+export const stepWorld = (world, dt) => {
+  const events = [];
+  const sweeps = world.paddles.map((paddle) => ({
+    paddle,
+    from: paddle.sweepFrom || paddle.center,
+    to: paddle.center,
+  }));
+  sweeps.forEach(({ paddle, from }) => {
+    paddle.center = from;
+  });
+  let elapsed = 0;
+
+  while (dt - elapsed > 1e-9 && !world.ball.dead) {
+    const step = Math.min(PHYSICS.substep, dt - elapsed);
+    elapsed += step;
+
+    const paddleStarts = new Map();
+    sweeps.forEach(({ paddle, from, to }) => {
+      paddleStarts.set(paddle, paddle.center);
+      paddle.center = add(from, scale(sub(to, from), elapsed / dt));
+    });
+    substep(world, step, events, paddleStarts);
+  }
+
+  sweeps.forEach(({ paddle, to }) => {
+    paddle.center = to;
+    paddle.sweepFrom = null;
+  });
+
+  return events;
+};
+
+/**
+ * Gets the speed of the ball
+ * @param {Object} ball - Ball state
+ * @returns {number} Speed in units per second
+ */
+export const getBallSpeed = (ball) => length(ball.velocity);
+
+/**
+ * Finds where the ball will be when it reaches a depth, without paddles in the way
+ * @param {Object} ball - Ball state (not mutated)
+ * @param {number} z - Target depth
+ * @param {number} maxTime - How far ahead to simulate in seconds (default: 2)
+ * @returns {Object|null} { position, time } or null if it never gets there
+ */
+export const predictBallAt = (ball, z, maxTime = 2) => {
+  const world = createWorld(createBall(ball.position, ball.velocity, ball.spin));
+  const direction = Math.sign(z - ball.position.z);
+  const step = 1 / 60;
+
+  for (let t = 0; t < maxTime && !world.ball.dead; t += step) {
+    stepWorld(world, step);
+    if (Math.sign(z - world.ball.position.z) !== direction) {
+      return { position: { ...world.ball.position }, time: t + step };
+    }
+  }
+
+  return null;
+};
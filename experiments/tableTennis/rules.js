@@ -0,0 +1,136 @@
+/**
+ * Serve, rally and scoring rules for a game to 11 (win by 2)
+ *
+ * Serves are casual: the server's hit only has to land on the receiver's side,
+ * without first bouncing on the server's own side.
+ */
+
+const other = (side) => (side === "player" ? "opponent" : "player");
+
+/**
+ * Creates a match
+ * @param {Object} options - Match options
+ * @param {number} options.pointsToWin - Points needed to win a game (default: 11)
+ * @param {string} options.firstServer - 'player' or 'opponent' (default: 'player')
+ * @returns {Object} Match with handleEvent, nextServe, canHit and getState methods
+ */
+export const createMatch = ({ pointsToWin = 11, firstServer = "player" } = {}) => {
+  const score = { player: 0, opponent: 0 };
+  let server = firstServer;
+  let phase = "serve";
+  let lastHitter = null;
+  let receiverBounces = 0;
+  let lastPoint = null;
+
+  /**
+   * Works out who serves next: two serves each, alternating every point at deuce
+   * @returns {string} 'player' or 'opponent'
+   */
+  const getServer = () => {
+    const total = score.player + score.opponent;
+    const deuce = score.player >= pointsToWin - 1 && score.opponent >= pointsToWin - 1;
+
+    if (deuce) {
+      return total % 2 === 0 ? firstServer : other(firstServer);
+    }
+    return Math.floor(total / 2) % 2 === 0 ? firstServer : other(firstServer);
+  };
+
+  /**
+   * Awards a point and ends the rally
+   * @param {string} winner - 'player' or 'opponent'
+   * @param {string} reason - Short description of why
+   * @returns {Object} The point { winner, reason }
+   */
+  const awardPoint = (winner, reason) => {
+    score[winner]++;
+    lastPoint = { winner, reason };
+
+    const lead = score[winner] - score[other(winner)];
+    phase = score[winner] >= pointsToWin && lead >= 2 ? "over" : "point";
+    server = getServer();
+    return lastPoint;
+  };
+
+  return {
+    /**
+     * Applies a physics event to the rally
+     * @param {Object} event - Event from stepWorld: hit, bounce, net or floor
+     * @returns {Object|null} The point { winner, reason } if this event ended the rally
+     */
+    handleEvent: (event) => {
+      if (phase === "serve") {
+        if (event.type === "hit" && event.by === server) {
+          phase = "rally";
+          lastHitter = server;
+          receiverBounces = 0;
+        }
+        return null;
+      }
+
+      if (phase !== "rally") return null;
+
+      const receiver = other(lastHitter);
+
+      if (event.type === "hit") {
+        if (event.by === lastHitter) return null;
+        if (receiverBounces === 0) return awardPoint(lastHitter, "volley");
+
+        lastHitter = event.by;
+        receiverBounces = 0;
+        return null;
+      }
+
+      if (event.type === "bounce") {
+        if (event.side === lastHitter) {
+          // Landing short of the net is a fault; spinning back after a good bounce is not returned
+          return receiverBounces === 0
+            ? awardPoint(receiver, "didn't clear the net")
+            : awardPoint(lastHitter, "not returned");
+        }
+
+        receiverBounces++;
+        if (receiverBounces === 2) return awardPoint(lastHitter, "double bounce");
+        return null;
+      }
+
+      if (event.type === "floor") {
+        return receiverBounces > 0
+          ? awardPoint(lastHitter, "not returned")
+          : awardPoint(receiver, "out");
+      }
+
+      return null;
+    },
+
+    /**
+     * Moves from a finished point to the next serve
+     */
+    nextServe: () => {
+      if (phase !== "point") return;
+      phase = "serve";
+      lastHitter = null;
+      receiverBounces = 0;
+    },
+
+    /**
+     * Checks if a side may legally hit the ball now
+     * @param {string} side - 'player' or 'opponent'
+     * @returns {boolean} True once the ball has bounced once on that side's half
+     */
+    canHit: (side) => phase === "rally" && side !== lastHitter && receiverBounces === 1,
+
+    /**
+     * Gets a snapshot of the match
+     * @returns {Object} { score, server, phase, lastHitter, lastPoint, winner }
+     */
+    getState: () => ({
+      score: { ...score },
+      server,
+      phase,
+      lastHitter,
+      lastPoint,
+      winner: phase === "over" ? lastPoint.winner : null,
+    }),
+  };
+};
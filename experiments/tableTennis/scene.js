@@ -0,0 +1,195 @@
+import * as THREE from "three";
+import { TABLE, BALL_RADIUS, PADDLE } from "./physics.js";
+import { IDENTITY_QUATERNION } from "../../orientation.js";
+import { addToScene, removeFromScene, setObjectRotation } from "../../threeScene.js";
+
+const LINE_WIDTH = 0.04;
+
+let group = null;
+let ball = null;
+let shadow = null;
+let playerPaddle = null;
+let opponentPaddle = null;
+
+/**
+ * Creates a flat box lying on the table top, used for the table's white lines
+ * @param {number} width - Size along x
+ * @param {number} length - Size along z
+ * @param {number} x - Center x
+ * @param {number} z - Center z
+ * @param {THREE.Material} material - Line material
+ * @returns {THREE.Mesh} The line
+ */
+const createLine = (width, length, x, z, material) => {
+  const line = new THREE.Mesh(new THREE.BoxGeometry(width, 0.005, length), material);
+  line.position.set(x, TABLE.topY + 0.003, z);
+  return line;
+};
+
+/**
+ * Builds the table, its lines and the net
+ * @returns {THREE.Group} The table
+ */
+const createTable = () => {
+  const table = new THREE.Group();
+  const centerZ = (TABLE.nearZ + TABLE.farZ) / 2;
+
+  const top = new THREE.Mesh(
+    new THREE.BoxGeometry(TABLE.width, 0.08, TABLE.length),
+    new THREE.MeshStandardMaterial({ color: 0x1f5f99, roughness: 0.7 })
+  );
+  top.position.set(0, TABLE.topY - 0.04, centerZ);
+  table.add(top);
+
+  const lineMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+  const edgeX = TABLE.width / 2 - LINE_WIDTH / 2;
+  table.add(createLine(LINE_WIDTH, TABLE.length, -edgeX, centerZ, lineMaterial));
+  table.add(createLine(LINE_WIDTH, TABLE.length, edgeX, centerZ, lineMaterial));
+  table.add(createLine(TABLE.width, LINE_WIDTH, 0, TABLE.nearZ - LINE_WIDTH / 2, lineMaterial));
+  table.add(createLine(TABLE.width, LINE_WIDTH, 0, TABLE.farZ + LINE_WIDTH / 2, lineMaterial));
+  table.add(createLine(LINE_WIDTH / 2, TABLE.length, 0, centerZ, lineMaterial));
+
+  const net = new THREE.Mesh(
+    new THREE.PlaneGeometry(TABLE.width + 0.3, TABLE.netHeight),
+    new THREE.MeshStandardMaterial({
+      color: 0xeeeeee,
+      transparent: true,
+      opacity: 0.6,
+      side: THREE.DoubleSide,
+    })
+  );
+  net.position.set(0, TABLE.topY + TABLE.netHeight / 2, TABLE.netZ);
+  table.add(net);
+
+  return table;
+};
+
+/**
+ * Builds a paddle whose origin is the grip, matching getPaddlePose:
+ * the handle runs up +Y to the blade, which faces +Z
+ * @param {number} color - Rubber color
+ * @returns {THREE.Group} The paddle
+ */
+const createPaddle = (color) => {
+  const paddle = new THREE.Group();
+
+  const blade = new THREE.Mesh(
+    new THREE.CylinderGeometry(PADDLE.radius, PADDLE.radius, 0.05, 32),
+    new THREE.MeshStandardMaterial({ color, roughness: 0.6 })
+  );
+  // Cylinders stand along Y; lay the blade's axis along Z
+  blade.rotation.x = Math.PI / 2;
+  blade.position.set(0, PADDLE.handleLength, 0);
+  paddle.add(blade);
+
+  const handleLength = PADDLE.handleLength - PADDLE.radius * 0.8;
+  const handle = new THREE.Mesh(
+    new THREE.BoxGeometry(0.12, handleLength, 0.08),
+    new THREE.MeshStandardMaterial({ color: 0xc8a06a, roughness: 0.8 })
+  );
+  handle.position.set(0, handleLength / 2, 0);
+  paddle.add(handle);
+
+  return paddle;
+};
+
+/**
+ * Adds the table, net, ball and paddles to the Three.js scene
+ * The scene must already be initialized with initThreeScene
+ */
+export const createTableTennisScene = () => {
+  group = new THREE.Group();
+  group.add(createTable());
+
+  ball = new THREE.Mesh(
+    new THREE.SphereGeometry(BALL_RADIUS, 24, 16),
+    new THREE.MeshStandardMaterial({ color: 0xff8c1a, roughness: 0.4 })
+  );
+  group.add(ball);
+
+  shadow = new THREE.Mesh(
+    new THREE.CircleGeometry(BALL_RADIUS, 24),
+    new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.35 })
+  );
+  shadow.rotation.x = -Math.PI / 2;
+  group.add(shadow);
+
+  playerPaddle = createPaddle(0xd62828);
+  opponentPaddle = createPaddle(0x222222);
+  group.add(playerPaddle, opponentPaddle);
+
+  addToScene(group);
+};
+
+/**
+ * Moves the ball and its shadow
+ * @param {Object} position - Ball position
+ * @param {boolean} visible - Whether the ball is in play
+ */
+export const setBall = (position, visible) => {
+  if (!ball) return;
+  ball.visible = visible;
+  ball.position.set(position.x, position.y, position.z);
+
+  const overTable =
+    Math.abs(position.x) <= TABLE.width / 2 &&
+    position.z <= TABLE.nearZ &&
+    position.z >= TABLE.farZ &&
+    position.y >= TABLE.topY;
+  shadow.visible = visible && overTable;
+  shadow.position.set(position.x, TABLE.topY + 0.004, position.z);
+};
+
+/**
+ * Poses a paddle from its grip
+ * @param {THREE.Group} paddle - Paddle from createPaddle
+ * @param {Object} grip - Grip position
+ * @param {Object} orientation - Unit quaternion
+ * @param {boolean} visible - Whether to show the paddle
+ */
+const placePaddle = (paddle, grip, orientation, visible) => {
+  if (!paddle) return;
+  paddle.visible = visible;
+  paddle.position.set(grip.x, grip.y, grip.z);
+  setObjectRotation(paddle, orientation);
+};
+
+/**
+ * Poses the player's paddle
+ * @param {Object} grip - Hand position
+ * @param {Object} orientation - Hand orientation as a unit quaternion
+ * @param {boolean} visible - Whether to show the paddle
+ */
+export const setPlayerPaddle = (grip, orientation, visible) =>
+  placePaddle(playerPaddle, grip, orientation, visible);
+
+/**
+ * Poses the opponent's paddle upright, facing the player
+ * @param {Object} center - Blade center
+ */
+export const setOpponentPaddle = (center) =>
+  placePaddle(
+    opponentPaddle,
+    { x: center.x, y: center.y - PADDLE.handleLength, z: center.z },
+    IDENTITY_QUATERNION,
+    true
+  );
+
+/**
+ * Removes the table tennis objects from the scene
+ */
+export const disposeTableTennisScene = () => {
+  if (!group) return;
+
+  removeFromScene(group);
+  group.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+
+  group = null;
+  ball = null;
+  shadow = null;
+  playerPaddle = null;
+  opponentPaddle = null;
+};
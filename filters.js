@@ -0,0 +1,286 @@
+/**
+ * Default One Euro filter settings for normalized landmark coordinates
+ * minCutoff: lower is smoother at rest (Hz)
+ * beta: higher follows fast motion more closely
+ * dCutoff: cutoff for the speed estimate (Hz)
+ */
+export const DEFAULT_SMOOTHING = {
+  minCutoff: 1.0,
+  beta: 10,
+  dCutoff: 1.0,
+};
+
+/**
+ * Default One Euro filter settings for angles in radians
+ * Angles change far faster than normalized coordinates, so beta is much lower
+ */
+export const DEFAULT_ROTATION_SMOOTHING = {
+  minCutoff: 1.0,
+  beta: 0.5,
+  dCutoff: 1.0,
+};
+
+/**
+ * Calculates the exponential smoothing factor for a cutoff frequency
+ * @param {number} cutoff - Cutoff frequency in Hz
+ * @param {number} dt - Time since the previous sample in seconds
+ * @returns {number} Smoothing factor between 0 and 1
+ */
+const smoothingFactor = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+/**
+ * Creates a One Euro filter for a single scalar signal
+ * Smooths heavily while the signal is still and lets fast motion through with little lag
+ * @param {Object} options - { minCutoff, beta, dCutoff }, see DEFAULT_SMOOTHING
+ * @returns {Object} Filter with filter(value, timestamp) and reset() methods
+ */
+export const createOneEuroFilter = (options = {}) => {
+  const { minCutoff, beta, dCutoff } = { ...DEFAULT_SMOOTHING, ...options };
+
+  let prevValue = null;
+  let prevDerivative = 0;
+  let prevTime = null;
+
+  return {
+    /**
+     * Filters the next sample
+     * @param {number} value - Raw value
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {number} Smoothed value
+     */
+    filter: (value, timestamp) => {
+      if (prevValue === null) {
+        prevValue = value;
+        prevTime = timestamp;
+        return value;
+      }
+
+      const dt = (timestamp - prevTime) / 1000;
+      if (dt <= 0) return prevValue;
+
+      const derivative = (value - prevValue) / dt;
+      const smoothedDerivative =
+        prevDerivative + smoothingFactor(dCutoff, dt) * (derivative - prevDerivative);
+
+      const cutoff = minCutoff + beta * Math.abs(smoothedDerivative);
+      const smoothed = prevValue + smoothingFactor(cutoff, dt) * (value - prevValue);
+
+      prevValue = smoothed;
+      prevDerivative = smoothedDerivative;
+      prevTime = timestamp;
+      return smoothed;
+    },
+
+    /**
+     * Forgets all history so the next sample passes through unchanged
+     */
+    reset: () => {
+      prevValue = null;
+      prevDerivative = 0;
+      prevTime = null;
+    },
+  };
+};
+
+/**
+ * Wraps an angle into the range (-PI, PI]
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle in (-PI, PI]
+ */
+export const wrapAngle = (angle) => {
+  const wrapped = angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+  return wrapped === -Math.PI ? Math.PI : wrapped;
+};
+
+/**
+ * Creates a One Euro filter for an angle that may wrap around at +/-PI
+ * The input is unwrapped into a continuous signal before filtering, so a jump
+ * from 179° to -179° is treated as a 2° step rather than a 358° swing
+ * @param {Object} options - { minCutoff, beta, dCutoff }, see DEFAULT_SMOOTHING
+ * @returns {Object} Filter with filter(angle, timestamp) and reset() methods
+ */
+export const createAngleFilter = (options = {}) => {
+  const filter = createOneEuroFilter(options);
+  let unwrapped = null;
+
+  return {
+    /**
+     * Filters the next angle sample
+     * @param {number} angle - Raw angle in radians
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {number} Smoothed angle in (-PI, PI]
+     */
+    filter: (angle, timestamp) => {
+      unwrapped = unwrapped === null ? angle : unwrapped + wrapAngle(angle - unwrapped);
+      return wrapAngle(filter.filter(unwrapped, timestamp));
+    },
+
+    /**
+     * Forgets all history
+     */
+    reset: () => {
+      filter.reset();
+      unwrapped = null;
+    },
+  };
+};
+
+/**
+ * Creates a smoother for Euler rotations ({ x, y, z } in radians)
+ * @param {Object} options - { minCutoff, beta, dCutoff }, see DEFAULT_ROTATION_SMOOTHING
+ * @returns {Object} Smoother with smooth(rotation, timestamp) and reset() methods
+ */
+export const createRotationSmoother = (options = {}) => {
+  const settings = { ...DEFAULT_ROTATION_SMOOTHING, ...options };
+  const axes = {
+    x: createAngleFilter(settings),
+    y: createAngleFilter(settings),
+    z: createAngleFilter(settings),
+  };
+
+  return {
+    /**
+     * Smooths the next rotation sample
+     * @param {Object} rotation - Euler angles { x, y, z } in radians
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {Object} Smoothed Euler angles
+     */
+    smooth: (rotation, timestamp) => ({
+      x: axes.x.filter(rotation.x, timestamp),
+      y: axes.y.filter(rotation.y, timestamp),
+      z: axes.z.filter(rotation.z, timestamp),
+    }),
+
+    /**
+     * Forgets all history
+     */
+    reset: () => Object.values(axes).forEach((axis) => axis.reset()),
+  };
+};
+
+/**
+ * Creates a smoother for orientations given as unit quaternions ({ x, y, z, w })
+ * q and -q are the same orientation, so each sample is flipped onto the same side as
+ * the last output before its components are filtered, then renormalized
+ * @param {Object} options - { minCutoff, beta, dCutoff }, see DEFAULT_ROTATION_SMOOTHING
+ * @returns {Object} Smoother with smooth(quaternion, timestamp) and reset() methods
+ */
+export const createQuaternionSmoother = (options = {}) => {
+  const settings = { ...DEFAULT_ROTATION_SMOOTHING, ...options };
+  const components = ["x", "y", "z", "w"];
+  const filters = Object.fromEntries(
+    components.map((key) => [key, createOneEuroFilter(settings)])
+  );
+  let previous = null;
+
+  return {
+    /**
+     * Smooths the next orientation sample
+     * @param {Object} quaternion - Unit quaternion { x, y, z, w }
+     * @param {number} timestamp - Sample time in milliseconds
+     * @returns {Object} Smoothed unit quaternion
+     */
+    smooth: (quaternion, timestamp) => {
+      const sameSide =
+        !previous ||
+        components.reduce((sum, key) => sum + quaternion[key] * previous[key], 0) >= 0;
+      const sign = sameSide ? 1 : -1;
+
+      const filtered = components.map((key) =>
+        filters[key].filter(quaternion[key] * sign, timestamp)
+      );
+      const norm = Math.hypot(...filtered) || 1;
+
+      previous = Object.fromEntries(components.map((key, i) => [key, filtered[i] / norm]));
+      return { ...previous };
+    },
+
+    /**
+     * Forgets all history
+     */
+    reset: () => {
+      Object.values(filters).forEach((filter) => filter.reset());
+      previous = null;
+    },
+  };
+};
+
+/**
+ * Creates a smoother that filters every coordinate of every landmark of every hand
+ * Hands are keyed by their stable id when one is given, otherwise by their index
+ * @param {Object} options - { minCutoff, beta, dCutoff }, see DEFAULT_SMOOTHING
+ * @returns {Object} Smoother with smooth(hands, timestamp, keys), configure(options) and reset() methods
+ */
+export const createLandmarkSmoother = (options = {}) => {
+  let settings = { ...DEFAULT_SMOOTHING, ...options };
+  let filters = new Map();
+
+  /**
+   * Creates x, y and z filters for each landmark of a hand
+   * @param {number} count - Number of landmarks
+   * @returns {Array} Per-landmark { x, y, z } filters
+   */
+  const createHandFilters = (count) =>
+    Array.from({ length: count }, () => ({
+      x: createOneEuroFilter(settings),
+      y: createOneEuroFilter(settings),
+      z: createOneEuroFilter(settings),
+    }));
+
+  return {
+    /**
+     * Smooths one frame of detections
+     * @param {Array} hands - Per-hand arrays of landmarks
+     * @param {number} timestamp - Frame time in milliseconds
+     * @param {Array} keys - Stable key per hand, such as tracked hand ids (default: indexes)
+     * @returns {Array} Smoothed copies of the hands
+     */
+    smooth: (hands, timestamp, keys = hands.map((_, index) => index)) => {
+      // Hands that were lost start fresh when they come back
+      [...filters.keys()].forEach((key) => {
+        if (!keys.includes(key)) filters.delete(key);
+      });
+
+      return hands.map((landmarks, i) => {
+        const key = keys[i];
+        if (filters.get(key)?.length !== landmarks.length) {
+          filters.set(key, createHandFilters(landmarks.length));
+        }
+        const handFilters = filters.get(key);
+
+        // Other fields, such as pose visibility, pass through unfiltered
+        return landmarks.map((pt, j) => ({
+          ...pt,
+          x: handFilters[j].x.filter(pt.x, timestamp),
+          y: handFilters[j].y.filter(pt.y, timestamp),
+          z: handFilters[j].z.filter(pt.z || 0, timestamp),
+        }));
+      });
+    },
+
+    /**
+     * Changes the filter settings, restarting all filters
+     * @param {Object} next - Partial { minCutoff, beta, dCutoff }
+     */
+    configure: (next) => {
+      settings = { ...settings, ...next };
+      filters = new Map();
+    },
+
+    /**
+     * Gets the current filter settings
+     * @returns {Object} { minCutoff, beta, dCutoff }
+     */
+    getSettings: () => ({ ...settings }),
+
+    /**
+     * Forgets all history
+     */
+    reset: () => {
+      filters = new Map();
+    },
+  };
+};
@@ -0,0 +1,191 @@
+/**
+ * @typedef {Object} GestureDefinition
+ * @property {function(*): number} score - Continuous value computed from the subject (e.g. a hand)
+ * @property {number} enter - Value the score must reach to begin the gesture
+ * @property {number} exit - Value the score must fall back past to end the gesture
+ * @property {boolean} [activeBelow] - Gesture is active when the score is low rather than high
+ * @property {number} [minHoldMs] - Time the score must stay past enter before start fires
+ * @property {number} [cooldownMs] - Minimum time between two starts for the same subject
+ */
+
+/**
+ * @typedef {Object} GestureEvent
+ * @property {string} type - 'start', 'hold' or 'end'
+ * @property {string} gesture - Gesture name
+ * @property {string} subject - Key of the hand (or hand pair) the gesture belongs to
+ * @property {number} timestamp - Frame time in milliseconds
+ * @property {number} duration - Time since start fired, in milliseconds
+ * @property {number} score - Score on this frame (null when the subject was lost)
+ */
+
+const EVENT_TYPES = ["start", "hold", "end"];
+
+/**
+ * Creates a tracker that turns per-frame gesture scores into start/hold/end events
+ *
+ * Each subject and gesture runs a small state machine:
+ * idle -> pending once the score passes enter (and the cooldown has elapsed),
+ * pending -> active after minHoldMs, firing start, or back to idle if it drops past exit,
+ * active fires hold every frame and end once the score drops past exit or the subject is lost.
+ * Scores between exit and enter keep whatever state the gesture is in, which is what
+ * stops a noisy frame from ending a gesture.
+ *
+ * @param {Object<string, GestureDefinition>} gestures - Gesture definitions keyed by name
+ * @returns {Object} Tracker with update, on, off, isActive and getPhase methods
+ */
+export const createGestureTracker = (gestures) => {
+  const listeners = Object.fromEntries(EVENT_TYPES.map((type) => [type, new Set()]));
+  const states = new Map();
+
+  /**
+   * Sends an event to every listener of its type
+   * @param {GestureEvent} event - The event
+   */
+  const emit = (event) => {
+    listeners[event.type].forEach((listener) => listener(event));
+  };
+
+  const stateKey = (subject, gesture) => `${subject}:${gesture}`;
+
+  /**
+   * Gets or creates the state machine for a subject and gesture
+   * @param {string} subject - Subject key
+   * @param {string} gesture - Gesture name
+   * @returns {Object} Mutable state
+   */
+  const getState = (subject, gesture) => {
+    const key = stateKey(subject, gesture);
+    if (!states.has(key)) {
+      states.set(key, { subject, gesture, phase: "idle", since: 0, lastStart: -Infinity });
+    }
+    return states.get(key);
+  };
+
+  /**
+   * Advances one state machine by a frame
+   * @param {Object} state - State from getState
+   * @param {GestureDefinition} definition - The gesture definition
+   * @param {number} score - Score on this frame
+   * @param {number} timestamp - Frame time in milliseconds
+   */
+  const step = (state, definition, score, timestamp) => {
+    const { enter, exit, activeBelow = false, minHoldMs = 0, cooldownMs = 0 } = definition;
+    const entered = activeBelow ? score <= enter : score >= enter;
+    const exited = activeBelow ? score > exit : score < exit;
+    const event = (type) => ({
+      type,
+      gesture: state.gesture,
+      subject: state.subject,
+      timestamp,
+      duration: timestamp - state.since,
+      score,
+    });
+
+    if (state.phase === "idle") {
+      if (entered && timestamp - state.lastStart >= cooldownMs) {
+        state.phase = "pending";
+        state.since = timestamp;
+      } else {
+        return;
+      }
+    }
+
+    if (state.phase === "pending") {
+      if (exited) {
+        state.phase = "idle";
+      } else if (timestamp - state.since >= minHoldMs) {
+        state.phase = "active";
+        state.since = timestamp;
+        state.lastStart = timestamp;
+        emit(event("start"));
+      }
+      return;
+    }
+
+    if (exited) {
+      state.phase = "idle";
+      emit(event("end"));
+    } else {
+      emit(event("hold"));
+    }
+  };
+
+  return {
+    /**
+     * Scores every gesture for every subject and fires the resulting events
+     * Subjects missing from this frame end their active gestures
+     * @param {Object<string, *>} subjects - Inputs to the score functions keyed by subject
+     * @param {number} timestamp - Frame time in milliseconds
+     */
+    update: (subjects, timestamp) => {
+      Object.entries(subjects).forEach(([subject, input]) => {
+        Object.entries(gestures).forEach(([gesture, definition]) => {
+          step(getState(subject, gesture), definition, definition.score(input), timestamp);
+        });
+      });
+
+      states.forEach((state, key) => {
+        if (state.subject in subjects) return;
+
+        if (state.phase === "active") {
+          emit({
+            type: "end",
+            gesture: state.gesture,
+            subject: state.subject,
+            timestamp,
+            duration: timestamp - state.since,
+            score: null,
+          });
+        }
+        // Keep the cooldown running if the subject comes straight back
+        if (timestamp - state.lastStart < (gestures[state.gesture].cooldownMs || 0)) {
+          state.phase = "idle";
+        } else {
+          states.delete(key);
+        }
+      });
+    },
+
+    /**
+     * Subscribes to an event type
+     * @param {string} type - 'start', 'hold' or 'end'
+     * @param {function(GestureEvent): void} listener - Called for each event
+     * @returns {Function} Unsubscribe function
+     */
+    on: (type, listener) => {
+      listeners[type].add(listener);
+      return () => listeners[type].delete(listener);
+    },
+
+    /**
+     * Unsubscribes a listener
+     * @param {string} type - 'start', 'hold' or 'end'
+     * @param {Function} listener - The listener passed to on()
+     */
+    off: (type, listener) => {
+      listeners[type].delete(listener);
+    },
+
+    /**
+     * Checks if a gesture has started and not yet ended for a subject
+     * @param {string} subject - Subject key
+     * @param {string} gesture - Gesture name
+     * @returns {boolean} True while active
+     */
+    isActive: (subject, gesture) =>
+      states.get(stateKey(subject, gesture))?.phase === "active",
+
+    /**
+     * Gets the state machine phase for a subject and gesture
+     * @param {string} subject - Subject key
+     * @param {string} gesture - Gesture name
+     * @returns {string} 'idle', 'pending' or 'active'
+     */
+    getPhase: (subject, gesture) => states.get(stateKey(subject, gesture))?.phase || "idle",
+
+    /**
+     * Drops all state without firing events
+     */
+    reset: () => states.clear(),
+  };
+};
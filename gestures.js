@@ -0,0 +1,301 @@
+import { dist, dist3D } from "./utils.js";
+import { getHandOrientation } from "./orientation.js";
+import { getActiveProfile, normalizeCurl } from "./profiles.js";
+import { classifyGesture, MIN_CONFIDENCE } from "./customGestures.js";
+
+// Landmark ids of each finger's joints, from the knuckle out to the tip
+const FINGER_JOINTS = {
+  thumb: [1, 2, 3, 4],
+  index: [5, 6, 7, 8],
+  middle: [9, 10, 11, 12],
+  ring: [13, 14, 15, 16],
+  pinky: [17, 18, 19, 20],
+};
+
+/**
+ * Pairs of hand landmark ids joined by a bone when drawing the skeleton
+ */
+export const HAND_CONNECTIONS = [
+  // Palm
+  [0, 1], [0, 5], [5, 9], [9, 13], [13, 17], [0, 17],
+  // Fingers
+  [1, 2], [2, 3], [3, 4],
+  [5, 6], [6, 7], [7, 8],
+  [9, 10], [10, 11], [11, 12],
+  [13, 14], [14, 15], [15, 16],
+  [17, 18], [18, 19], [19, 20],
+];
+
+// Summed joint flexion of a fully curled finger, in radians
+// Fingers flex at the PIP and DIP joints, the thumb at its MCP and IP joints
+const FULL_CURL_ANGLE = {
+  thumb: (110 * Math.PI) / 180,
+  finger: (170 * Math.PI) / 180,
+};
+
+// Curl above which a finger counts as folded, and below which it counts as extended,
+// on the calibrated scale where the profile's open hand is 0 and its fist is 1
+export const FOLDED_CURL = 0.6;
+export const EXTENDED_CURL = 0.3;
+
+// Wrist distance, in palm sizes, below which two hands count as close
+const HANDS_CLOSE_DISTANCE = 2;
+
+/**
+ * Measures the reference length of a hand, from the wrist to the middle finger MCP
+ * Uses z when available so the length holds up when the hand tilts toward the camera
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {number} Palm size in normalized units
+ */
+export const getPalmSize = (hand) => dist3D(hand[0], hand[9]);
+
+/**
+ * Calculates how far a joint bends away from a straight line
+ * @param {Object} a - Previous landmark
+ * @param {Object} b - Joint landmark
+ * @param {Object} c - Next landmark
+ * @returns {number} Flexion angle in radians (0 when straight)
+ */
+const jointFlexion = (a, b, c) => {
+  const u = { x: b.x - a.x, y: b.y - a.y, z: (b.z || 0) - (a.z || 0) };
+  const v = { x: c.x - b.x, y: c.y - b.y, z: (c.z || 0) - (b.z || 0) };
+  const lengths = Math.hypot(u.x, u.y, u.z) * Math.hypot(v.x, v.y, v.z);
+  if (lengths < 1e-9) return 0;
+
+  const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / lengths;
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+};
+
+/**
+ * Measures the curl of one finger from its joint angles, before calibration
+ * Angles do not depend on how big the hand appears, so neither does the curl
+ * @param {Array} hand - Array of hand landmarks
+ * @param {string} finger - 'thumb', 'index', 'middle', 'ring' or 'pinky'
+ * @returns {number} Curl from 0 (straight) to 1 (fully curled)
+ */
+export const measureFingerCurl = (hand, finger) => {
+  const [base, lower, upper, tip] = FINGER_JOINTS[finger].map((id) => hand[id]);
+  const flexion = jointFlexion(base, lower, upper) + jointFlexion(lower, upper, tip);
+  const fullCurl = finger === "thumb" ? FULL_CURL_ANGLE.thumb : FULL_CURL_ANGLE.finger;
+
+  return Math.min(1, flexion / fullCurl);
+};
+
+/**
+ * Calculates the curl of one finger on a calibration profile's scale
+ * @param {Array} hand - Array of hand landmarks
+ * @param {string} finger - 'thumb', 'index', 'middle', 'ring' or 'pinky'
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {number} Curl from 0 (as straight as the profile's open hand) to 1 (as curled as its fist)
+ */
+export const getFingerCurl = (hand, finger, profile = getActiveProfile()) =>
+  normalizeCurl(measureFingerCurl(hand, finger), profile.curls[finger]);
+
+/**
+ * Calculates the curl of every finger
+ * @param {Array} hand - Array of hand landmarks
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {Object} Curl from 0 to 1 keyed by thumb, index, middle, ring and pinky
+ */
+export const getFingerCurls = (hand, profile = getActiveProfile()) =>
+  Object.fromEntries(
+    Object.keys(FINGER_JOINTS).map((finger) => [finger, getFingerCurl(hand, finger, profile)])
+  );
+
+/**
+ * Measures the curl of every finger, before calibration
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {Object} Raw curl from 0 to 1 keyed by thumb, index, middle, ring and pinky
+ */
+export const measureFingerCurls = (hand) =>
+  Object.fromEntries(
+    Object.keys(FINGER_JOINTS).map((finger) => [finger, measureFingerCurl(hand, finger)])
+  );
+
+/**
+ * Scores how closed a hand is: the curl of its third most curled finger
+ * This crosses the folded threshold exactly when three fingers are folded
+ * @param {Array} hand - Array of hand landmarks
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {number} Score from 0 (open) to 1 (tight fist)
+ */
+export const getFistScore = (hand, profile = getActiveProfile()) => {
+  const curls = ["index", "middle", "ring", "pinky"]
+    .map((finger) => getFingerCurl(hand, finger, profile))
+    .sort((a, b) => b - a);
+
+  return curls[2];
+};
+
+/**
+ * Detects if a hand is making a fist gesture
+ * @param {Array} hand - Array of hand landmarks
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {boolean} True if at least three fingers are folded
+ */
+export const isFist = (hand, profile = getActiveProfile()) => getFistScore(hand, profile) > FOLDED_CURL;
+
+/**
+ * Fist definition for createGestureTracker, with hysteresis around the isFist threshold
+ * @type {import("./gestureEvents.js").GestureDefinition}
+ */
+export const FIST_GESTURE = {
+  score: getFistScore,
+  enter: FOLDED_CURL,
+  exit: FOLDED_CURL - 0.15,
+  minHoldMs: 80,
+};
+
+// Thumb tip to index tip distance, in palm sizes, below which a hand counts as pinching
+export const PINCH_DISTANCE = 0.25;
+
+/**
+ * Measures how far apart the thumb and index tips are
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {number} Distance in palm sizes
+ */
+export const getPinchDistance = (hand) => dist3D(hand[4], hand[8]) / getPalmSize(hand);
+
+/**
+ * Detects if a hand is pinching, thumb and index tips together
+ * A fist with the thumb tucked over the index finger pinches too.
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {boolean} True if the tips are within PINCH_DISTANCE
+ */
+export const isPinch = (hand) => getPinchDistance(hand) < PINCH_DISTANCE;
+
+/**
+ * Pinch definition for createGestureTracker; the score is a distance, so it is active below enter
+ * @type {import("./gestureEvents.js").GestureDefinition}
+ */
+export const PINCH_GESTURE = {
+  score: getPinchDistance,
+  enter: PINCH_DISTANCE,
+  exit: PINCH_DISTANCE + 0.15,
+  activeBelow: true,
+  minHoldMs: 50,
+};
+
+/**
+ * Determines the orientation of a fist gesture
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {string} 'left', 'right', 'up', or 'unknown'
+ */
+export const getFistOrientation = (hand) => {
+  const wrist = hand[0];
+  const middleKnuckle = hand[9]; // Middle finger MCP (knuckle)
+
+  const dx = middleKnuckle.x - wrist.x;
+  const dy = middleKnuckle.y - wrist.y;
+
+  if (Math.abs(dx) > Math.abs(dy)) {
+    return dx > 0 ? "right" : "left";
+  } else if (dy < -0.4 * getPalmSize(hand)) {
+    return "up";
+  }
+
+  return "unknown";
+};
+
+/**
+ * Detects peace sign gesture (index and middle fingers up, others curled)
+ * @param {Array} hand - Array of hand landmarks
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {boolean} True if hand is making peace sign
+ */
+export const isPeace = (hand, profile = getActiveProfile()) => {
+  const curls = getFingerCurls(hand, profile);
+
+  const indexUp = curls.index < EXTENDED_CURL;
+  const middleUp = curls.middle < EXTENDED_CURL;
+  const ringDown = curls.ring > FOLDED_CURL;
+  const pinkyDown = curls.pinky > FOLDED_CURL;
+
+  return indexUp && middleUp && ringDown && pinkyDown;
+};
+
+/**
+ * Detects thumbs up gesture
+ * @param {Array} hand - Array of hand landmarks
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {boolean} True if hand is making thumbs up
+ */
+export const isThumbsUp = (hand, profile = getActiveProfile()) => {
+  const thumbTip = hand[4];
+  const thumbCMC = hand[1];
+  const indexKnuckle = hand[5];
+  const wrist = hand[0];
+
+  const thumbExtended = getFingerCurl(hand, "thumb", profile) < EXTENDED_CURL;
+  const thumbFarFromPalm =
+    dist(thumbTip, wrist) > dist(thumbCMC, wrist) &&
+    dist3D(thumbTip, indexKnuckle) > 0.5 * getPalmSize(hand);
+
+  return thumbExtended && thumbFarFromPalm;
+};
+
+/**
+ * Landmark ids each built-in gesture check reads, for showing what a classifier looked at
+ */
+export const GESTURE_LANDMARKS = {
+  fist: ["index", "middle", "ring", "pinky"].flatMap((finger) => FINGER_JOINTS[finger]),
+  peace: ["index", "middle", "ring", "pinky"].flatMap((finger) => FINGER_JOINTS[finger]),
+  thumbsUp: [0, ...FINGER_JOINTS.thumb, 5],
+};
+
+/**
+ * Names the gesture a hand is making, checking taught gestures before the built-in ones
+ * A thumbs up only counts with the other fingers folded, since isThumbsUp alone also
+ * matches an open hand.
+ * @param {Array} hand - Array of hand landmarks
+ * @param {Object} options - { handedness, aspect, mirrored } for taught gestures, see
+ *   customGestures.js normalizeHandPose
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
+ * @returns {Object|null} { name, landmarks: ids the check read }, or null for no gesture
+ */
+export const detectGesture = (hand, options = {}, profile = getActiveProfile()) => {
+  const custom = classifyGesture(hand, options);
+  if (custom.name && custom.confidence >= MIN_CONFIDENCE) {
+    return { name: custom.name, landmarks: hand.map((_, id) => id) };
+  }
+
+  if (isPeace(hand, profile)) {
+    return { name: "Peace", landmarks: GESTURE_LANDMARKS.peace };
+  }
+  if (isFist(hand, profile)) {
+    return isThumbsUp(hand, profile)
+      ? { name: "Thumbs up", landmarks: [...GESTURE_LANDMARKS.thumbsUp, ...GESTURE_LANDMARKS.fist] }
+      : { name: "Fist", landmarks: GESTURE_LANDMARKS.fist };
+  }
+  return null;
+};
+
+/**
+ * Measures the distance between two wrists in palm sizes
+ * Holds at any distance from the camera, unlike raw normalized distance
+ * @param {Array} handA - First hand landmarks
+ * @param {Array} handB - Second hand landmarks
+ * @returns {number} Wrist distance divided by the mean palm size
+ */
+export const getHandsDistance = (handA, handB) => {
+  const palmSize = (getPalmSize(handA) + getPalmSize(handB)) / 2;
+  return dist(handA[0], handB[0]) / palmSize;
+};
+
+/**
+ * Checks if two hands are close enough for a fist bump
+ * @param {Array} handA - First hand landmarks
+ * @param {Array} handB - Second hand landmarks
+ * @returns {boolean} True if wrists are less than two palm sizes apart
+ */
+export const handsClose = (handA, handB) => getHandsDistance(handA, handB) < HANDS_CLOSE_DISTANCE;
+
+/**
+ * Calculates the rotation of a fist gesture in 3D space
+ * Kept for display; use getHandOrientation for the quaternion and palm frame
+ * @param {Array} hand - Array of hand landmarks
+ * @param {string} handedness - The user's 'left' or 'right' hand (default: 'right')
+ * @returns {Object} Object with x, y, z rotation values in radians (Euler angles, XYZ order)
+ */
+export const getFistRotation = (hand, handedness = "right") =>
+  getHandOrientation(hand, { handedness }).euler;
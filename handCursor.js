@@ -0,0 +1,300 @@
+/**
+ * Hand cursor: the index fingertip moves an on-screen pointer that clicks DOM controls
+ *
+ * In pinch mode, bringing the thumb and index tips together presses and parting them
+ * releases, with the hysteresis of PINCH_GESTURE. In dwell mode, holding the pointer
+ * still over a spot clicks it. Either way the cursor reports pointer events, which
+ * createPointerDispatcher fires at the elements under it, so buttons and checkboxes
+ * work without knowing about hands.
+ */
+
+import { PINCH_GESTURE } from "./gestures.js";
+import { createGestureTracker } from "./gestureEvents.js";
+import { createOneEuroFilter } from "./filters.js";
+import { getProjectionView, landmarkToView } from "./projection.js";
+
+const SETTINGS_KEY = "handCursor";
+
+export const CURSOR_MODES = ["off", "pinch", "dwell"];
+
+export const CURSOR = {
+  dwellMs: 1000, // Time the pointer must stay put to click in dwell mode
+  dwellRadius: 24, // How far, in CSS pixels, it may wander and still count as staying put
+  // The fingertip dips toward the thumb as a pinch closes, so presses land where the
+  // pointer was this long before the pinch registered
+  pressLookbackMs: 120,
+};
+
+// Landmark that drives the pointer: the index fingertip
+const POINTER_LANDMARK = 8;
+
+// The pointer's own smoothing, in normalized coordinates, steadier than the landmarks'
+const POINTER_SMOOTHING = { minCutoff: 0.8, beta: 5 };
+
+/**
+ * @typedef {Object} CursorEvent
+ * @property {string} type - 'move', 'down', 'up' or 'cancel' (the hand was lost mid-press)
+ * @property {number} x - Viewport x in CSS pixels
+ * @property {number} y - Viewport y in CSS pixels
+ */
+
+/**
+ * @typedef {Object} CursorState
+ * @property {boolean} visible - Whether a hand is driving the pointer
+ * @property {number} x - Viewport x in CSS pixels
+ * @property {number} y - Viewport y in CSS pixels
+ * @property {boolean} pressed - Whether the pointer is down
+ * @property {number} dwellProgress - 0 to 1 toward a dwell click
+ * @property {Array<CursorEvent>} events - Pointer events this frame, in order
+ */
+
+/**
+ * Loads the cursor mode chosen last time
+ * @returns {string} 'off', 'pinch' or 'dwell'
+ */
+export const loadCursorMode = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return CURSOR_MODES.includes(saved) ? saved : "off";
+  } catch {
+    return "off";
+  }
+};
+
+/**
+ * Saves the cursor mode for next time
+ * @param {string} mode - 'off', 'pinch' or 'dwell'
+ */
+export const saveCursorMode = (mode) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, mode);
+  } catch {
+    // Storage can be unavailable (private mode, quota); the mode just won't persist
+  }
+};
+
+/**
+ * Creates a cursor driven by one hand
+ * @param {Object} options - Cursor options
+ * @param {string} options.mode - 'pinch' or 'dwell' (default: 'pinch')
+ * @param {number} options.dwellMs - See CURSOR
+ * @param {number} options.dwellRadius - See CURSOR
+ * @returns {Object} Cursor with update, setMode and reset methods
+ */
+export const createHandCursor = ({
+  mode: initialMode = "pinch",
+  dwellMs = CURSOR.dwellMs,
+  dwellRadius = CURSOR.dwellRadius,
+} = {}) => {
+  let mode = initialMode;
+  let filters = null;
+  let pinchTracker = null;
+  let history = [];
+  let pressed = false;
+  let dwell = null;
+  let position = { x: 0, y: 0 };
+
+  const reset = () => {
+    filters = { x: createOneEuroFilter(POINTER_SMOOTHING), y: createOneEuroFilter(POINTER_SMOOTHING) };
+    pinchTracker = createGestureTracker({ pinch: PINCH_GESTURE });
+    history = [];
+    pressed = false;
+    dwell = null;
+  };
+  reset();
+
+  /**
+   * Finds where the pointer was just before a pinch closed
+   * @param {number} timestamp - Frame time in milliseconds
+   * @returns {Object} { x, y } in CSS pixels
+   */
+  const getPressPosition = (timestamp) =>
+    history.find(({ t }) => t >= timestamp - CURSOR.pressLookbackMs) || position;
+
+  /**
+   * Clicks once the pointer has stayed within dwellRadius for dwellMs, then waits for it to move away
+   * @param {number} timestamp - Frame time in milliseconds
+   * @param {Array} events - Event list to append to
+   * @returns {number} Progress toward the click, 0 to 1
+   */
+  const updateDwell = (timestamp, events) => {
+    if (!dwell || Math.hypot(position.x - dwell.x, position.y - dwell.y) > dwellRadius) {
+      dwell = { x: position.x, y: position.y, since: timestamp, clicked: false };
+    }
+    if (dwell.clicked) return 0;
+
+    const progress = Math.min(1, (timestamp - dwell.since) / dwellMs);
+    if (progress >= 1) {
+      dwell.clicked = true;
+      events.push({ type: "down", x: dwell.x, y: dwell.y }, { type: "up", x: dwell.x, y: dwell.y });
+      return 0;
+    }
+    return progress;
+  };
+
+  return {
+    /**
+     * Moves the pointer with a hand and works out its presses
+     * @param {Array|null} hand - Landmarks of the hand driving the pointer, or null when there is none
+     * @param {number} timestamp - Frame time in milliseconds
+     * @param {import("./projection.js").ProjectionView} view - View (default: the active one)
+     * @returns {CursorState} Where the pointer is and what happened this frame
+     */
+    update: (hand, timestamp, view = getProjectionView()) => {
+      const events = [];
+
+      if (!hand) {
+        if (pressed) events.push({ type: "cancel", ...position });
+        reset();
+        return { visible: false, ...position, pressed: false, dwellProgress: 0, events };
+      }
+
+      const tip = hand[POINTER_LANDMARK];
+      position = landmarkToView(
+        { x: filters.x.filter(tip.x, timestamp), y: filters.y.filter(tip.y, timestamp) },
+        view
+      );
+      history = [...history, { t: timestamp, ...position }].filter(
+        ({ t }) => t >= timestamp - CURSOR.pressLookbackMs
+      );
+      events.push({ type: "move", ...position });
+
+      let dwellProgress = 0;
+      if (mode === "pinch") {
+        pinchTracker.update({ cursor: hand }, timestamp);
+        const pinching = pinchTracker.isActive("cursor", "pinch");
+        if (pinching && !pressed) events.push({ type: "down", ...getPressPosition(timestamp) });
+        if (!pinching && pressed) events.push({ type: "up", ...position });
+        pressed = pinching;
+      } else {
+        dwellProgress = updateDwell(timestamp, events);
+      }
+
+      return { visible: true, ...position, pressed, dwellProgress, events };
+    },
+
+    /**
+     * Switches between pinch and dwell clicking
+     * @param {string} next - 'pinch' or 'dwell'
+     */
+    setMode: (next) => {
+      mode = next;
+      reset();
+    },
+
+    /**
+     * Forgets the hand, as when the camera stops
+     */
+    reset,
+  };
+};
+
+/**
+ * Finds the nearest element containing both of two elements
+ * @param {Element} a - Element
+ * @param {Element} b - Element
+ * @returns {Element|null} Common ancestor, or null
+ */
+const commonAncestor = (a, b) => {
+  let node = a;
+  while (node && !node.contains(b)) node = node.parentElement;
+  return node;
+};
+
+/**
+ * Creates a dispatcher that fires cursor events at the page as pointer and mouse events
+ * It follows the browser's order: pointerover/pointerout as the target changes,
+ * pointerdown then mousedown, pointerup then mouseup, then click on the element the
+ * press and release share.
+ * @param {Document} doc - Document to dispatch into (default: document)
+ * @returns {Object} Dispatcher with dispatch and reset methods
+ */
+export const createPointerDispatcher = (doc = document) => {
+  let hovered = null;
+  let pressedOn = null;
+
+  /**
+   * Fires one event
+   * @param {Element} target - Element to fire at
+   * @param {string} type - Event type
+   * @param {Object} point - { x, y } in CSS pixels
+   * @param {Object} init - Extra event options
+   */
+  const fire = (target, type, { x, y }, init = {}) => {
+    if (!target) return;
+    const options = { bubbles: true, cancelable: true, composed: true, clientX: x, clientY: y, view: window, ...init };
+    const isPointer = type.startsWith("pointer");
+    target.dispatchEvent(
+      isPointer
+        ? new PointerEvent(type, { pointerId: 1, pointerType: "hand", isPrimary: true, ...options })
+        : new MouseEvent(type, options)
+    );
+  };
+
+  /**
+   * Moves the hover to a new element
+   * @param {Element|null} target - Element now under the pointer
+   * @param {Object} point - { x, y }
+   */
+  const hover = (target, point) => {
+    if (target === hovered) return;
+    fire(hovered, "pointerout", point, { relatedTarget: target });
+    fire(hovered, "mouseout", point, { relatedTarget: target });
+    fire(target, "pointerover", point, { relatedTarget: hovered });
+    fire(target, "mouseover", point, { relatedTarget: hovered });
+    hovered = target;
+  };
+
+  return {
+    /**
+     * Fires a frame's cursor events
+     * @param {Array<CursorEvent>} events - Events from the cursor's update
+     */
+    dispatch: (events) => {
+      events.forEach((event) => {
+        const target = event.type === "cancel" ? pressedOn : doc.elementFromPoint(event.x, event.y);
+
+        if (event.type === "move") {
+          hover(target, event);
+          fire(target, "pointermove", event);
+          fire(target, "mousemove", event);
+        } else if (event.type === "down") {
+          hover(target, event);
+          pressedOn = target;
+          fire(target, "pointerdown", event, { buttons: 1 });
+          fire(target, "mousedown", event, { buttons: 1 });
+          if (target && target.focus) target.focus();
+        } else if (event.type === "up") {
+          fire(target, "pointerup", event);
+          fire(target, "mouseup", event);
+          if (pressedOn && target) fire(commonAncestor(pressedOn, target), "click", event, { detail: 1 });
+          pressedOn = null;
+        } else if (event.type === "cancel") {
+          fire(target, "pointercancel", event);
+          pressedOn = null;
+          hover(null, event);
+        }
+      });
+    },
+
+    /**
+     * Leaves whatever the pointer was over, as when the cursor is turned off
+     */
+    reset: () => {
+      hover(null, { x: 0, y: 0 });
+      pressedOn = null;
+    },
+  };
+};
+
+/**
+ * Shows the cursor state on the cursor element
+ * @param {HTMLElement} element - The cursor element
+ * @param {CursorState} state - State from the cursor's update
+ */
+export const drawCursor = (element, { visible, x, y, pressed, dwellProgress }) => {
+  element.classList.toggle("hidden", !visible);
+  element.classList.toggle("pressed", pressed);
+  element.style.transform = `translate(${x}px, ${y}px)`;
+  element.style.setProperty("--dwell", dwellProgress);
+};
@@ -0,0 +1,64 @@
+/**
+ * 3D hand rigs: a tracked hand's 21 joints placed in the Three.js scene
+ *
+ * MediaPipe's world landmarks give the hand's shape in meters around its own center,
+ * without saying where the hand is. The rig keeps that shape, scales it to the size the
+ * hand appears on screen at its depth, and puts its wrist on the wrist landmark's ray,
+ * so the rig covers the hand in the video while its fingers keep their true depth.
+ */
+
+import { getHandDepth } from "./utils.js";
+import { getProjectionView, landmarkToWorld } from "./projection.js";
+
+// Palm bones whose on-screen length sets the rig's scale; several, so a hand seen edge-on
+// in one direction still has a length in another
+const SCALE_BONES = [
+  [0, 5],
+  [0, 9],
+  [0, 17],
+  [5, 17],
+];
+
+/**
+ * @typedef {Object} HandRig
+ * @property {number} id - Track id of the hand
+ * @property {Array<Object>} joints - 21 { x, y, z } points in world units, in landmark order
+ * @property {number} scale - World units per meter at the hand, for sizing joints and bones
+ */
+
+/**
+ * Places a hand's world landmarks in the scene over where the hand is on screen
+ * @param {import("./handTracking.js").TrackedHand} hand - Tracked hand with landmarks and worldLandmarks
+ * @param {number|null} depth - Scene z of the wrist (default: from its distance to the camera, see getHandDepth)
+ * @param {import("./projection.js").ProjectionView} view - View (default: the active one)
+ * @returns {HandRig|null} The rig, or null when the hand has no usable world landmarks
+ */
+export const getHandRig = (hand, depth = null, view = getProjectionView()) => {
+  const { id, landmarks, worldLandmarks } = hand;
+  if (!worldLandmarks || worldLandmarks.length < 21) return null;
+
+  const wristDepth = depth ?? getHandDepth(landmarks, worldLandmarks, view.videoWidth, view.videoHeight);
+  const onScreen = landmarks.map((landmark) => landmarkToWorld(landmark, wristDepth, view));
+
+  // Both measured across the image plane, so a tilted hand is foreshortened in each alike
+  let screenLength = 0;
+  let worldLength = 0;
+  SCALE_BONES.forEach(([a, b]) => {
+    screenLength += Math.hypot(onScreen[a].x - onScreen[b].x, onScreen[a].y - onScreen[b].y);
+    worldLength += Math.hypot(worldLandmarks[a].x - worldLandmarks[b].x, worldLandmarks[a].y - worldLandmarks[b].y);
+  });
+  if (worldLength < 1e-6) return null;
+
+  const scale = screenLength / worldLength;
+  const wrist = onScreen[0];
+  const origin = worldLandmarks[0];
+
+  // World landmarks have y down and z away from the camera; the scene has y up and z toward it
+  const joints = worldLandmarks.map(({ x, y, z }) => ({
+    x: wrist.x + (x - origin.x) * scale,
+    y: wrist.y - (y - origin.y) * scale,
+    z: wrist.z - (z - origin.z) * scale,
+  }));
+
+  return { id, joints, scale };
+};
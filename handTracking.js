@@ -0,0 +1,221 @@
+/**
+ * @typedef {Object} TrackedHand
+ * @property {number} id - Stable id that survives reordering and brief dropouts
+ * @property {string} handedness - The user's 'left' or 'right' hand
+ * @property {number} handednessScore - Confidence in handedness, 0.5 (unsure) to 1
+ * @property {Array} landmarks - Normalized landmarks for this frame
+ * @property {Array} worldLandmarks - World landmarks for this frame (may be empty)
+ * @property {Object} velocity - Palm center velocity { x, y } in normalized units per second
+ * @property {number} index - Index of the hand in the raw detection results
+ */
+
+// Landmarks that outline the palm: wrist and the four finger MCPs
+const PALM_IDS = [0, 5, 9, 13, 17];
+
+/**
+ * Calculates the center of the palm
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {Object} Palm center { x, y } in normalized units
+ */
+export const getPalmCenter = (hand) => {
+  const sum = PALM_IDS.reduce(
+    (acc, id) => ({ x: acc.x + hand[id].x, y: acc.y + hand[id].y }),
+    { x: 0, y: 0 }
+  );
+  return { x: sum.x / PALM_IDS.length, y: sum.y / PALM_IDS.length };
+};
+
+/**
+ * Reads how likely a detection is to be the user's left hand
+ * MediaPipe labels handedness as if the image were mirrored (a selfie view),
+ * so on an unmirrored webcam image its "Left" is the user's right hand
+ * @param {Array} categories - Handedness categories for one hand
+ * @param {boolean} inputMirrored - Whether the frames fed to MediaPipe were mirrored
+ * @returns {number|null} Probability of the user's left hand, or null if unknown
+ */
+const getLeftProbability = (categories, inputMirrored) => {
+  const top = categories && categories[0];
+  if (!top) return null;
+
+  const labelIsLeft = top.categoryName === "Left";
+  const isUsersLeft = inputMirrored ? labelIsLeft : !labelIsLeft;
+  return isUsersLeft ? top.score : 1 - top.score;
+};
+
+/**
+ * Creates a tracker that gives detected hands stable ids across frames
+ *
+ * Each frame, detections are matched to existing tracks by distance from the
+ * track's predicted palm position, with a penalty when the detection's handedness
+ * disagrees with the track's. Unmatched detections start new tracks; tracks with
+ * no detection are kept for maxDropoutMs so a hand that flickers out keeps its id.
+ *
+ * @param {Object} options - Tracker options
+ * @param {number} options.maxDropoutMs - How long a lost hand keeps its id (default: 500)
+ * @param {number} options.maxMatchDistance - Largest palm jump, in normalized units, that still matches (default: 0.3)
+ * @param {number} options.handednessPenalty - Cost added when handedness disagrees (default: 0.2)
+ * @param {number} options.handednessSmoothing - Weight of each new handedness sample (default: 0.2)
+ * @param {boolean} options.inputMirrored - Whether detection ran on mirrored frames (default: false)
+ * @returns {Object} Tracker with update and reset methods
+ */
+export const createHandTracker = ({
+  maxDropoutMs = 500,
+  maxMatchDistance = 0.3,
+  handednessPenalty = 0.2,
+  handednessSmoothing = 0.2,
+  inputMirrored = false,
+} = {}) => {
+  let tracks = [];
+  let nextId = 1;
+
+  /**
+   * Predicts where a track's palm is now from its last position and velocity
+   * @param {Object} track - The track
+   * @param {number} timestamp - Current time in milliseconds
+   * @returns {Object} Predicted palm center
+   */
+  const predict = (track, timestamp) => {
+    const dt = Math.min(timestamp - track.lastSeen, maxDropoutMs) / 1000;
+    return {
+      x: track.center.x + track.velocity.x * dt,
+      y: track.center.y + track.velocity.y * dt,
+    };
+  };
+
+  /**
+   * Updates a track with a new detection
+   * @param {Object} track - The track
+   * @param {Object} detection - Detection with center, leftProbability and landmarks
+   * @param {number} timestamp - Current time in milliseconds
+   */
+  const applyDetection = (track, detection, timestamp) => {
+    const dt = (timestamp - track.lastSeen) / 1000;
+    if (dt > 0 && track.visible) {
+      const vx = (detection.center.x - track.center.x) / dt;
+      const vy = (detection.center.y - track.center.y) / dt;
+      track.velocity = {
+        x: track.velocity.x * 0.5 + vx * 0.5,
+        y: track.velocity.y * 0.5 + vy * 0.5,
+      };
+    } else if (!track.visible) {
+      track.velocity = { x: 0, y: 0 };
+    }
+
+    if (detection.leftProbability !== null) {
+      track.leftProbability +=
+        (detection.leftProbability - track.leftProbability) * handednessSmoothing;
+    }
+
+    track.center = detection.center;
+    track.lastSeen = timestamp;
+    track.visible = true;
+  };
+
+  return {
+    /**
+     * Matches this frame's detections to tracks
+     * @param {Object} results - Detection results with landmarks, worldLandmarks and handedness
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Array<TrackedHand>} Visible hands, ordered by id (oldest first)
+     */
+    update: ({ landmarks = [], worldLandmarks = [], handedness = [] }, timestamp) => {
+      tracks = tracks.filter((track) => timestamp - track.lastSeen <= maxDropoutMs);
+
+      const detections = landmarks.map((hand, index) => ({
+        index,
+        landmarks: hand,
+        worldLandmarks: worldLandmarks[index] || [],
+        center: getPalmCenter(hand),
+        leftProbability: getLeftProbability(handedness[index], inputMirrored),
+      }));
+
+      // Score every track/detection pair, then take the cheapest pairs first
+      const pairs = [];
+      tracks.forEach((track) => {
+        const predicted = predict(track, timestamp);
+        detections.forEach((detection) => {
+          const distance = Math.hypot(
+            detection.center.x - predicted.x,
+            detection.center.y - predicted.y
+          );
+          if (distance > maxMatchDistance) return;
+
+          const disagrees =
+            detection.leftProbability !== null &&
+            detection.leftProbability > 0.5 !== track.leftProbability > 0.5;
+          pairs.push({ track, detection, cost: distance + (disagrees ? handednessPenalty : 0) });
+        });
+      });
+      pairs.sort((a, b) => a.cost - b.cost);
+
+      const matched = new Map();
+      pairs.forEach(({ track, detection }) => {
+        if (matched.has(track) || [...matched.values()].includes(detection)) return;
+        matched.set(track, detection);
+      });
+
+      tracks.forEach((track) => {
+        if (matched.has(track)) {
+          applyDetection(track, matched.get(track), timestamp);
+        } else {
+          track.visible = false;
+        }
+      });
+
+      const matchedDetections = [...matched.values()];
+      detections.forEach((detection) => {
+        if (matchedDetections.includes(detection)) return;
+
+        const track = {
+          id: nextId++,
+          center: detection.center,
+          velocity: { x: 0, y: 0 },
+          leftProbability: detection.leftProbability ?? 0.5,
+          lastSeen: timestamp,
+          visible: true,
+        };
+        tracks.push(track);
+        matched.set(track, detection);
+      });
+
+      return tracks
+        .filter((track) => track.visible)
+        .sort((a, b) => a.id - b.id)
+        .map((track) => {
+          const detection = matched.get(track);
+          return {
+            id: track.id,
+            handedness: track.leftProbability > 0.5 ? "left" : "right",
+            handednessScore: Math.max(track.leftProbability, 1 - track.leftProbability),
+            landmarks: detection.landmarks,
+            worldLandmarks: detection.worldLandmarks,
+            velocity: { ...track.velocity },
+            index: detection.index,
+          };
+        });
+    },
+
+    /**
+     * Forgets every track; ids keep counting up
+     */
+    reset: () => {
+      tracks = [];
+    },
+  };
+};
+
+/**
+ * Picks a hand by handedness
+ * @param {Array<TrackedHand>} hands - Tracked hands for the frame
+ * @param {string} preference - 'left', 'right' or 'any'
+ * @param {boolean} fallback - Use another hand when the preferred one is missing (default: false)
+ * @returns {TrackedHand|null} The matching hand, or null
+ */
+export const findHand = (hands, preference, fallback = false) => {
+  if (preference === "any") return hands[0] || null;
+
+  const preferred = hands.find((hand) => hand.handedness === preference);
+  if (preferred) return preferred;
+
+  return fallback ? hands[0] || null : null;
+};
@@ -0,0 +1,283 @@
+/**
+ * Landmark stream: publishes what the sandbox detects to other apps over a WebSocket
+ *
+ * Every message is a JSON object with the protocol version `v`, a `type` and the
+ * time `t` in milliseconds (the page's performance clock, as in DetectionFrame):
+ *
+ *   { v, type: "hello", t, source: "pose-detection-sandbox", experiment }
+ *     sent on every (re)connect
+ *   { v, type: "frame", t, experiment, mirrored, hands: [
+ *       { id, handedness, gesture, landmarks: [[x, y, z] x 21], worldLandmarks: [[x, y, z] x 21] | null }
+ *     ] }
+ *     landmarks are normalized to the camera frame, world landmarks in meters around the hand;
+ *     at most maxFps of them a second, and none while the socket is backed up
+ *   { v, type: "event", t, experiment, name, detail }
+ *     experiment events from context.logEvent, plus "gesture-start" and "gesture-end"
+ *     ({ hand, gesture }) as a hand's static gesture changes, and "experiment" ({ id })
+ *     as experiments start and stop; never rate limited
+ *
+ * Hand ids are the tracker's, stable while a hand stays in view (see handTracking.js).
+ * When the connection drops, the stream reconnects with a growing delay and drops
+ * what happens in between.
+ */
+
+import { STREAM_CONFIG } from "./config.js";
+
+export const STREAM_PROTOCOL_VERSION = 1;
+
+const SETTINGS_KEY = "landmarkStream";
+
+export const STREAM = {
+  retryMs: 500, // First reconnect delay, doubled after each failed attempt
+  maxRetryMs: 10000, // Longest reconnect delay
+  maxBufferedBytes: 256 * 1024, // Frames are skipped while more than this waits to be sent
+  digits: 4, // Decimal places landmarks are rounded to, about a tenth of a pixel at 1080p
+};
+
+/**
+ * @typedef {Object} StreamSettings
+ * @property {boolean} enabled - Whether to publish
+ * @property {string} url - WebSocket endpoint
+ */
+
+/**
+ * Loads the stream settings chosen last time
+ * @returns {StreamSettings} Settings, off and pointed at STREAM_CONFIG.url by default
+ */
+export const loadStreamSettings = () => {
+  const defaults = { enabled: false, url: STREAM_CONFIG.url };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return {
+      enabled: saved?.enabled === true,
+      url: typeof saved?.url === "string" && saved.url ? saved.url : defaults.url,
+    };
+  } catch {
+    return defaults;
+  }
+};
+
+/**
+ * Saves the stream settings for next time
+ * @param {StreamSettings} settings - Settings
+ */
+export const saveStreamSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage can be unavailable (private mode, quota); the settings just won't persist
+  }
+};
+
+/**
+ * Rounds landmarks into compact [x, y, z] triples
+ * @param {Array|null} landmarks - Landmarks with x, y, z properties
+ * @returns {Array|null} Triples, or null when there are no landmarks
+ */
+const packLandmarks = (landmarks) => {
+  // The tracker gives hands without world landmarks an empty array
+  if (!landmarks || landmarks.length === 0) return null;
+  const factor = 10 ** STREAM.digits;
+  const round = (value) => Math.round((value || 0) * factor) / factor;
+  return landmarks.map(({ x, y, z }) => [round(x), round(y), round(z)]);
+};
+
+/**
+ * Builds a frame message
+ * @param {import("./experiments.js").DetectionFrame} frame - The frame
+ * @param {Object} options - Message context
+ * @param {string|null} options.experiment - Running experiment id
+ * @param {boolean} options.mirrored - Whether the landmarks are mirrored
+ * @param {Object} options.gestures - Static gesture name (or null) by hand id
+ * @returns {Object} Message
+ */
+export const createFrameMessage = (frame, { experiment = null, mirrored = false, gestures = {} } = {}) => ({
+  v: STREAM_PROTOCOL_VERSION,
+  type: "frame",
+  t: frame.timestamp,
+  experiment,
+  mirrored,
+  hands: frame.hands.map(({ id, handedness, landmarks, worldLandmarks }) => ({
+    id,
+    handedness,
+    gesture: gestures[id] || null,
+    landmarks: packLandmarks(landmarks),
+    worldLandmarks: packLandmarks(worldLandmarks),
+  })),
+});
+
+/**
+ * Builds an event message
+ * @param {string} name - Event name
+ * @param {Object} detail - Event detail, sent as given
+ * @param {Object} options - Message context
+ * @param {number} options.t - Time in milliseconds
+ * @param {string|null} options.experiment - Running experiment id
+ * @returns {Object} Message
+ */
+export const createEventMessage = (name, detail, { t, experiment = null }) => ({
+  v: STREAM_PROTOCOL_VERSION,
+  type: "event",
+  t,
+  experiment,
+  name,
+  detail: detail ?? null,
+});
+
+/**
+ * Creates a stream that publishes to a WebSocket endpoint, reconnecting when it drops
+ * @param {Object} options - Stream options
+ * @param {string} options.url - WebSocket endpoint (default: STREAM_CONFIG.url)
+ * @param {number} options.maxFps - Most frames a second (default: STREAM_CONFIG.maxFps)
+ * @param {Function} options.onStatus - Called with 'connecting', 'open' or 'closed' as the connection changes
+ * @param {Function} options.WebSocket - WebSocket constructor (default: the browser's)
+ * @param {Function} options.now - Clock in milliseconds (default: performance.now)
+ * @returns {Object} Stream with setExperiment, publishFrame, publishEvent, getStatus and close methods
+ */
+export const createLandmarkStream = ({
+  url = STREAM_CONFIG.url,
+  maxFps = STREAM_CONFIG.maxFps,
+  onStatus = () => {},
+  WebSocket: Socket = globalThis.WebSocket,
+  now = () => performance.now(),
+} = {}) => {
+  let socket = null;
+  let status = "closed";
+  let retryTimer = null;
+  let attempts = 0;
+  let closed = false;
+  let experiment = null;
+  let lastFrameTime = -Infinity;
+  let handGestures = new Map();
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    onStatus(next);
+  };
+
+  const send = (message) => {
+    if (!socket || socket.readyState !== Socket.OPEN) return false;
+    socket.send(JSON.stringify(message));
+    return true;
+  };
+
+  const scheduleRetry = () => {
+    if (closed || retryTimer) return;
+    const delay = Math.min(STREAM.maxRetryMs, STREAM.retryMs * 2 ** attempts);
+    attempts++;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const connect = () => {
+    setStatus("connecting");
+    try {
+      socket = new Socket(url);
+    } catch (error) {
+      // A malformed URL throws rather than failing the connection
+      console.error(`Could not open the landmark stream to ${url}`, error);
+      socket = null;
+      setStatus("closed");
+      scheduleRetry();
+      return;
+    }
+
+    const current = socket;
+    current.onopen = () => {
+      attempts = 0;
+      setStatus("open");
+      send({ v: STREAM_PROTOCOL_VERSION, type: "hello", t: now(), source: "pose-detection-sandbox", experiment });
+    };
+    current.onclose = () => {
+      if (socket !== current) return;
+      socket = null;
+      setStatus("closed");
+      scheduleRetry();
+    };
+    // Errors are followed by close, which retries
+    current.onerror = () => {};
+  };
+
+  const publishEvent = (name, detail, t = now()) => send(createEventMessage(name, detail, { t, experiment }));
+
+  /**
+   * Reports hands whose static gesture changed, and forgets hands that left
+   * @param {Object} gestures - Gesture name (or null) by hand id
+   * @param {number} t - Frame time in milliseconds
+   */
+  const publishGestureChanges = (gestures, t) => {
+    const next = new Map(Object.entries(gestures).map(([id, gesture]) => [Number(id), gesture || null]));
+
+    handGestures.forEach((gesture, hand) => {
+      if (gesture && next.get(hand) !== gesture) publishEvent("gesture-end", { hand, gesture }, t);
+    });
+    next.forEach((gesture, hand) => {
+      if (gesture && handGestures.get(hand) !== gesture) publishEvent("gesture-start", { hand, gesture }, t);
+    });
+    handGestures = next;
+  };
+
+  connect();
+
+  return {
+    /**
+     * Sets the experiment messages are tagged with, and announces it
+     * @param {string|null} id - Experiment id, or null on the selection screen
+     */
+    setExperiment: (id) => {
+      if (id === experiment) return;
+      experiment = id;
+      handGestures = new Map();
+      publishEvent("experiment", { id });
+    },
+
+    /**
+     * Publishes a frame, unless one went out too recently or the socket is backed up
+     * @param {import("./experiments.js").DetectionFrame} frame - The frame
+     * @param {Object} options - { mirrored, gestures: static gesture name (or null) by hand id }
+     * @returns {boolean} Whether the frame was sent
+     */
+    publishFrame: (frame, { mirrored = false, gestures = {} } = {}) => {
+      publishGestureChanges(gestures, frame.timestamp);
+
+      if (frame.timestamp - lastFrameTime < 1000 / maxFps) return false;
+      if (socket && socket.bufferedAmount > STREAM.maxBufferedBytes) return false;
+      if (!send(createFrameMessage(frame, { experiment, mirrored, gestures }))) return false;
+
+      lastFrameTime = frame.timestamp;
+      return true;
+    },
+
+    /**
+     * Publishes an experiment event
+     * @param {string} name - Event name
+     * @param {Object} detail - Event detail
+     * @returns {boolean} Whether the event was sent
+     */
+    publishEvent: (name, detail) => publishEvent(name, detail),
+
+    /**
+     * Gets the connection state
+     * @returns {string} 'connecting', 'open' or 'closed'
+     */
+    getStatus: () => status,
+
+    /**
+     * Closes the connection and stops reconnecting
+     */
+    close: () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      if (socket) {
+        const current = socket;
+        socket = null;
+        current.close();
+      }
+      setStatus("closed");
+    },
+  };
+};
@@ -1,267 +1,812 @@
-import { setDebug, dist, handTo3D, dist3D } from "./utils.js";
-import { startWebcam } from "./camera.js";
-import { drawHand, triggerConfetti } from "./renderer.js";
+import { getBodyDebugSections, downloadJSON, downloadBlob } from "./utils.js";
+import { createDebugPanel } from "./debugPanel.js";
 import {
-  initHandLandmarker,
-  getHandLandmarker,
-  isFist,
-  getFistOrientation,
-  isPeace,
-  isThumbsUp,
-  handsClose,
-  getFistRotation,
-} from "./handDetection.js";
+  startWebcam,
+  stopWebcam,
+  listCameras,
+  mirrorResults,
+  loadCameraSettings,
+  saveCameraSettings,
+  RESOLUTIONS,
+  FRAME_RATES,
+} from "./camera.js";
+import { drawHands, drawPose, drawFace, getHandColor, resolveOverlay } from "./renderer.js";
+import { getHandRig } from "./handRig.js";
+import { createLandmarkStream, loadStreamSettings, saveStreamSettings } from "./landmarkStream.js";
+import { getIsInitialized as isSceneInitialized, updateHandRigs } from "./threeScene.js";
+import { detectGesture } from "./gestures.js";
+import { createSessionVideoRecorder } from "./sessionVideo.js";
+import { getProjectionView, getVideoRect, setProjectionView } from "./projection.js";
 import {
-  initThreeScene,
-  setCylinderPosition,
-  setCylinderRotation,
-  setCylinderVisibility,
-  getCylinderPosition,
-  resetCylinderPosition,
-  render as render3D,
-  updateSize as update3DSize,
-  getIsInitialized,
-} from "./threeScene.js";
+  createSessionRecorder,
+  createReplaySource,
+  parseRecording,
+  downloadRecording,
+} from "./recording.js";
+import { mainThreadBackend, getDetectorLabel } from "./detection.js";
+import { canDetectInWorker, createWorkerBackend } from "./workerDetection.js";
+import { createFrameMetrics, createAdaptiveRate } from "./metrics.js";
+import { loadExperiments, getExperiments, getExperiment, getDetectors } from "./experiments.js";
+import { createLandmarkSmoother, DEFAULT_SMOOTHING } from "./filters.js";
+import { createHandTracker, findHand } from "./handTracking.js";
+import {
+  createHandCursor,
+  createPointerDispatcher,
+  drawCursor,
+  loadCursorMode,
+  saveCursorMode,
+} from "./handCursor.js";
+import { MEDIAPIPE_CONFIG, DETECTION_CONFIG } from "./config.js";
+import {
+  DEFAULT_PROFILE,
+  getActiveProfile,
+  setActiveProfile,
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  parseProfile,
+  loadActiveProfileName,
+  saveActiveProfileName,
+} from "./profiles.js";
+import { loadGestureSet, setActiveGestureSet } from "./customGestures.js";
 
 const video = document.getElementById("webcam");
 const canvas = document.getElementById("canvas");
 const canvas3D = document.getElementById("canvas-3d");
+const canvasEffects = document.getElementById("canvas-effects");
 const debugEl = document.getElementById("debug");
 const debugContentEl = document.getElementById("debug-content");
 const debugToggleCheckbox = document.getElementById("debug-toggle-checkbox");
 const selectionScreen = document.getElementById("selection-screen");
 const experimentButtonsContainer = document.getElementById("experiment-buttons");
+const cameraNoticeEl = document.querySelector(".camera-notice");
+const defaultCameraNotice = cameraNoticeEl.textContent;
+const modelStatusEl = document.getElementById("model-status");
+const modelStatusTextEl = document.getElementById("model-status-text");
+const modelProgressEl = document.getElementById("model-progress");
+const modelRetryButton = document.getElementById("model-retry-button");
+const cameraErrorEl = document.getElementById("camera-error");
+const cameraErrorMessageEl = document.getElementById("camera-error-message");
+const cameraRetryButton = document.getElementById("camera-retry-button");
+const cameraSelect = document.getElementById("camera-select");
+const resolutionSelect = document.getElementById("resolution-select");
+const frameRateSelect = document.getElementById("frame-rate-select");
+const mirrorCheckbox = document.getElementById("mirror-checkbox");
+const cursorModeSelect = document.getElementById("cursor-mode-select");
+const streamCheckbox = document.getElementById("stream-checkbox");
+const streamUrlInput = document.getElementById("stream-url-input");
+const streamStatusEl = document.getElementById("stream-status");
+const handCursorEl = document.getElementById("hand-cursor");
+const profileSelect = document.getElementById("profile-select");
+const profileExportButton = document.getElementById("profile-export-button");
+const profileDeleteButton = document.getElementById("profile-delete-button");
+const profileImportInput = document.getElementById("profile-import-input");
+const profileMessageEl = document.getElementById("profile-message");
+const replayFileInput = document.getElementById("replay-file-input");
+const recordButton = document.getElementById("record-button");
+const videoRecordButton = document.getElementById("video-record-button");
+const metricsButton = document.getElementById("metrics-button");
+const replayControlsEl = document.getElementById("replay-controls");
+const replayPlayButton = document.getElementById("replay-play-button");
+const replayStepBackButton = document.getElementById("replay-step-back-button");
+const replayStepButton = document.getElementById("replay-step-button");
+const replayFrameEl = document.getElementById("replay-frame");
+const backButton = document.getElementById("back-button");
+const smoothingCheckbox = document.getElementById("smoothing-checkbox");
+const smoothingCutoffInput = document.getElementById("smoothing-cutoff");
+const smoothingBetaInput = document.getElementById("smoothing-beta");
 const ctx = canvas.getContext("2d");
 
-let lastDetections = null;
-let currentExperimentId = null;
+/**
+ * Picks where detection runs: a Web Worker when it's turned on and the browser supports one,
+ * else the main thread
+ * @returns {Object} Detection backend
+ */
+const createDetectionBackend = () => {
+  if (!DETECTION_CONFIG.useWorker || !canDetectInWorker()) return mainThreadBackend;
 
-// Array of available experiments
-const experiments = [
-  { name: "Fist Bump", id: "fist-bump" },
-  { name: "Table Tennis", id: "table-tennis" },
+  try {
+    return createWorkerBackend();
+  } catch (error) {
+    console.warn("Could not start the detection worker, detecting on the main thread", error);
+    return mainThreadBackend;
+  }
+};
+
+let currentExperiment = null;
+let experimentContext = null;
+let detectionSource = null;
+let latestResults = null;
+let pendingRecording = null;
+let animationFrameId = null;
+let sessionId = 0;
+let retryExperimentId = null;
+let modelRetryTypes = ["hands"];
+let cameraSettings = loadCameraSettings();
+let cursorMode = loadCursorMode();
+let cursorSource = null;
+let cursorResults = null;
+let cursorFrameId = null;
+let streamSettings = loadStreamSettings();
+let landmarkStream = null;
+
+const recorder = createSessionRecorder();
+const videoRecorder = createSessionVideoRecorder({
+  layers: [
+    { canvas, getRect: (width, height) => getVideoRect({ ...getProjectionView(), width, height }) },
+    canvas3D,
+    canvasEffects,
+  ],
+});
+const metrics = createFrameMetrics();
+const detectionRate = createAdaptiveRate(DETECTION_CONFIG);
+let detectionBackend = createDetectionBackend();
+const debugPanel = createDebugPanel(debugContentEl);
+const landmarkSmoother = createLandmarkSmoother();
+const worldLandmarkSmoother = createLandmarkSmoother();
+const poseSmoother = createLandmarkSmoother();
+const poseWorldSmoother = createLandmarkSmoother();
+const faceSmoother = createLandmarkSmoother();
+const smoothers = [
+  landmarkSmoother,
+  worldLandmarkSmoother,
+  poseSmoother,
+  poseWorldSmoother,
+  faceSmoother,
 ];
+let handTracker = createHandTracker({ inputMirrored: cameraSettings.mirrored });
+const handCursor = createHandCursor({ mode: cursorMode === "off" ? "pinch" : cursorMode });
+const pointerDispatcher = createPointerDispatcher();
+
+/**
+ * Builds the context object handed to experiment lifecycle hooks
+ * @param {number} width - Source frame width
+ * @param {number} height - Source frame height
+ * @returns {Object} Experiment context
+ */
+const createExperimentContext = (width, height) => ({
+  canvas,
+  ctx,
+  canvas3D,
+  width,
+  height,
+  mirrored: cameraSettings.mirrored,
+  logEvent: (type, detail) => {
+    videoRecorder.addEvent(performance.now(), type, detail);
+    if (landmarkStream) landmarkStream.publishEvent(type, detail);
+  },
+});
 
 /**
- * Generates debug info for the Fist Bump experiment
- * @param {Array} lastDetections - Array of hand landmark detections
- * @returns {Object} Debug info object
- */
-const getFistBumpDebug = (lastDetections) => {
-  let debug = {
-    hands: lastDetections.length,
-    distance: "-",
-    handA_fist: "-",
-    handB_fist: "-",
-    handA_orient: "-",
-    handB_orient: "-",
-    facing: "-",
-    close: "-",
-    handA_peace: "-",
-    handB_peace: "-",
-    handA_thumb: "-",
-    handB_thumb: "-",
+ * Smooths the first body or face of a frame's results
+ * Passing nothing when it is lost makes its filters start fresh when it returns
+ * @param {Object} smoother - Landmark smoother
+ * @param {Array} groups - Per-person or per-face arrays of landmarks (may be missing)
+ * @param {number} now - Frame time in milliseconds
+ * @param {boolean} smoothing - Whether smoothing is on
+ * @returns {Array|null} Landmarks of the first one, or null if there is none
+ */
+const smoothFirst = (smoother, groups = [], now, smoothing) => {
+  const first = groups.slice(0, 1);
+  const [landmarks] = smoothing ? smoother.smooth(first, now) : first;
+  return landmarks || null;
+};
+
+/**
+ * Builds the debug panel section showing frame rates, inference latency and dropped frames
+ * @param {number} now - Frame time in milliseconds
+ * @returns {import("./debugPanel.js").DebugSection} Performance section
+ */
+const getPerformanceSection = (now) => {
+  const stats = metrics.getStats(now);
+  const replaying = detectionSource.isReplay;
+  const fpsGraph = { min: 0, max: 60 };
+
+  return {
+    title: "Performance",
+    fields: [
+      { label: "Render FPS", type: "number", value: stats.renderFps, digits: 0, graph: fpsGraph },
+      { label: "Detection FPS", type: "number", value: replaying ? null : stats.detectionFps, digits: 0, graph: fpsGraph },
+      { label: "Inference", type: "number", unit: "ms", value: stats.latency, digits: 1, graph: { min: 0 } },
+      { label: "Dropped / s", type: "number", value: stats.dropped, digits: 0, graph: { min: 0 } },
+      { label: "Dropped Total", type: "number", value: stats.totalDropped, digits: 0 },
+      { label: "Detect Every", type: "number", unit: "ms", value: replaying ? null : detectionRate.getInterval(), digits: 0 },
+      {
+        label: "Runs On",
+        type: "text",
+        value: replaying
+          ? "recording"
+          : `${detectionBackend.inWorker ? "worker" : "main thread"} (${detectionBackend.getDelegate()})`,
+      },
+    ],
   };
+};
 
-  if (lastDetections.length === 2) {
-    const [A, B] = lastDetections;
-
-    debug.distance = dist(A[0], B[0]).toFixed(3);
-
-    const fistA = isFist(A);
-    const fistB = isFist(B);
-    const orientA = getFistOrientation(A);
-    const orientB = getFistOrientation(B);
-    const peaceA = isPeace(A);
-    const peaceB = isPeace(B);
-    const thumbA = isThumbsUp(A);
-    const thumbB = isThumbsUp(B);
-
-    const facingEachOther =
-      (orientA === "left" && orientB === "right") ||
-      (orientA === "right" && orientB === "left");
-    const close = handsClose(A, B);
-
-    debug.handA_fist = fistA;
-    debug.handB_fist = fistB;
-    debug.handA_orient = orientA;
-    debug.handB_orient = orientB;
-    debug.facing = facingEachOther;
-    debug.close = close;
-    debug.handA_peace = peaceA;
-    debug.handB_peace = peaceB;
-    debug.handA_thumb = thumbA;
-    debug.handB_thumb = thumbB;
-
-    if (fistA && fistB && facingEachOther && close) {
-      const midX = (A[0].x + B[0].x) / 2;
-      const midY = (A[0].y + B[0].y) / 2;
-      triggerConfetti(midX, midY, "FIST BUMP!");
-    }
+/**
+ * Main render loop for hand, pose and face detection
+ * Detects what the experiment asked for and hands the frame to the current experiment
+ */
+const renderLoop = () => {
+  if (detectionSource.isReplay) {
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  } else if (cameraSettings.mirrored) {
+    ctx.save();
+    ctx.translate(canvas.width, 0);
+    ctx.scale(-1, 1);
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+  } else {
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  }
+
+  const now = performance.now();
+  metrics.recordRender(now);
+
+  if (!detectionSource.isReplay && detectionBackend.isBroken()) moveDetectionToMainThread();
+
+  // Detection may skip frames or run behind in the worker, so keep using the latest results
+  const detected = detectionSource.detect(now);
+  if (detected) {
+    latestResults = detected;
+    if (recorder.isRecording()) recorder.addFrame(now, detected);
   }
 
-  return debug;
-};
-
-/**
- * Generates debug info for the Table Tennis experiment
- * @param {Array} lastDetections - Array of hand landmark detections
- * @returns {Object} Debug info object
- */
-const getTableTennisDebug = (lastDetections) => {
-  let debug = {
-    hands: lastDetections.length,
-    distance: "-",
-    handA_fist: "-",
-    handB_fist: "-",
-    handA_orient: "-",
-    handB_orient: "-",
-    facing: "-",
-    close: "-",
-    handA_peace: "-",
-    handB_peace: "-",
-    handA_thumb: "-",
-    handB_thumb: "-",
-    handA_pos3D: "-",
-    handB_pos3D: "-",
-    handA_rotation: "-",
-    handB_rotation: "-",
+  // Recordings keep what the camera saw; mirroring is applied on the way in
+  const results = cameraSettings.mirrored ? mirrorResults(latestResults) : latestResults;
+  const smoothing = smoothingCheckbox.checked;
+
+  // Give hands stable ids first so each hand keeps its own filters
+  const tracked = handTracker.update(results, now);
+  const ids = tracked.map((hand) => hand.id);
+  const rawLandmarks = tracked.map((hand) => hand.landmarks);
+  const rawWorldLandmarks = tracked.map((hand) => hand.worldLandmarks);
+  const landmarks = smoothing ? landmarkSmoother.smooth(rawLandmarks, now, ids) : rawLandmarks;
+  const worldLandmarks = smoothing
+    ? worldLandmarkSmoother.smooth(rawWorldLandmarks, now, ids)
+    : rawWorldLandmarks;
+
+  const hands = tracked.map((hand, i) => ({
+    ...hand,
+    landmarks: landmarks[i],
+    worldLandmarks: worldLandmarks[i],
+    rawLandmarks: rawLandmarks[i],
+  }));
+
+  const poseLandmarks = smoothFirst(poseSmoother, results.pose?.landmarks, now, smoothing);
+  const poseWorldLandmarks = smoothFirst(poseWorldSmoother, results.pose?.worldLandmarks, now, smoothing);
+  const faceLandmarks = smoothFirst(faceSmoother, results.face?.landmarks, now, smoothing);
+
+  const frame = {
+    timestamp: now,
+    hands,
+    landmarks,
+    worldLandmarks,
+    rawLandmarks,
+    pose: poseLandmarks && {
+      landmarks: poseLandmarks,
+      worldLandmarks: poseWorldLandmarks || [],
+      rawLandmarks: results.pose.landmarks[0],
+    },
+    face: faceLandmarks && {
+      landmarks: faceLandmarks,
+      rawLandmarks: results.face.landmarks[0],
+    },
   };
 
-  if (lastDetections.length > 0) {
-    const handA = lastDetections[0];
-    const handA3D = handTo3D(handA, canvas.width, canvas.height);
-    const handAFist = isFist(handA);
-    const handARotation = handAFist ? getFistRotation(handA) : null;
-    
-    debug.handA_fist = handAFist;
-    debug.handA_pos3D = `(${handA3D.x.toFixed(2)}, ${handA3D.y.toFixed(2)}, ${handA3D.z.toFixed(2)})`;
-    
-    if (handARotation) {
-      debug.handA_rotation = `P:${(handARotation.x * 180 / Math.PI).toFixed(1)}° Y:${(handARotation.y * 180 / Math.PI).toFixed(1)}° R:${(handARotation.z * 180 / Math.PI).toFixed(1)}°`;
+  if (detectionSource.isReplay) {
+    updateReplayControls();
+  }
+
+  // Draw the landmarks the experiment asks for, or all of them in debug mode
+  const overlay = resolveOverlay(currentExperiment.overlay, debugToggleCheckbox.checked);
+
+  // Pose the 3D hands before the experiment renders its scene
+  if (isSceneInitialized()) {
+    updateHandRigs(overlay.hands3D ? getSceneHandRigs(frame.hands, overlay.hands?.colorBy) : []);
+  }
+
+  currentExperiment.update(frame, experimentContext);
+
+  // Classify each hand once, for the overlay labels, the video sidecar and the stream
+  const showGestures = overlay.hands && (overlay.hands.labels || overlay.hands.highlight);
+  const needGestures = showGestures || videoRecorder.isRecording() || landmarkStream;
+  const gestures = needGestures ? detectGestures(frame.hands) : {};
+
+  if (overlay.face && frame.face) drawFace(ctx, frame.face.landmarks, canvas);
+  if (overlay.pose && frame.pose) drawPose(ctx, frame.pose.landmarks, canvas);
+  if (overlay.hands) drawHands(ctx, frame.hands, canvas, overlay.hands, gestures);
+
+  if (videoRecorder.isRecording() || landmarkStream) {
+    const gestureNames = Object.fromEntries(frame.hands.map(({ id }) => [id, gestures[id]?.name]));
+
+    if (videoRecorder.isRecording()) {
+      videoRecorder.addFrame(now, frame.hands.map(({ id, handedness, landmarks }) => ({
+        id,
+        handedness,
+        landmarks,
+        gesture: gestureNames[id],
+      })));
+    }
+    if (landmarkStream) {
+      landmarkStream.publishFrame(frame, { mirrored: cameraSettings.mirrored, gestures: gestureNames });
     }
+  }
+
+  // Show the experiment's debug sections, plus body and face details when they are detected
+  debugPanel.update([
+    ...(currentExperiment.getDebugInfo
+      ? currentExperiment.getDebugInfo(frame, experimentContext)
+      : [{ title: "Detection", fields: [{ label: "Hands", type: "number", value: frame.hands.length, digits: 0 }] }]),
+    ...getBodyDebugSections(frame, getDetectors(currentExperiment)),
+    getPerformanceSection(now),
+  ]);
+
+  // Recorded hands don't get to click things
+  if (cursorMode !== "off" && !detectionSource.isReplay) {
+    updateHandCursor(frame.hands, now);
+  }
+
+  animationFrameId = requestAnimationFrame(renderLoop);
+};
+
+/**
+ * Names the gesture each hand is making, checking taught gestures first (see detectGesture)
+ * @param {Array} hands - Tracked hands for the frame
+ * @returns {Object} detectGesture result (or null) by hand id
+ */
+const detectGestures = (hands) =>
+  Object.fromEntries(hands.map(({ id, handedness, landmarks }) => [
+    id,
+    detectGesture(landmarks, {
+      handedness,
+      aspect: canvas.width / canvas.height,
+      mirrored: cameraSettings.mirrored,
+    }),
+  ]));
+
+/**
+ * Builds a 3D rig for each hand that has world landmarks, colored like its 2D skeleton
+ * @param {Array} hands - Tracked hands for the frame
+ * @param {string} colorBy - 'handedness' or 'id' (default: the overlay default)
+ * @returns {Array<Object>} HandRigs with a color each
+ */
+const getSceneHandRigs = (hands, colorBy) =>
+  hands
+    .map((hand) => {
+      const rig = getHandRig(hand);
+      return rig && { ...rig, color: getHandColor(hand, colorBy) };
+    })
+    .filter(Boolean);
+
+/**
+ * Moves the hand cursor with the right hand, or any hand, and fires its pointer events
+ * @param {Array} hands - Tracked hands for the frame
+ * @param {number} now - Frame time in milliseconds
+ */
+const updateHandCursor = (hands, now) => {
+  const hand = findHand(hands, "right", true);
+  const state = handCursor.update(hand ? hand.landmarks : null, now);
+  pointerDispatcher.dispatch(state.events);
+  drawCursor(handCursorEl, state);
+};
+
+/**
+ * Takes the hand cursor off the screen
+ */
+const hideHandCursor = () => {
+  handCursor.reset();
+  pointerDispatcher.reset();
+  drawCursor(handCursorEl, { visible: false, x: 0, y: 0, pressed: false, dwellProgress: 0 });
+};
+
+/**
+ * Detects hands on the selection screen, only to drive the hand cursor
+ */
+const cursorLoop = () => {
+  const now = performance.now();
+  if (detectionBackend.isBroken()) moveDetectionToMainThread();
+  const detected = cursorSource.detect(now);
+  if (detected) cursorResults = detected;
+
+  const results = cameraSettings.mirrored ? mirrorResults(cursorResults) : cursorResults;
+  updateHandCursor(handTracker.update(results, now), now);
+  cursorFrameId = requestAnimationFrame(cursorLoop);
+};
 
-    if (lastDetections.length > 1) {
-      const handB = lastDetections[1];
-      const handB3D = handTo3D(handB, canvas.width, canvas.height);
-      const handBFist = isFist(handB);
-      const handBRotation = handBFist ? getFistRotation(handB) : null;
-      
-      debug.handB_fist = handBFist;
-      debug.handB_pos3D = `(${handB3D.x.toFixed(2)}, ${handB3D.y.toFixed(2)}, ${handB3D.z.toFixed(2)})`;
-      
-      if (handBRotation) {
-        debug.handB_rotation = `P:${(handBRotation.x * 180 / Math.PI).toFixed(1)}° Y:${(handBRotation.y * 180 / Math.PI).toFixed(1)}° R:${(handBRotation.z * 180 / Math.PI).toFixed(1)}°`;
-      }
+/**
+ * Starts the camera and hand detection for the hand cursor on the selection screen
+ * Experiments run their own detection and move the cursor from their render loop.
+ */
+const startCursorSession = async () => {
+  if (cursorMode === "off" || currentExperiment || cursorSource) return;
+  const session = ++sessionId;
+
+  try {
+    await loadModels(["hands"]);
+    if (session !== sessionId) return;
+
+    await startWebcam(video, canvas, cameraSettings, stopCursorSession);
+    if (session !== sessionId) {
+      stopWebcam(video);
+      return;
     }
+
+    refreshCameraList();
+    cursorSource = detectionBackend.createSource(video, ["hands"], { rate: detectionRate, metrics });
+    cursorResults = { landmarks: [], worldLandmarks: [], handedness: [] };
+    detectionRate.reset();
+    handTracker.reset();
+    syncProjectionView();
+    cursorLoop();
+  } catch (error) {
+    if (session !== sessionId) return;
+    console.error("The hand cursor could not start the camera", error);
+    stopCursorSession();
   }
+};
 
-  return debug;
+/**
+ * Stops the selection screen's camera and hides the hand cursor
+ */
+const stopCursorSession = () => {
+  sessionId++;
+  cancelAnimationFrame(cursorFrameId);
+  cursorFrameId = null;
+
+  if (cursorSource) {
+    if (cursorSource.close) cursorSource.close();
+    cursorSource = null;
+    stopWebcam(video);
+  }
+  cursorResults = null;
+  hideHandCursor();
 };
 
 /**
- * Gets the appropriate debug generator function for the current experiment
- * @param {string} experimentId - The current experiment ID
- * @returns {Function} Debug generator function
+ * Runs the experiment's setup and starts the render loop
+ * @param {number} width - Source frame width
+ * @param {number} height - Source frame height
  */
-const getDebugGenerator = (experimentId) => {
-  switch (experimentId) {
-    case "fist-bump":
-      return getFistBumpDebug;
-    case "table-tennis":
-      return getTableTennisDebug;
-    default:
-      return getTableTennisDebug; // Default to basic debug
+const beginRendering = (width, height) => {
+  syncProjectionView();
+  experimentContext = createExperimentContext(width, height);
+  if (landmarkStream) landmarkStream.setExperiment(currentExperiment.id);
+  latestResults = { landmarks: [], worldLandmarks: [], handedness: [] };
+  metrics.reset();
+  detectionRate.reset();
+  handTracker.reset();
+  applySmoothingSettings(currentExperiment.smoothing);
+  if (currentExperiment.setup) {
+    currentExperiment.setup(experimentContext);
   }
+  renderLoop();
 };
 
 /**
- * Main render loop for hand detection and gesture recognition
- * Detects hands, analyzes gestures, and triggers effects
+ * Tells the projection where the video is shown: the viewport, the frame size and how
+ * CSS fits the frame into the viewport
  */
-const renderLoop = () => {
-  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+const syncProjectionView = () => {
+  setProjectionView({
+    width: window.innerWidth,
+    height: window.innerHeight,
+    videoWidth: canvas.width,
+    videoHeight: canvas.height,
+    fit: getComputedStyle(canvas).objectFit,
+  });
+};
+
+/**
+ * Swaps the selection screen for the experiment view
+ */
+const showExperimentScreen = () => {
+  // Hide selection screen
+  selectionScreen.classList.add("hidden");
 
-  const handLandmarker = getHandLandmarker();
-  const results = handLandmarker.detectForVideo(video, performance.now());
-  lastDetections = results.landmarks || [];
+  // Show debug panel and the way back
+  debugEl.style.display = "block";
+  backButton.classList.remove("hidden");
+};
+
+/**
+ * Starts an experiment: loads its detectors, then hides the selection screen and initializes the camera
+ * Replays the loaded recording instead when one has been selected, this time only
+ * @param {string} experimentId - Id of a registered experiment
+ */
+const startExperiment = async (experimentId) => {
+  // The experiment starts the camera again with its own detectors
+  stopCursorSession();
+  currentExperiment = getExperiment(experimentId);
+  const session = ++sessionId;
+  hideCameraError();
 
-  // Handle 3D scene for table tennis experiment
-  if (currentExperimentId === "table-tennis" && getIsInitialized()) {
-    handleTableTennis3D();
+  if (pendingRecording) {
+    showExperimentScreen();
+    detectionSource = createReplaySource(pendingRecording);
+    // A file replays once; the next start uses the camera unless another is picked
+    pendingRecording = null;
+    replayFileInput.value = "";
+    cameraNoticeEl.textContent = defaultCameraNotice;
+    recordButton.classList.add("hidden");
+    replayControlsEl.classList.remove("hidden");
+    canvas.width = detectionSource.width;
+    canvas.height = detectionSource.height;
+    beginRendering(detectionSource.width, detectionSource.height);
+    return;
   }
+  
+  try {
+    // Load the models while the selection screen can still show their progress
+    const detectors = getDetectors(currentExperiment);
+    await loadModels(detectors);
+    if (session !== sessionId) return;
+
+    showExperimentScreen();
+    const camera = await startWebcam(video, canvas, cameraSettings, handleCameraLost);
 
-  if (lastDetections.length > 0) {
-    // Only draw hand points if debug is enabled
-    if (debugToggleCheckbox.checked) {
-      lastDetections.forEach((landmarks) =>
-        drawHand(ctx, landmarks, canvas)
-      );
+    // The user may have gone back while the camera was starting
+    if (session !== sessionId) {
+      stopWebcam(video);
+      return;
     }
+
+    // Device labels are only readable once access has been granted
+    refreshCameraList();
+    detectionSource = detectionBackend.createSource(video, detectors, { rate: detectionRate, metrics });
+    beginRendering(camera.width, camera.height);
+  } catch (error) {
+    if (session !== sessionId) return;
+    stopExperiment();
+    showCameraError(error, experimentId);
   }
+};
 
-  // Get experiment-specific debug info
-  const debugGenerator = getDebugGenerator(currentExperimentId);
-  const debug = debugGenerator(lastDetections);
+/**
+ * Returns to the selection screen when the camera stops mid-session
+ * @param {import("./camera.js").CameraError} error - Why the camera stopped
+ */
+const handleCameraLost = (error) => {
+  if (!currentExperiment || detectionSource?.isReplay) return;
+
+  const experimentId = currentExperiment.id;
+  stopExperiment();
+  showCameraError(error, experimentId);
+};
 
-  setDebug(debugContentEl, debug);
+/**
+ * Shows an error on the selection screen with a button to try the experiment again
+ * @param {Error} error - CameraError, or any error from starting the experiment
+ * @param {string} experimentId - Experiment to start on retry
+ */
+const showCameraError = (error, experimentId) => {
+  console.error(error);
+  retryExperimentId = experimentId;
+  cameraErrorMessageEl.textContent = error.message;
+  cameraErrorEl.classList.remove("hidden");
+};
 
-  requestAnimationFrame(renderLoop);
+/**
+ * Hides the camera error
+ */
+const hideCameraError = () => {
+  retryExperimentId = null;
+  cameraErrorEl.classList.add("hidden");
 };
 
 /**
- * Handles 3D interaction for table tennis experiment
- * Cylinder always follows hand A when it's in fist pose
+ * Stops the running experiment, releases the camera and returns to the selection screen
  */
-const handleTableTennis3D = () => {
-  if (!lastDetections || lastDetections.length === 0) {
-    // Hide cylinder when no hands detected
-    setCylinderVisibility(false);
-    render3D();
-    return;
+const stopExperiment = () => {
+  sessionId++;
+  cancelAnimationFrame(animationFrameId);
+  animationFrameId = null;
+
+  if (recorder.isRecording()) {
+    saveRecording();
+  }
+  if (videoRecorder.isRecording()) {
+    saveVideo();
   }
 
-  // Always use hand A (first hand)
-  const handA = lastDetections[0];
-  const handA3D = handTo3D(handA, canvas.width, canvas.height);
-  const handAFist = isFist(handA);
-
-  if (handAFist) {
-    // Show cylinder and follow hand A position and rotation
-    setCylinderVisibility(true);
-    setCylinderPosition(handA3D.x, handA3D.y, handA3D.z);
-    const rotation = getFistRotation(handA);
-    setCylinderRotation(rotation.x, rotation.y, rotation.z);
-  } else {
-    // Hide cylinder when hand A is not in fist pose
-    setCylinderVisibility(false);
+  if (currentExperiment && experimentContext && currentExperiment.teardown) {
+    currentExperiment.teardown(experimentContext);
   }
+  if (detectionSource && detectionSource.close) {
+    detectionSource.close();
+  }
+  currentExperiment = null;
+  if (landmarkStream) landmarkStream.setExperiment(null);
+  experimentContext = null;
+  detectionSource = null;
+  latestResults = null;
+
+  stopWebcam(video);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-  render3D();
+  hideHandCursor();
+  debugPanel.reset();
+  debugEl.style.display = "none";
+  backButton.classList.add("hidden");
+  recordButton.classList.remove("hidden");
+  replayControlsEl.classList.add("hidden");
+  selectionScreen.classList.remove("hidden");
+  // Calibration may have saved a new profile
+  refreshProfileList();
 };
 
 /**
- * Starts an experiment by hiding the selection screen and initializing the camera
+ * Applies smoothing settings to the landmark filters and the debug panel controls
+ * Experiments can pass their own defaults, or false to receive raw landmarks
+ * @param {Object|boolean} settings - Partial { minCutoff, beta, dCutoff }, or false
  */
-const startExperiment = async (experimentId) => {
-  // Store current experiment ID
-  currentExperimentId = experimentId;
-  
-  // Hide selection screen
-  selectionScreen.classList.add("hidden");
-  
-  // Show debug panel
-  debugEl.style.display = "block";
-  
-  // Initialize hand landmarker and start webcam
-  await initHandLandmarker();
-  await startWebcam(video, canvas, () => {
-    // Initialize 3D scene for table tennis experiment
-    if (experimentId === "table-tennis") {
-      initThreeScene(canvas3D, video);
-      update3DSize(video.videoWidth, video.videoHeight);
+const applySmoothingSettings = (settings = {}) => {
+  const enabled = settings !== false;
+  const next = { ...DEFAULT_SMOOTHING, ...(enabled ? settings : {}) };
+
+  smoothers.forEach((smoother) => smoother.configure(next));
+
+  smoothingCheckbox.checked = enabled;
+  smoothingCutoffInput.value = next.minCutoff;
+  smoothingBetaInput.value = next.beta;
+};
+
+/**
+ * Sets up the smoothing controls in the debug panel
+ * Min cutoff trades jitter at rest for lag, beta trades lag during fast motion for jitter
+ */
+const setupSmoothingControls = () => {
+  const onChange = () => {
+    const settings = {
+      minCutoff: Number(smoothingCutoffInput.value),
+      beta: Number(smoothingBetaInput.value),
+    };
+    smoothers.forEach((smoother) => smoother.configure(settings));
+  };
+
+  smoothingCutoffInput.addEventListener("input", onChange);
+  smoothingBetaInput.addEventListener("input", onChange);
+  smoothingCheckbox.addEventListener("change", () => {
+    smoothers.forEach((smoother) => smoother.reset());
+  });
+};
+
+/**
+ * Stops the current recording and downloads it
+ */
+const saveRecording = () => {
+  const recording = recorder.stop();
+  downloadRecording(recording, `${recording.experimentId}-${Date.now()}.json`);
+  recordButton.textContent = "Record";
+  recordButton.classList.remove("recording");
+};
+
+/**
+ * Stops the session video and downloads it with its sidecar, named alike
+ * Callers don't wait for it, so a failure is reported here rather than thrown
+ */
+const saveVideo = async () => {
+  videoRecordButton.textContent = "Record Video";
+  videoRecordButton.classList.remove("recording");
+
+  try {
+    const { video, sidecar } = await videoRecorder.stop();
+    const name = `${sidecar.experimentId}-${Date.now()}`;
+    downloadBlob(video, `${name}.webm`);
+    downloadJSON({ ...sidecar, video: `${name}.webm` }, `${name}.json`);
+  } catch (error) {
+    console.error("Could not save the session video", error);
+    cameraNoticeEl.textContent = `Could not save the video: ${error.message}`;
+  }
+};
+
+/**
+ * Downloads the session's frame-rate and latency metrics for benchmarking
+ */
+const saveMetrics = () => {
+  const detectors = getDetectors(currentExperiment);
+  const report = metrics.exportReport({
+    experimentId: currentExperiment.id,
+    replay: detectionSource.isReplay,
+    inWorker: detectionBackend.inWorker,
+    detectors,
+    delegates: Object.fromEntries(detectors.map((type) => [type, detectionBackend.getDelegate(type)])),
+    width: canvas.width,
+    height: canvas.height,
+    detectionFps: { max: DETECTION_CONFIG.maxFps, min: DETECTION_CONFIG.minFps },
+    userAgent: navigator.userAgent,
+  });
+  downloadJSON(report, `${currentExperiment.id}-metrics-${Date.now()}.json`);
+};
+
+/**
+ * Updates the replay play/pause label and frame counter
+ */
+const updateReplayControls = () => {
+  replayPlayButton.textContent = detectionSource.isPaused() ? "Play" : "Pause";
+  replayFrameEl.textContent = `${detectionSource.getFrameIndex() + 1} / ${detectionSource.getFrameCount()}`;
+};
+
+/**
+ * Sets up recording of live sessions and playback controls for replays
+ * Space toggles playback and the arrow keys step one frame while replaying
+ */
+const setupSessionControls = () => {
+  replayFileInput.addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+
+    try {
+      pendingRecording = parseRecording(await file.text());
+      cameraNoticeEl.textContent = `Replaying ${file.name} (${pendingRecording.frames.length} frames)`;
+    } catch (error) {
+      pendingRecording = null;
+      cameraNoticeEl.textContent = `Could not load ${file.name}: ${error.message}`;
+    }
+  });
+
+  metricsButton.addEventListener("click", saveMetrics);
+
+  recordButton.addEventListener("click", () => {
+    if (recorder.isRecording()) {
+      saveRecording();
+    } else {
+      recorder.start({
+        width: canvas.width,
+        height: canvas.height,
+        experimentId: currentExperiment.id,
+      });
+      recordButton.textContent = "Stop & Save";
+      recordButton.classList.add("recording");
+    }
+  });
+
+  videoRecordButton.addEventListener("click", () => {
+    if (videoRecorder.isRecording()) {
+      saveVideo();
+      return;
+    }
+
+    try {
+      // The video is the size of the viewport, so it shows what the screen shows
+      videoRecorder.start(performance.now(), {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        videoRect: getVideoRect(),
+        experimentId: currentExperiment.id,
+        mirrored: cameraSettings.mirrored,
+      });
+      videoRecordButton.textContent = "Stop & Save Video";
+      videoRecordButton.classList.add("recording");
+    } catch (error) {
+      videoRecordButton.disabled = true;
+      videoRecordButton.title = error.message;
+    }
+  });
+
+  const togglePlayback = () => {
+    if (detectionSource.isPaused()) {
+      detectionSource.resume();
+    } else {
+      detectionSource.pause();
+    }
+  };
+
+  replayPlayButton.addEventListener("click", togglePlayback);
+  replayStepBackButton.addEventListener("click", () => detectionSource.step(-1));
+  replayStepButton.addEventListener("click", () => detectionSource.step(1));
+
+  window.addEventListener("keydown", (e) => {
+    if (!detectionSource || !detectionSource.isReplay) return;
+
+    if (e.code === "Space") {
+      e.preventDefault();
+      togglePlayback();
+    } else if (e.code === "ArrowRight") {
+      detectionSource.step(1);
+    } else if (e.code === "ArrowLeft") {
+      detectionSource.step(-1);
     }
-    renderLoop();
   });
 };
 
@@ -269,7 +814,7 @@ const startExperiment = async (experimentId) => {
  * Sets up the selection screen with experiment buttons
  */
 const setupSelectionScreen = () => {
-  experiments.forEach((experiment) => {
+  getExperiments().forEach((experiment) => {
     const button = document.createElement("button");
     button.textContent = experiment.name;
     button.addEventListener("click", () => {
@@ -279,6 +824,257 @@ const setupSelectionScreen = () => {
   });
 };
 
+/**
+ * Fills the camera picker with the connected cameras, keeping the saved choice when it is still there
+ */
+const refreshCameraList = async () => {
+  const cameras = await listCameras();
+  const options = [{ deviceId: "", label: "Default camera" }, ...cameras];
+
+  cameraSelect.replaceChildren(
+    ...options.map(({ deviceId, label }) => new Option(label, deviceId))
+  );
+  cameraSelect.value = cameras.some((camera) => camera.deviceId === cameraSettings.deviceId)
+    ? cameraSettings.deviceId
+    : "";
+};
+
+/**
+ * Sets up the camera, resolution, frame rate and mirror pickers on the selection screen
+ * Choices are saved and used the next time an experiment starts
+ */
+const setupCameraSettings = () => {
+  resolutionSelect.replaceChildren(
+    ...RESOLUTIONS.map(({ label, width, height }) => new Option(label, `${width}x${height}`))
+  );
+  frameRateSelect.replaceChildren(
+    ...FRAME_RATES.map((rate) => new Option(`${rate} fps`, rate))
+  );
+
+  resolutionSelect.value = `${cameraSettings.width}x${cameraSettings.height}`;
+  frameRateSelect.value = cameraSettings.frameRate;
+  mirrorCheckbox.checked = cameraSettings.mirrored;
+
+  const update = (changes) => {
+    cameraSettings = { ...cameraSettings, ...changes };
+    saveCameraSettings(cameraSettings);
+  };
+
+  cameraSelect.addEventListener("change", () => {
+    update({ deviceId: cameraSelect.value || null });
+  });
+  resolutionSelect.addEventListener("change", () => {
+    const [width, height] = resolutionSelect.value.split("x").map(Number);
+    update({ width, height });
+  });
+  frameRateSelect.addEventListener("change", () => {
+    update({ frameRate: Number(frameRateSelect.value) });
+  });
+  mirrorCheckbox.addEventListener("change", () => {
+    update({ mirrored: mirrorCheckbox.checked });
+    // MediaPipe's handedness labels depend on which way the image faces
+    handTracker = createHandTracker({ inputMirrored: cameraSettings.mirrored });
+  });
+
+  cameraRetryButton.addEventListener("click", () => {
+    if (retryExperimentId) startExperiment(retryExperimentId);
+  });
+
+  navigator.mediaDevices?.addEventListener?.("devicechange", refreshCameraList);
+  refreshCameraList();
+};
+
+/**
+ * Fills the profile picker with the saved profiles and selects the active one
+ */
+const refreshProfileList = () => {
+  const profiles = loadProfiles();
+  profileSelect.replaceChildren(
+    new Option(DEFAULT_PROFILE.name, ""),
+    ...profiles.map(({ name }) => new Option(name, name))
+  );
+
+  const active = getActiveProfile();
+  profileSelect.value = active === DEFAULT_PROFILE ? "" : active.name;
+  profileDeleteButton.disabled = active === DEFAULT_PROFILE;
+};
+
+/**
+ * Makes a profile the active one and remembers it for next time
+ * @param {import("./profiles.js").CalibrationProfile} profile - The profile
+ */
+const useProfile = (profile) => {
+  setActiveProfile(profile);
+  saveActiveProfileName(profile === DEFAULT_PROFILE ? null : profile.name);
+  refreshProfileList();
+};
+
+/**
+ * Sets up the hand profile picker, export, delete and import on the selection screen
+ * The profile chosen last time is used from the start
+ */
+const setupProfiles = () => {
+  const savedName = loadActiveProfileName();
+  setActiveProfile(loadProfiles().find(({ name }) => name === savedName) || DEFAULT_PROFILE);
+  refreshProfileList();
+
+  profileSelect.addEventListener("change", () => {
+    profileMessageEl.textContent = "";
+    useProfile(loadProfiles().find(({ name }) => name === profileSelect.value) || DEFAULT_PROFILE);
+  });
+
+  profileExportButton.addEventListener("click", () => {
+    const profile = getActiveProfile();
+    downloadJSON(profile, `${profile.name.replace(/[^\w-]+/g, "-").toLowerCase()}-profile.json`);
+  });
+
+  profileDeleteButton.addEventListener("click", () => {
+    const { name } = getActiveProfile();
+    deleteProfile(name);
+    useProfile(DEFAULT_PROFILE);
+    profileMessageEl.textContent = `Deleted ${name}`;
+  });
+
+  profileImportInput.addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    e.target.value = "";
+
+    try {
+      const profile = parseProfile(JSON.parse(await file.text()));
+      saveProfile(profile);
+      useProfile(profile);
+      profileMessageEl.textContent = `Imported ${profile.name}`;
+    } catch (error) {
+      profileMessageEl.textContent = `Could not import ${file.name}: ${error.message}`;
+    }
+  });
+};
+
+/**
+ * Makes the gesture set taught last time the one experiments check custom gestures against
+ */
+const setupCustomGestures = () => {
+  setActiveGestureSet(loadGestureSet());
+};
+
+/**
+ * Names the models of some detectors for the status line
+ * @param {Array<string>} types - Detector types
+ * @returns {string} Name such as "Hand and pose models"
+ */
+const describeModels = (types) => {
+  const labels = types.map(getDetectorLabel);
+  const names = labels.length > 1
+    ? `${labels.slice(0, -1).join(", ")} and ${labels[labels.length - 1]} models`
+    : `${labels[0]} model`;
+  return names[0].toUpperCase() + names.slice(1);
+};
+
+/**
+ * Shows how far a model has loaded on the selection screen
+ * @param {Object} progress - { detector, stage, loaded, total, delegate } from initDetector
+ */
+const showModelProgress = ({ detector, stage, loaded, total, delegate }) => {
+  const name = `${getDetectorLabel(detector)} model`;
+  modelStatusEl.classList.remove("error");
+  modelRetryButton.classList.add("hidden");
+  modelProgressEl.classList.remove("hidden");
+
+  if (stage === "model") {
+    const megabytes = (loaded / 1e6).toFixed(1);
+    modelStatusTextEl.textContent = total
+      ? `Downloading ${name}… ${Math.round((loaded / total) * 100)}%`
+      : `Downloading ${name}… ${megabytes} MB`;
+    // Without a size the bar just shows activity
+    if (total) {
+      modelProgressEl.value = loaded / total;
+    } else {
+      modelProgressEl.removeAttribute("value");
+    }
+  } else if (stage === "starting") {
+    modelStatusTextEl.textContent = `Starting ${name} on the ${delegate}…`;
+    modelProgressEl.removeAttribute("value");
+  }
+};
+
+/**
+ * Loads the models of some detectors, keeping the selection screen status up to date
+ * @param {Array<string>} types - Detector types
+ * @returns {Promise<void>} Resolves once every model is ready
+ */
+const loadModels = async (types) => {
+  try {
+    await detectionBackend.initDetectors(types, showModelProgress);
+  } catch (error) {
+    if (detectionBackend.isBroken()) {
+      console.warn("The detection worker failed, detecting on the main thread instead", error);
+      detectionBackend = mainThreadBackend;
+      return loadModels(types);
+    }
+
+    modelStatusEl.classList.add("error");
+    modelStatusTextEl.textContent = `${describeModels(types)} failed to load: ${error.message}`;
+    modelProgressEl.classList.add("hidden");
+    modelRetryButton.classList.remove("hidden");
+    modelRetryTypes = types;
+    throw error;
+  }
+
+  const { getDelegate, inWorker } = detectionBackend;
+  const fellBack = MEDIAPIPE_CONFIG.delegate !== "CPU" && types.some((type) => getDelegate(type) === "CPU");
+  const where = inWorker ? ", in a worker" : "";
+  modelStatusTextEl.textContent = fellBack
+    ? `${describeModels(types)} ready (CPU${where}, the GPU could not be used)`
+    : `${describeModels(types)} ready (${getDelegate(types[0])}${where})`;
+  modelProgressEl.classList.add("hidden");
+};
+
+/**
+ * Moves the running session's detection to the main thread once the worker has failed
+ * The worker's source returns nothing more, so the session keeps its latest results
+ * until the main thread has loaded its models and a new source takes over.
+ */
+const moveDetectionToMainThread = async () => {
+  console.warn("The detection worker stopped, detecting on the main thread instead");
+  detectionBackend = mainThreadBackend;
+  const session = sessionId;
+  const experimentId = currentExperiment ? currentExperiment.id : null;
+  const detectors = currentExperiment ? getDetectors(currentExperiment) : ["hands"];
+
+  try {
+    await loadModels(detectors);
+  } catch (error) {
+    if (session !== sessionId) return;
+    if (experimentId) {
+      stopExperiment();
+      showCameraError(error, experimentId);
+    } else {
+      stopCursorSession();
+    }
+    return;
+  }
+  if (session !== sessionId) return;
+
+  const source = detectionBackend.createSource(video, detectors, { rate: detectionRate, metrics });
+  if (experimentId) {
+    detectionSource.close();
+    detectionSource = source;
+  } else {
+    cursorSource.close();
+    cursorSource = source;
+  }
+};
+
+/**
+ * Starts loading the hand model as soon as the page opens, so experiments start quickly
+ * A failed load shows its error and a retry button on the selection screen
+ */
+const setupModelLoading = () => {
+  modelRetryButton.addEventListener("click", () => loadModels(modelRetryTypes).catch(() => {}));
+  loadModels(modelRetryTypes).catch(() => {});
+};
+
 /**
  * Sets up the debug toggle checkbox handler
  */
@@ -292,12 +1088,109 @@ const setupDebugToggle = () => {
   });
 };
 
+/**
+ * Sets up the back button and Escape key that return to the selection screen
+ */
+const setupBackNavigation = () => {
+  const goBack = () => {
+    stopExperiment();
+    startCursorSession();
+  };
+
+  backButton.addEventListener("click", goBack);
+
+  window.addEventListener("keydown", (e) => {
+    if (e.code === "Escape" && currentExperiment) {
+      goBack();
+    }
+  });
+};
+
+const STREAM_STATUS_TEXT = {
+  connecting: "Connecting...",
+  open: "Connected",
+  closed: "Not connected, retrying",
+};
+
+/**
+ * Starts publishing to the stream endpoint, or stops, to match the stream settings
+ */
+const applyStreamSettings = () => {
+  if (landmarkStream) {
+    landmarkStream.close();
+    landmarkStream = null;
+  }
+  streamStatusEl.textContent = "";
+  if (!streamSettings.enabled) return;
+
+  landmarkStream = createLandmarkStream({
+    url: streamSettings.url,
+    onStatus: (status) => {
+      streamStatusEl.textContent = STREAM_STATUS_TEXT[status];
+    },
+  });
+  if (currentExperiment) landmarkStream.setExperiment(currentExperiment.id);
+};
+
+/**
+ * Sets up the landmark stream toggle and endpoint on the selection screen
+ */
+const setupStreaming = () => {
+  streamCheckbox.checked = streamSettings.enabled;
+  streamUrlInput.value = streamSettings.url;
+
+  const update = () => {
+    streamSettings = { enabled: streamCheckbox.checked, url: streamUrlInput.value.trim() || streamSettings.url };
+    streamUrlInput.value = streamSettings.url;
+    saveStreamSettings(streamSettings);
+    applyStreamSettings();
+  };
+
+  streamCheckbox.addEventListener("change", update);
+  streamUrlInput.addEventListener("change", update);
+  applyStreamSettings();
+};
+
+/**
+ * Sets up the hand cursor picker on the selection screen
+ * With the cursor on, the camera runs on the selection screen too, so experiments can be
+ * picked without a mouse.
+ */
+const setupHandCursor = () => {
+  cursorModeSelect.value = cursorMode;
+
+  cursorModeSelect.addEventListener("change", () => {
+    cursorMode = cursorModeSelect.value;
+    saveCursorMode(cursorMode);
+
+    if (cursorMode === "off") {
+      stopCursorSession();
+      return;
+    }
+    handCursor.setMode(cursorMode);
+    startCursorSession();
+  });
+
+  startCursorSession();
+};
+
 /**
  * Initializes the application
  */
 const init = () => {
+  loadExperiments();
   setupSelectionScreen();
+  setupCameraSettings();
+  setupProfiles();
+  setupCustomGestures();
+  setupModelLoading();
+  setupBackNavigation();
   setupDebugToggle();
+  setupSessionControls();
+  setupSmoothingControls();
+  setupHandCursor();
+  setupStreaming();
+  window.addEventListener("resize", syncProjectionView);
 };
 
 init();
@@ -0,0 +1,247 @@
+/**
+ * Frame-rate and inference metrics for the render loop and detection
+ *
+ * A dropped frame is a detection slot that was skipped because the previous
+ * inference was still running.
+ */
+
+const METRICS_VERSION = 1;
+
+// Rolling window the live numbers are measured over, in milliseconds
+const DEFAULT_WINDOW_MS = 1000;
+
+// Latency samples kept for the exported percentiles; about ten minutes at 60 fps
+const MAX_LATENCY_SAMPLES = 36000;
+
+// Per-second rows kept for export; one hour
+const MAX_HISTORY = 3600;
+
+// Slack on the detection interval, so frame timing jitter doesn't skip every other frame at the top rate
+const TIMING_SLACK_MS = 2;
+
+/**
+ * Gets a percentile of some numbers
+ * @param {Array<number>} values - The numbers
+ * @param {number} p - Percentile from 0 to 1
+ * @returns {number|null} The value at that percentile, or null if there are none
+ */
+export const percentile = (values, p) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+/**
+ * Gets the average of some numbers
+ * @param {Array<number>} values - The numbers
+ * @returns {number|null} The mean, or null if there are none
+ */
+const mean = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Measures how often events happened from their timestamps
+ * @param {Array<number>} times - Event times in milliseconds, oldest first
+ * @returns {number} Events per second, 0 with fewer than two events
+ */
+const getRate = (times) => {
+  if (times.length < 2) return 0;
+  const span = times[times.length - 1] - times[0];
+  return span > 0 ? ((times.length - 1) * 1000) / span : 0;
+};
+
+/**
+ * Creates a collector for render FPS, detection FPS, inference latency and dropped frames
+ * @param {Object} options - { windowMs: how far back the live numbers look (default: 1000) }
+ * @returns {Object} Metrics with record*, getStats, exportReport and reset methods
+ */
+export const createFrameMetrics = ({ windowMs = DEFAULT_WINDOW_MS } = {}) => {
+  let renders = [];
+  let detections = [];
+  let drops = [];
+  let latencies = [];
+  let history = [];
+  let totals = { renders: 0, detections: 0, dropped: 0 };
+  let startTime = null;
+  let lastTime = null;
+  let lastSummary = null;
+
+  /**
+   * Forgets events that have left the window, and adds a history row every second
+   * @param {number} now - Current time in milliseconds
+   */
+  const advance = (now) => {
+    if (startTime === null) {
+      startTime = now;
+      lastSummary = now;
+    }
+    lastTime = now;
+
+    const cutoff = now - windowMs;
+    renders = renders.filter((t) => t > cutoff);
+    detections = detections.filter(({ t }) => t > cutoff);
+    drops = drops.filter((t) => t > cutoff);
+
+    if (now - lastSummary >= 1000) {
+      lastSummary = now;
+      history.push({ t: Math.round(now - startTime), ...getStats() });
+      if (history.length > MAX_HISTORY) history.shift();
+    }
+  };
+
+  /**
+   * Summarizes the current window
+   * @returns {Object} { renderFps, detectionFps, latency, latencyP95, dropped }
+   */
+  const getStats = () => {
+    const windowLatencies = detections.map(({ latency }) => latency);
+    return {
+      renderFps: getRate(renders),
+      detectionFps: getRate(detections.map(({ t }) => t)),
+      latency: mean(windowLatencies),
+      latencyP95: percentile(windowLatencies, 0.95),
+      dropped: drops.length,
+    };
+  };
+
+  return {
+    /**
+     * Counts a rendered frame
+     * @param {number} now - Frame time in milliseconds
+     */
+    recordRender: (now) => {
+      renders.push(now);
+      totals.renders++;
+      advance(now);
+    },
+
+    /**
+     * Counts a finished detection
+     * @param {number} now - Time the results arrived, in milliseconds
+     * @param {number} latency - How long inference took, in milliseconds
+     */
+    recordDetection: (now, latency) => {
+      detections.push({ t: now, latency });
+      latencies.push(latency);
+      if (latencies.length > MAX_LATENCY_SAMPLES) latencies.shift();
+      totals.detections++;
+      advance(now);
+    },
+
+    /**
+     * Counts a detection slot skipped because inference was still busy
+     * @param {number} now - Time of the skipped slot, in milliseconds
+     */
+    recordDrop: (now) => {
+      drops.push(now);
+      totals.dropped++;
+      advance(now);
+    },
+
+    /**
+     * Gets the live numbers over the last window
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} { renderFps, detectionFps, latency (mean ms), latencyP95 (ms), dropped (in the window), totalDropped }
+     */
+    getStats: (now) => {
+      advance(now);
+      return { ...getStats(), totalDropped: totals.dropped };
+    },
+
+    /**
+     * Builds a benchmark report of the whole session
+     * @param {Object} meta - Anything describing the run, such as detectors, delegate and resolution
+     * @returns {Object} Report with overall totals, latency percentiles and a row per second
+     */
+    exportReport: (meta = {}) => ({
+      version: METRICS_VERSION,
+      createdAt: new Date().toISOString(),
+      ...meta,
+      durationMs: startTime === null ? 0 : Math.round(lastTime - startTime),
+      totals: { ...totals },
+      latency: {
+        mean: mean(latencies),
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95),
+        max: latencies.length ? Math.max(...latencies) : null,
+      },
+      seconds: history.map((row) => ({ ...row })),
+    }),
+
+    /**
+     * Clears everything for a new session
+     */
+    reset: () => {
+      renders = [];
+      detections = [];
+      drops = [];
+      latencies = [];
+      history = [];
+      totals = { renders: 0, detections: 0, dropped: 0 };
+      startTime = null;
+      lastTime = null;
+      lastSummary = null;
+    },
+  };
+};
+
+/**
+ * Creates a detection rate that slows down when inference can't keep up, and
+ * speeds back up when it can
+ * The interval between detections follows the smoothed latency with some
+ * headroom, kept between maxFps and minFps
+ * @param {Object} options - { maxFps (default: 60), minFps (default: 5), headroom: interval
+ *   per latency (default: 1.2), smoothing: weight of each new latency (default: 0.2) }
+ * @returns {Object} Rate with isDue, markSent, recordLatency, getInterval and reset methods
+ */
+export const createAdaptiveRate = ({ maxFps = 60, minFps = 5, headroom = 1.2, smoothing = 0.2 } = {}) => {
+  const minInterval = 1000 / maxFps;
+  const maxInterval = 1000 / minFps;
+
+  let interval = minInterval;
+  let averageLatency = null;
+  let lastSent = null;
+
+  return {
+    /**
+     * Checks if the next detection should start
+     * @param {number} now - Current time in milliseconds
+     * @returns {boolean} True once an interval has passed since the last one
+     */
+    isDue: (now) => lastSent === null || now - lastSent >= interval - TIMING_SLACK_MS,
+
+    /**
+     * Starts the next interval
+     * @param {number} now - Current time in milliseconds
+     */
+    markSent: (now) => {
+      lastSent = now;
+    },
+
+    /**
+     * Adapts the interval to how long inference is taking
+     * @param {number} latency - Inference time in milliseconds
+     */
+    recordLatency: (latency) => {
+      averageLatency = averageLatency === null
+        ? latency
+        : averageLatency + (latency - averageLatency) * smoothing;
+      interval = Math.max(minInterval, Math.min(maxInterval, averageLatency * headroom));
+    },
+
+    /**
+     * Gets the current time between detections
+     * @returns {number} Interval in milliseconds
+     */
+    getInterval: () => interval,
+
+    /**
+     * Starts over at the fastest rate
+     */
+    reset: () => {
+      interval = minInterval;
+      averageLatency = null;
+      lastSent = null;
+    },
+  };
+};
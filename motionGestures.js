@@ -0,0 +1,473 @@
+/**
+ * Dynamic gestures recognized from how a hand moves
+ *
+ * Each hand's palm center and apparent size are buffered over time. A motion
+ * starts when the palm speeds up and ends when it comes to rest or leaves the
+ * view; the path in between is matched against templates. Paths are compared
+ * in palm sizes, with growth in hand size standing in for moving toward the
+ * camera, after resampling to evenly spaced points and fitting to a unit box,
+ * so a gesture matches however big or fast it was made (as in the $1 recognizer,
+ * but keeping direction, so a swipe left and a swipe right differ). Points are
+ * paired by dynamic time warping rather than by index, which forgives uneven pace.
+ */
+
+import { getPalmCenter } from "./handTracking.js";
+import { getHandSize } from "./utils.js";
+
+// Points a path is resampled to before it is compared
+const RESAMPLE_POINTS = 32;
+
+// Palm sizes of sideways travel that match a doubling of hand size
+const DEPTH_WEIGHT = 5;
+
+// Palm speed, in palm sizes per second, that starts a motion, and that it must stay
+// under for REST_MS to end one
+const START_SPEED = 3;
+const STOP_SPEED = 1.5;
+const REST_MS = 120;
+
+// Time over which speed is measured, which keeps landmark jitter from starting motions
+const SPEED_WINDOW_MS = 60;
+
+// Motions shorter than this are twitches; longer ones keep only their latest part
+const MIN_DURATION_MS = 150;
+const MAX_DURATION_MS = 2500;
+
+// Smallest path, in palm sizes across its longest side, that counts as a gesture
+const MIN_EXTENT = 1.5;
+
+// How far, as a fraction of the path, matching may run ahead or behind
+const WARP_BAND = 0.25;
+
+// Mean point distance, as a fraction of the unit box, at which confidence reaches 0
+const MAX_MATCH_DISTANCE = 0.3;
+
+// Confidence a motion needs to be reported
+export const MIN_MOTION_CONFIDENCE = 0.6;
+
+/**
+ * @typedef {Object} TrajectorySample
+ * @property {number} t - Frame time in milliseconds
+ * @property {number} x - Palm center x in normalized image units
+ * @property {number} y - Palm center y in normalized image units
+ * @property {number} size - Hand size (wrist to middle knuckle) in normalized image units
+ */
+
+/**
+ * @typedef {Object} MotionTemplate
+ * @property {string} name - Gesture the template stands for; several templates can share one
+ * @property {Array<Array<number>>} points - RESAMPLE_POINTS [x, y, z] points fitted to a unit box
+ */
+
+/**
+ * @typedef {Object} MotionGesture
+ * @property {string} gesture - Gesture name
+ * @property {number} subject - Id of the tracked hand that made it
+ * @property {number} start - Time the motion started, in milliseconds
+ * @property {number} end - Time the motion ended, in milliseconds
+ * @property {number} confidence - 0 to 1, from how closely the path matched the template
+ */
+
+/**
+ * Creates a buffer of a hand's recent palm positions and sizes
+ * @param {Object} options - { windowMs: how much history to keep (default: 3000) }
+ * @returns {Object} Buffer with push, getSamples, since and clear methods
+ */
+export const createTrajectoryBuffer = ({ windowMs = MAX_DURATION_MS + 500 } = {}) => {
+  let samples = [];
+
+  return {
+    /**
+     * Adds a sample and forgets samples older than the window
+     * @param {TrajectorySample} sample - The sample
+     */
+    push: (sample) => {
+      samples.push(sample);
+      const cutoff = sample.t - windowMs;
+      const firstKept = samples.findIndex(({ t }) => t >= cutoff);
+      if (firstKept > 0) samples = samples.slice(firstKept);
+    },
+
+    /**
+     * Gets every buffered sample, oldest first
+     * @returns {Array<TrajectorySample>} Samples
+     */
+    getSamples: () => samples,
+
+    /**
+     * Gets the samples from a time on
+     * @param {number} t - Start time in milliseconds
+     * @param {number} end - End time in milliseconds (default: the latest sample)
+     * @returns {Array<TrajectorySample>} Samples in the range, oldest first
+     */
+    since: (t, end = Infinity) => samples.filter((sample) => sample.t >= t && sample.t <= end),
+
+    /**
+     * Forgets every sample
+     */
+    clear: () => {
+      samples = [];
+    },
+  };
+};
+
+/**
+ * Takes a trajectory sample from a hand
+ * @param {Array} hand - Hand landmarks
+ * @param {number} t - Frame time in milliseconds
+ * @returns {TrajectorySample} The sample
+ */
+export const sampleHand = (hand, t) => ({ ...getPalmCenter(hand), size: getHandSize(hand), t });
+
+/**
+ * Converts samples to points in palm sizes, with z growing toward the camera
+ * @param {Array<TrajectorySample>} samples - Samples, oldest first
+ * @returns {Array<Array<number>>} [x, y, z] per sample
+ */
+export const toMotionPoints = (samples) => {
+  const palm = samples.reduce((sum, { size }) => sum + size, 0) / samples.length;
+  return samples.map(({ x, y, size }) => [x / palm, y / palm, Math.log2(size / palm) * DEPTH_WEIGHT]);
+};
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+/**
+ * Measures the longest side of a path's bounding box
+ * @param {Array<Array<number>>} points - [x, y, z] points
+ * @returns {number} Extent in the points' units
+ */
+const getExtent = (points) =>
+  Math.max(
+    ...[0, 1, 2].map((axis) => {
+      const values = points.map((point) => point[axis]);
+      return Math.max(...values) - Math.min(...values);
+    })
+  );
+
+/**
+ * Resamples a path to evenly spaced points along its length
+ * @param {Array<Array<number>>} points - [x, y, z] points
+ * @param {number} count - Points wanted (default: RESAMPLE_POINTS)
+ * @returns {Array<Array<number>>} count points
+ */
+export const resamplePath = (points, count = RESAMPLE_POINTS) => {
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + distance(points[i - 1], points[i]));
+  }
+  const total = lengths[lengths.length - 1];
+  if (total === 0) return Array.from({ length: count }, () => [...points[0]]);
+
+  let segment = 1;
+  return Array.from({ length: count }, (_, i) => {
+    const target = (total * i) / (count - 1);
+    while (segment < points.length - 1 && lengths[segment] < target) segment++;
+
+    const span = lengths[segment] - lengths[segment - 1];
+    const f = span > 0 ? (target - lengths[segment - 1]) / span : 0;
+    return points[segment].map((value, axis) => points[segment - 1][axis] + (value - points[segment - 1][axis]) * f);
+  });
+};
+
+/**
+ * Resamples a path, centers it and scales its longest side to 1
+ * Scaling every axis alike keeps a swipe straight and a circle round
+ * @param {Array<Array<number>>} points - [x, y, z] points
+ * @returns {Array<Array<number>>} RESAMPLE_POINTS normalized points
+ */
+export const normalizePath = (points) => {
+  const resampled = resamplePath(points);
+  const extent = getExtent(resampled) || 1;
+  const center = [0, 1, 2].map(
+    (axis) => resampled.reduce((sum, point) => sum + point[axis], 0) / resampled.length
+  );
+  return resampled.map((point) => point.map((value, axis) => (value - center[axis]) / extent));
+};
+
+/**
+ * Builds a template from a path
+ * @param {string} name - Gesture name
+ * @param {Array<Array<number>>} points - [x, y, z] points in palm sizes, x right, y down and
+ *   z toward the camera, as toMotionPoints gives
+ * @returns {MotionTemplate} The template
+ */
+export const createMotionTemplate = (name, points) => ({ name, points: normalizePath(points) });
+
+/**
+ * Builds a template from a recorded motion, for gestures the built-in templates lack
+ * @param {string} name - Gesture name
+ * @param {Array<TrajectorySample>} samples - The motion, from a trajectory buffer or a recording
+ * @returns {MotionTemplate} The template
+ */
+export const createMotionTemplateFromSamples = (name, samples) =>
+  createMotionTemplate(name, toMotionPoints(samples));
+
+/**
+ * Extracts one hand's trajectory from a session recording (see recording.js)
+ * @param {Object} recording - Recording from createSessionRecorder or a loaded file
+ * @param {Object} options - Range and hand
+ * @param {number} options.hand - Index of the hand in each frame (default: 0)
+ * @param {number} options.start - Start time in recording milliseconds (default: 0)
+ * @param {number} options.end - End time in recording milliseconds (default: the end)
+ * @param {boolean} options.mirrored - Mirror it for a mirrored view; recordings keep what
+ *   the camera saw (default: false)
+ * @returns {Array<TrajectorySample>} Samples from frames that have the hand
+ */
+export const getTrajectoryFromRecording = (recording, { hand = 0, start = 0, end = Infinity, mirrored = false } = {}) =>
+  recording.frames
+    .filter(({ t, landmarks }) => t >= start && t <= end && landmarks[hand])
+    .map(({ t, landmarks }) => {
+      const sample = sampleHand(landmarks[hand], t);
+      return mirrored ? { ...sample, x: 1 - sample.x } : sample;
+    });
+
+/**
+ * Builds a template from a parametric path
+ * @param {string} name - Gesture name
+ * @param {function(number): Array<number>} path - Maps 0 to 1 along the gesture to [x, y, z]
+ * @returns {MotionTemplate} The template
+ */
+const templateFromPath = (name, path) =>
+  createMotionTemplate(name, Array.from({ length: 64 }, (_, i) => path(i / 63)));
+
+/**
+ * Builds wave templates: side to side strokes, starting either way
+ * @returns {Array<MotionTemplate>} Templates for three to six strokes
+ */
+const waveTemplates = () =>
+  [3, 4, 5, 6].flatMap((strokes) =>
+    [1, -1].map((side) =>
+      templateFromPath("wave", (u) => [side * Math.sin(u * strokes * Math.PI - Math.PI / 2), 0, 0])
+    )
+  );
+
+/**
+ * Builds circle templates: both directions, from four starting points
+ * @returns {Array<MotionTemplate>} Templates
+ */
+const circleTemplates = () =>
+  [1, -1].flatMap((direction) =>
+    [0, 0.5, 1, 1.5].map((offset) =>
+      templateFromPath("circle", (u) => {
+        const angle = (offset + direction * 2 * u) * Math.PI;
+        return [Math.cos(angle), Math.sin(angle), 0];
+      })
+    )
+  );
+
+/**
+ * Built-in templates: swipes in image directions (on a mirrored view, the screen's),
+ * a wave, a circle drawn either way, and a push toward or pull away from the camera
+ * @type {Array<MotionTemplate>}
+ */
+export const MOTION_TEMPLATES = [
+  templateFromPath("swipe-left", (u) => [-u, 0, 0]),
+  templateFromPath("swipe-right", (u) => [u, 0, 0]),
+  templateFromPath("swipe-up", (u) => [0, -u, 0]),
+  templateFromPath("swipe-down", (u) => [0, u, 0]),
+  ...waveTemplates(),
+  ...circleTemplates(),
+  templateFromPath("push", (u) => [0, 0, u]),
+  templateFromPath("pull", (u) => [0, 0, -u]),
+];
+
+/**
+ * Measures how far apart two normalized paths are, letting either run ahead of the other
+ * Dynamic time warping, kept within WARP_BAND of the diagonal, so a wave that starts
+ * mid-stroke or a circle drawn unevenly still lines up with its template
+ * @param {Array<Array<number>>} a - Normalized path
+ * @param {Array<Array<number>>} b - Normalized path of the same length
+ * @returns {number} Mean distance between matched points
+ */
+export const warpedDistance = (a, b) => {
+  const n = a.length;
+  const band = Math.max(1, Math.round(n * WARP_BAND));
+  const cost = Array.from({ length: n }, () => new Array(n).fill(Infinity));
+  const steps = Array.from({ length: n }, () => new Array(n).fill(0));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = Math.max(0, i - band); j <= Math.min(n - 1, i + band); j++) {
+      const d = distance(a[i], b[j]);
+      if (i === 0 && j === 0) {
+        cost[i][j] = d;
+        steps[i][j] = 1;
+        continue;
+      }
+
+      const previous = [
+        i > 0 ? [i - 1, j] : null,
+        j > 0 ? [i, j - 1] : null,
+        i > 0 && j > 0 ? [i - 1, j - 1] : null,
+      ].filter((cell) => cell && cost[cell[0]][cell[1]] < Infinity);
+      if (previous.length === 0) continue;
+
+      const [pi, pj] = previous.reduce((min, cell) => (cost[cell[0]][cell[1]] < cost[min[0]][min[1]] ? cell : min));
+      cost[i][j] = cost[pi][pj] + d;
+      steps[i][j] = steps[pi][pj] + 1;
+    }
+  }
+
+  return cost[n - 1][n - 1] / steps[n - 1][n - 1];
+};
+
+/**
+ * Matches a motion against templates
+ * @param {Array<TrajectorySample>} samples - The motion, oldest first
+ * @param {Array<MotionTemplate>} templates - Templates (default: MOTION_TEMPLATES)
+ * @returns {Object|null} { gesture, confidence } for the closest template, or null when the
+ *   motion is too short or too small to be a gesture
+ */
+export const classifyMotion = (samples, templates = MOTION_TEMPLATES) => {
+  if (samples.length < 2) return null;
+  if (samples[samples.length - 1].t - samples[0].t < MIN_DURATION_MS) return null;
+
+  const points = toMotionPoints(samples);
+  if (getExtent(points) < MIN_EXTENT) return null;
+
+  const path = normalizePath(points);
+  let best = null;
+  templates.forEach((template) => {
+    const mean = warpedDistance(path, template.points);
+    if (!best || mean < best.mean) best = { gesture: template.name, mean };
+  });
+
+  return best && { gesture: best.gesture, confidence: Math.max(0, 1 - best.mean / MAX_MATCH_DISTANCE) };
+};
+
+/**
+ * Creates a recognizer that buffers each tracked hand's trajectory and reports the
+ * dynamic gestures it makes
+ * @param {Object} options - Recognizer options
+ * @param {Array<MotionTemplate>} options.templates - Templates to match (default: MOTION_TEMPLATES)
+ * @param {number} options.minConfidence - Confidence a motion needs (default: MIN_MOTION_CONFIDENCE)
+ * @returns {Object} Recognizer with update, addTemplate, getTemplates, getTrajectory, isMoving
+ *   and reset methods
+ */
+export const createMotionRecognizer = ({ templates = MOTION_TEMPLATES, minConfidence = MIN_MOTION_CONFIDENCE } = {}) => {
+  let allTemplates = [...templates];
+  const states = new Map();
+
+  /**
+   * Measures how fast the palm moves at the end of the buffer
+   * @param {Array<TrajectorySample>} samples - Buffered samples
+   * @returns {number} Speed in palm sizes per second
+   */
+  const getSpeed = (samples) => {
+    const latest = samples[samples.length - 1];
+    const earlier = [...samples].reverse().find(({ t }) => latest.t - t >= SPEED_WINDOW_MS);
+    if (!earlier) return 0;
+
+    const [a, b] = toMotionPoints([earlier, latest]);
+    return distance(a, b) / ((latest.t - earlier.t) / 1000);
+  };
+
+  /**
+   * Classifies a finished motion
+   * @param {number} subject - Hand id
+   * @param {Array<TrajectorySample>} samples - The motion
+   * @returns {MotionGesture|null} The gesture, or null if nothing matched well enough
+   */
+  const finish = (subject, samples) => {
+    const match = classifyMotion(samples, allTemplates);
+    if (!match || match.confidence < minConfidence) return null;
+    return {
+      gesture: match.gesture,
+      subject,
+      start: samples[0].t,
+      end: samples[samples.length - 1].t,
+      confidence: match.confidence,
+    };
+  };
+
+  return {
+    /**
+     * Adds this frame's hands and reports the gestures that finished on it
+     * A hand that leaves the view finishes its motion
+     * @param {Array<import("./handTracking.js").TrackedHand>} hands - Tracked hands
+     * @param {number} timestamp - Frame time in milliseconds
+     * @returns {Array<MotionGesture>} Gestures that ended this frame
+     */
+    update: (hands, timestamp) => {
+      const results = [];
+
+      hands.forEach(({ id, landmarks }) => {
+        if (!states.has(id)) {
+          states.set(id, { buffer: createTrajectoryBuffer(), motionStart: null, restSince: null });
+        }
+        const state = states.get(id);
+        state.buffer.push(sampleHand(landmarks, timestamp));
+
+        const samples = state.buffer.getSamples();
+        const speed = getSpeed(samples);
+
+        if (state.motionStart === null) {
+          if (speed > START_SPEED) {
+            // Start where the speed was measured from, so the path includes the take-off
+            const from = [...samples].reverse().find(({ t }) => timestamp - t >= SPEED_WINDOW_MS);
+            state.motionStart = from ? from.t : timestamp;
+          }
+          return;
+        }
+
+        state.motionStart = Math.max(state.motionStart, timestamp - MAX_DURATION_MS);
+        if (speed >= STOP_SPEED) {
+          state.restSince = null;
+          return;
+        }
+
+        state.restSince ??= timestamp;
+        if (timestamp - state.restSince >= REST_MS) {
+          const result = finish(id, state.buffer.since(state.motionStart, state.restSince));
+          if (result) results.push(result);
+          state.motionStart = null;
+          state.restSince = null;
+        }
+      });
+
+      const present = new Set(hands.map(({ id }) => id));
+      states.forEach((state, id) => {
+        if (present.has(id)) return;
+        if (state.motionStart !== null) {
+          const result = finish(id, state.buffer.since(state.motionStart));
+          if (result) results.push(result);
+        }
+        states.delete(id);
+      });
+
+      return results;
+    },
+
+    /**
+     * Adds a template, such as one made with createMotionTemplateFromSamples
+     * @param {MotionTemplate} template - The template
+     */
+    addTemplate: (template) => {
+      allTemplates = [...allTemplates, template];
+    },
+
+    /**
+     * Gets the templates being matched
+     * @returns {Array<MotionTemplate>} Templates
+     */
+    getTemplates: () => allTemplates,
+
+    /**
+     * Gets a hand's buffered trajectory, for drawing or for making a template
+     * @param {number} id - Tracked hand id
+     * @returns {Array<TrajectorySample>} Samples, oldest first (empty for an unknown hand)
+     */
+    getTrajectory: (id) => (states.has(id) ? states.get(id).buffer.getSamples() : []),
+
+    /**
+     * Checks if a hand is in the middle of a motion
+     * @param {number} id - Tracked hand id
+     * @returns {boolean} True between a motion starting and ending
+     */
+    isMoving: (id) => states.has(id) && states.get(id).motionStart !== null,
+
+    /**
+     * Forgets every hand's trajectory
+     */
+    reset: () => states.clear(),
+  };
+};
@@ -0,0 +1,227 @@
+/**
+ * Hand orientation from a palm frame, as a quaternion
+ *
+ * Landmarks use image axes (x right, y down, z away from the camera); orientations
+ * use Three.js world axes (x right, y up, z toward the camera). A hand's local frame is
+ * y along the fingers (wrist to middle MCP), z out of the palm and x = y × z, so the
+ * identity rotation is either hand held upright with its palm facing the camera.
+ */
+
+// Landmark indices used for the palm frame
+const WRIST = 0;
+const INDEX_MCP = 5;
+const MIDDLE_MCP = 9;
+const PINKY_MCP = 17;
+
+export const IDENTITY_QUATERNION = { x: 0, y: 0, z: 0, w: 1 };
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x,
+});
+const length = (a) => Math.sqrt(dot(a, a));
+const normalize = (a) => {
+  const l = length(a);
+  return { x: a.x / l, y: a.y / l, z: a.z / l };
+};
+
+/**
+ * Converts a landmark to world axes
+ * @param {Object} landmark - Landmark with x, y, z in image axes
+ * @param {number} aspect - Image width / height, so x and y share a scale
+ * @returns {Object} Point in world axes
+ */
+export const toWorld = (landmark, aspect) => ({
+  x: landmark.x * aspect,
+  y: -landmark.y,
+  z: -(landmark.z || 0) * aspect,
+});
+
+/**
+ * Builds a quaternion from the columns of a rotation matrix
+ * @param {Object} xAxis - First column (local x in world axes)
+ * @param {Object} yAxis - Second column
+ * @param {Object} zAxis - Third column
+ * @returns {Object} Unit quaternion { x, y, z, w }
+ */
+export const quaternionFromBasis = (xAxis, yAxis, zAxis) => {
+  const [m11, m12, m13] = [xAxis.x, yAxis.x, zAxis.x];
+  const [m21, m22, m23] = [xAxis.y, yAxis.y, zAxis.y];
+  const [m31, m32, m33] = [xAxis.z, yAxis.z, zAxis.z];
+  const trace = m11 + m22 + m33;
+
+  // Divide by the largest of w, x, y, z to stay accurate near 180° turns
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    return { x: (m32 - m23) * s, y: (m13 - m31) * s, z: (m21 - m12) * s, w: 0.25 / s };
+  }
+  if (m11 > m22 && m11 > m33) {
+    const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+    return { x: 0.25 * s, y: (m12 + m21) / s, z: (m13 + m31) / s, w: (m32 - m23) / s };
+  }
+  if (m22 > m33) {
+    const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+    return { x: (m12 + m21) / s, y: 0.25 * s, z: (m23 + m32) / s, w: (m13 - m31) / s };
+  }
+  const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+  return { x: (m13 + m31) / s, y: (m23 + m32) / s, z: 0.25 * s, w: (m21 - m12) / s };
+};
+
+/**
+ * Converts a quaternion to Euler angles in Three.js' default XYZ order
+ * @param {Object} q - Unit quaternion { x, y, z, w }
+ * @returns {Object} Euler angles { x, y, z } in radians
+ */
+export const quaternionToEuler = ({ x, y, z, w }) => {
+  const m11 = 1 - 2 * (y * y + z * z);
+  const m12 = 2 * (x * y - z * w);
+  const m13 = 2 * (x * z + y * w);
+  const m22 = 1 - 2 * (x * x + z * z);
+  const m23 = 2 * (y * z - x * w);
+  const m32 = 2 * (y * z + x * w);
+  const m33 = 1 - 2 * (x * x + y * y);
+
+  const yaw = Math.asin(Math.max(-1, Math.min(1, m13)));
+
+  // At ±90° about y, x and z turn about the same axis, so put it all in x
+  if (Math.abs(m13) < 0.9999999) {
+    return { x: Math.atan2(-m23, m33), y: yaw, z: Math.atan2(-m12, m11) };
+  }
+  return { x: Math.atan2(m32, m22), y: yaw, z: 0 };
+};
+
+/**
+ * Rotates a vector by a quaternion
+ * @param {Object} v - Vector { x, y, z }
+ * @param {Object} q - Unit quaternion { x, y, z, w }
+ * @returns {Object} Rotated vector
+ */
+export const rotateByQuaternion = (v, q) => {
+  // v' = v + 2w (q × v) + 2 q × (q × v)
+  const t = cross(q, v);
+  const t2 = { x: 2 * t.x, y: 2 * t.y, z: 2 * t.z };
+  const c = cross(q, t2);
+  return {
+    x: v.x + q.w * t2.x + c.x,
+    y: v.y + q.w * t2.y + c.y,
+    z: v.z + q.w * t2.z + c.z,
+  };
+};
+
+/**
+ * Builds a quaternion turning by an angle about an axis
+ * @param {Object} axis - Unit axis { x, y, z }
+ * @param {number} angle - Angle in radians (right-handed)
+ * @returns {Object} Unit quaternion
+ */
+export const quaternionFromAxisAngle = (axis, angle) => {
+  const s = Math.sin(angle / 2);
+  return { x: axis.x * s, y: axis.y * s, z: axis.z * s, w: Math.cos(angle / 2) };
+};
+
+/**
+ * Multiplies two quaternions; the result applies b first, then a
+ * @param {Object} a - Unit quaternion
+ * @param {Object} b - Unit quaternion
+ * @returns {Object} Unit quaternion a * b
+ */
+export const multiplyQuaternions = (a, b) => ({
+  x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+  y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+  z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+  w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+});
+
+/**
+ * Gets the angle between two orientations
+ * @param {Object} a - Unit quaternion
+ * @param {Object} b - Unit quaternion
+ * @returns {number} Angle in radians, 0 to π
+ */
+export const quaternionAngle = (a, b) => {
+  const d = Math.abs(a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w);
+  return 2 * Math.acos(Math.min(1, d));
+};
+
+/**
+ * Builds the shortest rotation that turns one direction into another
+ * @param {Object} from - Unit vector
+ * @param {Object} to - Unit vector
+ * @returns {Object} Unit quaternion
+ */
+export const quaternionBetween = (from, to) => {
+  const d = dot(from, to);
+
+  // Opposite directions: turn half way round any axis across them
+  if (d < -0.999999) {
+    const axis = cross({ x: 1, y: 0, z: 0 }, from);
+    const fallback = length(axis) > 1e-6 ? axis : cross({ x: 0, y: 1, z: 0 }, from);
+    return quaternionFromAxisAngle(normalize(fallback), Math.PI);
+  }
+
+  const { x, y, z } = cross(from, to);
+  const w = 1 + d;
+  const l = Math.hypot(x, y, z, w);
+  return { x: x / l, y: y / l, z: z / l, w: w / l };
+};
+
+/**
+ * Computes the palm frame of a hand
+ * Works for open hands and fists alike: the wrist and MCPs barely move as fingers curl
+ * @param {Array} hand - 21 landmarks (image or world landmarks)
+ * @param {Object} options - Frame options
+ * @param {string} options.handedness - The user's 'left' or 'right' hand (default: 'right')
+ * @param {number} options.aspect - Image width / height; use 1 for world landmarks (default: 1)
+ * @param {boolean} options.mirrored - Whether the landmarks were mirrored; a mirrored right hand
+ *   has the shape of a left hand (default: false)
+ * @returns {Object|null} { x, y, z } axes in world axes, or null for a degenerate hand
+ */
+export const getPalmBasis = (hand, { handedness = "right", aspect = 1, mirrored = false } = {}) => {
+  const wrist = toWorld(hand[WRIST], aspect);
+  const along = sub(toWorld(hand[MIDDLE_MCP], aspect), wrist);
+
+  // Index sits on the thumb side; on a left hand that is the hand's -x
+  const indexSide = sub(toWorld(hand[INDEX_MCP], aspect), toWorld(hand[PINKY_MCP], aspect));
+  const across = (handedness === "left") !== mirrored
+    ? { x: -indexSide.x, y: -indexSide.y, z: -indexSide.z }
+    : indexSide;
+
+  if (length(along) < 1e-6) return null;
+  const y = normalize(along);
+
+  const out = cross(across, y);
+  if (length(out) < 1e-6) return null;
+  const z = normalize(out);
+
+  return { x: cross(y, z), y, z };
+};
+
+/**
+ * Computes a hand's orientation from its palm frame
+ * @param {Array} hand - 21 landmarks (image or world landmarks)
+ * @param {Object} options - See getPalmBasis
+ * @returns {Object} { quaternion, euler, normal, direction }: normal points out of the palm and
+ *   direction along the fingers; a degenerate hand gets the identity rotation
+ */
+export const getHandOrientation = (hand, options = {}) => {
+  const basis = getPalmBasis(hand, options);
+  if (!basis) {
+    return {
+      quaternion: { ...IDENTITY_QUATERNION },
+      euler: { x: 0, y: 0, z: 0 },
+      normal: { x: 0, y: 0, z: 1 },
+      direction: { x: 0, y: 1, z: 0 },
+    };
+  }
+
+  const quaternion = quaternionFromBasis(basis.x, basis.y, basis.z);
+  return {
+    quaternion,
+    euler: quaternionToEuler(quaternion),
+    normal: basis.z,
+    direction: basis.y,
+  };
+};
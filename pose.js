@@ -0,0 +1,131 @@
+/**
+ * Body pose helpers for MediaPipe's 33 pose landmarks
+ *
+ * Left and right are the person's own sides, whichever way the image is mirrored.
+ * The helpers work on normalized landmarks or world landmarks; world landmarks
+ * (meters, hip-centered) give truer angles because x, y and z share a scale.
+ */
+
+export const POSE_LANDMARKS = {
+  NOSE: 0,
+  LEFT_EYE_INNER: 1,
+  LEFT_EYE: 2,
+  LEFT_EYE_OUTER: 3,
+  RIGHT_EYE_INNER: 4,
+  RIGHT_EYE: 5,
+  RIGHT_EYE_OUTER: 6,
+  LEFT_EAR: 7,
+  RIGHT_EAR: 8,
+  MOUTH_LEFT: 9,
+  MOUTH_RIGHT: 10,
+  LEFT_SHOULDER: 11,
+  RIGHT_SHOULDER: 12,
+  LEFT_ELBOW: 13,
+  RIGHT_ELBOW: 14,
+  LEFT_WRIST: 15,
+  RIGHT_WRIST: 16,
+  LEFT_PINKY: 17,
+  RIGHT_PINKY: 18,
+  LEFT_INDEX: 19,
+  RIGHT_INDEX: 20,
+  LEFT_THUMB: 21,
+  RIGHT_THUMB: 22,
+  LEFT_HIP: 23,
+  RIGHT_HIP: 24,
+  LEFT_KNEE: 25,
+  RIGHT_KNEE: 26,
+  LEFT_ANKLE: 27,
+  RIGHT_ANKLE: 28,
+  LEFT_HEEL: 29,
+  RIGHT_HEEL: 30,
+  LEFT_FOOT_INDEX: 31,
+  RIGHT_FOOT_INDEX: 32,
+};
+
+/**
+ * Pairs of pose landmark ids joined by a bone when drawing the skeleton
+ */
+export const POSE_CONNECTIONS = [
+  // Face
+  [0, 1], [1, 2], [2, 3], [3, 7], [0, 4], [4, 5], [5, 6], [6, 8], [9, 10],
+  // Arms and hands
+  [11, 13], [13, 15], [15, 17], [15, 19], [15, 21], [17, 19],
+  [12, 14], [14, 16], [16, 18], [16, 20], [16, 22], [18, 20],
+  // Torso
+  [11, 12], [11, 23], [12, 24], [23, 24],
+  // Legs and feet
+  [23, 25], [25, 27], [27, 29], [29, 31], [27, 31],
+  [24, 26], [26, 28], [28, 30], [30, 32], [28, 32],
+];
+
+// Visibility below which a landmark is probably off screen or hidden
+const MIN_VISIBILITY = 0.5;
+
+/**
+ * Checks if a pose landmark is likely in view
+ * @param {Object} landmark - Pose landmark, with visibility when the model reports it
+ * @param {number} minVisibility - Threshold from 0 to 1 (default: 0.5)
+ * @returns {boolean} True if the landmark is visible enough to use
+ */
+export const isVisible = (landmark, minVisibility = MIN_VISIBILITY) =>
+  Boolean(landmark) && (landmark.visibility ?? 1) >= minVisibility;
+
+/**
+ * Calculates the angle at a joint between the two bones meeting there
+ * @param {Object} a - Landmark at the far end of the first bone
+ * @param {Object} b - Joint landmark
+ * @param {Object} c - Landmark at the far end of the second bone
+ * @returns {number} Angle in radians: PI when straight, smaller as it bends
+ */
+export const getJointAngle = (a, b, c) => {
+  const u = { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+  const v = { x: c.x - b.x, y: c.y - b.y, z: (c.z || 0) - (b.z || 0) };
+  const lengths = Math.hypot(u.x, u.y, u.z) * Math.hypot(v.x, v.y, v.z);
+  if (lengths < 1e-9) return Math.PI;
+
+  const cos = (u.x * v.x + u.y * v.y + u.z * v.z) / lengths;
+  return Math.acos(Math.max(-1, Math.min(1, cos)));
+};
+
+/**
+ * Gets one arm's joints and how far it is bent and raised
+ * @param {Array} pose - 33 pose landmarks
+ * @param {string} side - The person's 'left' or 'right' arm
+ * @returns {Object|null} { shoulder, elbow, wrist, elbowAngle, raise }, or null if the arm is out of view.
+ *   raise is the upper arm's angle from hanging straight down (0) through level (PI/2) to overhead (PI)
+ */
+export const getArm = (pose, side) => {
+  const prefix = side === "left" ? "LEFT" : "RIGHT";
+  const shoulder = pose[POSE_LANDMARKS[`${prefix}_SHOULDER`]];
+  const elbow = pose[POSE_LANDMARKS[`${prefix}_ELBOW`]];
+  const wrist = pose[POSE_LANDMARKS[`${prefix}_WRIST`]];
+  const hip = pose[POSE_LANDMARKS[`${prefix}_HIP`]];
+
+  if (![shoulder, elbow, wrist].every((landmark) => isVisible(landmark))) return null;
+
+  // Without the hip, measure from straight down the image
+  const below = isVisible(hip) ? hip : { x: shoulder.x, y: shoulder.y + 1, z: shoulder.z };
+
+  return {
+    shoulder,
+    elbow,
+    wrist,
+    elbowAngle: getJointAngle(shoulder, elbow, wrist),
+    raise: getJointAngle(below, shoulder, elbow),
+  };
+};
+
+/**
+ * Measures how far the shoulders tilt from level, for posture checks
+ * @param {Array} pose - 33 pose landmarks
+ * @returns {number|null} Angle in radians, positive when the person's left shoulder is
+ *   higher in the image, or null if a shoulder is out of view
+ */
+export const getShoulderTilt = (pose) => {
+  const left = pose[POSE_LANDMARKS.LEFT_SHOULDER];
+  const right = pose[POSE_LANDMARKS.RIGHT_SHOULDER];
+  if (!isVisible(left) || !isVisible(right)) return null;
+
+  // Image y points down, so a higher shoulder has the smaller y
+  return Math.atan2(right.y - left.y, Math.abs(left.x - right.x));
+};
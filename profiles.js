@@ -0,0 +1,189 @@
+/**
+ * Calibration profiles: one person's hand size range and finger curl extremes
+ *
+ * Depth estimation and the gesture classifiers read the active profile, so
+ * thresholds tuned on one pair of hands carry over to others. Profiles are
+ * saved in localStorage and can be exported as JSON.
+ */
+
+const PROFILES_KEY = "calibrationProfiles";
+const ACTIVE_PROFILE_KEY = "calibrationProfile";
+
+const PROFILE_VERSION = 1;
+
+export const CURL_FINGERS = ["thumb", "index", "middle", "ring", "pinky"];
+
+/**
+ * @typedef {Object} CalibrationProfile
+ * @property {number} version - Format version
+ * @property {string} name - Name shown on the selection screen
+ * @property {string} [createdAt] - ISO date it was calibrated
+ * @property {Object} handSize - { near, far }: wrist to middle knuckle length, in normalized
+ *   image units, with the hand as close to and as far from the camera as it gets
+ * @property {Object} curls - { open, closed } raw curl of each finger with the hand open and
+ *   in a fist, keyed by thumb, index, middle, ring and pinky
+ */
+
+/**
+ * The profile used until someone calibrates; it keeps the uncalibrated behavior
+ * @type {CalibrationProfile}
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+  version: PROFILE_VERSION,
+  name: "Default",
+  handSize: Object.freeze({ near: 0.2, far: 0.05 }),
+  curls: Object.freeze(
+    Object.fromEntries(CURL_FINGERS.map((finger) => [finger, Object.freeze({ open: 0, closed: 1 })]))
+  ),
+});
+
+let activeProfile = DEFAULT_PROFILE;
+
+/**
+ * Gets the profile depth and gestures are measured with
+ * @returns {CalibrationProfile} The active profile
+ */
+export const getActiveProfile = () => activeProfile;
+
+/**
+ * Makes a profile the one depth and gestures are measured with
+ * @param {CalibrationProfile} profile - The profile (default: DEFAULT_PROFILE)
+ */
+export const setActiveProfile = (profile = DEFAULT_PROFILE) => {
+  activeProfile = profile;
+};
+
+/**
+ * Rescales a raw finger curl so the profile's open hand reads 0 and its fist reads 1
+ * @param {number} curl - Raw curl
+ * @param {Object} range - { open, closed } raw curls for the finger
+ * @returns {number} Curl from 0 (as open as this person's hand goes) to 1 (as curled)
+ */
+export const normalizeCurl = (curl, { open, closed }) =>
+  Math.max(0, Math.min(1, (curl - open) / (closed - open)));
+
+/**
+ * Places a hand size between the profile's far and near sizes
+ * @param {number} size - Wrist to middle knuckle length in normalized image units
+ * @param {Object} handSize - { near, far } from a profile
+ * @returns {number} 0 at the far size or smaller, 1 at the near size or larger
+ */
+export const getNearness = (size, { near, far }) =>
+  Math.max(0, Math.min(1, (size - far) / (near - far)));
+
+/**
+ * Checks a profile loaded from storage or a file
+ * @param {Object} data - Parsed JSON
+ * @returns {CalibrationProfile} The profile
+ * @throws {Error} When something is missing or out of order
+ */
+export const parseProfile = (data) => {
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+  if (!data || typeof data.name !== "string" || !data.name.trim()) {
+    throw new Error("Invalid profile: missing name");
+  }
+  if (data.version !== PROFILE_VERSION) {
+    throw new Error(`Unsupported profile version: ${data.version}`);
+  }
+
+  const { near, far } = data.handSize || {};
+  if (!isNumber(near) || !isNumber(far) || far <= 0 || near <= far) {
+    throw new Error("Invalid profile: hand size must have a near size larger than the far size");
+  }
+
+  CURL_FINGERS.forEach((finger) => {
+    const { open, closed } = data.curls?.[finger] || {};
+    if (!isNumber(open) || !isNumber(closed) || closed <= open) {
+      throw new Error(`Invalid profile: ${finger} curl must close beyond where it opens`);
+    }
+  });
+
+  return {
+    version: PROFILE_VERSION,
+    name: data.name.trim(),
+    createdAt: data.createdAt ?? null,
+    handSize: { near, far },
+    curls: Object.fromEntries(
+      CURL_FINGERS.map((finger) => {
+        const { open, closed } = data.curls[finger];
+        return [finger, { open, closed }];
+      })
+    ),
+  };
+};
+
+/**
+ * Loads the saved profiles, skipping any that no longer parse
+ * @returns {Array<CalibrationProfile>} Saved profiles
+ */
+export const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_KEY)) || [];
+    return saved.flatMap((data) => {
+      try {
+        return [parseProfile(data)];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Writes the saved profiles
+ * @param {Array<CalibrationProfile>} profiles - Every saved profile
+ */
+const storeProfiles = (profiles) => {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch {
+    // Storage can be unavailable (private mode, quota); the profile lasts until the page closes
+  }
+};
+
+/**
+ * Saves a profile, replacing any saved profile with the same name
+ * @param {CalibrationProfile} profile - The profile
+ */
+export const saveProfile = (profile) => {
+  storeProfiles([...loadProfiles().filter(({ name }) => name !== profile.name), profile]);
+};
+
+/**
+ * Deletes a saved profile
+ * @param {string} name - Profile name
+ */
+export const deleteProfile = (name) => {
+  storeProfiles(loadProfiles().filter((profile) => profile.name !== name));
+};
+
+/**
+ * Loads the name of the profile chosen last time
+ * @returns {string|null} Profile name, or null for the default
+ */
+export const loadActiveProfileName = () => {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remembers the chosen profile for the next session
+ * @param {string|null} name - Profile name, or null for the default
+ */
+export const saveActiveProfileName = (name) => {
+  try {
+    if (name) {
+      localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+    } else {
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
+    }
+  } catch {
+    // Storage can be unavailable; the default profile is used next time
+  }
+};
@@ -0,0 +1,180 @@
+/**
+ * Projection between hand landmarks, the screen and the Three.js world
+ *
+ * Landmarks are normalized to the camera frame, which CSS shows in a rectangle of
+ * the viewport that object-fit decides: cropped by cover, letterboxed by contain.
+ * A landmark is placed on screen through that rectangle, then unprojected through
+ * the scene's camera onto a plane of constant depth, so an object put there is
+ * drawn over the landmark at any window size.
+ */
+
+import { PerspectiveCamera, Vector3 } from "three";
+
+export const CAMERA_FOV = 75;
+export const CAMERA_DISTANCE = 5;
+
+// Depth of objects placed without one, between the camera and the far end of the hand's range
+export const DEFAULT_DEPTH = -2.5;
+
+/**
+ * @typedef {Object} ProjectionView
+ * @property {THREE.PerspectiveCamera|null} camera - Camera the 3D scene is drawn with, or
+ *   null before a scene exists (a camera made by createSceneCamera stands in)
+ * @property {number} width - Viewport width in CSS pixels
+ * @property {number} height - Viewport height in CSS pixels
+ * @property {number} videoWidth - Camera frame width in pixels
+ * @property {number} videoHeight - Camera frame height in pixels
+ * @property {string} fit - CSS object-fit of the video canvas; object-position is taken as centered
+ */
+
+let activeView = {
+  camera: null,
+  width: 640,
+  height: 480,
+  videoWidth: 640,
+  videoHeight: 480,
+  fit: "cover",
+};
+
+let standInCamera = null;
+
+/**
+ * Creates the camera 3D scenes are drawn with, looking down -z from CAMERA_DISTANCE
+ * @param {number} aspect - Viewport width over height
+ * @returns {THREE.PerspectiveCamera} The camera
+ */
+export const createSceneCamera = (aspect) => {
+  const camera = new PerspectiveCamera(CAMERA_FOV, aspect, 0.1, 1000);
+  camera.position.z = CAMERA_DISTANCE;
+  return camera;
+};
+
+/**
+ * Gets the view landmarks are projected through
+ * @returns {ProjectionView} The active view
+ */
+export const getProjectionView = () => activeView;
+
+/**
+ * Updates the view landmarks are projected through
+ * The scene sets the camera; the app sets the viewport, video size and fit.
+ * @param {Object} changes - Any ProjectionView properties to change
+ */
+export const setProjectionView = (changes) => {
+  activeView = { ...activeView, ...changes };
+};
+
+/**
+ * Finds where CSS draws the camera frame in the viewport
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y, width, height } in CSS pixels; x and y are negative when cover crops
+ */
+export const getVideoRect = (view = getProjectionView()) => {
+  const { width, height, videoWidth, videoHeight, fit } = view;
+  let scaleX = width / videoWidth;
+  let scaleY = height / videoHeight;
+
+  if (fit === "contain" || fit === "cover" || fit === "none" || fit === "scale-down") {
+    let scale = fit === "cover" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    if (fit === "none") scale = 1;
+    if (fit === "scale-down") scale = Math.min(scale, 1);
+    scaleX = scale;
+    scaleY = scale;
+  }
+
+  const rectWidth = videoWidth * scaleX;
+  const rectHeight = videoHeight * scaleY;
+  return {
+    x: (width - rectWidth) / 2,
+    y: (height - rectHeight) / 2,
+    width: rectWidth,
+    height: rectHeight,
+  };
+};
+
+/**
+ * Places a landmark on screen
+ * @param {Object} landmark - Landmark with x, y normalized to the camera frame
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y } in viewport CSS pixels
+ */
+export const landmarkToView = (landmark, view = getProjectionView()) => {
+  const rect = getVideoRect(view);
+  return { x: rect.x + landmark.x * rect.width, y: rect.y + landmark.y * rect.height };
+};
+
+/**
+ * Finds the point of the camera frame shown at a screen position
+ * @param {Object} point - { x, y } in viewport CSS pixels
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y } normalized to the camera frame (outside 0-1 in letterbox bars)
+ */
+export const viewToLandmark = (point, view = getProjectionView()) => {
+  const rect = getVideoRect(view);
+  return { x: (point.x - rect.x) / rect.width, y: (point.y - rect.y) / rect.height };
+};
+
+/**
+ * Gets the view's camera with its matrices current
+ * @param {ProjectionView} view - View
+ * @returns {THREE.PerspectiveCamera} Camera
+ */
+const getCamera = (view) => {
+  let { camera } = view;
+  if (!camera) {
+    standInCamera = standInCamera || createSceneCamera(1);
+    camera = standInCamera;
+    camera.aspect = view.width / view.height;
+    camera.updateProjectionMatrix();
+  }
+  camera.updateMatrixWorld();
+  return camera;
+};
+
+/**
+ * Finds the world point at a depth that is drawn at a screen position
+ * @param {Object} point - { x, y } in viewport CSS pixels
+ * @param {number} depth - World z of the point (default: DEFAULT_DEPTH)
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y, z } in world space
+ */
+export const viewToWorld = (point, depth = DEFAULT_DEPTH, view = getProjectionView()) => {
+  const camera = getCamera(view);
+  const origin = new Vector3().setFromMatrixPosition(camera.matrixWorld);
+  const ray = new Vector3((point.x / view.width) * 2 - 1, 1 - (point.y / view.height) * 2, 0.5)
+    .unproject(camera)
+    .sub(origin);
+
+  const t = (depth - origin.z) / ray.z;
+  return { x: origin.x + ray.x * t, y: origin.y + ray.y * t, z: depth };
+};
+
+/**
+ * Finds where a world point is drawn on screen
+ * @param {Object} point - { x, y, z } in world space
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y } in viewport CSS pixels
+ */
+export const worldToView = (point, view = getProjectionView()) => {
+  const projected = new Vector3(point.x, point.y, point.z).project(getCamera(view));
+  return { x: ((projected.x + 1) / 2) * view.width, y: ((1 - projected.y) / 2) * view.height };
+};
+
+/**
+ * Places a landmark in the 3D world, drawn over it on screen
+ * @param {Object} landmark - Landmark with x, y normalized to the camera frame
+ * @param {number} depth - World z to place it at (default: DEFAULT_DEPTH)
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y, z } in world space
+ */
+export const landmarkToWorld = (landmark, depth = DEFAULT_DEPTH, view = getProjectionView()) =>
+  viewToWorld(landmarkToView(landmark, view), depth, view);
+
+/**
+ * Finds the point of the camera frame a world point is drawn over
+ * @param {Object} point - { x, y, z } in world space
+ * @param {ProjectionView} view - View (default: the active one)
+ * @returns {Object} { x, y } normalized to the camera frame
+ */
+export const worldToLandmark = (point, view = getProjectionView()) =>
+  viewToLandmark(worldToView(point, view), view);
@@ -0,0 +1,231 @@
+import { downloadJSON } from "./utils.js";
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Reduces MediaPipe handedness categories to plain serializable objects
+ * @param {Array} handedness - Per-hand arrays of categories from detectForVideo
+ * @returns {Array} Per-hand arrays of { categoryName, score }
+ */
+const serializeHandedness = (handedness = []) =>
+  handedness.map((categories) =>
+    categories.map(({ categoryName, score }) => ({ categoryName, score }))
+  );
+
+/**
+ * Copies landmark arrays into plain { x, y, z } objects
+ * @param {Array} groups - Per-hand, per-person or per-face arrays of landmarks
+ * @param {boolean} keepVisibility - Keep each landmark's visibility, as pose landmarks report it (default: false)
+ * @returns {Array} Arrays of { x, y, z }, plus visibility when kept
+ */
+const serializeLandmarks = (groups = [], keepVisibility = false) =>
+  groups.map((landmarks) =>
+    landmarks.map(({ x, y, z, visibility }) =>
+      keepVisibility ? { x, y, z, visibility } : { x, y, z }
+    )
+  );
+
+/**
+ * Creates a recorder that captures detection results frame by frame
+ * @returns {Object} Recorder with start, stop, addFrame and isRecording methods
+ */
+export const createSessionRecorder = () => {
+  let recording = null;
+  let startTime = 0;
+
+  return {
+    /**
+     * Starts a new recording, discarding any previous one
+     * @param {Object} meta - Source dimensions { width, height } and experiment id
+     */
+    start: (meta = {}) => {
+      recording = {
+        version: RECORDING_VERSION,
+        createdAt: new Date().toISOString(),
+        width: meta.width,
+        height: meta.height,
+        experimentId: meta.experimentId ?? null,
+        frames: [],
+      };
+      startTime = null;
+    },
+
+    /**
+     * Stops recording
+     * @returns {Object|null} The finished recording
+     */
+    stop: () => {
+      const finished = recording;
+      recording = null;
+      return finished;
+    },
+
+    /**
+     * Appends a detection result to the current recording
+     * @param {number} timestamp - Frame timestamp in milliseconds
+     * @param {import("./detection.js").DetectionResults} results - Results from the live source
+     */
+    addFrame: (timestamp, results) => {
+      if (!recording) return;
+      if (startTime === null) startTime = timestamp;
+
+      recording.frames.push({
+        t: timestamp - startTime,
+        landmarks: serializeLandmarks(results.landmarks),
+        worldLandmarks: serializeLandmarks(results.worldLandmarks),
+        handedness: serializeHandedness(results.handedness),
+        ...(results.pose && {
+          pose: {
+            landmarks: serializeLandmarks(results.pose.landmarks, true),
+            worldLandmarks: serializeLandmarks(results.pose.worldLandmarks, true),
+          },
+        }),
+        ...(results.face && {
+          face: { landmarks: serializeLandmarks(results.face.landmarks) },
+        }),
+      });
+    },
+
+    /**
+     * Checks if a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording: () => recording !== null,
+  };
+};
+
+/**
+ * Parses and validates a recording loaded from a JSON file
+ * @param {string} text - Raw JSON text
+ * @returns {Object} The parsed recording
+ */
+export const parseRecording = (text) => {
+  const recording = JSON.parse(text);
+
+  if (!recording || !Array.isArray(recording.frames)) {
+    throw new Error("Invalid recording: missing frames array");
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording.version}`);
+  }
+
+  return recording;
+};
+
+/**
+ * Saves a recording to disk as a JSON file
+ * @param {Object} recording - Recording produced by createSessionRecorder
+ * @param {string} filename - Name of the downloaded file
+ */
+export const downloadRecording = (recording, filename = "hand-session.json") =>
+  downloadJSON(recording, filename);
+
+/**
+ * Creates a detection source that replays a recording in place of the webcam
+ * Plays back in real time by default, and can be paused and stepped frame by frame
+ * @param {Object} recording - Recording produced by createSessionRecorder
+ * @param {Object} options - { loop: restart at the end (default: true) }
+ * @returns {Object} Replay source with the same detect() shape as the live source
+ */
+export const createReplaySource = (recording, { loop = true } = {}) => {
+  const { frames } = recording;
+  const duration = frames.length ? frames[frames.length - 1].t : 0;
+
+  let frameIndex = 0;
+  let paused = false;
+  let playbackStart = null;
+
+  /**
+   * Finds the last frame at or before the given playback time
+   * @param {number} t - Playback time in milliseconds
+   * @returns {number} Frame index
+   */
+  const findFrame = (t) => {
+    let index = frameIndex;
+    if (frames[index] && frames[index].t > t) index = 0;
+    while (index + 1 < frames.length && frames[index + 1].t <= t) index++;
+    return index;
+  };
+
+  const toResults = (frame) => ({
+    landmarks: frame ? frame.landmarks : [],
+    worldLandmarks: frame ? frame.worldLandmarks || [] : [],
+    handedness: frame ? frame.handedness || [] : [],
+    ...(frame?.pose && { pose: frame.pose }),
+    ...(frame?.face && { face: frame.face }),
+  });
+
+  return {
+    isReplay: true,
+    width: recording.width,
+    height: recording.height,
+
+    /**
+     * Returns the recorded results for the current playback position
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object} Result object shaped like detectForVideo output
+     */
+    detect: (now) => {
+      if (!frames.length) return toResults(null);
+
+      if (!paused) {
+        if (playbackStart === null) playbackStart = now - frames[frameIndex].t;
+
+        let t = now - playbackStart;
+        if (t > duration) {
+          if (loop) {
+            playbackStart = now;
+            t = 0;
+          } else {
+            t = duration;
+          }
+        }
+        frameIndex = findFrame(t);
+      }
+
+      return toResults(frames[frameIndex]);
+    },
+
+    /**
+     * Pauses playback on the current frame
+     */
+    pause: () => {
+      paused = true;
+    },
+
+    /**
+     * Resumes real-time playback from the current frame
+     */
+    resume: () => {
+      paused = false;
+      playbackStart = null;
+    },
+
+    /**
+     * Checks if playback is paused
+     * @returns {boolean} True if paused
+     */
+    isPaused: () => paused,
+
+    /**
+     * Pauses playback and moves by a number of frames
+     * @param {number} delta - Frames to move (negative steps backwards)
+     */
+    step: (delta = 1) => {
+      paused = true;
+      frameIndex = Math.max(0, Math.min(frames.length - 1, frameIndex + delta));
+    },
+
+    /**
+     * Gets the current frame index
+     * @returns {number} Zero-based frame index
+     */
+    getFrameIndex: () => frameIndex,
+
+    /**
+     * Gets the number of frames in the recording
+     * @returns {number} Frame count
+     */
+    getFrameCount: () => frames.length,
+  };
+};
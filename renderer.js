@@ -1,40 +1,230 @@
-let lastBumpTime = 0;
+import { POSE_CONNECTIONS, isVisible } from "./pose.js";
+import { HAND_CONNECTIONS } from "./gestures.js";
+import { getHandSize } from "./utils.js";
+import { getProjectionView, landmarkToView } from "./projection.js";
+
+// Hand colors by the user's hand, and by track id for telling two of the same hand apart
+const HANDEDNESS_COLORS = { left: "#ff9800", right: "#03a9f4" };
+const ID_COLORS = ["#03a9f4", "#ff9800", "#e91e63", "#8bc34a"];
+const HIGHLIGHT_COLOR = "#ffeb3b";
+
+// Joint radius in pixels for a hand of REFERENCE_HAND_SIZE with the joint level with the wrist
+const JOINT_RADIUS = 4;
+const REFERENCE_HAND_SIZE = 0.12;
+
+/**
+ * @typedef {Object} HandOverlay
+ * @property {string} colorBy - Color hands by 'handedness' or by track 'id'
+ * @property {boolean} depth - Draw nearer hands and joints bigger
+ * @property {boolean} labels - Name the gesture each hand is making next to it
+ * @property {boolean} highlight - Mark the landmarks the gesture check read
+ */
+
+/**
+ * @typedef {Object} Overlay
+ * @property {HandOverlay|boolean} [hands] - Hand skeletons, true for the defaults
+ * @property {boolean} [hands3D] - Hand skeletons in the Three.js scene, for experiments that have one
+ * @property {boolean} [pose] - Body skeleton
+ * @property {boolean} [face] - Face mesh points
+ */
+
+/**
+ * @type {HandOverlay}
+ */
+export const DEFAULT_HAND_OVERLAY = {
+  colorBy: "handedness",
+  depth: true,
+  labels: false,
+  highlight: false,
+};
+
+/**
+ * Works out what to draw over the video from an experiment's overlay and the debug toggle
+ * Debug draws everything that was detected, with gesture labels and highlights on, in the
+ * experiment's hand colors
+ * @param {Overlay} overlay - The experiment's overlay (default: nothing)
+ * @param {boolean} debug - Whether the debug toggle is on
+ * @returns {Object} { hands: HandOverlay or null, hands3D, pose, face }
+ */
+export const resolveOverlay = (overlay = {}, debug = false) => {
+  const hands = typeof overlay.hands === "object" ? overlay.hands : {};
+  const showHands = debug || Boolean(overlay.hands);
+
+  return {
+    hands: showHands
+      ? { ...DEFAULT_HAND_OVERLAY, ...hands, ...(debug && { labels: true, highlight: true }) }
+      : null,
+    hands3D: debug || Boolean(overlay.hands3D),
+    pose: debug || Boolean(overlay.pose),
+    face: debug || Boolean(overlay.face),
+  };
+};
+
+/**
+ * Picks a hand's color
+ * @param {import("./handTracking.js").TrackedHand} hand - Tracked hand
+ * @param {string} colorBy - 'handedness' or 'id'
+ * @returns {string} CSS color
+ */
+export const getHandColor = (hand, colorBy = DEFAULT_HAND_OVERLAY.colorBy) =>
+  colorBy === "id"
+    ? ID_COLORS[(hand.id - 1 + ID_COLORS.length) % ID_COLORS.length]
+    : HANDEDNESS_COLORS[hand.handedness] || HANDEDNESS_COLORS.right;
 
 /**
- * Draws hand landmarks on the canvas
+ * Sizes a joint by how near it looks: bigger for a bigger hand, and for joints in front of the wrist
+ * @param {Object} landmark - The joint
+ * @param {Array} hand - All 21 landmarks, for the wrist and hand size
+ * @returns {number} Radius in pixels
+ */
+export const getJointRadius = (landmark, hand) => {
+  const clamp = (value) => Math.max(0.5, Math.min(2, value));
+  const size = getHandSize(hand);
+  if (size < 1e-6) return JOINT_RADIUS;
+
+  // Landmark z shares x's scale and is negative toward the camera
+  const relativeDepth = ((landmark.z || 0) - (hand[0].z || 0)) / size;
+  return JOINT_RADIUS * clamp(size / REFERENCE_HAND_SIZE) * clamp(1 - relativeDepth);
+};
+
+/**
+ * Draws a hand skeleton on the canvas
  * @param {CanvasRenderingContext2D} ctx - The canvas context
  * @param {Array} landmarks - Array of hand landmark coordinates
  * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {Object} options - Drawing options
+ * @param {string} options.color - Bone and joint color (default: cyan)
+ * @param {boolean} options.depth - Size joints by depth (default: true)
+ * @param {string|null} options.label - Text drawn above the hand
+ * @param {Array<number>} options.highlight - Landmark ids to mark
  */
-export const drawHand = (ctx, landmarks, canvas) => {
-  ctx.fillStyle = "cyan";
+export const drawHand = (ctx, landmarks, canvas, { color = "cyan", depth = true, label = null, highlight = [] } = {}) => {
+  const toCanvas = (pt) => [pt.x * canvas.width, pt.y * canvas.height];
+  const scale = depth ? getJointRadius(landmarks[0], landmarks) / JOINT_RADIUS : 1;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2 * scale;
+  ctx.beginPath();
+  HAND_CONNECTIONS.forEach(([a, b]) => {
+    ctx.moveTo(...toCanvas(landmarks[a]));
+    ctx.lineTo(...toCanvas(landmarks[b]));
+  });
+  ctx.stroke();
+
+  const highlighted = new Set(highlight);
+  landmarks.forEach((pt, id) => {
+    const [x, y] = toCanvas(pt);
+    const radius = depth ? getJointRadius(pt, landmarks) : JOINT_RADIUS;
+    ctx.fillStyle = highlighted.has(id) ? HIGHLIGHT_COLOR : color;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  if (label) {
+    const [x] = toCanvas(landmarks[9]);
+    const top = Math.min(...landmarks.map((pt) => pt.y)) * canvas.height;
+    ctx.font = "bold 16px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "bottom";
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+    ctx.strokeText(label, x, top - 8);
+    ctx.fillStyle = color;
+    ctx.fillText(label, x, top - 8);
+  }
+};
+
+/**
+ * Draws the skeletons of tracked hands, colored and labeled as the overlay asks
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Array<import("./handTracking.js").TrackedHand>} hands - Tracked hands
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ * @param {HandOverlay} overlay - Hand overlay from resolveOverlay
+ * @param {Object} gestures - detectGesture result (or null) by hand id, for labels and highlights
+ */
+export const drawHands = (ctx, hands, canvas, overlay = DEFAULT_HAND_OVERLAY, gestures = {}) => {
+  hands.forEach((hand) => {
+    const gesture = gestures[hand.id] || null;
+
+    drawHand(ctx, hand.landmarks, canvas, {
+      color: getHandColor(hand, overlay.colorBy),
+      depth: overlay.depth,
+      label: overlay.labels && gesture ? gesture.name : null,
+      highlight: overlay.highlight && gesture ? gesture.landmarks : [],
+    });
+  });
+};
+
+/**
+ * Draws a body pose skeleton on the canvas, skipping joints that are out of view
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Array} landmarks - Array of 33 pose landmark coordinates
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ */
+export const drawPose = (ctx, landmarks, canvas) => {
+  const toCanvas = (pt) => [pt.x * canvas.width, pt.y * canvas.height];
+
+  ctx.strokeStyle = "lime";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  POSE_CONNECTIONS.forEach(([a, b]) => {
+    if (!isVisible(landmarks[a]) || !isVisible(landmarks[b])) return;
+    ctx.moveTo(...toCanvas(landmarks[a]));
+    ctx.lineTo(...toCanvas(landmarks[b]));
+  });
+  ctx.stroke();
+
+  ctx.fillStyle = "lime";
+  landmarks.forEach((pt) => {
+    if (!isVisible(pt)) return;
+    const [x, y] = toCanvas(pt);
+    ctx.fillRect(x - 2, y - 2, 5, 5);
+  });
+};
+
+/**
+ * Draws face mesh landmarks on the canvas
+ * @param {CanvasRenderingContext2D} ctx - The canvas context
+ * @param {Array} landmarks - Array of face landmark coordinates
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ */
+export const drawFace = (ctx, landmarks, canvas) => {
+  ctx.fillStyle = "rgba(255, 200, 0, 0.8)";
   landmarks.forEach((pt) => {
-    ctx.fillRect(pt.x * canvas.width, pt.y * canvas.height, 4, 4);
+    ctx.fillRect(pt.x * canvas.width, pt.y * canvas.height, 2, 2);
   });
 };
 
+let confettiCannon = null;
+
 /**
  * Triggers confetti animation at specified coordinates
+ * Confetti is drawn on the effects canvas, over the video and 3D canvases, so session
+ * videos capture it
  * @param {number} x - Normalized x coordinate (0-1)
  * @param {number} y - Normalized y coordinate (0-1)
  * @param {string} msg - Optional message to log
  */
 export const triggerConfetti = (x, y, msg = "") => {
-  const now = performance.now();
-  if (now - lastBumpTime < 1000) return;
-  lastBumpTime = now;
+  if (!confettiCannon) {
+    const effectsCanvas = document.getElementById("canvas-effects");
+    confettiCannon = effectsCanvas ? window.confetti.create(effectsCanvas, { resize: true }) : window.confetti;
+  }
 
-  window.confetti({
+  // The effects canvas covers the viewport, where the video may be cropped or letterboxed
+  const view = getProjectionView();
+  const point = landmarkToView({ x, y }, view);
+
+  confettiCannon({
     particleCount: 150,
     spread: 360,
     startVelocity: 45,
     gravity: 1.2,
-    origin: { x, y },
+    origin: { x: point.x / view.width, y: point.y / view.height },
     angle: 90,
     ticks: 200,
   });
 
   console.log("CONFETTI:", msg);
 };
-
-
@@ -0,0 +1,50 @@
+/**
+ * Copies MediaPipe's wasm runtime and downloads its models into public/mediapipe/,
+ * so the app can run without network access once built or served by Vite
+ *
+ * Usage: npm run fetch-assets, then point the VITE_* variables at the local copies
+ * (see .env.example)
+ */
+import { cp, mkdir, writeFile, access } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { MEDIAPIPE_CONFIG } from "../config.js";
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const wasmSource = `${root}node_modules/@mediapipe/tasks-vision/wasm`;
+const target = `${root}public/mediapipe`;
+
+const MODELS = [
+  { url: MEDIAPIPE_CONFIG.handModelPath, file: "hand_landmarker.task" },
+  { url: MEDIAPIPE_CONFIG.poseModelPath, file: "pose_landmarker_lite.task" },
+  { url: MEDIAPIPE_CONFIG.faceModelPath, file: "face_landmarker.task" },
+];
+
+/**
+ * Downloads a model unless it is already there
+ * @param {Object} model - { url, file }
+ */
+const fetchModel = async ({ url, file }) => {
+  const path = `${target}/models/${file}`;
+  try {
+    await access(path);
+    console.log(`models/${file} already present`);
+    return;
+  } catch {
+    // Not downloaded yet
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download ${url} (HTTP ${response.status})`);
+  }
+  await writeFile(path, new Uint8Array(await response.arrayBuffer()));
+  console.log(`models/${file} downloaded`);
+};
+
+await mkdir(`${target}/models`, { recursive: true });
+await cp(wasmSource, `${target}/wasm`, { recursive: true });
+console.log("wasm copied");
+
+for (const model of MODELS) {
+  await fetchModel(model);
+}
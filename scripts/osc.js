@@ -0,0 +1,94 @@
+/**
+ * Turns landmark stream messages into OSC 1.0 messages, for the relay's UDP bridge
+ *
+ * Addresses, one message each:
+ *   /hand/<id>/handedness   s   'left' or 'right'
+ *   /hand/<id>/gesture      s   static gesture name, or 'none'
+ *   /hand/<id>/landmarks    63f x, y, z of the 21 landmarks, normalized to the camera frame
+ *   /hand/<id>/world        63f x, y, z of the 21 world landmarks in meters, when there are any
+ *   /event/<name>           s   the event detail as JSON
+ */
+
+/**
+ * Pads an OSC string with at least one null byte to a multiple of four bytes
+ * @param {string} value - String
+ * @returns {Buffer} Padded bytes
+ */
+const encodeString = (value) => {
+  const bytes = Buffer.from(value, "utf8");
+  const padded = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+  bytes.copy(padded);
+  return padded;
+};
+
+/**
+ * Encodes one OSC message
+ * Numbers are sent as 32-bit floats unless they are tagged as ints with { int: n }.
+ * @param {string} address - OSC address, starting with '/'
+ * @param {Array} args - Strings, numbers or { int } arguments
+ * @returns {Buffer} The message's bytes
+ */
+export const encodeOscMessage = (address, args = []) => {
+  const tags = args.map((arg) => {
+    if (typeof arg === "string") return "s";
+    if (typeof arg === "object" && Number.isInteger(arg.int)) return "i";
+    return "f";
+  });
+
+  const encoded = args.map((arg, i) => {
+    if (tags[i] === "s") return encodeString(arg);
+    const bytes = Buffer.alloc(4);
+    if (tags[i] === "i") bytes.writeInt32BE(arg.int);
+    else bytes.writeFloatBE(arg);
+    return bytes;
+  });
+
+  return Buffer.concat([encodeString(address), encodeString(`,${tags.join("")}`), ...encoded]);
+};
+
+const isObject = (value) => typeof value === "object" && value !== null;
+
+/**
+ * Checks that landmarks are a non-empty list of [x, y, z] number triples
+ * @param {*} landmarks - Value from a message
+ * @returns {boolean} Whether they can be sent
+ */
+const isLandmarkList = (landmarks) =>
+  Array.isArray(landmarks) &&
+  landmarks.length > 0 &&
+  landmarks.every(
+    (point) => Array.isArray(point) && point.length === 3 && point.every((value) => typeof value === "number")
+  );
+
+/**
+ * Checks that a hand from a frame message has what the bridge sends
+ * @param {*} hand - Value from a message
+ * @returns {boolean} Whether it can be sent
+ */
+const isHand = (hand) =>
+  isObject(hand) && (typeof hand.id === "number" || typeof hand.id === "string") && isLandmarkList(hand.landmarks);
+
+/**
+ * Lists the OSC messages for a landmark stream message
+ * Anyone can send the relay anything, so messages and hands of the wrong shape are skipped.
+ * @param {*} message - Parsed message (see landmarkStream.js)
+ * @returns {Array<Object>} { address, args } pairs; none for hello, unknown or malformed messages
+ */
+export const toOscMessages = (message) => {
+  if (!isObject(message)) return [];
+
+  if (message.type === "frame" && Array.isArray(message.hands)) {
+    return message.hands.filter(isHand).flatMap(({ id, handedness, gesture, landmarks, worldLandmarks }) => [
+      { address: `/hand/${id}/handedness`, args: [typeof handedness === "string" ? handedness : "unknown"] },
+      { address: `/hand/${id}/gesture`, args: [typeof gesture === "string" ? gesture : "none"] },
+      { address: `/hand/${id}/landmarks`, args: landmarks.flat() },
+      ...(isLandmarkList(worldLandmarks) ? [{ address: `/hand/${id}/world`, args: worldLandmarks.flat() }] : []),
+    ]);
+  }
+
+  if (message.type === "event" && typeof message.name === "string" && message.name) {
+    return [{ address: `/event/${message.name}`, args: [JSON.stringify(message.detail ?? null)] }];
+  }
+
+  return [];
+};
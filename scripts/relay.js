@@ -0,0 +1,148 @@
+/**
+ * Local relay for the landmark stream: the sandbox publishes to it, and every other
+ * connected client (a game engine, a music patch, a test script) receives each message
+ *
+ * Usage: npm run relay -- [--port 8765] [--host 127.0.0.1] [--osc 127.0.0.1:9000]
+ * It only accepts connections from this machine unless --host says otherwise, since any
+ * client can read the stream and publish into it. With --osc, frames and events are also
+ * sent as OSC over UDP (see osc.js).
+ */
+import { createSocket } from "node:dgram";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer, WebSocket } from "ws";
+import { encodeOscMessage, toOscMessages } from "./osc.js";
+
+export const DEFAULT_RELAY_PORT = 8765;
+export const DEFAULT_RELAY_HOST = "127.0.0.1";
+
+const USAGE = "Usage: npm run relay -- [--port 8765] [--host 127.0.0.1] [--osc host:port]";
+
+/**
+ * Parses a port number
+ * @param {string} value - For example '9000'
+ * @returns {number} Port from 1 to 65535
+ * @throws {Error} When it isn't one
+ */
+export const parsePort = (value) => {
+  const port = Number(value);
+  if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+    throw new Error(`Expected a port from 1 to 65535, got "${value}"`);
+  }
+  return port;
+};
+
+/**
+ * Parses a host:port pair
+ * @param {string} value - For example '127.0.0.1:9000'
+ * @returns {Object} { host, port }
+ * @throws {Error} When the port is missing or not a valid port
+ */
+export const parseHostPort = (value) => {
+  const separator = value.lastIndexOf(":");
+  if (separator < 0) throw new Error(`Expected host:port, got "${value}"`);
+  return { host: value.slice(0, separator) || DEFAULT_RELAY_HOST, port: parsePort(value.slice(separator + 1)) };
+};
+
+/**
+ * Starts a relay
+ * @param {Object} options - Relay options
+ * @param {number} options.port - WebSocket port, 0 for any free one (default: DEFAULT_RELAY_PORT)
+ * @param {string} options.host - Interface to listen on (default: DEFAULT_RELAY_HOST, this machine only)
+ * @param {Object|null} options.osc - { host, port } to bridge to over UDP, or null
+ * @param {Function} options.log - Logger (default: console.log)
+ * @returns {Promise<Object>} { port, close } once the server is listening
+ */
+export const createRelay = ({
+  port = DEFAULT_RELAY_PORT,
+  host = DEFAULT_RELAY_HOST,
+  osc = null,
+  log = console.log,
+} = {}) =>
+  new Promise((resolve, reject) => {
+    const server = new WebSocketServer({ port, host });
+    const udp = osc ? createSocket("udp4") : null;
+
+    // A failed send (say, a host that doesn't resolve) shouldn't stop the relay
+    if (udp) udp.on("error", (error) => log(`OSC send failed: ${error.message}`));
+
+    /**
+     * Sends a stream message on over OSC
+     * Whatever a client sends, the relay keeps running.
+     * @param {string} text - The message as received
+     */
+    const bridge = (text) => {
+      try {
+        toOscMessages(JSON.parse(text)).forEach(({ address, args }) => {
+          udp.send(encodeOscMessage(address, args), osc.port, osc.host);
+        });
+      } catch (error) {
+        log(`Could not bridge a message to OSC: ${error.message}`);
+      }
+    };
+
+    server.on("connection", (client, request) => {
+      log(`client connected from ${request.socket.remoteAddress} (${server.clients.size} connected)`);
+
+      client.on("message", (data, isBinary) => {
+        server.clients.forEach((other) => {
+          if (other !== client && other.readyState === WebSocket.OPEN) other.send(data, { binary: isBinary });
+        });
+        if (udp && !isBinary) bridge(data.toString());
+      });
+
+      client.on("close", () => log(`client disconnected (${server.clients.size} connected)`));
+    });
+
+    server.on("error", reject);
+    server.on("listening", () => {
+      resolve({
+        port: server.address().port,
+        close: () =>
+          new Promise((done) => {
+            server.clients.forEach((client) => client.terminate());
+            if (udp) udp.close();
+            server.close(() => done());
+          }),
+      });
+    });
+  });
+
+/**
+ * Reads the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { port, host, osc }
+ * @throws {Error} On an unknown option or a bad value
+ */
+export const parseArgs = (args) => {
+  const options = { port: DEFAULT_RELAY_PORT, host: DEFAULT_RELAY_HOST, osc: null };
+  for (let i = 0; i < args.length; i += 2) {
+    const [name, value] = [args[i], args[i + 1]];
+    if (value === undefined) throw new Error(`Missing a value for ${name}`);
+    if (name === "--port") options.port = parsePort(value);
+    else if (name === "--host") options.host = value;
+    else if (name === "--osc") options.osc = parseHostPort(value);
+    else throw new Error(`Unknown option ${name}`);
+  }
+  return options;
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  let options = null;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exitCode = 1;
+  }
+
+  if (options) {
+    try {
+      const relay = await createRelay(options);
+      console.log(`Relaying on ws://${options.host}:${relay.port}`);
+      if (options.osc) console.log(`Bridging to OSC at ${options.osc.host}:${options.osc.port}`);
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
+    }
+  }
+}
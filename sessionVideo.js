@@ -0,0 +1,219 @@
+/**
+ * Session video capture: the video canvas, the Three.js canvas and the effects
+ * canvas composited into one WebM, plus a JSON sidecar of what was detected
+ *
+ * The sidecar's times are milliseconds from the start of the video, so a frame
+ * or event can be found in the clip by seeking to its t.
+ */
+
+const SIDECAR_VERSION = 1;
+
+// Containers and codecs to try, best first
+const VIDEO_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+/**
+ * Picks the first video type the browser can record
+ * @param {function(string): boolean} isSupported - Support check (default: MediaRecorder.isTypeSupported)
+ * @returns {string|null} MIME type, or null if none can be recorded
+ */
+export const pickVideoType = (isSupported = (type) => MediaRecorder.isTypeSupported(type)) =>
+  VIDEO_TYPES.find(isSupported) || null;
+
+/**
+ * Creates a log of landmarks, gestures and experiment events to save beside a video
+ * @returns {Object} Log with start, addFrame, addEvent, stop and isRecording methods
+ */
+export const createSidecarLog = () => {
+  let sidecar = null;
+  let startTime = 0;
+
+  return {
+    /**
+     * Starts a new log, discarding any previous one
+     * @param {number} now - Time the video starts, in milliseconds
+     * @param {Object} meta - { width, height, videoRect, experimentId, mirrored, videoType }, where
+     *   videoRect { x, y, width, height } is where the camera frame, which landmarks are
+     *   normalized to, appears in the video
+     */
+    start: (now, meta = {}) => {
+      startTime = now;
+      sidecar = {
+        version: SIDECAR_VERSION,
+        createdAt: new Date().toISOString(),
+        width: meta.width,
+        height: meta.height,
+        videoRect: meta.videoRect ?? null,
+        experimentId: meta.experimentId ?? null,
+        mirrored: Boolean(meta.mirrored),
+        videoType: meta.videoType ?? null,
+        frames: [],
+        events: [],
+      };
+    },
+
+    /**
+     * Logs the hands of a rendered frame
+     * @param {number} now - Frame time in milliseconds
+     * @param {Array<Object>} hands - { id, handedness, gesture, landmarks } per hand, gesture
+     *   being the name of the static gesture it made or null
+     */
+    addFrame: (now, hands) => {
+      if (!sidecar) return;
+      sidecar.frames.push({
+        t: now - startTime,
+        hands: hands.map(({ id, handedness, gesture, landmarks }) => ({
+          id,
+          handedness,
+          gesture: gesture ?? null,
+          landmarks: landmarks.map(({ x, y, z }) => ({ x, y, z })),
+        })),
+      });
+    },
+
+    /**
+     * Logs something an experiment reported, such as a fist bump or a point scored
+     * @param {number} now - Time in milliseconds
+     * @param {string} type - Event type
+     * @param {Object} detail - Anything JSON can hold
+     */
+    addEvent: (now, type, detail = {}) => {
+      if (!sidecar) return;
+      sidecar.events.push({ t: now - startTime, type, ...detail });
+    },
+
+    /**
+     * Ends the log
+     * @returns {Object|null} The finished sidecar, with durationMs set
+     */
+    stop: () => {
+      const finished = sidecar;
+      sidecar = null;
+      if (finished) {
+        const last = finished.frames[finished.frames.length - 1];
+        finished.durationMs = last ? last.t : 0;
+      }
+      return finished;
+    },
+
+    /**
+     * Checks if a log is in progress
+     * @returns {boolean} True while logging
+     */
+    isRecording: () => sidecar !== null,
+  };
+};
+
+/**
+ * Creates a canvas that stacks other canvases as they are stacked on screen
+ * @param {Array<HTMLCanvasElement|Object>} layers - Bottom first: a canvas to stretch over the
+ *   whole output, or { canvas, getRect(width, height) } for one drawn in a rectangle of it
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Object} { canvas, draw }: draw repaints the stack
+ */
+export const createCompositor = (layers, width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+
+  return {
+    canvas,
+    draw: () => {
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, width, height);
+      layers.forEach((layer) => {
+        const source = layer.getRect ? layer.canvas : layer;
+        if (source.width === 0 || source.height === 0) return;
+
+        const rect = layer.getRect ? layer.getRect(width, height) : { x: 0, y: 0, width, height };
+        ctx.drawImage(source, rect.x, rect.y, rect.width, rect.height);
+      });
+    },
+  };
+};
+
+/**
+ * Creates a recorder for session videos with their sidecar
+ * @param {Object} options - Recorder options
+ * @param {Array<HTMLCanvasElement|Object>} options.layers - Canvases to composite, bottom first,
+ *   see createCompositor
+ * @param {number} options.fps - Video frame rate (default: 30)
+ * @returns {Object} Recorder with start, addFrame, addEvent, stop and isRecording methods
+ */
+export const createSessionVideoRecorder = ({ layers, fps = 30 }) => {
+  const log = createSidecarLog();
+  let compositor = null;
+  let mediaRecorder = null;
+  let chunks = [];
+
+  return {
+    /**
+     * Starts recording
+     * @param {number} now - Current time in milliseconds
+     * @param {Object} meta - { width, height, videoRect, experimentId, mirrored }; width and height
+     *   size the video
+     * @throws {Error} When the browser can't record canvas video
+     */
+    start: (now, meta) => {
+      const videoType = typeof MediaRecorder === "undefined" ? null : pickVideoType();
+      if (!videoType) {
+        throw new Error("This browser can't record WebM video");
+      }
+
+      compositor = createCompositor(layers, meta.width, meta.height);
+      compositor.draw();
+      chunks = [];
+      mediaRecorder = new MediaRecorder(compositor.canvas.captureStream(fps), { mimeType: videoType });
+      mediaRecorder.addEventListener("dataavailable", (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+      });
+      mediaRecorder.start(1000);
+      log.start(now, { ...meta, videoType });
+    },
+
+    /**
+     * Paints the composite for this frame and logs its hands
+     * Call it after everything has been drawn for the frame
+     * @param {number} now - Frame time in milliseconds
+     * @param {Array<Object>} hands - { id, handedness, gesture, landmarks } per hand
+     */
+    addFrame: (now, hands) => {
+      if (!mediaRecorder) return;
+      compositor.draw();
+      log.addFrame(now, hands);
+    },
+
+    /**
+     * Logs an experiment event
+     * @param {number} now - Time in milliseconds
+     * @param {string} type - Event type
+     * @param {Object} detail - Anything JSON can hold
+     */
+    addEvent: (now, type, detail) => log.addEvent(now, type, detail),
+
+    /**
+     * Stops recording once the last of the video has been written
+     * @returns {Promise<Object>} { video: WebM Blob, sidecar }
+     */
+    stop: () =>
+      new Promise((resolve) => {
+        const recorder = mediaRecorder;
+        const sidecar = log.stop();
+        mediaRecorder = null;
+        compositor = null;
+
+        recorder.addEventListener("stop", () => {
+          resolve({ video: new Blob(chunks, { type: recorder.mimeType }), sidecar });
+          chunks = [];
+        }, { once: true });
+        recorder.stop();
+      }),
+
+    /**
+     * Checks if a recording is in progress
+     * @returns {boolean} True while recording
+     */
+    isRecording: () => mediaRecorder !== null,
+  };
+};
@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fetchWithProgress, getDelegateOrder, createWithFallback } from "../assets.js";
+
+/**
+ * Builds a fake fetch that serves bytes in chunks
+ * @param {Array<number>} chunkSizes - Size of each chunk
+ * @param {Object} options - { status, sendLength }
+ * @returns {Function} fetch replacement
+ */
+const fakeFetch = (chunkSizes, { status = 200, sendLength = true } = {}) => async () => {
+  const total = chunkSizes.reduce((sum, size) => sum + size, 0);
+  let next = 0;
+  const body = new ReadableStream({
+    pull: (controller) => {
+      if (next === chunkSizes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(new Uint8Array(chunkSizes[next]).fill(next + 1));
+      next++;
+    },
+  });
+  const headers = sendLength ? { "content-length": String(total) } : {};
+  return new Response(body, { status, headers });
+};
+
+describe("fetchWithProgress", () => {
+  it("joins the chunks and reports progress against the size", async () => {
+    const progress = [];
+    const bytes = await fetchWithProgress(
+      "model.task",
+      (loaded, total) => progress.push([loaded, total]),
+      fakeFetch([3, 2, 5])
+    );
+
+    assert.deepEqual([...bytes], [1, 1, 1, 2, 2, 3, 3, 3, 3, 3]);
+    assert.deepEqual(progress, [[3, 10], [5, 10], [10, 10]]);
+  });
+
+  it("reports a total of 0 when the size is unknown", async () => {
+    const totals = [];
+    await fetchWithProgress("model.task", (_, total) => totals.push(total), fakeFetch([4], { sendLength: false }));
+    assert.deepEqual(totals, [0]);
+  });
+
+  it("names the file when the server or network fails", async () => {
+    await assert.rejects(
+      fetchWithProgress("/models/missing.task", () => {}, fakeFetch([], { status: 404 })),
+      /missing\.task \(HTTP 404\)/
+    );
+    await assert.rejects(
+      fetchWithProgress("/models/hand.task", () => {}, async () => {
+        throw new TypeError("Failed to fetch");
+      }),
+      (error) => /Could not reach \/models\/hand\.task/.test(error.message) && error.cause.name === "TypeError"
+    );
+  });
+});
+
+describe("createWithFallback", () => {
+  it("falls back to the CPU when the GPU fails", async () => {
+    const fallbacks = [];
+    const { instance, delegate } = await createWithFallback(
+      getDelegateOrder("GPU"),
+      async (candidate) => {
+        if (candidate === "GPU") throw new Error("WebGL unavailable");
+        return { candidate };
+      },
+      (failed, error) => fallbacks.push([failed, error.message])
+    );
+
+    assert.equal(delegate, "CPU");
+    assert.deepEqual(instance, { candidate: "CPU" });
+    assert.deepEqual(fallbacks, [["GPU", "WebGL unavailable"]]);
+  });
+
+  it("uses the first delegate that works", async () => {
+    const tried = [];
+    const { delegate } = await createWithFallback(["GPU", "CPU"], async (candidate) => {
+      tried.push(candidate);
+      return {};
+    });
+
+    assert.equal(delegate, "GPU");
+    assert.deepEqual(tried, ["GPU"]);
+  });
+
+  it("only tries the CPU when asked for it", () => {
+    assert.deepEqual(getDelegateOrder("CPU"), ["CPU"]);
+  });
+
+  it("throws the last error when nothing works", async () => {
+    await assert.rejects(
+      createWithFallback(["GPU", "CPU"], async (candidate) => {
+        throw new Error(`${candidate} failed`);
+      }),
+      /CPU failed/
+    );
+  });
+});
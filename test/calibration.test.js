@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_PROFILE,
+  CURL_FINGERS,
+  normalizeCurl,
+  getNearness,
+  parseProfile,
+} from "../profiles.js";
+import { buildProfile, createCalibrationSession, measureHand, CALIBRATION_STEPS } from "../calibration.js";
+import { isFist, isPeace, getFingerCurl } from "../gestures.js";
+import { estimateHandDepth } from "../utils.js";
+import { buildHand, OPEN_CURLS, FIST_CURLS } from "./helpers/handModel.js";
+
+const approx = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+const uniformCurl = (c, options = {}) =>
+  buildHand({ curls: { index: c, middle: c, ring: c, pinky: c }, ...options });
+
+/**
+ * Builds a profile with the same curl range for every finger
+ * @param {Object} options - { open, closed, near, far }
+ * @returns {Object} Profile
+ */
+const makeProfile = ({ open = 0, closed = 1, near = 0.2, far = 0.05 } = {}) =>
+  parseProfile({
+    version: 1,
+    name: "Test",
+    handSize: { near, far },
+    curls: Object.fromEntries(CURL_FINGERS.map((finger) => [finger, { open, closed }])),
+  });
+
+describe("normalizeCurl", () => {
+  it("maps the open curl to 0 and the closed curl to 1, clamped", () => {
+    const range = { open: 0.1, closed: 0.6 };
+    assert.equal(normalizeCurl(0.1, range), 0);
+    assert.equal(normalizeCurl(0.6, range), 1);
+    approx(normalizeCurl(0.35, range), 0.5);
+    assert.equal(normalizeCurl(0, range), 0);
+    assert.equal(normalizeCurl(0.9, range), 1);
+  });
+});
+
+describe("getNearness", () => {
+  it("is 0 at the far size and 1 at the near size", () => {
+    const handSize = { near: 0.25, far: 0.05 };
+    assert.equal(getNearness(0.05, handSize), 0);
+    assert.equal(getNearness(0.25, handSize), 1);
+    approx(getNearness(0.15, handSize), 0.5);
+    assert.equal(getNearness(0.5, handSize), 1);
+  });
+});
+
+describe("parseProfile", () => {
+  it("accepts a complete profile", () => {
+    const profile = makeProfile({ open: 0.1, closed: 0.8 });
+    assert.equal(profile.name, "Test");
+    assert.deepEqual(profile.curls.index, { open: 0.1, closed: 0.8 });
+  });
+
+  it("rejects missing names, versions and out of order ranges", () => {
+    assert.throws(() => parseProfile({ ...makeProfile(), name: " " }), /missing name/);
+    assert.throws(() => parseProfile({ ...makeProfile(), version: 2 }), /Unsupported profile version/);
+    assert.throws(() => makeProfile({ near: 0.05, far: 0.1 }), /near size larger/);
+    assert.throws(() => makeProfile({ open: 0.5, closed: 0.4 }), /curl must close/);
+  });
+
+  it("round-trips through JSON", () => {
+    const profile = makeProfile({ open: 0.05, closed: 0.7 });
+    assert.deepEqual(parseProfile(JSON.parse(JSON.stringify(profile))), profile);
+  });
+});
+
+describe("default profile", () => {
+  it("keeps the uncalibrated depth range", () => {
+    approx(estimateHandDepth(buildHand({ scale: 0.05 })), -2.5);
+    approx(estimateHandDepth(buildHand({ scale: 0.2 })), -4.5);
+    approx(estimateHandDepth(buildHand({ scale: 0.4 })), -4.5);
+  });
+
+  it("leaves curls as measured", () => {
+    approx(getFingerCurl(uniformCurl(0.4), "index", DEFAULT_PROFILE), 0.4);
+  });
+});
+
+describe("profile-aware classifiers", () => {
+  it("spots the fist of someone whose fingers don't fold all the way", () => {
+    const stiffFist = uniformCurl(0.55, { thumbExtended: false });
+    const stiff = makeProfile({ open: 0.05, closed: 0.55 });
+
+    assert.equal(isFist(stiffFist, DEFAULT_PROFILE), false);
+    assert.equal(isFist(stiffFist, stiff), true);
+    assert.equal(isFist(uniformCurl(0.05), stiff), false);
+  });
+
+  it("reads a relaxed open hand as open for someone whose fingers rest bent", () => {
+    const bent = makeProfile({ open: 0.3, closed: 1 });
+    const relaxedPeace = buildHand({ curls: { index: 0.35, middle: 0.35, ring: 1, pinky: 1 } });
+
+    assert.equal(isPeace(relaxedPeace, DEFAULT_PROFILE), false);
+    assert.equal(isPeace(relaxedPeace, bent), true);
+  });
+
+  it("maps the calibrated hand sizes onto the depth range", () => {
+    const smallHands = makeProfile({ near: 0.12, far: 0.03 });
+    approx(estimateHandDepth(buildHand({ scale: 0.03 }), smallHands), -2.5);
+    approx(estimateHandDepth(buildHand({ scale: 0.12 }), smallHands), -4.5);
+    approx(estimateHandDepth(buildHand({ scale: 0.075 }), smallHands), -3.5);
+  });
+});
+
+describe("buildProfile", () => {
+  const samplesFor = (hand, count = 5) => Array.from({ length: count }, () => measureHand(hand));
+  const samples = {
+    open: samplesFor(uniformCurl(0.1)),
+    fist: samplesFor(uniformCurl(0.8, { thumbExtended: false })),
+    near: samplesFor(uniformCurl(0.1, { scale: 0.22 })),
+    far: samplesFor(uniformCurl(0.1, { scale: 0.06 })),
+  };
+
+  it("measures curl extremes and the hand size range", () => {
+    const profile = buildProfile("Sam", samples);
+    assert.equal(profile.name, "Sam");
+    approx(profile.curls.index.open, 0.1);
+    approx(profile.curls.index.closed, 0.8);
+    approx(profile.handSize.near, 0.22);
+    approx(profile.handSize.far, 0.06);
+  });
+
+  it("keeps the default range for a finger that barely moved", () => {
+    const stillThumb = {
+      ...samples,
+      fist: samplesFor(uniformCurl(0.8)),
+    };
+    assert.deepEqual(buildProfile("Sam", stillThumb).curls.thumb, DEFAULT_PROFILE.curls.thumb);
+  });
+
+  it("refuses near and far sizes that are too alike", () => {
+    assert.throws(
+      () => buildProfile("Sam", { ...samples, near: samplesFor(uniformCurl(0.1, { scale: 0.065 })) }),
+      /same size near and far/
+    );
+  });
+
+  it("refuses a missing step", () => {
+    assert.throws(() => buildProfile("Sam", { ...samples, far: [] }), /missing the far step/);
+  });
+});
+
+describe("createCalibrationSession", () => {
+  const hand = buildHand({ curls: OPEN_CURLS });
+
+  it("settles, records, then moves to the next step", () => {
+    const session = createCalibrationSession({ settleMs: 100, recordMs: 200 });
+    assert.equal(session.getStatus().phase, "waiting");
+
+    session.update(hand, 0);
+    assert.equal(session.getStatus().phase, "settling");
+
+    session.update(hand, 100);
+    assert.equal(session.getStatus().phase, "recording");
+
+    session.update(hand, 200);
+    approx(session.getStatus().progress, 0.5);
+
+    session.update(hand, 300);
+    assert.equal(session.getStatus().step.id, CALIBRATION_STEPS[1].id);
+    assert.equal(session.getStatus().phase, "waiting");
+    assert.equal(session.getSamples().open.length, 3);
+  });
+
+  it("starts a step over when the hand is lost", () => {
+    const session = createCalibrationSession({ settleMs: 0, recordMs: 200 });
+    session.update(hand, 0);
+    session.update(hand, 100);
+    session.update(null, 150);
+
+    assert.equal(session.getStatus().phase, "waiting");
+    assert.equal(session.getSamples().open.length, 0);
+  });
+
+  it("finishes after the last step and can be reset", () => {
+    const session = createCalibrationSession({ settleMs: 0, recordMs: 0 });
+    CALIBRATION_STEPS.forEach((_, i) => session.update(buildHand({ curls: FIST_CURLS }), i));
+
+    assert.equal(session.getStatus().phase, "done");
+    assert.equal(session.getStatus().step, null);
+
+    session.reset();
+    assert.equal(session.getStatus().stepIndex, 0);
+    assert.deepEqual(session.getSamples(), {});
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CameraError,
+  toCameraError,
+  buildVideoConstraints,
+  mirrorResults,
+} from "../camera.js";
+import { createHandTracker } from "../handTracking.js";
+import { getHandOrientation, quaternionAngle } from "../orientation.js";
+import { buildHand, FIST_CURLS } from "./helpers/handModel.js";
+
+// MediaPipe labels assume a mirrored image, so on a raw webcam frame "Left" is the user's right hand
+const USERS_RIGHT = [{ categoryName: "Left", score: 0.95 }];
+
+/**
+ * Builds a DOMException-like error as getUserMedia rejects with
+ * @param {string} name - Error name
+ * @returns {Error} Error with that name
+ */
+const domError = (name) => Object.assign(new Error(name), { name });
+
+describe("toCameraError", () => {
+  it("gives each getUserMedia failure a code", () => {
+    [
+      ["NotAllowedError", "permission-denied"],
+      ["SecurityError", "permission-denied"],
+      ["NotFoundError", "not-found"],
+      ["NotReadableError", "in-use"],
+      ["OverconstrainedError", "overconstrained"],
+      ["TypeError", "unknown"],
+    ].forEach(([name, code]) => {
+      const error = toCameraError(domError(name));
+      assert.ok(error instanceof CameraError);
+      assert.equal(error.code, code, name);
+      assert.equal(error.cause.name, name);
+      assert.ok(error.message.length > 0);
+    });
+  });
+
+  it("passes camera errors through", () => {
+    const error = new CameraError("disconnected");
+    assert.equal(toCameraError(error), error);
+  });
+});
+
+describe("buildVideoConstraints", () => {
+  it("asks for the chosen device exactly and the rest as ideals", () => {
+    const constraints = buildVideoConstraints({
+      deviceId: "abc",
+      width: 1280,
+      height: 720,
+      frameRate: 60,
+    });
+
+    assert.deepEqual(constraints, {
+      deviceId: { exact: "abc" },
+      width: { ideal: 1280 },
+      height: { ideal: 720 },
+      frameRate: { ideal: 60 },
+    });
+  });
+
+  it("lets the browser pick the device by default", () => {
+    const constraints = buildVideoConstraints();
+    assert.equal(constraints.deviceId, undefined);
+    assert.deepEqual(constraints.width, { ideal: 640 });
+  });
+});
+
+describe("mirrorResults", () => {
+  const results = {
+    landmarks: [buildHand({ curls: FIST_CURLS, wrist: [0.3, 0.6, 0], roll: 30, yaw: 20 })],
+    worldLandmarks: [[{ x: 0.02, y: -0.01, z: 0.005 }]],
+    handedness: [USERS_RIGHT],
+  };
+
+  it("flips landmarks horizontally and undoes itself", () => {
+    const mirrored = mirrorResults(results);
+
+    assert.ok(Math.abs(mirrored.landmarks[0][0].x - 0.7) < 1e-9);
+    assert.equal(mirrored.landmarks[0][0].y, results.landmarks[0][0].y);
+    assert.equal(mirrored.worldLandmarks[0][0].x, -0.02);
+
+    const twice = mirrorResults(mirrored);
+    assert.deepEqual(twice.handedness, results.handedness);
+    twice.landmarks[0].forEach((pt, i) => {
+      assert.ok(Math.abs(pt.x - results.landmarks[0][i].x) < 1e-12);
+    });
+  });
+
+  it("mirrors bodies and faces without renaming their joints", () => {
+    const shoulder = { x: 0.6, y: 0.4, z: -0.1, visibility: 0.9 };
+    const mirrored = mirrorResults({
+      ...results,
+      pose: { landmarks: [[shoulder]], worldLandmarks: [[{ x: 0.2, y: -0.3, z: 0 }]] },
+      face: { landmarks: [[{ x: 0.45, y: 0.3, z: 0 }]] },
+    });
+
+    assert.deepEqual(mirrored.pose.landmarks[0][0], { ...shoulder, x: 0.4 });
+    assert.equal(mirrored.pose.worldLandmarks[0][0].x, -0.2);
+    assert.equal(mirrored.face.landmarks[0][0].x, 0.55);
+    assert.equal(mirrorResults(results).pose, undefined, "no pose is added when none was detected");
+  });
+
+  it("still reports the user's own hand", () => {
+    const [raw] = createHandTracker().update(results, 0);
+    const [mirrored] = createHandTracker({ inputMirrored: true }).update(mirrorResults(results), 0);
+
+    assert.equal(raw.handedness, "right");
+    assert.equal(mirrored.handedness, "right");
+  });
+
+  it("mirrors the hand's orientation when told the landmarks are mirrored", () => {
+    const raw = getHandOrientation(results.landmarks[0]);
+    const mirrored = getHandOrientation(mirrorResults(results).landmarks[0], { mirrored: true });
+
+    // A reflection in the x = 0 plane keeps the x axis and negates the rest of the rotation
+    const q = raw.quaternion;
+    assert.ok(quaternionAngle(mirrored.quaternion, { x: q.x, y: -q.y, z: -q.z, w: q.w }) < 1e-6);
+    assert.ok(Math.abs(mirrored.normal.x + raw.normal.x) < 1e-9, "the palm faces the other way in x");
+    assert.ok(Math.abs(mirrored.normal.z - raw.normal.z) < 1e-9);
+  });
+});
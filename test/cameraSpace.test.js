@@ -0,0 +1,99 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getCameraIntrinsics, locateHand } from "../cameraSpace.js";
+import { HAND_DEPTH, estimateHandDepth, getHandDepth, handTo3D } from "../utils.js";
+import { buildHand, FIST_CURLS, OPEN_CURLS } from "./helpers/handModel.js";
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const INTRINSICS = getCameraIntrinsics(WIDTH, HEIGHT, 60);
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < tolerance, `${key}: ${actual[key]} vs ${expected[key]}`);
+  });
+};
+
+/**
+ * Puts a hand in front of the camera and sees it as MediaPipe would
+ * @param {Object} pose - buildHand options for its shape and rotation
+ * @param {Object} offset - Where the world landmarks' origin is, in meters from the lens
+ * @returns {Object} { landmarks, worldLandmarks }
+ */
+const viewHand = (pose, offset) => {
+  // An 8.5 cm palm, centered on its own origin like MediaPipe's world landmarks
+  const shape = buildHand({ ...pose, scale: 0.085, wrist: [0, 0, 0] });
+  const middle = shape[9];
+  const worldLandmarks = shape.map(({ x, y, z }) => ({ x: x - middle.x, y: y - middle.y, z: z - middle.z }));
+
+  const { fx, fy, cx, cy } = INTRINSICS;
+  const landmarks = worldLandmarks.map(({ x, y, z }) => {
+    const depth = z + offset.z;
+    return {
+      x: (cx + (fx * (x + offset.x)) / depth) / WIDTH,
+      y: (cy + (fy * (y + offset.y)) / depth) / HEIGHT,
+      z: 0,
+    };
+  });
+  return { landmarks, worldLandmarks };
+};
+
+describe("getCameraIntrinsics", () => {
+  it("fits the field of view across the frame's width", () => {
+    const { fx, fy, cx, cy } = getCameraIntrinsics(WIDTH, HEIGHT, 90);
+    assert.ok(Math.abs(fx - WIDTH / 2) < 1e-9);
+    assert.equal(fy, fx);
+    assert.deepEqual([cx, cy], [WIDTH / 2, HEIGHT / 2]);
+  });
+});
+
+describe("locateHand", () => {
+  it("finds the hand's position in meters", () => {
+    const offset = { x: 0.08, y: -0.05, z: 0.45 };
+    const { landmarks, worldLandmarks } = viewHand({ curls: OPEN_CURLS }, offset);
+    const location = locateHand(landmarks, worldLandmarks, INTRINSICS);
+
+    assertClose(location.center, offset);
+    assertClose(location.wrist, {
+      x: worldLandmarks[0].x + offset.x,
+      y: worldLandmarks[0].y + offset.y,
+      z: worldLandmarks[0].z + offset.z,
+    });
+    assert.ok(location.palmCenter.y < location.wrist.y);
+  });
+
+  it("keeps its distance as the hand turns edge-on, where the size heuristic jumps", () => {
+    const offset = { x: 0, y: 0, z: 0.5 };
+    const facing = viewHand({ curls: FIST_CURLS }, offset);
+    const edgeOn = viewHand({ curls: FIST_CURLS, yaw: 80, pitch: 60 }, offset);
+
+    assertClose(locateHand(edgeOn.landmarks, edgeOn.worldLandmarks, INTRINSICS).center, offset);
+    const jump = Math.abs(estimateHandDepth(edgeOn.landmarks) - estimateHandDepth(facing.landmarks));
+    assert.ok(jump > 0.3, `heuristic moved ${jump}`);
+  });
+
+  it("needs both sets of landmarks", () => {
+    const { landmarks } = viewHand({ curls: OPEN_CURLS }, { x: 0, y: 0, z: 0.5 });
+    assert.equal(locateHand(landmarks, null, INTRINSICS), null);
+    assert.equal(locateHand(landmarks, [], INTRINSICS), null);
+  });
+});
+
+describe("getHandDepth", () => {
+  it("reaches into the scene as the hand comes toward the camera", () => {
+    const depthAt = (z) => {
+      const { landmarks, worldLandmarks } = viewHand({ curls: OPEN_CURLS }, { x: 0, y: 0, z });
+      return getHandDepth(landmarks, worldLandmarks, WIDTH, HEIGHT);
+    };
+
+    assert.ok(depthAt(0.4) < depthAt(0.5) && depthAt(0.5) < depthAt(0.6));
+    assert.equal(depthAt(1.5), HAND_DEPTH.far);
+    assert.equal(depthAt(0.1), HAND_DEPTH.near);
+  });
+
+  it("falls back to the hand size without world landmarks", () => {
+    const { landmarks } = viewHand({ curls: OPEN_CURLS }, { x: 0, y: 0, z: 0.5 });
+    assert.equal(getHandDepth(landmarks, undefined, WIDTH, HEIGHT), estimateHandDepth(landmarks));
+    assert.equal(handTo3D(landmarks, WIDTH, HEIGHT).z, estimateHandDepth(landmarks));
+  });
+});
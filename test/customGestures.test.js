@@ -0,0 +1,229 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FEATURE_LENGTH,
+  MIN_CONFIDENCE,
+  addGestureSamples,
+  classifyGesture,
+  classifyPose,
+  createCustomGestureDefinition,
+  createGestureRecorder,
+  createGestureSet,
+  getGestureScore,
+  isGesture,
+  normalizeHandPose,
+  parseGestureSet,
+  poseDistance,
+  removeGesture,
+  setActiveGestureSet,
+} from "../customGestures.js";
+import { buildHand, OPEN_CURLS, FIST_CURLS, PEACE_CURLS } from "./helpers/handModel.js";
+
+const POSES = {
+  open: { curls: OPEN_CURLS },
+  fist: { curls: FIST_CURLS, thumbExtended: false },
+  peace: { curls: PEACE_CURLS },
+};
+
+/**
+ * Normalizes a model hand
+ * @param {Object} hand - buildHand options
+ * @param {Object} options - normalizeHandPose options
+ * @returns {Array<number>} Normalized pose
+ */
+const poseOf = (hand, options) => normalizeHandPose(buildHand(hand), options);
+
+/**
+ * Trains a set on each pose, held at a few slightly different angles
+ * @param {Object} options - createGestureSet options
+ * @returns {Object} Gesture set
+ */
+const trainSet = (options) =>
+  Object.entries(POSES).reduce(
+    (set, [name, pose]) =>
+      addGestureSamples(
+        set,
+        name,
+        [-8, 0, 8].map((roll) => poseOf({ ...pose, roll }, options))
+      ),
+    createGestureSet("Test", options)
+  );
+
+describe("normalizeHandPose", () => {
+  it("ignores where the hand is, how big it looks and how it is turned", () => {
+    const upright = poseOf(POSES.peace);
+    const moved = poseOf({ ...POSES.peace, wrist: [0.2, 0.4, 0.1], scale: 0.3, roll: 40, yaw: -30, pitch: 20 });
+
+    assert.equal(upright.length, FEATURE_LENGTH);
+    assert.ok(poseDistance(upright, moved) < 1e-9);
+  });
+
+  it("maps a left hand onto the same pose of a right hand", () => {
+    const right = poseOf(POSES.fist);
+    const left = poseOf({ ...POSES.fist, mirror: true }, { handedness: "left" });
+    const mirroredRight = poseOf({ ...POSES.fist, mirror: true }, { mirrored: true });
+
+    assert.ok(poseDistance(right, left) < 1e-9);
+    assert.ok(poseDistance(right, mirroredRight) < 1e-9);
+
+    // Taken for a right hand, the fingers of a left fist curl the wrong way
+    assert.ok(poseDistance(right, poseOf({ ...POSES.fist, mirror: true })) > 0.3);
+  });
+
+  it("keeps the orientation when asked to", () => {
+    const options = { rotationInvariant: false };
+    const up = poseOf({ ...POSES.open }, options);
+
+    assert.ok(poseDistance(up, poseOf({ ...POSES.open, scale: 0.3 }, options)) < 1e-9);
+    assert.ok(poseDistance(up, poseOf({ ...POSES.open, roll: 180 }, options)) > 1);
+  });
+
+  it("gives null for a degenerate hand", () => {
+    const point = { x: 0.5, y: 0.5, z: 0 };
+    assert.equal(normalizeHandPose(Array.from({ length: 21 }, () => ({ ...point }))), null);
+  });
+});
+
+describe("classifyPose", () => {
+  const set = trainSet();
+
+  it("matches a trained pose with high confidence", () => {
+    const match = classifyPose(poseOf(POSES.peace), set);
+    assert.equal(match.name, "peace");
+    assert.ok(match.distance < 1e-9);
+    assert.ok(match.confidence > 0.95);
+  });
+
+  it("is less confident the farther the pose is from its samples", () => {
+    const near = classifyPose(poseOf({ curls: { index: 0.9, middle: 0.9, ring: 0.9, pinky: 0.9 }, thumbExtended: false }), set);
+    assert.equal(near.name, "fist");
+    assert.ok(near.confidence < 0.99);
+    assert.ok(near.confidence > MIN_CONFIDENCE);
+  });
+
+  it("matches nothing when no sample is near", () => {
+    const halfCurled = poseOf({ curls: { index: 0.5, middle: 0.5, ring: 0.5, pinky: 0.5 } });
+    assert.deepEqual(
+      { ...classifyPose(halfCurled, set), distance: null },
+      { name: null, confidence: 0, distance: null }
+    );
+  });
+
+  it("matches nothing against an empty set", () => {
+    assert.equal(classifyPose(poseOf(POSES.open), createGestureSet()).name, null);
+  });
+});
+
+describe("custom gesture checks", () => {
+  afterEach(() => setActiveGestureSet());
+
+  it("recognize trained poses from either hand at any angle", () => {
+    const set = trainSet();
+    const leftPeace = buildHand({ ...POSES.peace, mirror: true, roll: -50, yaw: 30, scale: 0.08 });
+
+    assert.equal(isGesture(leftPeace, "peace", { handedness: "left" }, set), true);
+    assert.equal(isGesture(leftPeace, "fist", { handedness: "left" }, set), false);
+    assert.equal(classifyGesture(buildHand({ ...POSES.fist, pitch: 30 }), {}, set).name, "fist");
+  });
+
+  it("read the active set by default", () => {
+    const hand = buildHand(POSES.open);
+    assert.equal(isGesture(hand, "open"), false);
+
+    setActiveGestureSet(trainSet());
+    assert.equal(isGesture(hand, "open"), true);
+    assert.equal(getGestureScore(hand, "peace"), 0);
+  });
+
+  it("tell thumbs up from thumbs down in a set that keeps orientation", () => {
+    const thumbsUp = { curls: FIST_CURLS, thumbExtended: true };
+    const thumbsDown = { ...thumbsUp, roll: 180 };
+    const options = { rotationInvariant: false };
+    const set = [["up", thumbsUp], ["down", thumbsDown]].reduce(
+      (result, [name, pose]) => addGestureSamples(result, name, [poseOf(pose, options)]),
+      createGestureSet("Thumbs", options)
+    );
+
+    assert.equal(classifyGesture(buildHand({ ...thumbsDown, roll: 170 }), {}, set).name, "down");
+    assert.equal(classifyGesture(buildHand({ ...thumbsUp, roll: 10 }), {}, set).name, "up");
+  });
+
+  it("plug into the gesture tracker through a tracked hand", () => {
+    setActiveGestureSet(trainSet());
+    const definition = createCustomGestureDefinition("fist");
+    const landmarks = buildHand({ ...POSES.fist, mirror: true });
+
+    assert.ok(definition.score({ landmarks, handedness: "left" }) >= definition.enter);
+    assert.ok(definition.exit < definition.enter);
+  });
+});
+
+describe("gesture sets", () => {
+  it("add samples to new and existing gestures without changing the original", () => {
+    const empty = createGestureSet();
+    const one = addGestureSamples(empty, "open", [poseOf(POSES.open)]);
+    const two = addGestureSamples(one, "open", [poseOf(POSES.open)]);
+
+    assert.equal(empty.gestures.length, 0);
+    assert.equal(one.gestures[0].samples.length, 1);
+    assert.equal(two.gestures[0].samples.length, 2);
+    assert.deepEqual(removeGesture(two, "open").gestures, []);
+  });
+
+  it("round-trip through JSON", () => {
+    const set = trainSet({ rotationInvariant: false });
+    assert.deepEqual(parseGestureSet(JSON.parse(JSON.stringify(set))), set);
+  });
+
+  it("reject missing names, versions, duplicate gestures and malformed samples", () => {
+    const set = trainSet();
+    const [open] = set.gestures;
+
+    assert.throws(() => parseGestureSet({ ...set, name: "" }), /missing name/);
+    assert.throws(() => parseGestureSet({ ...set, version: 2 }), /Unsupported gesture set version/);
+    assert.throws(() => parseGestureSet({ ...set, gestures: [open, open] }), /unique name/);
+    assert.throws(
+      () => parseGestureSet({ ...set, gestures: [{ name: "open", samples: [[1, 2, 3]] }] }),
+      /open has malformed samples/
+    );
+  });
+});
+
+describe("createGestureRecorder", () => {
+  const pose = poseOf(POSES.open);
+
+  it("settles, then samples at the interval until the time is up", () => {
+    const recorder = createGestureRecorder({ settleMs: 100, recordMs: 200, intervalMs: 50 });
+    assert.equal(recorder.update(pose, 0), null);
+
+    recorder.start();
+    for (let t = 0; t < 300; t += 25) {
+      assert.equal(recorder.update(pose, t), null);
+    }
+    assert.equal(recorder.getStatus().phase, "recording");
+    assert.equal(recorder.getStatus().samples, 4);
+
+    const samples = recorder.update(pose, 300);
+    assert.equal(samples.length, 5);
+    assert.equal(recorder.getStatus().phase, "idle");
+  });
+
+  it("skips frames without a hand", () => {
+    const recorder = createGestureRecorder({ settleMs: 0, recordMs: 100, intervalMs: 0 });
+    recorder.start();
+    recorder.update(pose, 0);
+    recorder.update(null, 50);
+
+    assert.equal(recorder.update(pose, 100).length, 2);
+  });
+
+  it("drops everything when cancelled", () => {
+    const recorder = createGestureRecorder({ settleMs: 0, recordMs: 100 });
+    recorder.start();
+    recorder.update(pose, 0);
+    recorder.cancel();
+
+    assert.deepEqual(recorder.getStatus(), { phase: "idle", progress: 0, samples: 0 });
+    assert.equal(recorder.update(pose, 200), null);
+  });
+});
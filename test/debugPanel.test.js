@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { formatField, getGraphSample, getSparklineSeries, toSparklineY } from "../debugPanel.js";
+
+describe("formatField", () => {
+  it("shows a dash for missing values", () => {
+    assert.equal(formatField({ type: "number", value: null }), "-");
+    assert.equal(formatField({ type: "boolean", value: undefined }), "-");
+  });
+
+  it("formats booleans, numbers with units and named numbers", () => {
+    assert.equal(formatField({ type: "boolean", value: true }), "yes");
+    assert.equal(formatField({ type: "boolean", value: false }), "no");
+    assert.equal(formatField({ type: "number", value: 1.234, unit: "palms" }), "1.23 palms");
+    assert.equal(formatField({ type: "number", value: 2, digits: 0 }), "2");
+    assert.equal(formatField({ type: "number", value: { index: 0.1, middle: 0.95 } }), "I:0.10 M:0.95");
+  });
+
+  it("formats vectors and angles in degrees", () => {
+    assert.equal(formatField({ type: "vector", value: { x: 1, y: -0.5, z: 0 } }), "(1.00, -0.50, 0.00)");
+    assert.equal(formatField({ type: "angle", value: Math.PI / 2 }), "90.0°");
+    assert.equal(
+      formatField({ type: "angle", value: { x: 0, y: Math.PI, z: -Math.PI / 4 }, digits: 0 }),
+      "P:0° Y:180° R:-45°"
+    );
+  });
+
+  it("shows text as it is", () => {
+    assert.equal(formatField({ type: "text", value: "left" }), "left");
+  });
+});
+
+describe("getGraphSample", () => {
+  it("plots booleans as 0 or 1 and angles in degrees", () => {
+    assert.equal(getGraphSample({ type: "boolean", value: true }), 1);
+    assert.equal(getGraphSample({ type: "boolean", value: false }), 0);
+    assert.equal(getGraphSample({ type: "angle", value: Math.PI }), 180);
+  });
+
+  it("keeps named numbers so each gets its own line", () => {
+    assert.deepEqual(getGraphSample({ type: "number", value: { thumb: 0.2 } }), { thumb: 0.2 });
+  });
+
+  it("leaves a gap for missing values and text", () => {
+    assert.equal(getGraphSample({ type: "number", value: null }), null);
+    assert.equal(getGraphSample({ type: "text", value: "serve" }), null);
+  });
+});
+
+describe("toSparklineY", () => {
+  it("puts the low value at the bottom and clamps outside the range", () => {
+    assert.equal(toSparklineY(0, 0, 10, 20), 20);
+    assert.equal(toSparklineY(10, 0, 10, 20), 0);
+    assert.equal(toSparklineY(5, 0, 10, 20), 10);
+    assert.equal(toSparklineY(-5, 0, 10, 20), 20);
+    assert.equal(toSparklineY(50, 0, 10, 20), 0);
+  });
+});
+
+describe("getSparklineSeries", () => {
+  it("puts the newest sample on the right edge", () => {
+    const { series } = getSparklineSeries([0, 1], { width: 100, height: 10, capacity: 11, min: 0, max: 1 });
+    assert.deepEqual(series, [{ name: "value", points: [[90, 10], [100, 0]] }]);
+  });
+
+  it("fits the range to the samples unless min or max is given", () => {
+    const fitted = getSparklineSeries([2, 4, 3]);
+    assert.equal(fitted.low, 2);
+    assert.equal(fitted.high, 4);
+
+    const fixed = getSparklineSeries([2, 4, 3], { min: 0 });
+    assert.equal(fixed.low, 0);
+    assert.equal(fixed.high, 4);
+  });
+
+  it("draws one series per named number, with gaps where samples are missing", () => {
+    const { series } = getSparklineSeries(
+      [{ a: 0, b: 1 }, null, { a: 1 }],
+      { width: 2, height: 1, capacity: 3, min: 0, max: 1 }
+    );
+    assert.deepEqual(series.map(({ name }) => name), ["a", "b"]);
+    assert.deepEqual(series[0].points, [[0, 1], null, [2, 0]]);
+    assert.deepEqual(series[1].points, [[0, 0], null, null]);
+  });
+});
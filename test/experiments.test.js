@@ -0,0 +1,59 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  registerExperiment,
+  getExperiments,
+  getExperiment,
+  getDetectors,
+} from "../experiments.js";
+
+const noop = () => {};
+
+describe("experiment registry", () => {
+  it("registers experiments and looks them up by id", () => {
+    const experiment = { id: "registry-lookup", name: "Lookup", update: noop };
+    registerExperiment(experiment);
+
+    assert.equal(getExperiment("registry-lookup"), experiment);
+    assert.equal(getExperiment("missing"), null);
+  });
+
+  it("lists experiments by order, unordered ones last", () => {
+    registerExperiment({ id: "registry-c", name: "C", update: noop });
+    registerExperiment({ id: "registry-b", name: "B", order: 20, update: noop });
+    registerExperiment({ id: "registry-a", name: "A", order: 10, update: noop });
+
+    const ids = getExperiments().map((e) => e.id);
+    assert.ok(ids.indexOf("registry-a") < ids.indexOf("registry-b"));
+    assert.ok(ids.indexOf("registry-b") < ids.indexOf("registry-c"));
+  });
+
+  it("rejects duplicate ids", () => {
+    registerExperiment({ id: "registry-dup", name: "Dup", update: noop });
+    assert.throws(
+      () => registerExperiment({ id: "registry-dup", name: "Dup", update: noop }),
+      /already registered/
+    );
+  });
+
+  it("rejects experiments without an id, name or update", () => {
+    assert.throws(() => registerExperiment({ name: "No id", update: noop }));
+    assert.throws(() => registerExperiment({ id: "no-name", update: noop }));
+    assert.throws(
+      () => registerExperiment({ id: "no-update", name: "No update" }),
+      /missing an update/
+    );
+  });
+
+  it("runs hands unless an experiment asks for other detectors", () => {
+    assert.deepEqual(getDetectors({ id: "hands-only" }), ["hands"]);
+    assert.deepEqual(getDetectors({ id: "body", detectors: ["pose", "face"] }), ["pose", "face"]);
+  });
+
+  it("rejects unknown detectors", () => {
+    assert.throws(
+      () => registerExperiment({ id: "registry-eyes", name: "Eyes", update: noop, detectors: ["iris"] }),
+      /unknown detectors: iris/
+    );
+  });
+});
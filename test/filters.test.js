@@ -0,0 +1,196 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createOneEuroFilter,
+  createAngleFilter,
+  createRotationSmoother,
+  createQuaternionSmoother,
+  createLandmarkSmoother,
+  wrapAngle,
+} from "../filters.js";
+import { quaternionAngle, quaternionFromAxisAngle } from "../orientation.js";
+
+const FRAME_MS = 1000 / 30;
+
+/**
+ * Deterministic pseudo-random noise in [-1, 1]
+ * @param {number} i - Sample index
+ * @returns {number} Noise value
+ */
+const noise = (i) => Math.sin(i * 12.9898) * 0.5 + Math.sin(i * 78.233) * 0.5;
+
+const spread = (values) => Math.max(...values) - Math.min(...values);
+
+describe("createOneEuroFilter", () => {
+  it("passes the first sample through unchanged", () => {
+    const filter = createOneEuroFilter();
+    assert.equal(filter.filter(0.42, 0), 0.42);
+  });
+
+  it("reduces jitter on a still signal", () => {
+    const filter = createOneEuroFilter();
+    const raw = [];
+    const smoothed = [];
+
+    for (let i = 0; i < 120; i++) {
+      const value = 0.5 + noise(i) * 0.005;
+      raw.push(value);
+      smoothed.push(filter.filter(value, i * FRAME_MS));
+    }
+
+    assert.ok(spread(smoothed.slice(30)) < spread(raw.slice(30)) / 3);
+  });
+
+  it("lags less on fast motion with a higher beta", () => {
+    const responsive = createOneEuroFilter({ beta: 50 });
+    const sluggish = createOneEuroFilter({ beta: 0 });
+    let target = 0;
+    let a = 0;
+    let b = 0;
+
+    for (let i = 0; i < 15; i++) {
+      target = i * 0.05;
+      a = responsive.filter(target, i * FRAME_MS);
+      b = sluggish.filter(target, i * FRAME_MS);
+    }
+
+    assert.ok(target - a < target - b);
+  });
+
+  it("ignores repeated timestamps", () => {
+    const filter = createOneEuroFilter();
+    filter.filter(0, 0);
+    const value = filter.filter(0.5, FRAME_MS);
+    assert.equal(filter.filter(1, FRAME_MS), value);
+  });
+
+  it("starts over after reset", () => {
+    const filter = createOneEuroFilter();
+    filter.filter(0, 0);
+    filter.filter(0, FRAME_MS);
+    filter.reset();
+    assert.equal(filter.filter(1, 2 * FRAME_MS), 1);
+  });
+});
+
+describe("wrapAngle", () => {
+  it("wraps into (-PI, PI]", () => {
+    assert.ok(Math.abs(wrapAngle(3 * Math.PI) - Math.PI) < 1e-9);
+    assert.ok(Math.abs(wrapAngle(-Math.PI / 2 - 2 * Math.PI) + Math.PI / 2) < 1e-9);
+    assert.equal(wrapAngle(-Math.PI), Math.PI);
+    assert.equal(wrapAngle(0.25), 0.25);
+  });
+});
+
+describe("createAngleFilter", () => {
+  it("smooths across the +/-PI boundary without swinging through zero", () => {
+    const filter = createAngleFilter();
+    const deg = (d) => (d * Math.PI) / 180;
+
+    for (let i = 0; i < 60; i++) {
+      // Alternates between 178° and -178° around 180°
+      const angle = i % 2 === 0 ? deg(178) : deg(-178);
+      const smoothed = filter.filter(angle, i * FRAME_MS);
+      assert.ok(Math.abs(smoothed) > deg(170), `frame ${i}: ${smoothed}`);
+    }
+  });
+});
+
+describe("createRotationSmoother", () => {
+  it("smooths each Euler axis", () => {
+    const smoother = createRotationSmoother();
+    const ys = [];
+
+    for (let i = 0; i < 60; i++) {
+      const rotation = smoother.smooth({ x: 0.1, y: 1 + noise(i) * 0.2, z: -0.3 }, i * FRAME_MS);
+      ys.push(rotation.y);
+      assert.ok(Math.abs(rotation.x - 0.1) < 1e-9);
+    }
+
+    assert.ok(spread(ys.slice(20)) < 0.2);
+  });
+});
+
+describe("createQuaternionSmoother", () => {
+  const Y = { x: 0, y: 1, z: 0 };
+  const negate = (q) => ({ x: -q.x, y: -q.y, z: -q.z, w: -q.w });
+
+  it("does not swing around when a sample flips sign", () => {
+    const smoother = createQuaternionSmoother();
+    const q = quaternionFromAxisAngle(Y, 0.8);
+
+    smoother.smooth(q, 0);
+    const out = smoother.smooth(negate(q), FRAME_MS);
+
+    assert.ok(quaternionAngle(out, q) < 1e-6);
+    assert.ok(out.x * q.x + out.y * q.y + out.z * q.z + out.w * q.w > 0, "stays on q's side");
+  });
+
+  it("returns unit quaternions that settle on a steady input", () => {
+    const smoother = createQuaternionSmoother();
+    const target = quaternionFromAxisAngle(Y, 1);
+    let out = smoother.smooth(quaternionFromAxisAngle(Y, 0), 0);
+
+    for (let i = 1; i <= 60; i++) {
+      out = smoother.smooth(i % 2 ? target : negate(target), i * FRAME_MS);
+      assert.ok(Math.abs(Math.hypot(out.x, out.y, out.z, out.w) - 1) < 1e-9);
+    }
+
+    assert.ok(quaternionAngle(out, target) < 0.01);
+  });
+
+  it("passes the next sample through after a reset", () => {
+    const smoother = createQuaternionSmoother();
+    smoother.smooth(quaternionFromAxisAngle(Y, 0), 0);
+    smoother.reset();
+
+    const q = quaternionFromAxisAngle(Y, 2);
+    assert.ok(quaternionAngle(smoother.smooth(q, FRAME_MS), q) < 1e-9);
+  });
+});
+
+describe("createLandmarkSmoother", () => {
+  const hand = (x) => Array.from({ length: 21 }, () => ({ x, y: 0.5, z: 0 }));
+
+  it("returns the same shape it was given", () => {
+    const smoother = createLandmarkSmoother();
+    const result = smoother.smooth([hand(0.2), hand(0.8)], 0);
+
+    assert.equal(result.length, 2);
+    assert.equal(result[0].length, 21);
+    assert.deepEqual(result[1][0], { x: 0.8, y: 0.5, z: 0 });
+  });
+
+  it("filters each hand separately", () => {
+    const smoother = createLandmarkSmoother();
+    smoother.smooth([hand(0.2), hand(0.8)], 0);
+    const [a, b] = smoother.smooth([hand(0.21), hand(0.8)], FRAME_MS);
+
+    assert.ok(a[0].x > 0.2 && a[0].x < 0.21);
+    assert.equal(b[0].x, 0.8);
+  });
+
+  it("restarts a hand's filters after it is lost", () => {
+    const smoother = createLandmarkSmoother();
+    smoother.smooth([hand(0.2), hand(0.8)], 0);
+    smoother.smooth([hand(0.2)], FRAME_MS);
+    const [, b] = smoother.smooth([hand(0.2), hand(0.4)], 2 * FRAME_MS);
+
+    assert.equal(b[0].x, 0.4);
+  });
+
+  it("keys filters by the given ids so reordered hands keep their history", () => {
+    const smoother = createLandmarkSmoother();
+    smoother.smooth([hand(0.2), hand(0.8)], 0, [7, 9]);
+    const [b, a] = smoother.smooth([hand(0.8), hand(0.21)], FRAME_MS, [9, 7]);
+
+    assert.equal(b[0].x, 0.8);
+    assert.ok(a[0].x > 0.2 && a[0].x < 0.21);
+  });
+
+  it("applies new settings from configure", () => {
+    const smoother = createLandmarkSmoother();
+    smoother.configure({ beta: 3 });
+    assert.equal(smoother.getSettings().beta, 3);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createGestureTracker } from "../gestureEvents.js";
+
+const FRAME_MS = 1000 / 30;
+
+/**
+ * Feeds a sequence of scores for one subject and collects the events
+ * @param {Object} definition - Gesture definition (score is read from the input)
+ * @param {Array<number|null>} scores - Score per frame, null when the subject is missing
+ * @returns {Array} Events as "type@frame"
+ */
+const run = (definition, scores) => {
+  const tracker = createGestureTracker({ test: { score: (value) => value, ...definition } });
+  const events = [];
+  let frame = 0;
+
+  ["start", "hold", "end"].forEach((type) =>
+    tracker.on(type, (event) => events.push(`${event.type}@${frame}`))
+  );
+
+  scores.forEach((score, i) => {
+    frame = i;
+    tracker.update(score === null ? {} : { hand: score }, i * FRAME_MS);
+  });
+
+  return events;
+};
+
+const starts = (events) => events.filter((e) => e.startsWith("start"));
+const ends = (events) => events.filter((e) => e.startsWith("end"));
+
+describe("createGestureTracker", () => {
+  it("fires start, hold and end", () => {
+    const events = run({ enter: 0.6, exit: 0.4 }, [0, 0.8, 0.8, 0.8, 0.1]);
+    assert.deepEqual(events, ["start@1", "hold@2", "hold@3", "end@4"]);
+  });
+
+  it("ignores noise between the exit and enter thresholds", () => {
+    const events = run({ enter: 0.6, exit: 0.4 }, [0.7, 0.5, 0.65, 0.45, 0.7, 0.55]);
+    assert.deepEqual(starts(events), ["start@0"]);
+    assert.deepEqual(ends(events), []);
+  });
+
+  it("does not start from the hysteresis band", () => {
+    const events = run({ enter: 0.6, exit: 0.4 }, [0.5, 0.55, 0.59, 0.5]);
+    assert.deepEqual(events, []);
+  });
+
+  it("waits for the minimum hold before starting", () => {
+    const events = run({ enter: 0.6, exit: 0.4, minHoldMs: 100 }, [0.8, 0.8, 0.8, 0.8, 0.8]);
+    assert.deepEqual(starts(events), ["start@3"]);
+  });
+
+  it("drops a gesture released before the minimum hold", () => {
+    const events = run({ enter: 0.6, exit: 0.4, minHoldMs: 100 }, [0.8, 0.8, 0.1, 0.8, 0.1]);
+    assert.deepEqual(events, []);
+  });
+
+  it("enforces the cooldown between starts", () => {
+    const scores = [0.8, 0.1, 0.8, 0.1, 0.8, 0.8, 0.8, 0.8, 0.8, 0.8];
+    const events = run({ enter: 0.6, exit: 0.4, cooldownMs: 200 }, scores);
+    assert.deepEqual(starts(events), ["start@0", "start@6"]);
+  });
+
+  it("supports gestures that are active below a threshold", () => {
+    const events = run({ enter: 2, exit: 2.5, activeBelow: true }, [4, 1.9, 2.3, 2.6]);
+    assert.deepEqual(events, ["start@1", "hold@2", "end@3"]);
+  });
+
+  it("ends active gestures when the subject disappears", () => {
+    const events = run({ enter: 0.6, exit: 0.4 }, [0.8, 0.8, null]);
+    assert.deepEqual(events, ["start@0", "hold@1", "end@2"]);
+  });
+
+  it("keeps the cooldown when the subject disappears and returns", () => {
+    const events = run({ enter: 0.6, exit: 0.4, cooldownMs: 200 }, [0.8, null, 0.8, 0.8]);
+    assert.deepEqual(starts(events), ["start@0"]);
+  });
+
+  it("reports duration since start", () => {
+    const tracker = createGestureTracker({ test: { score: (v) => v, enter: 0.6, exit: 0.4 } });
+    let duration = null;
+    tracker.on("end", (event) => {
+      duration = event.duration;
+    });
+
+    tracker.update({ hand: 0.8 }, 0);
+    tracker.update({ hand: 0.8 }, 100);
+    tracker.update({ hand: 0 }, 250);
+
+    assert.equal(duration, 250);
+  });
+
+  it("tracks subjects and gestures independently", () => {
+    const tracker = createGestureTracker({
+      high: { score: (v) => v, enter: 0.6, exit: 0.4 },
+      low: { score: (v) => v, enter: 0.2, exit: 0.3, activeBelow: true },
+    });
+
+    tracker.update({ a: 0.9, b: 0.1 }, 0);
+
+    assert.equal(tracker.isActive("a", "high"), true);
+    assert.equal(tracker.isActive("a", "low"), false);
+    assert.equal(tracker.isActive("b", "high"), false);
+    assert.equal(tracker.isActive("b", "low"), true);
+  });
+
+  it("reports the pending phase during the minimum hold", () => {
+    const tracker = createGestureTracker({
+      test: { score: (v) => v, enter: 0.6, exit: 0.4, minHoldMs: 100 },
+    });
+
+    tracker.update({ hand: 0.8 }, 0);
+    assert.equal(tracker.getPhase("hand", "test"), "pending");
+    tracker.update({ hand: 0.8 }, 100);
+    assert.equal(tracker.getPhase("hand", "test"), "active");
+  });
+
+  it("stops calling a listener after unsubscribing", () => {
+    const tracker = createGestureTracker({ test: { score: (v) => v, enter: 0.6, exit: 0.4 } });
+    let calls = 0;
+    const unsubscribe = tracker.on("hold", () => calls++);
+
+    tracker.update({ hand: 0.8 }, 0);
+    tracker.update({ hand: 0.8 }, 10);
+    unsubscribe();
+    tracker.update({ hand: 0.8 }, 20);
+
+    assert.equal(calls, 1);
+  });
+});
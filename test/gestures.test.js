@@ -0,0 +1,369 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  isFist,
+  isPeace,
+  isThumbsUp,
+  getFistOrientation,
+  handsClose,
+  getFistRotation,
+  getPalmSize,
+  getFingerCurl,
+  getFingerCurls,
+  getFistScore,
+  getHandsDistance,
+  detectGesture,
+  GESTURE_LANDMARKS,
+  isPinch,
+  PINCH_GESTURE,
+} from "../gestures.js";
+import { addGestureSamples, createGestureSet, normalizeHandPose, setActiveGestureSet } from "../customGestures.js";
+import { parseRecording } from "../recording.js";
+import {
+  buildHand,
+  OPEN_CURLS,
+  FIST_CURLS,
+  PEACE_CURLS,
+} from "./helpers/handModel.js";
+
+const openPalm = buildHand({ curls: OPEN_CURLS });
+const fist = buildHand({ curls: FIST_CURLS, thumbExtended: false });
+const peace = buildHand({ curls: PEACE_CURLS, thumbExtended: false });
+const uniformCurl = (c) =>
+  buildHand({ curls: { index: c, middle: c, ring: c, pinky: c } });
+const withoutZ = (hand) => hand.map(({ x, y }) => ({ x, y, z: 0 }));
+
+// Palm sizes from a hand at the far edge of the usable range to one right in front of the lens
+const SCALES = [0.04, 0.08, 0.12, 0.2, 0.3];
+
+describe("getPalmSize", () => {
+  it("grows linearly with the hand's apparent size", () => {
+    assert.ok(Math.abs(getPalmSize(buildHand({ scale: 0.1 })) - 0.1) < 1e-9);
+    assert.ok(Math.abs(getPalmSize(buildHand({ scale: 0.25 })) - 0.25) < 1e-9);
+  });
+
+  it("holds when the hand tilts toward the camera", () => {
+    const tilted = buildHand({ scale: 0.12, pitch: 60 });
+    assert.ok(Math.abs(getPalmSize(tilted) - 0.12) < 1e-9);
+  });
+});
+
+describe("getFingerCurls", () => {
+  it("is near 0 for straight fingers and 1 for a fist", () => {
+    const open = getFingerCurls(openPalm);
+    const closed = getFingerCurls(fist);
+
+    ["index", "middle", "ring", "pinky"].forEach((finger) => {
+      assert.ok(open[finger] < 0.05, `${finger} open curl ${open[finger]}`);
+      assert.ok(closed[finger] > 0.95, `${finger} fist curl ${closed[finger]}`);
+    });
+  });
+
+  it("reports a tucked thumb as curled and an extended thumb as straight", () => {
+    assert.ok(getFingerCurl(fist, "thumb") > 0.6);
+    assert.ok(getFingerCurl(openPalm, "thumb") < 0.2);
+  });
+
+  it("tracks partial curls", () => {
+    const half = getFingerCurl(uniformCurl(0.5), "middle");
+    assert.ok(half > 0.4 && half < 0.6);
+  });
+
+  it("does not depend on scale, position or roll", () => {
+    const reference = getFingerCurls(fist);
+    const moved = getFingerCurls(
+      buildHand({ curls: FIST_CURLS, thumbExtended: false, scale: 0.3, wrist: [0.2, 0.4, 0], roll: 70 })
+    );
+
+    Object.keys(reference).forEach((finger) => {
+      assert.ok(Math.abs(reference[finger] - moved[finger]) < 1e-9);
+    });
+  });
+});
+
+describe("getFistScore", () => {
+  it("follows the third most curled finger", () => {
+    const oneOut = buildHand({ curls: { index: 0, middle: 1, ring: 0.9, pinky: 0.8 } });
+    assert.ok(Math.abs(getFistScore(oneOut) - getFingerCurl(oneOut, "pinky")) < 1e-9);
+  });
+
+  it("orders open, half and closed hands", () => {
+    assert.ok(getFistScore(openPalm) < getFistScore(uniformCurl(0.5)));
+    assert.ok(getFistScore(uniformCurl(0.5)) < getFistScore(fist));
+  });
+});
+
+describe("isFist", () => {
+  it("detects a closed fist", () => {
+    assert.equal(isFist(fist), true);
+  });
+
+  it("rejects an open palm and a peace sign", () => {
+    assert.equal(isFist(openPalm), false);
+    assert.equal(isFist(peace), false);
+  });
+
+  it("accepts three folded fingers but not two", () => {
+    const indexOut = buildHand({ curls: { ...FIST_CURLS, index: 0 } });
+    const twoOut = buildHand({ curls: { ...FIST_CURLS, index: 0, middle: 0 } });
+
+    assert.equal(isFist(indexOut), true);
+    assert.equal(isFist(twoOut), false);
+  });
+
+  it("flips between half and mostly curled fingers", () => {
+    assert.equal(isFist(uniformCurl(0.5)), false);
+    assert.equal(isFist(uniformCurl(0.7)), true);
+  });
+
+  it("classifies consistently across the camera range", () => {
+    SCALES.forEach((scale) => {
+      assert.equal(isFist(buildHand({ curls: FIST_CURLS, thumbExtended: false, scale })), true);
+      assert.equal(isFist(buildHand({ curls: OPEN_CURLS, scale })), false);
+    });
+  });
+
+  it("detects fists turned toward or away from the camera", () => {
+    [-60, 60].forEach((pitch) => {
+      assert.equal(isFist(buildHand({ curls: FIST_CURLS, pitch })), true);
+      assert.equal(isFist(buildHand({ curls: OPEN_CURLS, pitch })), false);
+    });
+    assert.equal(isFist(buildHand({ curls: FIST_CURLS, yaw: 70 })), true);
+  });
+
+  it("still works when landmarks have no depth", () => {
+    assert.equal(isFist(withoutZ(fist)), true);
+    assert.equal(isFist(withoutZ(openPalm)), false);
+  });
+
+  it("ignores where the hand is in the frame", () => {
+    const cornerFist = buildHand({
+      curls: FIST_CURLS,
+      thumbExtended: false,
+      wrist: [0.15, 0.9, 0],
+    });
+    assert.equal(isFist(cornerFist), true);
+  });
+});
+
+describe("isPeace", () => {
+  it("detects index and middle up with ring and pinky curled", () => {
+    assert.equal(isPeace(peace), true);
+  });
+
+  it("rejects an open palm, a fist and a pointing finger", () => {
+    const pointing = buildHand({ curls: { ...FIST_CURLS, index: 0 } });
+
+    assert.equal(isPeace(openPalm), false);
+    assert.equal(isPeace(fist), false);
+    assert.equal(isPeace(pointing), false);
+  });
+
+  it("requires ring and pinky to be clearly folded", () => {
+    const halfFolded = buildHand({
+      curls: { ...PEACE_CURLS, ring: 0.5, pinky: 0.5 },
+      thumbExtended: false,
+    });
+    assert.equal(isPeace(halfFolded), false);
+  });
+
+  it("requires index and middle to be clearly extended", () => {
+    const bent = buildHand({
+      curls: { ...PEACE_CURLS, index: 0.4, middle: 0.4 },
+      thumbExtended: false,
+    });
+    assert.equal(isPeace(bent), false);
+  });
+
+  it("classifies consistently across the camera range", () => {
+    SCALES.forEach((scale) => {
+      assert.equal(isPeace(buildHand({ curls: PEACE_CURLS, thumbExtended: false, scale })), true);
+    });
+  });
+});
+
+describe("isThumbsUp", () => {
+  it("detects an extended thumb", () => {
+    const thumbsUp = buildHand({ curls: FIST_CURLS });
+    assert.equal(isThumbsUp(thumbsUp), true);
+  });
+
+  it("rejects a tucked thumb", () => {
+    assert.equal(isThumbsUp(fist), false);
+    assert.equal(isThumbsUp(peace), false);
+  });
+
+  it("classifies consistently across the camera range", () => {
+    SCALES.forEach((scale) => {
+      assert.equal(isThumbsUp(buildHand({ curls: FIST_CURLS, scale })), true);
+      assert.equal(isThumbsUp(buildHand({ curls: FIST_CURLS, thumbExtended: false, scale })), false);
+    });
+  });
+});
+
+describe("detectGesture", () => {
+  it("names the built-in gestures with the landmarks their checks read", () => {
+    assert.deepEqual(detectGesture(peace), { name: "Peace", landmarks: GESTURE_LANDMARKS.peace });
+    assert.deepEqual(detectGesture(fist), { name: "Fist", landmarks: GESTURE_LANDMARKS.fist });
+    assert.equal(detectGesture(buildHand({ curls: FIST_CURLS })).name, "Thumbs up");
+  });
+
+  it("does not take an open hand for a thumbs up", () => {
+    assert.equal(detectGesture(openPalm), null);
+  });
+
+  it("prefers a taught gesture", () => {
+    const pose = normalizeHandPose(fist);
+    setActiveGestureSet(addGestureSamples(createGestureSet(), "rock", [pose]));
+    try {
+      assert.equal(detectGesture(fist).name, "rock");
+      assert.equal(detectGesture(peace).name, "Peace");
+    } finally {
+      setActiveGestureSet();
+    }
+  });
+});
+
+describe("isPinch", () => {
+  const pinching = buildHand({ curls: { ...OPEN_CURLS, index: 0.7 }, thumbExtended: false });
+
+  it("detects the thumb and index tips together at any size", () => {
+    assert.equal(isPinch(pinching), true);
+    assert.equal(isPinch(buildHand({ curls: { ...OPEN_CURLS, index: 0.7 }, thumbExtended: false, scale: 0.3 })), true);
+    assert.equal(isPinch(openPalm), false);
+    assert.equal(isPinch(buildHand({ curls: { ...OPEN_CURLS, index: 0.4 }, thumbExtended: false })), false);
+  });
+
+  it("holds until the tips part well past the threshold", () => {
+    const score = PINCH_GESTURE.score(pinching);
+    assert.ok(PINCH_GESTURE.activeBelow);
+    assert.ok(score < PINCH_GESTURE.enter && PINCH_GESTURE.enter < PINCH_GESTURE.exit);
+  });
+});
+
+describe("getFistOrientation", () => {
+  it("reports up for an upright hand", () => {
+    assert.equal(getFistOrientation(fist), "up");
+  });
+
+  it("reports left and right for sideways fists", () => {
+    const right = buildHand({ curls: FIST_CURLS, roll: 90 });
+    const left = buildHand({ curls: FIST_CURLS, roll: -90 });
+
+    assert.equal(getFistOrientation(right), "right");
+    assert.equal(getFistOrientation(left), "left");
+  });
+
+  it("uses the dominant axis on diagonals", () => {
+    assert.equal(getFistOrientation(buildHand({ roll: 50 })), "right");
+    assert.equal(getFistOrientation(buildHand({ roll: -40 })), "up");
+  });
+
+  it("reports unknown for a hand pointing down", () => {
+    assert.equal(getFistOrientation(buildHand({ roll: 180 })), "unknown");
+  });
+});
+
+describe("getHandsDistance", () => {
+  it("measures wrist distance in palm sizes", () => {
+    const a = buildHand({ wrist: [0.2, 0.5, 0], scale: 0.1 });
+    const b = buildHand({ wrist: [0.5, 0.5, 0], scale: 0.1 });
+    assert.ok(Math.abs(getHandsDistance(a, b) - 3) < 1e-9);
+  });
+});
+
+describe("handsClose", () => {
+  const handAt = (x) => buildHand({ curls: FIST_CURLS, wrist: [x, 0.5, 0] });
+
+  it("is true for wrists within range", () => {
+    assert.equal(handsClose(handAt(0.4), handAt(0.6)), true);
+  });
+
+  it("is false for wrists far apart", () => {
+    assert.equal(handsClose(handAt(0.2), handAt(0.8)), false);
+  });
+
+  it("switches at two palm lengths apart", () => {
+    // Palm size is 0.12, so the threshold is 0.24
+    assert.equal(handsClose(handAt(0.3), handAt(0.52)), true);
+    assert.equal(handsClose(handAt(0.3), handAt(0.56)), false);
+  });
+
+  it("scales the threshold with the size of the hands", () => {
+    const farAt = (x) => buildHand({ curls: FIST_CURLS, wrist: [x, 0.5, 0], scale: 0.05 });
+    const nearAt = (x) => buildHand({ curls: FIST_CURLS, wrist: [x, 0.5, 0], scale: 0.25 });
+
+    assert.equal(handsClose(farAt(0.4), farAt(0.6)), false);
+    assert.equal(handsClose(nearAt(0.2), nearAt(0.6)), true);
+  });
+
+  it("is symmetric", () => {
+    const a = handAt(0.3);
+    const b = handAt(0.5);
+    assert.equal(handsClose(a, b), handsClose(b, a));
+  });
+});
+
+describe("getFistRotation", () => {
+  it("is zero for an upright fist facing the camera", () => {
+    const rotation = getFistRotation(fist);
+    Object.values(rotation).forEach((angle) => assert.ok(Math.abs(angle) < 1e-6));
+  });
+
+  it("rolls with the fist in the image plane", () => {
+    // Clockwise on screen is a negative turn about the camera axis
+    const right = getFistRotation(buildHand({ curls: FIST_CURLS, roll: 90 }));
+    const left = getFistRotation(buildHand({ curls: FIST_CURLS, roll: -90 }));
+
+    assert.ok(Math.abs(right.z + Math.PI / 2) < 1e-6);
+    assert.ok(Math.abs(left.z - Math.PI / 2) < 1e-6);
+  });
+
+  it("reads a mirrored left fist the same as a right one", () => {
+    const left = getFistRotation(buildHand({ curls: FIST_CURLS, mirror: true, roll: 30 }), "left");
+    const right = getFistRotation(buildHand({ curls: FIST_CURLS, roll: -30 }));
+
+    assert.ok(Math.abs(left.z + right.z) < 1e-6);
+  });
+
+  it("returns zero rotation for a degenerate hand", () => {
+    const collapsed = fist.map(() => ({ x: 0.5, y: 0.5, z: 0 }));
+    assert.deepEqual(getFistRotation(collapsed), { x: 0, y: 0, z: 0 });
+  });
+
+  it("returns finite angles for rotated hands", () => {
+    [0, 45, 135, 180, -120].forEach((roll) => {
+      const rotation = getFistRotation(buildHand({ curls: FIST_CURLS, roll, yaw: 30 }));
+      Object.values(rotation).forEach((angle) => assert.ok(Number.isFinite(angle)));
+    });
+  });
+});
+
+/**
+ * Loads the labelled frames of a fixture in test/fixtures/hands
+ * @param {string} name - Fixture name
+ * @returns {Array} { case, expected, note, hand } per frame
+ */
+const loadHandFixture = (name) => {
+  const recording = parseRecording(readFileSync(new URL(`./fixtures/hands/${name}.json`, import.meta.url), "utf8"));
+  return recording.frames.map(({ landmarks }, i) => ({ ...recording.labels[i], hand: landmarks[0] }));
+};
+
+describe("labelled landmark fixtures", () => {
+  [
+    ["fist", isFist],
+    ["peace", isPeace],
+    ["thumbsUp", isThumbsUp],
+  ].forEach(([name, classify]) => {
+    it(`agrees with every ${name} label`, () => {
+      const frames = loadHandFixture(name);
+      ["positive", "negative", "borderline"].forEach((kind) => {
+        assert.ok(frames.some((frame) => frame.case === kind), `no ${kind} ${name} frame`);
+      });
+      frames.forEach(({ case: kind, expected, note, hand }) => {
+        assert.equal(classify(hand), expected, `${kind}: ${note}`);
+      });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  GRAB,
+  createGrabbable,
+  createGrabWorld,
+  getHoveredObjects,
+  updateGrabWorld,
+} from "../experiments/grabAndMove/grab.js";
+import { quaternionAngle, rotateByQuaternion } from "../orientation.js";
+
+const BOUNDS = { min: { x: -5, y: -4, z: -6 }, max: { x: 5, y: 4, z: 0 } };
+const FRAME_MS = 33;
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < tolerance, `${key}: ${actual[key]} vs ${expected[key]}`);
+  });
+};
+
+/**
+ * Builds a world with a cube in the middle and a ball to its right
+ * @returns {Object} World
+ */
+const createTestWorld = () =>
+  createGrabWorld(
+    [createGrabbable("cube", { x: 0, y: 0, z: -3 }, 0.5), createGrabbable("ball", { x: 3, y: 0, z: -3 }, 0.5)],
+    BOUNDS
+  );
+
+const cubeOf = (world) => world.objects[0];
+
+describe("updateGrabWorld", () => {
+  it("highlights an object an open hand reaches, and only that one", () => {
+    const world = createTestWorld();
+
+    updateGrabWorld(world, [{ id: 1, point: { x: 0.7, y: 0, z: -3 }, gripping: false }], 0);
+    assert.deepEqual([...getHoveredObjects(world)], ["cube"]);
+
+    updateGrabWorld(world, [{ id: 1, point: { x: 1.5, y: 0, z: -3 }, gripping: false }], FRAME_MS);
+    assert.deepEqual([...getHoveredObjects(world)], []);
+  });
+
+  it("picks the object up on a grip and carries it at the offset it was grabbed at", () => {
+    const world = createTestWorld();
+    updateGrabWorld(world, [{ id: 1, point: { x: 0.6, y: 0, z: -3 }, gripping: false }], 0);
+
+    const events = updateGrabWorld(world, [{ id: 1, point: { x: 0.6, y: 0, z: -3 }, gripping: true }], FRAME_MS);
+    assert.deepEqual(events, [{ type: "grab", object: "cube", hand: "1", hands: 1 }]);
+
+    updateGrabWorld(world, [{ id: 1, point: { x: 1.6, y: 1, z: -2.5 }, gripping: true }], 2 * FRAME_MS);
+    assertClose(cubeOf(world).position, { x: 1, y: 1, z: -2.5 });
+    assertClose(world.objects[1].position, { x: 3, y: 0, z: -3 });
+  });
+
+  it("grabs nothing with a hand that closed away from every object or arrived closed", () => {
+    const world = createTestWorld();
+    updateGrabWorld(world, [{ id: 1, point: { x: -3, y: 0, z: -3 }, gripping: true }], 0);
+    const events = updateGrabWorld(world, [{ id: 1, point: { x: 0.6, y: 0, z: -3 }, gripping: true }], FRAME_MS);
+
+    assert.deepEqual(events, []);
+    assert.equal(cubeOf(world).hold, null);
+  });
+
+  it("throws the object with the hand's velocity, then slows it and bounces it off the bounds", () => {
+    const world = createTestWorld();
+    updateGrabWorld(world, [{ id: 1, point: { x: 0, y: 0, z: -3 }, gripping: false }], 0);
+    updateGrabWorld(world, [{ id: 1, point: { x: 0, y: 0, z: -3 }, gripping: true }], FRAME_MS);
+
+    // Swing up at 3 units per second, opening the hand on the way
+    let t = FRAME_MS;
+    let y = 0;
+    let events = [];
+    for (let i = 0; i < 6; i++) {
+      t += FRAME_MS;
+      y += 3 * (FRAME_MS / 1000);
+      events = updateGrabWorld(world, [{ id: 1, point: { x: 0, y, z: -3 }, gripping: i < 5 }], t);
+    }
+    const [release] = events;
+
+    assert.equal(release.type, "release");
+    assert.equal(release.held, false);
+    assert.ok(Math.abs(release.velocity.y - 3) < 0.6, `thrown at ${release.velocity.y}`);
+
+    // A low ceiling turns it back down, slower
+    world.bounds = { ...BOUNDS, max: { ...BOUNDS.max, y: 1.5 } };
+    const speedAfterThrow = cubeOf(world).velocity.y;
+    for (let i = 0; i < 30; i++) {
+      updateGrabWorld(world, [], t + (i + 1) * FRAME_MS);
+    }
+    const cube = cubeOf(world);
+    assert.ok(cube.velocity.y < 0 && -cube.velocity.y < speedAfterThrow / 2);
+    assert.ok(cube.position.y + cube.radius <= 1.5 + 1e-9);
+  });
+
+  it("scales and turns an object held in both hands", () => {
+    const world = createTestWorld();
+    const hands = (a, b, gripping = true) => [
+      { id: 1, point: a, gripping },
+      { id: 2, point: b, gripping },
+    ];
+
+    updateGrabWorld(world, hands({ x: -0.5, y: 0, z: -3 }, { x: 0.5, y: 0, z: -3 }, false), 0);
+    const events = updateGrabWorld(world, hands({ x: -0.5, y: 0, z: -3 }, { x: 0.5, y: 0, z: -3 }), FRAME_MS);
+    assert.deepEqual(events.map(({ hands: count }) => count), [1, 2]);
+
+    // Hands twice as far apart, and the line between them turned a quarter turn to vertical
+    updateGrabWorld(world, hands({ x: 0, y: -1, z: -3 }, { x: 0, y: 1, z: -3 }), 2 * FRAME_MS);
+    const cube = cubeOf(world);
+    assert.ok(Math.abs(cube.scale - 2) < 1e-9);
+    assert.ok(Math.abs(quaternionAngle(cube.quaternion, { x: 0, y: 0, z: 0, w: 1 }) - Math.PI / 2) < 1e-9);
+    assertClose(rotateByQuaternion({ x: 1, y: 0, z: 0 }, cube.quaternion), { x: 0, y: 1, z: 0 });
+    assertClose(cube.position, { x: 0, y: 0, z: -3 });
+
+    // Spreading the hands further stops at the largest scale
+    updateGrabWorld(world, hands({ x: 0, y: -4, z: -3 }, { x: 0, y: 4, z: -3 }), 3 * FRAME_MS);
+    assert.equal(cube.scale, GRAB.maxScale);
+  });
+
+  it("keeps holding with one hand when the other lets go or is lost", () => {
+    const world = createTestWorld();
+    const a = { x: -0.5, y: 0, z: -3 };
+    const b = { x: 0.5, y: 0, z: -3 };
+    updateGrabWorld(world, [{ id: 1, point: a, gripping: false }, { id: 2, point: b, gripping: false }], 0);
+    updateGrabWorld(world, [{ id: 1, point: a, gripping: true }, { id: 2, point: b, gripping: true }], FRAME_MS);
+
+    const [release] = updateGrabWorld(world, [{ id: 1, point: a, gripping: true }], 2 * FRAME_MS);
+    assert.deepEqual(release, { type: "release", object: "cube", hand: "2", held: true });
+
+    updateGrabWorld(world, [{ id: 1, point: { x: -1.5, y: 0, z: -3 }, gripping: true }], 3 * FRAME_MS);
+    assertClose(cubeOf(world).position, { x: -1, y: 0, z: -3 });
+    assert.deepEqual(cubeOf(world).hold.hands, ["1"]);
+  });
+});
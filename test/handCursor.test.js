@@ -0,0 +1,109 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { CURSOR, createHandCursor, loadCursorMode } from "../handCursor.js";
+import { buildHand, OPEN_CURLS } from "./helpers/handModel.js";
+
+// Landmarks map straight onto a 1000 by 1000 viewport
+const VIEW = { camera: null, width: 1000, height: 1000, videoWidth: 1000, videoHeight: 1000, fit: "fill" };
+const FRAME_MS = 33;
+
+const OPEN = buildHand({ curls: OPEN_CURLS });
+const PINCHING = buildHand({ curls: { ...OPEN_CURLS, index: 0.7 }, thumbExtended: false });
+
+/**
+ * Feeds the cursor the same hand for a while
+ * @returns {Object} { states, t } every frame's state and the time after the last frame
+ */
+const hold = (cursor, hand, from, ms) => {
+  const states = [];
+  let t = from;
+  for (; t < from + ms; t += FRAME_MS) states.push(cursor.update(hand, t, VIEW));
+  return { states, t };
+};
+
+const eventsOf = (states, type) => states.flatMap(({ events }) => events.filter((event) => event.type === type));
+
+describe("createHandCursor", () => {
+  it("follows the index fingertip through the view", () => {
+    const cursor = createHandCursor();
+    const state = cursor.update(OPEN, 0, VIEW);
+
+    assert.equal(state.visible, true);
+    assert.ok(Math.abs(state.x - OPEN[8].x * 1000) < 1e-6);
+    assert.ok(Math.abs(state.y - OPEN[8].y * 1000) < 1e-6);
+    assert.deepEqual(state.events.map(({ type }) => type), ["move"]);
+  });
+
+  it("presses on a pinch and releases when the fingers part", () => {
+    const cursor = createHandCursor({ mode: "pinch" });
+    const { t } = hold(cursor, OPEN, 0, 300);
+
+    const closing = hold(cursor, PINCHING, t, 300);
+    assert.equal(eventsOf(closing.states, "down").length, 1);
+    assert.equal(closing.states.at(-1).pressed, true);
+
+    const opening = hold(cursor, OPEN, closing.t, 300);
+    assert.equal(eventsOf(opening.states, "up").length, 1);
+    assert.equal(opening.states.at(-1).pressed, false);
+  });
+
+  it("presses where the pointer was before the fingertip dipped into the pinch", () => {
+    const cursor = createHandCursor({ mode: "pinch" });
+    const before = hold(cursor, OPEN, 0, 500);
+    const resting = before.states.at(-1);
+
+    const closing = hold(cursor, PINCHING, before.t, 300);
+    const [down] = eventsOf(closing.states, "down");
+    const pressedAt = closing.states.find(({ events }) => events.some(({ type }) => type === "down"));
+
+    const fromRest = Math.hypot(down.x - resting.x, down.y - resting.y);
+    const fromPointer = Math.hypot(pressedAt.x - resting.x, pressedAt.y - resting.y);
+    assert.ok(fromRest < fromPointer, `pressed ${fromRest}px from rest, pointer ${fromPointer}px away`);
+  });
+
+  it("clicks once after the pointer holds still in dwell mode", () => {
+    const cursor = createHandCursor({ mode: "dwell" });
+    const { states, t } = hold(cursor, OPEN, 0, CURSOR.dwellMs * 2.5);
+
+    assert.deepEqual(
+      states.flatMap(({ events }) => events.filter(({ type }) => type !== "move").map(({ type }) => type)),
+      ["down", "up"]
+    );
+    assert.ok(states.some(({ dwellProgress }) => dwellProgress > 0.5 && dwellProgress < 1));
+
+    // Moving away and settling again clicks again
+    const moved = buildHand({ curls: OPEN_CURLS, wrist: [0.2, 0.5, 0] });
+    const again = hold(cursor, moved, t, CURSOR.dwellMs * 2);
+    assert.equal(eventsOf(again.states, "down").length, 1);
+  });
+
+  it("cancels a press when the hand is lost and hides the pointer", () => {
+    const cursor = createHandCursor({ mode: "pinch" });
+    const { t } = hold(cursor, OPEN, 0, 200);
+    const closing = hold(cursor, PINCHING, t, 300);
+
+    const lost = cursor.update(null, closing.t, VIEW);
+    assert.equal(lost.visible, false);
+    assert.deepEqual(lost.events.map(({ type }) => type), ["cancel"]);
+    assert.deepEqual(cursor.update(null, closing.t + FRAME_MS, VIEW).events, []);
+  });
+});
+
+describe("loadCursorMode", () => {
+  const original = globalThis.localStorage;
+  afterEach(() => {
+    globalThis.localStorage = original;
+  });
+
+  it("reads the saved mode and falls back to off", () => {
+    const stored = new Map();
+    globalThis.localStorage = { getItem: (key) => stored.get(key) ?? null, setItem: (key, value) => stored.set(key, value) };
+    assert.equal(loadCursorMode(), "off");
+
+    stored.set("handCursor", "dwell");
+    assert.equal(loadCursorMode(), "dwell");
+
+    stored.set("handCursor", "telekinesis");
+    assert.equal(loadCursorMode(), "off");
+  });
+});
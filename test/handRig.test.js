@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getHandRig } from "../handRig.js";
+import { worldToLandmark } from "../projection.js";
+import { buildHand, FIST_CURLS, OPEN_CURLS } from "./helpers/handModel.js";
+
+// Landmarks map straight onto a square viewport
+const VIEW = { camera: null, width: 1000, height: 1000, videoWidth: 1000, videoHeight: 1000, fit: "fill" };
+const DEPTH = -3;
+
+/**
+ * Builds a tracked hand whose world landmarks have the same shape as its image landmarks
+ * World landmarks come out in meters around the hand, with y down like the image.
+ */
+const buildTrackedHand = (pose, { scale = 0.12, wrist = [0.5, 0.6, 0] } = {}) => ({
+  id: 1,
+  landmarks: buildHand({ ...pose, scale, wrist }),
+  worldLandmarks: buildHand({ ...pose, scale: 0.09, wrist: [0.01, 0.04, 0] }),
+});
+
+describe("getHandRig", () => {
+  it("covers a flat hand's landmarks on screen", () => {
+    const hand = buildTrackedHand({ curls: OPEN_CURLS });
+    const { id, joints } = getHandRig(hand, DEPTH, VIEW);
+
+    assert.equal(id, 1);
+    assert.equal(joints.length, 21);
+    joints.forEach((joint, i) => {
+      const onScreen = worldToLandmark(joint, VIEW);
+      assert.ok(Math.abs(onScreen.x - hand.landmarks[i].x) < 1e-6, `joint ${i} x`);
+      assert.ok(Math.abs(onScreen.y - hand.landmarks[i].y) < 1e-6, `joint ${i} y`);
+    });
+    assert.ok(Math.abs(joints[0].z - DEPTH) < 1e-9);
+  });
+
+  it("scales with the hand's size on screen and keeps its shape in depth", () => {
+    const near = getHandRig(buildTrackedHand({ curls: FIST_CURLS }, { scale: 0.24 }), DEPTH, VIEW);
+    const far = getHandRig(buildTrackedHand({ curls: FIST_CURLS }, { scale: 0.12 }), DEPTH, VIEW);
+    assert.ok(Math.abs(near.scale / far.scale - 2) < 1e-6);
+
+    // Curled fingertips come toward the camera, which is +z in the scene
+    const depthOf = ({ joints }) => joints[8].z - joints[0].z;
+    assert.ok(depthOf(far) > 0);
+    assert.ok(Math.abs(depthOf(near) / depthOf(far) - 2) < 1e-6);
+  });
+
+  it("needs world landmarks", () => {
+    const hand = buildTrackedHand({ curls: OPEN_CURLS });
+    assert.equal(getHandRig({ ...hand, worldLandmarks: undefined }, DEPTH, VIEW), null);
+    assert.equal(getHandRig({ ...hand, worldLandmarks: [] }, DEPTH, VIEW), null);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHandTracker, findHand, getPalmCenter } from "../handTracking.js";
+import { buildHand } from "./helpers/handModel.js";
+
+const FRAME_MS = 1000 / 30;
+
+// MediaPipe labels assume a mirrored image, so on a raw webcam frame "Left" is the user's right hand
+const USERS_RIGHT = [{ categoryName: "Left", score: 0.95 }];
+const USERS_LEFT = [{ categoryName: "Right", score: 0.95 }];
+
+const handAt = (x, y = 0.6) => buildHand({ wrist: [x, y, 0] });
+
+describe("getPalmCenter", () => {
+  it("averages the wrist and finger MCPs", () => {
+    const hand = buildHand({ wrist: [0.5, 0.7, 0], scale: 0.1 });
+    const center = getPalmCenter(hand);
+    assert.ok(center.y < 0.7 && center.y > 0.6);
+  });
+});
+
+describe("createHandTracker", () => {
+  it("keeps ids when detection order swaps", () => {
+    const tracker = createHandTracker();
+    const first = tracker.update(
+      { landmarks: [handAt(0.3), handAt(0.7)], handedness: [USERS_RIGHT, USERS_LEFT] },
+      0
+    );
+    const second = tracker.update(
+      { landmarks: [handAt(0.71), handAt(0.31)], handedness: [USERS_LEFT, USERS_RIGHT] },
+      FRAME_MS
+    );
+
+    const idAt = (hands, x) => hands.find((hand) => Math.abs(hand.landmarks[0].x - x) < 0.02).id;
+    assert.equal(idAt(first, 0.3), idAt(second, 0.31));
+    assert.equal(idAt(first, 0.7), idAt(second, 0.71));
+  });
+
+  it("orders hands by id so the first hand stays first", () => {
+    const tracker = createHandTracker();
+    tracker.update({ landmarks: [handAt(0.3)] }, 0);
+    const hands = tracker.update({ landmarks: [handAt(0.7), handAt(0.3)] }, FRAME_MS);
+
+    assert.ok(Math.abs(hands[0].landmarks[0].x - 0.3) < 1e-9);
+    assert.ok(hands[0].id < hands[1].id);
+  });
+
+  it("reports the user's hand from MediaPipe's mirrored labels", () => {
+    const tracker = createHandTracker();
+    const [hand] = tracker.update({ landmarks: [handAt(0.3)], handedness: [USERS_RIGHT] }, 0);
+    assert.equal(hand.handedness, "right");
+
+    const mirrored = createHandTracker({ inputMirrored: true });
+    const [same] = mirrored.update({ landmarks: [handAt(0.3)], handedness: [USERS_RIGHT] }, 0);
+    assert.equal(same.handedness, "left");
+  });
+
+  it("keeps handedness through a single mislabelled frame", () => {
+    const tracker = createHandTracker();
+    for (let i = 0; i < 10; i++) {
+      tracker.update({ landmarks: [handAt(0.3)], handedness: [USERS_RIGHT] }, i * FRAME_MS);
+    }
+    const [hand] = tracker.update(
+      { landmarks: [handAt(0.3)], handedness: [USERS_LEFT] },
+      10 * FRAME_MS
+    );
+    assert.equal(hand.handedness, "right");
+  });
+
+  it("keeps the id through a brief dropout", () => {
+    const tracker = createHandTracker({ maxDropoutMs: 500 });
+    const [before] = tracker.update({ landmarks: [handAt(0.4)] }, 0);
+    assert.deepEqual(tracker.update({ landmarks: [] }, 100), []);
+    const [after] = tracker.update({ landmarks: [handAt(0.42)] }, 300);
+
+    assert.equal(after.id, before.id);
+  });
+
+  it("assigns a new id after a long dropout", () => {
+    const tracker = createHandTracker({ maxDropoutMs: 500 });
+    const [before] = tracker.update({ landmarks: [handAt(0.4)] }, 0);
+    tracker.update({ landmarks: [] }, 100);
+    const [after] = tracker.update({ landmarks: [handAt(0.4)] }, 800);
+
+    assert.notEqual(after.id, before.id);
+  });
+
+  it("starts a new track for a hand that appears far away", () => {
+    const tracker = createHandTracker({ maxMatchDistance: 0.2 });
+    const [before] = tracker.update({ landmarks: [handAt(0.2)] }, 0);
+    const [after] = tracker.update({ landmarks: [handAt(0.8)] }, FRAME_MS);
+
+    assert.notEqual(after.id, before.id);
+  });
+
+  it("follows a moving hand using its velocity", () => {
+    const tracker = createHandTracker({ maxMatchDistance: 0.1 });
+    let id = null;
+
+    // Moves 0.06 per frame, and the second hand appears where the first would be without prediction
+    for (let i = 0; i < 8; i++) {
+      const landmarks = [handAt(0.1 + i * 0.06)];
+      if (i === 7) landmarks.push(handAt(0.1 + 6 * 0.06));
+      const hands = tracker.update({ landmarks }, i * FRAME_MS);
+      const moving = hands.find((hand) => Math.abs(hand.landmarks[0].x - (0.1 + i * 0.06)) < 1e-9);
+      id = id ?? moving.id;
+      assert.equal(moving.id, id);
+    }
+  });
+
+  it("uses handedness to break ties between nearby hands", () => {
+    const tracker = createHandTracker();
+    tracker.update(
+      { landmarks: [handAt(0.45), handAt(0.55)], handedness: [USERS_RIGHT, USERS_LEFT] },
+      0
+    );
+    // Both hands cross to the middle; positions alone are ambiguous
+    const hands = tracker.update(
+      { landmarks: [handAt(0.5, 0.6), handAt(0.5, 0.61)], handedness: [USERS_LEFT, USERS_RIGHT] },
+      FRAME_MS
+    );
+
+    assert.equal(hands.find((hand) => hand.index === 1).handedness, "right");
+    assert.equal(hands.find((hand) => hand.index === 0).handedness, "left");
+  });
+});
+
+describe("findHand", () => {
+  const hands = [
+    { id: 1, handedness: "left" },
+    { id: 2, handedness: "right" },
+  ];
+
+  it("picks by handedness", () => {
+    assert.equal(findHand(hands, "right").id, 2);
+    assert.equal(findHand(hands, "left").id, 1);
+    assert.equal(findHand(hands, "any").id, 1);
+  });
+
+  it("returns null or falls back when the hand is missing", () => {
+    const leftOnly = [hands[0]];
+    assert.equal(findHand(leftOnly, "right"), null);
+    assert.equal(findHand(leftOnly, "right", true).id, 1);
+    assert.equal(findHand([], "any"), null);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Parametric hand model for building MediaPipe-style landmark fixtures
+ *
+ * The hand is authored in palm units (wrist to middle MCP = 1) with the palm
+ * facing the camera and fingers pointing up, then curled, rotated, scaled and
+ * placed in normalized image coordinates (x right, y down, z toward the camera
+ * is negative), matching the layout of HandLandmarker results.
+ */
+
+const FINGERS = {
+  index: { mcp: [0.3, -0.95], segments: [0.45, 0.27, 0.22] },
+  middle: { mcp: [0.0, -1.0], segments: [0.5, 0.3, 0.23] },
+  ring: { mcp: [-0.25, -0.92], segments: [0.46, 0.28, 0.22] },
+  pinky: { mcp: [-0.48, -0.8], segments: [0.36, 0.21, 0.2] },
+};
+
+// Flexion at MCP, PIP and DIP for a fully curled finger, in degrees
+const FULL_CURL = [80, 100, 70];
+
+const EXTENDED_THUMB = [
+  [0.25, -0.2, 0],
+  [0.5, -0.4, 0],
+  [0.7, -0.55, 0],
+  [0.85, -0.7, 0],
+];
+
+const TUCKED_THUMB = [
+  [0.25, -0.2, 0],
+  [0.45, -0.45, -0.1],
+  [0.4, -0.65, -0.25],
+  [0.25, -0.72, -0.4],
+];
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Builds the four joints of a finger from its MCP and curl amount
+ * @param {Object} finger - Finger definition from FINGERS
+ * @param {number} curl - 0 (straight) to 1 (fully curled)
+ * @returns {Array} [MCP, PIP, DIP, TIP] as [x, y, z] in palm units
+ */
+const buildFinger = (finger, curl) => {
+  const joints = [[finger.mcp[0], finger.mcp[1], 0]];
+  let angle = 0;
+
+  finger.segments.forEach((length, i) => {
+    angle += toRad(FULL_CURL[i] * curl);
+    const [x, y, z] = joints[joints.length - 1];
+    joints.push([x, y - Math.cos(angle) * length, z - Math.sin(angle) * length]);
+  });
+
+  return joints;
+};
+
+/**
+ * Rotates a point by roll (image plane), yaw (vertical axis) then pitch (horizontal axis)
+ * @param {Array} point - [x, y, z]
+ * @param {Object} rotation - { roll, yaw, pitch } in degrees
+ * @returns {Array} Rotated [x, y, z]
+ */
+const rotate = ([x, y, z], { roll = 0, yaw = 0, pitch = 0 }) => {
+  const [cp, sp] = [Math.cos(toRad(pitch)), Math.sin(toRad(pitch))];
+  [y, z] = [y * cp - z * sp, y * sp + z * cp];
+
+  const [cy, sy] = [Math.cos(toRad(yaw)), Math.sin(toRad(yaw))];
+  [x, z] = [x * cy + z * sy, -x * sy + z * cy];
+
+  const [cr, sr] = [Math.cos(toRad(roll)), Math.sin(toRad(roll))];
+  [x, y] = [x * cr - y * sr, x * sr + y * cr];
+
+  return [x, y, z];
+};
+
+/**
+ * Builds a 21-point hand in normalized image coordinates
+ * @param {Object} options - Pose description
+ * @param {Object} options.curls - Per-finger curl 0-1 (index, middle, ring, pinky)
+ * @param {boolean} options.thumbExtended - Thumb sticking out (true) or tucked (false)
+ * @param {number} options.scale - Wrist to middle MCP length in normalized units
+ * @param {Array} options.wrist - Wrist position [x, y, z] in normalized units
+ * @param {number} options.roll - Rotation in the image plane in degrees (positive is clockwise on screen)
+ * @param {number} options.yaw - Rotation about the vertical axis in degrees
+ * @param {number} options.pitch - Rotation about the horizontal axis in degrees
+ * @param {boolean} options.mirror - Mirror across the vertical axis (the other hand)
+ * @returns {Array} 21 landmarks with x, y, z properties
+ */
+export const buildHand = ({
+  curls = {},
+  thumbExtended = true,
+  scale = 0.12,
+  wrist = [0.5, 0.7, 0],
+  roll = 0,
+  yaw = 0,
+  pitch = 0,
+  mirror = false,
+} = {}) => {
+  const points = [[0, 0, 0], ...(thumbExtended ? EXTENDED_THUMB : TUCKED_THUMB)];
+
+  ["index", "middle", "ring", "pinky"].forEach((name) => {
+    points.push(...buildFinger(FINGERS[name], curls[name] ?? 0));
+  });
+
+  return points.map((point) => {
+    const [px, py, pz] = point;
+    const [x, y, z] = rotate([mirror ? -px : px, py, pz], { roll, yaw, pitch });
+    return {
+      x: wrist[0] + x * scale,
+      y: wrist[1] + y * scale,
+      z: wrist[2] + z * scale,
+    };
+  });
+};
+
+export const OPEN_CURLS = { index: 0, middle: 0, ring: 0, pinky: 0 };
+export const FIST_CURLS = { index: 1, middle: 1, ring: 1, pinky: 1 };
+export const PEACE_CURLS = { index: 0, middle: 0, ring: 1, pinky: 1 };
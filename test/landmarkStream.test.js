@@ -0,0 +1,140 @@
+import { describe, it, mock, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { STREAM, STREAM_PROTOCOL_VERSION, createFrameMessage, createLandmarkStream } from "../landmarkStream.js";
+import { buildHand, OPEN_CURLS } from "./helpers/handModel.js";
+
+/**
+ * Builds a fake WebSocket class that records the sockets it makes
+ * @returns {Function} Constructor with an instances array
+ */
+const createFakeSocketClass = () => {
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = FakeSocket.CONNECTING;
+      this.bufferedAmount = 0;
+      this.sent = [];
+      FakeSocket.instances.push(this);
+    }
+
+    open() {
+      this.readyState = FakeSocket.OPEN;
+      this.onopen();
+    }
+
+    drop() {
+      this.readyState = FakeSocket.CLOSED;
+      this.onclose();
+    }
+
+    send(text) {
+      this.sent.push(JSON.parse(text));
+    }
+
+    close() {
+      this.readyState = FakeSocket.CLOSED;
+    }
+  }
+  FakeSocket.CONNECTING = 0;
+  FakeSocket.OPEN = 1;
+  FakeSocket.CLOSED = 3;
+  FakeSocket.instances = [];
+  return FakeSocket;
+};
+
+const HAND = { id: 1, handedness: "right", landmarks: buildHand({ curls: OPEN_CURLS }), worldLandmarks: null };
+const frameAt = (timestamp, hands = [HAND]) => ({ timestamp, hands });
+
+describe("createFrameMessage", () => {
+  it("packs each hand's landmarks with its id and gesture", () => {
+    const message = createFrameMessage(frameAt(1000), { experiment: "fist-bump", gestures: { 1: "open" } });
+
+    assert.equal(message.v, STREAM_PROTOCOL_VERSION);
+    assert.equal(message.type, "frame");
+    assert.equal(message.t, 1000);
+    assert.equal(message.experiment, "fist-bump");
+
+    const [hand] = message.hands;
+    assert.deepEqual([hand.id, hand.handedness, hand.gesture], [1, "right", "open"]);
+    assert.equal(hand.landmarks.length, 21);
+    assert.ok(Math.abs(hand.landmarks[8][0] - HAND.landmarks[8].x) <= 0.5 * 10 ** -STREAM.digits);
+    assert.equal(hand.worldLandmarks, null);
+  });
+
+  it("sends null for the empty world landmarks of a hand the tracker has none for", () => {
+    const message = createFrameMessage(frameAt(0, [{ ...HAND, worldLandmarks: [] }]));
+    assert.equal(message.hands[0].worldLandmarks, null);
+  });
+});
+
+describe("createLandmarkStream", () => {
+  afterEach(() => mock.timers.reset());
+
+  it("says hello on connect and limits the frame rate", () => {
+    const Socket = createFakeSocketClass();
+    const stream = createLandmarkStream({ url: "ws://relay", maxFps: 10, WebSocket: Socket, now: () => 0 });
+    const [socket] = Socket.instances;
+    assert.equal(stream.publishFrame(frameAt(0)), false);
+
+    socket.open();
+    assert.equal(socket.sent[0].type, "hello");
+
+    const sent = [0, 50, 100, 150, 200].map((t) => stream.publishFrame(frameAt(t)));
+    assert.deepEqual(sent, [true, false, true, false, true]);
+
+    // Frames wait while the socket is backed up
+    socket.bufferedAmount = STREAM.maxBufferedBytes + 1;
+    assert.equal(stream.publishFrame(frameAt(400)), false);
+    stream.close();
+  });
+
+  it("reports gesture changes and experiment events even when frames are skipped", () => {
+    const Socket = createFakeSocketClass();
+    const stream = createLandmarkStream({ maxFps: 1, WebSocket: Socket, now: () => 0 });
+    const [socket] = Socket.instances;
+    socket.open();
+
+    stream.setExperiment("grab-and-move");
+    stream.publishFrame(frameAt(0), { gestures: { 1: "open" } });
+    stream.publishFrame(frameAt(10), { gestures: { 1: "fist" } });
+    stream.publishEvent("grab", { object: "cube" });
+    stream.publishFrame(frameAt(20), { gestures: {} });
+
+    const events = socket.sent.filter(({ type }) => type === "event").map(({ name, detail }) => [name, detail]);
+    assert.deepEqual(events, [
+      ["experiment", { id: "grab-and-move" }],
+      ["gesture-start", { hand: 1, gesture: "open" }],
+      ["gesture-end", { hand: 1, gesture: "open" }],
+      ["gesture-start", { hand: 1, gesture: "fist" }],
+      ["grab", { object: "cube" }],
+      ["gesture-end", { hand: 1, gesture: "fist" }],
+    ]);
+    assert.equal(socket.sent.filter(({ type }) => type === "frame").length, 1);
+    stream.close();
+  });
+
+  it("reconnects with a growing delay until closed", () => {
+    mock.timers.enable({ apis: ["setTimeout"] });
+    const Socket = createFakeSocketClass();
+    const statuses = [];
+    const stream = createLandmarkStream({ WebSocket: Socket, onStatus: (status) => statuses.push(status) });
+
+    Socket.instances[0].drop();
+    mock.timers.tick(STREAM.retryMs);
+    assert.equal(Socket.instances.length, 2);
+
+    Socket.instances[1].drop();
+    mock.timers.tick(STREAM.retryMs);
+    assert.equal(Socket.instances.length, 2);
+    mock.timers.tick(STREAM.retryMs);
+    assert.equal(Socket.instances.length, 3);
+
+    Socket.instances[2].open();
+    assert.deepEqual(statuses, ["connecting", "closed", "connecting", "closed", "connecting", "open"]);
+
+    stream.close();
+    mock.timers.tick(STREAM.maxRetryMs);
+    assert.equal(Socket.instances.length, 3);
+    assert.equal(stream.getStatus(), "closed");
+  });
+});
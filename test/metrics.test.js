@@ -0,0 +1,119 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createFrameMetrics, createAdaptiveRate, percentile } from "../metrics.js";
+
+describe("percentile", () => {
+  it("picks values from the sorted numbers", () => {
+    const values = [5, 1, 4, 2, 3];
+    assert.equal(percentile(values, 0), 1);
+    assert.equal(percentile(values, 0.5), 3);
+    assert.equal(percentile(values, 1), 5);
+  });
+
+  it("gives null without values", () => {
+    assert.equal(percentile([], 0.95), null);
+  });
+});
+
+describe("createFrameMetrics", () => {
+  it("measures render and detection rates over the window", () => {
+    const metrics = createFrameMetrics();
+    for (let t = 0; t <= 500; t += 10) metrics.recordRender(t);
+    for (let t = 0; t <= 500; t += 50) metrics.recordDetection(t, 20);
+
+    const stats = metrics.getStats(500);
+    assert.ok(Math.abs(stats.renderFps - 100) < 1e-9);
+    assert.ok(Math.abs(stats.detectionFps - 20) < 1e-9);
+    assert.equal(stats.latency, 20);
+  });
+
+  it("forgets events that have left the window", () => {
+    const metrics = createFrameMetrics({ windowMs: 1000 });
+    metrics.recordDetection(0, 100);
+    metrics.recordDrop(0);
+    metrics.recordDetection(1500, 10);
+
+    const stats = metrics.getStats(1500);
+    assert.equal(stats.latency, 10);
+    assert.equal(stats.dropped, 0);
+    assert.equal(stats.totalDropped, 1);
+  });
+
+  it("reports the p95 latency of the window", () => {
+    const metrics = createFrameMetrics();
+    for (let i = 0; i < 20; i++) metrics.recordDetection(i, i === 19 ? 200 : 10);
+    assert.equal(metrics.getStats(20).latencyP95, 200);
+  });
+
+  it("exports totals, session latency and a row per second", () => {
+    const metrics = createFrameMetrics();
+    for (let t = 0; t <= 3000; t += 100) {
+      metrics.recordRender(t);
+      metrics.recordDetection(t, 30);
+    }
+    metrics.recordDrop(3000);
+
+    const report = metrics.exportReport({ experimentId: "fist-bump" });
+    assert.equal(report.version, 1);
+    assert.equal(report.experimentId, "fist-bump");
+    assert.equal(report.durationMs, 3000);
+    assert.deepEqual(report.totals, { renders: 31, detections: 31, dropped: 1 });
+    assert.deepEqual(report.latency, { mean: 30, p50: 30, p95: 30, max: 30 });
+    assert.deepEqual(report.seconds.map(({ t }) => t), [1000, 2000, 3000]);
+    assert.ok(Math.abs(report.seconds[0].detectionFps - 10) < 1e-9);
+  });
+
+  it("starts over after a reset", () => {
+    const metrics = createFrameMetrics();
+    metrics.recordRender(0);
+    metrics.recordDrop(5);
+    metrics.reset();
+
+    const report = metrics.exportReport();
+    assert.deepEqual(report.totals, { renders: 0, detections: 0, dropped: 0 });
+    assert.equal(report.latency.mean, null);
+    assert.equal(report.durationMs, 0);
+  });
+});
+
+describe("createAdaptiveRate", () => {
+  it("detects at the top rate while inference is fast", () => {
+    const rate = createAdaptiveRate({ maxFps: 50, minFps: 5 });
+    assert.equal(rate.isDue(0), true);
+    rate.markSent(0);
+    rate.recordLatency(5);
+
+    assert.equal(rate.getInterval(), 20);
+    assert.equal(rate.isDue(10), false);
+    assert.equal(rate.isDue(20), true);
+  });
+
+  it("slows down when inference can't keep up, within the minimum rate", () => {
+    const rate = createAdaptiveRate({ maxFps: 60, minFps: 5, headroom: 1.5, smoothing: 1 });
+    rate.recordLatency(100);
+    assert.equal(rate.getInterval(), 150);
+
+    rate.recordLatency(1000);
+    assert.equal(rate.getInterval(), 200);
+  });
+
+  it("speeds back up as latency falls", () => {
+    const rate = createAdaptiveRate({ maxFps: 60, minFps: 5, smoothing: 0.5 });
+    rate.recordLatency(100);
+    const slow = rate.getInterval();
+    for (let i = 0; i < 20; i++) rate.recordLatency(5);
+
+    assert.ok(rate.getInterval() < slow);
+    assert.ok(Math.abs(rate.getInterval() - 1000 / 60) < 1e-6);
+  });
+
+  it("returns to the top rate after a reset", () => {
+    const rate = createAdaptiveRate({ maxFps: 30, minFps: 5 });
+    rate.markSent(0);
+    rate.recordLatency(150);
+    rate.reset();
+
+    assert.ok(Math.abs(rate.getInterval() - 1000 / 30) < 1e-9);
+    assert.equal(rate.isDue(0), true);
+  });
+});
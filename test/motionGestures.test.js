@@ -0,0 +1,170 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MIN_MOTION_CONFIDENCE,
+  classifyMotion,
+  createMotionRecognizer,
+  createMotionTemplateFromSamples,
+  createTrajectoryBuffer,
+  getTrajectoryFromRecording,
+  normalizePath,
+  sampleHand,
+  warpedDistance,
+} from "../motionGestures.js";
+import { buildHand, OPEN_CURLS } from "./helpers/handModel.js";
+
+const FRAME_MS = 33;
+const REST_BEFORE_MS = 300;
+const REST_AFTER_MS = 500;
+
+// Eases in and out, as a hand speeds up and slows down
+const ease = (u) => (1 - Math.cos(Math.PI * u)) / 2;
+
+/**
+ * Builds the frames of an open hand resting, moving along a path, then resting again
+ * @param {function(number): Array<number>} path - Maps 0 to 1 along the motion to
+ *   [wrist x, wrist y, size relative to the start]
+ * @param {number} durationMs - Length of the motion
+ * @returns {Array<Object>} { t, hands } per frame, with the hand's id 1
+ */
+const moveHand = (path, durationMs) => {
+  const frames = [];
+  for (let t = 0; t <= REST_BEFORE_MS + durationMs + REST_AFTER_MS; t += FRAME_MS) {
+    const [x, y, size] = path(Math.min(1, Math.max(0, (t - REST_BEFORE_MS) / durationMs)));
+    const landmarks = buildHand({ curls: OPEN_CURLS, wrist: [x, y, 0], scale: 0.12 * size });
+    frames.push({ t, hands: [{ id: 1, handedness: "right", landmarks }] });
+  }
+  return frames;
+};
+
+/**
+ * Feeds frames to a recognizer
+ * @param {Array<Object>} frames - Frames from moveHand
+ * @param {Object} recognizer - Recognizer (default: a new one with the built-in templates)
+ * @returns {Array} Every gesture it reported
+ */
+const recognize = (frames, recognizer = createMotionRecognizer()) =>
+  frames.flatMap(({ t, hands }) => recognizer.update(hands, t));
+
+const gestureNames = (frames, recognizer) => recognize(frames, recognizer).map(({ gesture }) => gesture);
+
+describe("createTrajectoryBuffer", () => {
+  it("keeps samples within the window", () => {
+    const buffer = createTrajectoryBuffer({ windowMs: 100 });
+    [0, 50, 100, 150].forEach((t) => buffer.push({ t, x: 0, y: 0, size: 0.1 }));
+
+    assert.deepEqual(buffer.getSamples().map(({ t }) => t), [50, 100, 150]);
+    assert.deepEqual(buffer.since(100).map(({ t }) => t), [100, 150]);
+    assert.deepEqual(buffer.since(0, 100).map(({ t }) => t), [50, 100]);
+
+    buffer.clear();
+    assert.deepEqual(buffer.getSamples(), []);
+  });
+});
+
+describe("warpedDistance", () => {
+  it("is 0 for the same path and forgives a path that runs ahead", () => {
+    const line = normalizePath(Array.from({ length: 10 }, (_, i) => [i, 0, 0]));
+    const rushed = normalizePath(Array.from({ length: 10 }, (_, i) => [(i / 9) ** 0.5 * 9, 0, 0]));
+
+    assert.equal(warpedDistance(line, line), 0);
+    assert.ok(warpedDistance(line, rushed) < 0.02);
+  });
+});
+
+describe("createMotionRecognizer", () => {
+  it("recognizes swipes in each direction", () => {
+    const swipes = {
+      "swipe-left": (u) => [0.7 - 0.4 * ease(u), 0.6, 1],
+      "swipe-right": (u) => [0.3 + 0.4 * ease(u), 0.6, 1],
+      "swipe-up": (u) => [0.5, 0.8 - 0.4 * ease(u), 1],
+      "swipe-down": (u) => [0.5, 0.4 + 0.4 * ease(u), 1],
+    };
+    Object.entries(swipes).forEach(([name, path]) => {
+      assert.deepEqual(gestureNames(moveHand(path, 400)), [name], name);
+    });
+  });
+
+  it("recognizes a wave, wherever it starts", () => {
+    assert.deepEqual(gestureNames(moveHand((u) => [0.5 - 0.12 * Math.cos(u * 5 * Math.PI), 0.6, 1], 1200)), ["wave"]);
+    assert.deepEqual(gestureNames(moveHand((u) => [0.5 + 0.12 * Math.sin(u * 4 * Math.PI), 0.6, 1], 1200)), ["wave"]);
+  });
+
+  it("recognizes a circle drawn either way", () => {
+    const circle = (direction) => (u) => [
+      0.5 + 0.15 * Math.cos(direction * u * 2 * Math.PI),
+      0.6 + 0.15 * Math.sin(direction * u * 2 * Math.PI),
+      1,
+    ];
+    assert.deepEqual(gestureNames(moveHand(circle(1), 1000)), ["circle"]);
+    assert.deepEqual(gestureNames(moveHand(circle(-1), 1000)), ["circle"]);
+  });
+
+  it("recognizes a push and a pull from the change in hand size", () => {
+    assert.deepEqual(gestureNames(moveHand((u) => [0.5, 0.6, 1 + 0.8 * ease(u)], 500)), ["push"]);
+    assert.deepEqual(gestureNames(moveHand((u) => [0.5, 0.6, 1.8 - 0.8 * ease(u)], 500)), ["pull"]);
+  });
+
+  it("reports when the motion started and ended, and how confident it is", () => {
+    const [swipe] = recognize(moveHand((u) => [0.3 + 0.4 * ease(u), 0.6, 1], 400));
+
+    assert.equal(swipe.subject, 1);
+    assert.ok(Math.abs(swipe.start - REST_BEFORE_MS) <= FRAME_MS);
+    assert.ok(Math.abs(swipe.end - (REST_BEFORE_MS + 400)) <= 2 * FRAME_MS);
+    assert.ok(swipe.confidence > 0.9 && swipe.confidence <= 1);
+  });
+
+  it("ignores a still hand and small movements", () => {
+    assert.deepEqual(recognize(moveHand(() => [0.5, 0.6, 1], 500)), []);
+    assert.deepEqual(recognize(moveHand((u) => [0.5 + 0.05 * ease(u), 0.6, 1], 300)), []);
+  });
+
+  it("finishes a motion when the hand leaves the view", () => {
+    const recognizer = createMotionRecognizer();
+    const frames = moveHand((u) => [0.3 + 0.6 * ease(u), 0.6, 1], 400).filter(({ t }) => t <= REST_BEFORE_MS + 330);
+    assert.deepEqual(gestureNames(frames, recognizer), []);
+    assert.equal(recognizer.isMoving(1), true);
+
+    const [swipe] = recognizer.update([], REST_BEFORE_MS + 400);
+    assert.equal(swipe.gesture, "swipe-right");
+    assert.deepEqual(recognizer.getTrajectory(1), []);
+  });
+
+  it("learns a new motion from a recording of it", () => {
+    // A check mark: down and to the right, then a longer stroke up and to the right
+    const check = (u) =>
+      u < 0.35
+        ? [0.3 + 0.1 * (u / 0.35), 0.5 + 0.1 * (u / 0.35), 1]
+        : [0.4 + 0.25 * ((u - 0.35) / 0.65), 0.6 - 0.3 * ((u - 0.35) / 0.65), 1];
+
+    const recording = {
+      frames: moveHand(check, 600).map(({ t, hands }) => ({ t, landmarks: [hands[0].landmarks] })),
+    };
+    const samples = getTrajectoryFromRecording(recording, { start: REST_BEFORE_MS, end: REST_BEFORE_MS + 600 });
+
+    const recognizer = createMotionRecognizer();
+    const before = classifyMotion(samples, recognizer.getTemplates());
+    assert.ok(before.gesture !== "check" && before.confidence < MIN_MOTION_CONFIDENCE);
+
+    recognizer.addTemplate(createMotionTemplateFromSamples("check", samples));
+    const bigger = (u) => {
+      const [x, y] = check(u);
+      return [0.5 + (x - 0.5) * 1.3, 0.5 + (y - 0.5) * 1.3, 1];
+    };
+    assert.deepEqual(gestureNames(moveHand(bigger, 800), recognizer), ["check"]);
+  });
+});
+
+describe("getTrajectoryFromRecording", () => {
+  it("skips frames without the hand and mirrors on request", () => {
+    const hand = buildHand({ wrist: [0.3, 0.6, 0] });
+    const recording = { frames: [{ t: 0, landmarks: [hand] }, { t: 33, landmarks: [] }, { t: 66, landmarks: [hand] }] };
+
+    const samples = getTrajectoryFromRecording(recording);
+    assert.deepEqual(samples.map(({ t }) => t), [0, 66]);
+    assert.deepEqual(samples[0], sampleHand(hand, 0));
+
+    const [mirrored] = getTrajectoryFromRecording(recording, { mirrored: true });
+    assert.ok(Math.abs(mirrored.x - (1 - samples[0].x)) < 1e-12);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  IDENTITY_QUATERNION,
+  getHandOrientation,
+  getPalmBasis,
+  quaternionAngle,
+  quaternionBetween,
+  quaternionFromAxisAngle,
+  quaternionToEuler,
+  multiplyQuaternions,
+  rotateByQuaternion,
+} from "../orientation.js";
+import { buildHand, OPEN_CURLS, FIST_CURLS } from "./helpers/handModel.js";
+
+const X = { x: 1, y: 0, z: 0 };
+const Y = { x: 0, y: 1, z: 0 };
+const Z = { x: 0, y: 0, z: 1 };
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * The orientation buildHand produces: pitch, then yaw, then roll, converted from image
+ * axes (y down, z away) to world axes, which flips the sense of yaw and roll
+ * @param {Object} pose - { roll, yaw, pitch } in degrees
+ * @returns {Object} Expected quaternion
+ */
+const expected = ({ roll = 0, yaw = 0, pitch = 0 }) =>
+  multiplyQuaternions(
+    quaternionFromAxisAngle(Z, -toRad(roll)),
+    multiplyQuaternions(
+      quaternionFromAxisAngle(Y, -toRad(yaw)),
+      quaternionFromAxisAngle(X, toRad(pitch))
+    )
+  );
+
+const assertSameOrientation = (actual, target, message) => {
+  const angle = quaternionAngle(actual, target);
+  assert.ok(angle < 1e-6, `${message}: off by ${angle} rad`);
+};
+
+describe("getHandOrientation", () => {
+  it("is the identity for an upright right hand with its palm to the camera", () => {
+    const { quaternion, normal, direction } = getHandOrientation(buildHand({ curls: OPEN_CURLS }));
+
+    assertSameOrientation(quaternion, IDENTITY_QUATERNION, "open hand");
+    assert.ok(normal.z > 0.999, "palm faces the camera");
+    assert.ok(direction.y > 0.999, "fingers point up");
+  });
+
+  it("is the identity for the same pose of a left hand", () => {
+    const hand = buildHand({ curls: OPEN_CURLS, mirror: true });
+    const { quaternion } = getHandOrientation(hand, { handedness: "left" });
+    assertSameOrientation(quaternion, IDENTITY_QUATERNION, "left hand");
+
+    // Taking it for a right hand puts the palm on the wrong side
+    const { normal } = getHandOrientation(hand, { handedness: "right" });
+    assert.ok(normal.z < -0.999);
+  });
+
+  it("gives a fist the orientation of the open hand it came from", () => {
+    const pose = { roll: 25, yaw: -35, pitch: 20 };
+    const open = getHandOrientation(buildHand({ curls: OPEN_CURLS, ...pose })).quaternion;
+    const fist = getHandOrientation(
+      buildHand({ curls: FIST_CURLS, thumbExtended: false, ...pose })
+    ).quaternion;
+
+    assertSameOrientation(fist, open, "fist");
+  });
+
+  it("recovers roll, yaw and pitch, alone and combined", () => {
+    [
+      { roll: 90 },
+      { roll: -150 },
+      { yaw: 60 },
+      { pitch: 45 },
+      { roll: 30, yaw: -40, pitch: 25 },
+      { roll: 170, yaw: 80, pitch: -60 },
+    ].forEach((pose) => {
+      const { quaternion } = getHandOrientation(buildHand({ curls: FIST_CURLS, ...pose }));
+      assertSameOrientation(quaternion, expected(pose), JSON.stringify(pose));
+    });
+  });
+
+  it("stays well defined when the fingers point straight at the camera", () => {
+    [85, 90, 95].forEach((pitch) => {
+      const { quaternion, euler, direction } = getHandOrientation(
+        buildHand({ curls: FIST_CURLS, pitch, roll: 20 })
+      );
+
+      assertSameOrientation(quaternion, expected({ pitch, roll: 20 }), `pitch ${pitch}`);
+      assert.ok(direction.z > 0.99);
+      Object.values(euler).forEach((angle) => assert.ok(Number.isFinite(angle)));
+    });
+  });
+
+  it("corrects for non-square images", () => {
+    const aspect = 4 / 3;
+    const square = buildHand({ curls: OPEN_CURLS, roll: 45, wrist: [0.5, 0.5, 0] });
+    // Normalized x shrinks by the aspect ratio on a wide image, and z follows x
+    const wide = square.map(({ x, y, z }) => ({ x: x / aspect, y, z: z / aspect }));
+
+    const { quaternion } = getHandOrientation(wide, { aspect });
+    assertSameOrientation(quaternion, expected({ roll: 45 }), "wide image");
+  });
+
+  it("falls back to the identity for a degenerate hand", () => {
+    const collapsed = buildHand().map(() => ({ x: 0.5, y: 0.5, z: 0 }));
+    assert.equal(getPalmBasis(collapsed), null);
+    assert.deepEqual(getHandOrientation(collapsed).quaternion, IDENTITY_QUATERNION);
+  });
+});
+
+describe("quaternion helpers", () => {
+  it("rotates vectors right-handedly", () => {
+    const v = rotateByQuaternion(X, quaternionFromAxisAngle(Z, Math.PI / 2));
+    assert.ok(Math.abs(v.y - 1) < 1e-9 && Math.abs(v.x) < 1e-9);
+  });
+
+  it("converts to Euler angles in XYZ order", () => {
+    const yz = multiplyQuaternions(quaternionFromAxisAngle(Y, -0.5), quaternionFromAxisAngle(Z, 1.2));
+    const euler = quaternionToEuler(multiplyQuaternions(quaternionFromAxisAngle(X, 0.3), yz));
+
+    assert.ok(Math.abs(euler.x - 0.3) < 1e-9);
+    assert.ok(Math.abs(euler.y + 0.5) < 1e-9);
+    assert.ok(Math.abs(euler.z - 1.2) < 1e-9);
+  });
+
+  it("treats q and -q as the same orientation", () => {
+    const q = quaternionFromAxisAngle(Y, 1);
+    const negated = { x: -q.x, y: -q.y, z: -q.z, w: -q.w };
+    assert.ok(quaternionAngle(q, negated) < 1e-6);
+  });
+
+  it("finds the shortest turn between two directions, even opposite ones", () => {
+    const diagonal = { x: Math.SQRT1_2, y: Math.SQRT1_2, z: 0 };
+    const turn = quaternionBetween(X, diagonal);
+    const turned = rotateByQuaternion(X, turn);
+
+    assert.ok(Math.abs(quaternionAngle(turn, IDENTITY_QUATERNION) - Math.PI / 4) < 1e-9);
+    assert.ok(Math.abs(turned.x - diagonal.x) < 1e-9 && Math.abs(turned.y - diagonal.y) < 1e-9);
+
+    [X, Y].forEach((direction) => {
+      const back = rotateByQuaternion(direction, quaternionBetween(direction, { x: -direction.x, y: -direction.y, z: 0 }));
+      assert.ok(Math.abs(back.x + direction.x) < 1e-9 && Math.abs(back.y + direction.y) < 1e-9);
+    });
+  });
+});
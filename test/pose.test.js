@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { POSE_LANDMARKS, getJointAngle, getArm, getShoulderTilt, isVisible } from "../pose.js";
+import { createLandmarkSmoother } from "../filters.js";
+
+const { LEFT_SHOULDER, RIGHT_SHOULDER, LEFT_ELBOW, LEFT_WRIST, LEFT_HIP, RIGHT_HIP } = POSE_LANDMARKS;
+
+/**
+ * Builds a person standing square to the camera with arms hanging down, in image axes
+ * @param {Object} overrides - Landmarks to replace, keyed by id
+ * @returns {Array} 33 pose landmarks
+ */
+const buildPose = (overrides = {}) => {
+  const pose = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.5, z: 0, visibility: 0.99 }));
+  // The person's left is on the image's right on an unmirrored camera
+  pose[LEFT_SHOULDER] = { x: 0.6, y: 0.4, z: 0, visibility: 0.99 };
+  pose[RIGHT_SHOULDER] = { x: 0.4, y: 0.4, z: 0, visibility: 0.99 };
+  pose[LEFT_ELBOW] = { x: 0.6, y: 0.55, z: 0, visibility: 0.99 };
+  pose[LEFT_WRIST] = { x: 0.6, y: 0.7, z: 0, visibility: 0.99 };
+  pose[LEFT_HIP] = { x: 0.58, y: 0.75, z: 0, visibility: 0.99 };
+  pose[RIGHT_HIP] = { x: 0.42, y: 0.75, z: 0, visibility: 0.99 };
+  Object.entries(overrides).forEach(([id, landmark]) => {
+    pose[id] = { visibility: 0.99, z: 0, ...landmark };
+  });
+  return pose;
+};
+
+const toDegrees = (angle) => (angle * 180) / Math.PI;
+
+describe("getJointAngle", () => {
+  it("is PI for a straight limb and PI/2 for a right angle", () => {
+    const a = { x: 0, y: 0, z: 0 };
+    const b = { x: 1, y: 0, z: 0 };
+    assert.ok(Math.abs(getJointAngle(a, b, { x: 2, y: 0, z: 0 }) - Math.PI) < 1e-9);
+    assert.ok(Math.abs(getJointAngle(a, b, { x: 1, y: 0, z: 1 }) - Math.PI / 2) < 1e-9);
+  });
+});
+
+describe("getArm", () => {
+  it("measures a hanging, straight arm", () => {
+    const arm = getArm(buildPose(), "left");
+    assert.ok(Math.abs(toDegrees(arm.elbowAngle) - 180) < 1);
+    assert.ok(toDegrees(arm.raise) < 10);
+  });
+
+  it("measures a bent arm raised to shoulder height", () => {
+    const arm = getArm(
+      buildPose({
+        [LEFT_ELBOW]: { x: 0.75, y: 0.4 },
+        [LEFT_WRIST]: { x: 0.75, y: 0.25 },
+      }),
+      "left"
+    );
+
+    assert.ok(Math.abs(toDegrees(arm.elbowAngle) - 90) < 1);
+    assert.ok(Math.abs(toDegrees(arm.raise) - 90) < 5);
+  });
+
+  it("gives up on an arm that is out of view", () => {
+    const pose = buildPose({ [LEFT_WRIST]: { x: 0.6, y: 1.1, visibility: 0.1 } });
+    assert.equal(getArm(pose, "left"), null);
+    assert.equal(isVisible(pose[LEFT_WRIST]), false);
+  });
+});
+
+describe("getShoulderTilt", () => {
+  it("is level for square shoulders and positive when the left one is higher", () => {
+    assert.ok(Math.abs(getShoulderTilt(buildPose())) < 1e-9);
+
+    const tilted = buildPose({ [LEFT_SHOULDER]: { x: 0.6, y: 0.35 } });
+    assert.ok(getShoulderTilt(tilted) > 0);
+  });
+});
+
+describe("smoothing pose landmarks", () => {
+  it("keeps each landmark's visibility", () => {
+    const [smoothed] = createLandmarkSmoother().smooth([buildPose()], 0);
+    assert.equal(smoothed[LEFT_SHOULDER].visibility, 0.99);
+  });
+});
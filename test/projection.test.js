@@ -0,0 +1,86 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CAMERA_DISTANCE,
+  CAMERA_FOV,
+  createSceneCamera,
+  getVideoRect,
+  landmarkToView,
+  landmarkToWorld,
+  setProjectionView,
+  viewToLandmark,
+  worldToLandmark,
+  worldToView,
+} from "../projection.js";
+import { landmarkTo3D } from "../utils.js";
+
+// A 4:3 camera frame in a wide window
+const WIDE = { camera: null, width: 1600, height: 900, videoWidth: 640, videoHeight: 480 };
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  Object.keys(expected).forEach((key) => {
+    assert.ok(Math.abs(actual[key] - expected[key]) < tolerance, `${key}: ${actual[key]} vs ${expected[key]}`);
+  });
+};
+
+describe("getVideoRect", () => {
+  it("crops for cover, letterboxes for contain and stretches for fill", () => {
+    assert.deepEqual(getVideoRect({ ...WIDE, fit: "cover" }), { x: 0, y: -150, width: 1600, height: 1200 });
+    assert.deepEqual(getVideoRect({ ...WIDE, fit: "contain" }), { x: 200, y: 0, width: 1200, height: 900 });
+    assert.deepEqual(getVideoRect({ ...WIDE, fit: "fill" }), { x: 0, y: 0, width: 1600, height: 900 });
+  });
+
+  it("only shrinks for scale-down and never scales for none", () => {
+    const small = { ...WIDE, width: 800, height: 800 };
+    assert.deepEqual(getVideoRect({ ...small, fit: "none" }), { x: 80, y: 160, width: 640, height: 480 });
+    assert.deepEqual(getVideoRect({ ...small, fit: "scale-down" }), getVideoRect({ ...small, fit: "none" }));
+    assert.deepEqual(getVideoRect({ ...WIDE, fit: "scale-down" }), getVideoRect({ ...WIDE, fit: "none" }));
+  });
+});
+
+describe("projection", () => {
+  afterEach(() => setProjectionView({ camera: null }));
+
+  it("places the frame's center straight ahead of the camera", () => {
+    ["cover", "contain", "fill"].forEach((fit) => {
+      assertClose(landmarkToWorld({ x: 0.5, y: 0.5 }, -2, { ...WIDE, fit }), { x: 0, y: 0, z: -2 });
+    });
+  });
+
+  it("puts a world point back over the landmark it came from, at any depth and window", () => {
+    const views = [
+      { ...WIDE, fit: "cover" },
+      { ...WIDE, fit: "contain" },
+      { ...WIDE, width: 500, height: 1000, fit: "cover" },
+    ];
+    views.forEach((view) => {
+      [0, -2.5, -4.5].forEach((depth) => {
+        const landmark = { x: 0.2, y: 0.7 };
+        const point = landmarkToWorld(landmark, depth, view);
+
+        assert.equal(point.z, depth);
+        assertClose(worldToView(point, view), landmarkToView(landmark, view));
+        assertClose(worldToLandmark(point, view), landmark);
+      });
+    });
+  });
+
+  it("reaches the edges of the view frustum at the edges of the viewport", () => {
+    const view = { ...WIDE, fit: "contain" };
+    const halfHeight = Math.tan((CAMERA_FOV * Math.PI) / 360) * CAMERA_DISTANCE;
+
+    // Letterboxed left and right, the frame spans the full height of the viewport
+    assertClose(landmarkToWorld({ x: 0.5, y: 0 }, 0, view), { y: halfHeight });
+    assertClose(landmarkToWorld({ x: 0, y: 0.5 }, 0, view), { x: -halfHeight * (1200 / 900) });
+    assertClose(viewToLandmark({ x: 0, y: 450 }, view), { x: -200 / 1200, y: 0.5 });
+  });
+
+  it("follows the scene's camera", () => {
+    const camera = createSceneCamera(WIDE.width / WIDE.height);
+    camera.position.x = 1;
+    setProjectionView({ ...WIDE, camera, fit: "cover" });
+
+    assertClose(landmarkToWorld({ x: 0.5, y: 0.5 }), { x: 1, y: 0, z: -2.5 });
+    assertClose(landmarkTo3D({ x: 0.5, y: 0.5 }, 640, 480, -1), { x: 1, y: 0, z: -1 });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createReplaySource, createSessionRecorder, parseRecording } from "../recording.js";
+
+const FRAME_MS = 33;
+
+/**
+ * Builds a stand-in hand: 21 landmarks up a vertical line
+ * @param {number} x - Horizontal position
+ * @returns {Array} Landmarks
+ */
+const handAt = (x) => Array.from({ length: 21 }, (_, i) => ({ x, y: 0.8 - i * 0.02, z: -0.001 * (i + 1) }));
+
+/**
+ * Builds detection results shaped like detectForVideo's, with extra fields MediaPipe adds
+ * @param {Array} hand - Hand landmarks
+ * @returns {Object} Results
+ */
+const resultsFor = (hand) => ({
+  landmarks: [hand.map((point) => ({ ...point, visibility: 0 }))],
+  worldLandmarks: [hand],
+  handedness: [[{ categoryName: "Right", score: 0.98, index: 0, displayName: "" }]],
+});
+
+/**
+ * Records a few frames of a hand moving right
+ * @returns {Object} The finished recording
+ */
+const recordSession = () => {
+  const recorder = createSessionRecorder();
+  recorder.start({ width: 640, height: 480, experimentId: "fist-bump" });
+  assert.equal(recorder.isRecording(), true);
+
+  [0.3, 0.35, 0.4, 0.45].forEach((x, i) => {
+    recorder.addFrame(1000 + i * FRAME_MS, resultsFor(handAt(x)));
+  });
+
+  const recording = recorder.stop();
+  assert.equal(recorder.isRecording(), false);
+  return recording;
+};
+
+describe("createSessionRecorder", () => {
+  it("records frames timed from the first, and survives a save and load", () => {
+    const recording = recordSession();
+
+    assert.deepEqual(recording.frames.map(({ t }) => t), [0, FRAME_MS, 2 * FRAME_MS, 3 * FRAME_MS]);
+    assert.deepEqual([recording.width, recording.height, recording.experimentId], [640, 480, "fist-bump"]);
+    assert.deepEqual(recording.frames[0].handedness, [[{ categoryName: "Right", score: 0.98 }]]);
+    assert.deepEqual(Object.keys(recording.frames[0].landmarks[0][0]), ["x", "y", "z"]);
+
+    assert.deepEqual(parseRecording(JSON.stringify(recording)), recording);
+  });
+
+  it("ignores frames while not recording", () => {
+    const recorder = createSessionRecorder();
+    recorder.addFrame(0, resultsFor(handAt(0.5)));
+    assert.equal(recorder.stop(), null);
+  });
+});
+
+describe("parseRecording", () => {
+  it("rejects files that aren't recordings", () => {
+    assert.throws(() => parseRecording("{}"), /missing frames/);
+    assert.throws(() => parseRecording(JSON.stringify({ version: 99, frames: [] })), /Unsupported recording version/);
+  });
+});
+
+describe("createReplaySource", () => {
+  it("plays the frame recorded at or before each moment, then loops", () => {
+    const recording = parseRecording(JSON.stringify(recordSession()));
+    const source = createReplaySource(recording);
+    const start = 5000;
+
+    const frameAt = (elapsed) => {
+      const results = source.detect(start + elapsed);
+      return recording.frames.findIndex(({ landmarks }) => landmarks === results.landmarks);
+    };
+
+    assert.equal(frameAt(0), 0);
+    assert.equal(frameAt(FRAME_MS - 1), 0);
+    assert.equal(frameAt(FRAME_MS), 1);
+    assert.equal(frameAt(2 * FRAME_MS + 10), 2);
+    assert.equal(source.getFrameIndex(), 2);
+
+    // Past the end it starts over
+    assert.equal(frameAt(3 * FRAME_MS + 20), 0);
+  });
+
+  it("holds the last frame without looping, and steps while paused", () => {
+    const source = createReplaySource(recordSession(), { loop: false });
+    source.detect(0);
+    source.detect(10000);
+    assert.equal(source.getFrameIndex(), 3);
+
+    source.step(-2);
+    assert.equal(source.isPaused(), true);
+    source.detect(20000);
+    assert.equal(source.getFrameIndex(), 1);
+
+    source.step(10);
+    assert.equal(source.getFrameIndex(), source.getFrameCount() - 1);
+  });
+
+  it("replays handedness and world landmarks as detection results", () => {
+    const recording = recordSession();
+    const results = createReplaySource(recording).detect(0);
+
+    assert.equal(results.handedness[0][0].categoryName, "Right");
+    assert.deepEqual(results.worldLandmarks, recording.frames[0].worldLandmarks);
+    assert.deepEqual(createReplaySource({ ...recording, frames: [] }).detect(0), {
+      landmarks: [],
+      worldLandmarks: [],
+      handedness: [],
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createSocket } from "node:dgram";
+import { once } from "node:events";
+import { WebSocket } from "ws";
+import { encodeOscMessage, toOscMessages } from "../scripts/osc.js";
+import { DEFAULT_RELAY_HOST, createRelay, parseArgs, parseHostPort } from "../scripts/relay.js";
+
+/**
+ * Opens a client to the relay
+ * @param {number} port - Relay port
+ * @returns {Promise<WebSocket>} Open client
+ */
+const connect = async (port) => {
+  const client = new WebSocket(`ws://127.0.0.1:${port}`);
+  await once(client, "open");
+  return client;
+};
+
+const FRAME = {
+  v: 1,
+  type: "frame",
+  t: 0,
+  experiment: null,
+  mirrored: true,
+  hands: [{ id: 2, handedness: "left", gesture: null, landmarks: Array(21).fill([0.5, 0.25, 0]), worldLandmarks: null }],
+};
+
+describe("encodeOscMessage", () => {
+  it("pads the address, type tags and strings to four bytes and writes numbers big-endian", () => {
+    const bytes = encodeOscMessage("/a", ["hi", 1.5, { int: 7 }]);
+    const expected = Buffer.concat([
+      Buffer.from("/a\0\0"),
+      Buffer.from(",sfi\0\0\0\0"),
+      Buffer.from("hi\0\0"),
+      Buffer.from([0x3f, 0xc0, 0, 0]),
+      Buffer.from([0, 0, 0, 7]),
+    ]);
+    assert.deepEqual(bytes, expected);
+  });
+});
+
+describe("toOscMessages", () => {
+  it("sends each hand's handedness, gesture and landmarks, and events as JSON", () => {
+    const frame = toOscMessages(FRAME);
+    assert.deepEqual(frame.map(({ address }) => address), ["/hand/2/handedness", "/hand/2/gesture", "/hand/2/landmarks"]);
+    assert.deepEqual(frame[1].args, ["none"]);
+    assert.equal(frame[2].args.length, 63);
+
+    const [event] = toOscMessages({ type: "event", name: "hit", detail: { by: "player" } });
+    assert.deepEqual(event, { address: "/event/hit", args: ['{"by":"player"}'] });
+    assert.deepEqual(toOscMessages({ type: "hello" }), []);
+  });
+
+  it("skips messages and hands of the wrong shape", () => {
+    [null, 42, "frame", [], { type: "frame" }, { type: "frame", hands: "x" }, { type: "event" }, { type: "event", name: 3 }]
+      .forEach((message) => assert.deepEqual(toOscMessages(message), [], JSON.stringify(message)));
+
+    const hands = [null, { id: 1 }, { id: 2, landmarks: [[0, 0]] }, { id: 3, landmarks: "x" }, FRAME.hands[0]];
+    assert.deepEqual(
+      [...new Set(toOscMessages({ ...FRAME, hands }).map(({ address }) => address.split("/")[2]))],
+      ["2"]
+    );
+  });
+
+  it("leaves out world landmarks the hand doesn't have", () => {
+    const [hand] = FRAME.hands;
+    const addresses = toOscMessages({ ...FRAME, hands: [{ ...hand, worldLandmarks: [] }] }).map(({ address }) => address);
+    assert.ok(!addresses.includes("/hand/2/world"));
+  });
+});
+
+describe("parseHostPort", () => {
+  it("reads host:port and rejects a missing port", () => {
+    assert.deepEqual(parseHostPort("10.0.0.2:9000"), { host: "10.0.0.2", port: 9000 });
+    assert.deepEqual(parseHostPort(":9000"), { host: "127.0.0.1", port: 9000 });
+    assert.throws(() => parseHostPort("localhost"), /Expected host:port/);
+    assert.throws(() => parseHostPort("localhost:abc"), /Expected a port/);
+  });
+});
+
+describe("parseArgs", () => {
+  it("listens on this machine only unless given a host, and rejects bad ports", () => {
+    assert.deepEqual(parseArgs([]), { port: 8765, host: DEFAULT_RELAY_HOST, osc: null });
+    assert.equal(parseArgs(["--host", "0.0.0.0"]).host, "0.0.0.0");
+    assert.throws(() => parseArgs(["--port", "abc"]), /Expected a port/);
+    assert.throws(() => parseArgs(["--port", "70000"]), /Expected a port/);
+    assert.throws(() => parseArgs(["--osc", "127.0.0.1:0"]), /Expected a port/);
+  });
+});
+
+describe("createRelay", () => {
+  it("passes messages to the other clients and bridges them to OSC", async () => {
+    const udp = createSocket("udp4");
+    udp.bind(0, "127.0.0.1");
+    await once(udp, "listening");
+    const addresses = [];
+    udp.on("message", (bytes) => addresses.push(bytes.toString("latin1").split("\0")[0]));
+
+    const relay = await createRelay({ port: 0, osc: { host: "127.0.0.1", port: udp.address().port }, log: () => {} });
+    const [publisher, subscriber] = await Promise.all([connect(relay.port), connect(relay.port)]);
+
+    try {
+      const received = once(subscriber, "message");
+      publisher.send(JSON.stringify(FRAME));
+      const [data] = await received;
+      assert.deepEqual(JSON.parse(data.toString()), FRAME);
+
+      // Malformed messages are passed on but not bridged, and the relay keeps running
+      ["null", '{"type":"frame"}', '{"type":"frame","hands":[null]}', "not json"].forEach((text) => publisher.send(text));
+      publisher.send(JSON.stringify({ type: "event", name: "hit", detail: null }));
+      while (!addresses.includes("/event/hit")) await once(udp, "message");
+
+      assert.deepEqual(addresses, ["/hand/2/handedness", "/hand/2/gesture", "/hand/2/landmarks", "/event/hit"]);
+    } finally {
+      publisher.close();
+      subscriber.close();
+      udp.close();
+      await relay.close();
+    }
+  });
+});
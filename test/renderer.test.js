@@ -0,0 +1,119 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_HAND_OVERLAY,
+  drawHands,
+  getHandColor,
+  getJointRadius,
+  resolveOverlay,
+} from "../renderer.js";
+import { HAND_CONNECTIONS, detectGesture } from "../gestures.js";
+import { buildHand, FIST_CURLS, OPEN_CURLS } from "./helpers/handModel.js";
+
+/**
+ * Records the calls drawing functions make on a 2D context
+ * @returns {Object} Fake context with a calls array of [method, ...args]
+ */
+const createFakeContext = () => {
+  const calls = [];
+  const record = (method) => (...args) => calls.push([method, ...args]);
+  return {
+    calls,
+    beginPath: record("beginPath"),
+    moveTo: record("moveTo"),
+    lineTo: record("lineTo"),
+    stroke: record("stroke"),
+    arc: record("arc"),
+    fill: record("fill"),
+    strokeText: record("strokeText"),
+    fillText: record("fillText"),
+  };
+};
+
+const canvas = { width: 640, height: 480 };
+
+describe("HAND_CONNECTIONS", () => {
+  it("joins all 21 landmarks into one skeleton", () => {
+    const reached = new Set([0]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      HAND_CONNECTIONS.forEach(([a, b]) => {
+        if (reached.has(a) !== reached.has(b)) {
+          reached.add(a).add(b);
+          grew = true;
+        }
+      });
+    }
+    assert.equal(reached.size, 21);
+  });
+});
+
+describe("resolveOverlay", () => {
+  it("draws nothing for an experiment without an overlay", () => {
+    assert.deepEqual(resolveOverlay(), { hands: null, hands3D: false, pose: false, face: false });
+  });
+
+  it("fills in the hand defaults", () => {
+    assert.deepEqual(resolveOverlay({ hands: true }).hands, DEFAULT_HAND_OVERLAY);
+    assert.deepEqual(resolveOverlay({ hands: { labels: true } }).hands, { ...DEFAULT_HAND_OVERLAY, labels: true });
+  });
+
+  it("draws everything in debug mode, in the experiment's colors", () => {
+    const overlay = resolveOverlay({ hands: { colorBy: "id" } }, true);
+    assert.deepEqual(overlay.hands, { ...DEFAULT_HAND_OVERLAY, colorBy: "id", labels: true, highlight: true });
+    assert.equal(overlay.hands3D, true);
+    assert.equal(overlay.pose, true);
+    assert.equal(overlay.face, true);
+  });
+});
+
+describe("getHandColor", () => {
+  it("tells the user's hands apart, or tracks apart", () => {
+    const left = { id: 1, handedness: "left" };
+    const right = { id: 2, handedness: "right" };
+    const otherRight = { id: 3, handedness: "right" };
+
+    assert.notEqual(getHandColor(left), getHandColor(right));
+    assert.equal(getHandColor(right), getHandColor(otherRight));
+    assert.notEqual(getHandColor(right, "id"), getHandColor(otherRight, "id"));
+  });
+});
+
+describe("getJointRadius", () => {
+  it("grows with the hand and for joints in front of the wrist", () => {
+    const near = buildHand({ curls: OPEN_CURLS, scale: 0.2 });
+    const far = buildHand({ curls: OPEN_CURLS, scale: 0.06 });
+    assert.ok(getJointRadius(near[0], near) > getJointRadius(far[0], far));
+
+    // A curled fingertip sits in front of the palm
+    const fist = buildHand({ curls: FIST_CURLS });
+    assert.ok(getJointRadius(fist[8], fist) > getJointRadius(fist[0], fist));
+  });
+});
+
+describe("drawHands", () => {
+  const hands = [
+    { id: 1, handedness: "right", landmarks: buildHand({ curls: FIST_CURLS, thumbExtended: false }) },
+    { id: 2, handedness: "left", landmarks: buildHand({ curls: OPEN_CURLS, mirror: true }) },
+  ];
+
+  it("draws every bone and joint", () => {
+    const ctx = createFakeContext();
+    drawHands(ctx, hands, canvas);
+
+    const count = (method) => ctx.calls.filter(([name]) => name === method).length;
+    assert.equal(count("lineTo"), HAND_CONNECTIONS.length * 2);
+    assert.equal(count("arc"), 21 * 2);
+    assert.equal(count("fillText"), 0);
+  });
+
+  it("labels the gestures it is given", () => {
+    const ctx = createFakeContext();
+    const gestures = { 1: detectGesture(hands[0].landmarks), 2: detectGesture(hands[1].landmarks) };
+    drawHands(ctx, hands, canvas, { ...DEFAULT_HAND_OVERLAY, labels: true }, gestures);
+
+    const labels = ctx.calls.filter(([name]) => name === "fillText").map(([, text]) => text);
+    assert.deepEqual(labels, ["Fist"]);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createSidecarLog, pickVideoType } from "../sessionVideo.js";
+import { buildHand } from "./helpers/handModel.js";
+
+describe("pickVideoType", () => {
+  it("picks the best type the browser supports", () => {
+    assert.equal(pickVideoType(() => true), "video/webm;codecs=vp9");
+    assert.equal(pickVideoType((type) => !type.includes("vp9")), "video/webm;codecs=vp8");
+    assert.equal(pickVideoType(() => false), null);
+  });
+});
+
+describe("createSidecarLog", () => {
+  it("times frames and events from the start of the video", () => {
+    const log = createSidecarLog();
+    const landmarks = buildHand().map((point) => ({ ...point, visibility: 1 }));
+
+    log.addEvent(500, "ignored");
+    log.start(1000, { width: 640, height: 480, experimentId: "fist-bump", mirrored: true });
+    log.addFrame(1000, [{ id: 1, handedness: "right", gesture: "Fist", landmarks }]);
+    log.addEvent(1020, "contact", { bump: true });
+    log.addFrame(1033, []);
+
+    const sidecar = log.stop();
+    assert.equal(log.isRecording(), false);
+    assert.deepEqual(
+      { ...sidecar, createdAt: null, frames: sidecar.frames.map(({ t }) => t) },
+      {
+        version: 1,
+        createdAt: null,
+        width: 640,
+        height: 480,
+        videoRect: null,
+        experimentId: "fist-bump",
+        mirrored: true,
+        videoType: null,
+        frames: [0, 33],
+        events: [{ t: 20, type: "contact", bump: true }],
+        durationMs: 33,
+      }
+    );
+    assert.deepEqual(Object.keys(sidecar.frames[0].hands[0].landmarks[0]), ["x", "y", "z"]);
+    assert.equal(sidecar.frames[0].hands[0].gesture, "Fist");
+  });
+
+  it("gives null when stopped without starting", () => {
+    assert.equal(createSidecarLog().stop(), null);
+  });
+});
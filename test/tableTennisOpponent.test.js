@@ -0,0 +1,128 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  TABLE,
+  BALL_RADIUS,
+  PHYSICS,
+  createBall,
+  createWorld,
+  stepWorld,
+} from "../experiments/tableTennis/physics.js";
+import {
+  OPPONENT,
+  ballisticVelocity,
+  aimShot,
+  createOpponent,
+  updateOpponent,
+} from "../experiments/tableTennis/opponent.js";
+
+const FRAME = 1 / 30;
+
+/**
+ * Flies a ball until its first bounce
+ * @param {Object} ball - Ball from createBall
+ * @returns {Object|null} The bounce event
+ */
+const firstBounce = (ball) => {
+  const world = createWorld(ball);
+  for (let t = 0; t < 3 && !ball.dead; t += FRAME) {
+    const bounce = stepWorld(world, FRAME).find((event) => event.type === "bounce");
+    if (bounce) return bounce;
+  }
+  return null;
+};
+
+describe("aiming", () => {
+  it("solves the drag-free arc exactly", () => {
+    const from = { x: 0.5, y: 0, z: -8 };
+    const to = { x: -0.5, y: -1, z: -4 };
+    const time = 0.6;
+    const v = ballisticVelocity(from, to, time);
+
+    const landed = {
+      x: from.x + v.x * time,
+      y: from.y + v.y * time - 0.5 * PHYSICS.gravity * time * time,
+      z: from.z + v.z * time,
+    };
+    Object.keys(to).forEach((axis) => assert.ok(Math.abs(landed[axis] - to[axis]) < 1e-9));
+  });
+
+  it("lands a spinning shot on its target despite drag", () => {
+    const from = { x: 0.3, y: TABLE.topY + 0.6, z: OPPONENT.hitZ };
+    const spin = { x: 40, y: 0, z: 0 };
+
+    [
+      { x: 0, z: -4.5 },
+      { x: -1, z: -3.8 },
+      { x: 1.1, z: -5.2 },
+    ].forEach((target) => {
+      const velocity = aimShot(from, { ...target, y: TABLE.topY }, 0.65, spin);
+      const bounce = firstBounce(createBall(from, velocity, spin));
+
+      assert.ok(bounce, "the shot reaches the table");
+      assert.equal(bounce.side, "player");
+      assert.ok(Math.abs(bounce.position.x - target.x) < 0.05, `x ${bounce.position.x}`);
+      assert.ok(Math.abs(bounce.position.z - target.z) < 0.05, `z ${bounce.position.z}`);
+    });
+  });
+});
+
+describe("opponent", () => {
+  it("moves toward where the ball will cross its hitting plane, at limited speed", () => {
+    const opponent = createOpponent({ random: () => 0.5 });
+    const world = createWorld(
+      createBall({ x: 0, y: TABLE.topY + 0.5, z: -4 }, { x: 2, y: 3, z: -8 })
+    );
+
+    updateOpponent(opponent, world, false, FRAME);
+    const moved = opponent.paddle.center.x;
+    assert.ok(moved > 0, "heads toward the side the ball is going");
+    assert.ok(moved <= OPPONENT.speed * FRAME + 1e-9, "no faster than its speed");
+  });
+
+  it("goes back to the middle while the ball heads for the player", () => {
+    const opponent = createOpponent();
+    opponent.paddle.center = { x: 1, y: OPPONENT.homeY, z: OPPONENT.hitZ };
+    const world = createWorld(createBall({ x: 0, y: 0, z: -6 }, { x: 0, y: 0, z: 5 }));
+
+    updateOpponent(opponent, world, false, FRAME);
+    assert.ok(opponent.paddle.center.x < 1);
+  });
+
+  it("returns a ball in reach only when the rules allow it", () => {
+    const ballAtPaddle = () =>
+      createWorld(
+        createBall(
+          { x: 0.1, y: OPPONENT.homeY, z: OPPONENT.hitZ + 0.05 },
+          { x: 0, y: 0, z: -5 }
+        )
+      );
+    const opponent = createOpponent({ random: () => 0.5 });
+
+    const blocked = ballAtPaddle();
+    assert.equal(updateOpponent(opponent, blocked, false, FRAME), null);
+    assert.ok(blocked.ball.velocity.z < 0);
+
+    const allowed = ballAtPaddle();
+    const event = updateOpponent(opponent, allowed, true, FRAME);
+    assert.equal(event.type, "hit");
+    assert.equal(event.by, "opponent");
+    assert.equal(allowed.ball.lastHit.by, "opponent");
+
+    const bounce = firstBounce(allowed.ball);
+    assert.equal(bounce.side, "player");
+    assert.ok(Math.abs(bounce.position.x) < TABLE.width / 2 - BALL_RADIUS);
+  });
+
+  it("misses a ball out of reach", () => {
+    const opponent = createOpponent();
+    const world = createWorld(
+      createBall(
+        { x: TABLE.width / 2, y: OPPONENT.homeY, z: OPPONENT.hitZ + 0.05 },
+        { x: 0, y: 0, z: -5 }
+      )
+    );
+
+    assert.equal(updateOpponent(opponent, world, true, FRAME), null);
+  });
+});
@@ -0,0 +1,200 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  TABLE,
+  BALL_RADIUS,
+  PADDLE,
+  getPaddlePose,
+  getSide,
+  createBall,
+  createPaddle,
+  movePaddle,
+  releasePaddle,
+  createWorld,
+  stepWorld,
+  predictBallAt,
+} from "../experiments/tableTennis/physics.js";
+import { quaternionFromAxisAngle, IDENTITY_QUATERNION } from "../orientation.js";
+
+const FRAME = 1 / 30;
+const swing = JSON.parse(readFileSync(new URL("./fixtures/paddleSwing.json", import.meta.url)));
+
+/**
+ * Steps a world frame by frame until a condition holds or time runs out
+ * @param {Object} world - World state
+ * @param {number} seconds - Longest time to run
+ * @returns {Array} Every event, in order
+ */
+const run = (world, seconds) => {
+  const events = [];
+  for (let t = 0; t < seconds && !world.ball.dead; t += FRAME) {
+    events.push(...stepWorld(world, FRAME));
+  }
+  return events;
+};
+
+const assertClose = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} vs ${expected}`);
+
+describe("getPaddlePose", () => {
+  it("places the blade above an upright hand, facing the camera", () => {
+    const grip = { x: 0.2, y: -1.5, z: -3 };
+    const { center, normal } = getPaddlePose(grip, IDENTITY_QUATERNION);
+
+    assertClose(center.y, grip.y + PADDLE.handleLength, 1e-9, "blade height");
+    assertClose(center.z, grip.z, 1e-9, "blade depth");
+    assertClose(normal.z, 1, 1e-9, "normal");
+  });
+
+  it("turns the blade with the hand", () => {
+    // Hand tipped forward until the fingers point at the opponent, palm up
+    const tipped = quaternionFromAxisAngle({ x: 1, y: 0, z: 0 }, -Math.PI / 2);
+    const { center, normal } = getPaddlePose({ x: 0, y: 0, z: 0 }, tipped);
+
+    assertClose(center.z, -PADDLE.handleLength, 1e-9, "blade ahead of the grip");
+    assertClose(normal.y, 1, 1e-9, "face up");
+  });
+});
+
+describe("ball flight and table bounces", () => {
+  it("falls under gravity and bounces lower than it was dropped", () => {
+    const dropHeight = 1;
+    const world = createWorld(
+      createBall({ x: 0, y: TABLE.topY + BALL_RADIUS + dropHeight, z: -4.5 })
+    );
+
+    const events = run(world, 0.5);
+    const bounce = events.find((event) => event.type === "bounce");
+    assert.ok(bounce, "the ball reaches the table");
+    assert.equal(bounce.side, "player");
+
+    let peak = -Infinity;
+    for (let t = 0; t < 0.5; t += FRAME) {
+      stepWorld(world, FRAME);
+      peak = Math.max(peak, world.ball.position.y - BALL_RADIUS - TABLE.topY);
+    }
+    assert.ok(peak < dropHeight, `rebound ${peak} is lower than the drop`);
+    assert.ok(peak > 0.6, `rebound ${peak} keeps most of its height`);
+  });
+
+  it("reports which half a bounce lands on", () => {
+    assert.equal(getSide(TABLE.netZ + 0.1), "player");
+    assert.equal(getSide(TABLE.netZ - 0.1), "opponent");
+
+    const world = createWorld(createBall({ x: 0.5, y: TABLE.topY + 0.5, z: -7.5 }));
+    const bounce = run(world, 1).find((event) => event.type === "bounce");
+    assert.equal(bounce.side, "opponent");
+  });
+
+  it("stops a low ball at the net", () => {
+    const world = createWorld(
+      createBall({ x: 0, y: TABLE.topY + 0.2, z: TABLE.netZ + 0.8 }, { x: 0, y: 0, z: -6 })
+    );
+
+    const events = run(world, 0.3);
+    assert.ok(events.some((event) => event.type === "net"));
+    assert.ok(world.ball.position.z > TABLE.netZ, "the ball stays on the player's side");
+    assert.ok(world.ball.velocity.z >= 0, "the ball no longer heads for the opponent");
+  });
+
+  it("clears the net when it passes high enough", () => {
+    const world = createWorld(
+      createBall({ x: 0, y: TABLE.topY + 0.8, z: TABLE.netZ + 0.8 }, { x: 0, y: 0, z: -6 })
+    );
+
+    const events = run(world, 0.6);
+    assert.ok(!events.some((event) => event.type === "net"));
+    assert.equal(events.find((event) => event.type === "bounce").side, "opponent");
+  });
+
+  it("ends the rally on the floor", () => {
+    const world = createWorld(
+      createBall({ x: TABLE.width, y: TABLE.topY, z: -4 }, { x: 1, y: 0, z: 0 })
+    );
+
+    const events = run(world, 2);
+    assert.deepEqual(events.map((event) => event.type), ["floor"]);
+    assert.equal(world.ball.dead, true);
+    assert.deepEqual(stepWorld(world, FRAME), [], "a dead ball stays put");
+  });
+
+  it("predicts where the ball crosses a depth without moving it", () => {
+    const ball = createBall({ x: 0, y: TABLE.topY + 0.5, z: -8 }, { x: 0.5, y: 3, z: 8 });
+    const predicted = predictBallAt(ball, -5);
+
+    assert.ok(predicted, "the ball gets there");
+    assert.ok(Math.abs(predicted.position.z + 5) < 0.2);
+    assert.ok(predicted.position.x > 0);
+    assert.equal(ball.position.z, -8);
+  });
+});
+
+describe("paddle hits", () => {
+  it("returns a served ball from a recorded swing", () => {
+    const { ball, frames } = swing;
+    const world = createWorld(createBall(ball.position, ball.velocity, ball.spin));
+    const paddle = createPaddle("player");
+    world.paddles.push(paddle);
+
+    const events = [];
+    let last = 0;
+    frames.forEach(({ t, grip, orientation }) => {
+      const { center, normal } = getPaddlePose(grip, orientation);
+      movePaddle(paddle, center, normal, (t - last) / 1000);
+      last = t;
+      events.push(...stepWorld(world, FRAME));
+    });
+    events.push(...run(world, 2));
+
+    const summary = events.map((event) => `${event.type}:${event.side || event.by}`);
+    assert.deepEqual(summary.slice(0, 3), ["bounce:player", "hit:player", "bounce:opponent"]);
+    assert.ok(paddle.velocity.z < 0, "the swing moves toward the opponent");
+  });
+
+  it("connects with a swing that passes the ball within one frame", () => {
+    const world = createWorld(createBall({ x: 0, y: 0, z: -3 }));
+    const paddle = createPaddle("player");
+    world.paddles.push(paddle);
+
+    const facing = { x: 0, y: 0, z: 1 };
+    movePaddle(paddle, { x: 0, y: 0, z: -2.4 }, facing, FRAME);
+    movePaddle(paddle, { x: 0, y: 0, z: -3.6 }, facing, FRAME);
+
+    const events = stepWorld(world, FRAME);
+    assert.deepEqual(events.map((event) => event.type), ["hit"]);
+    assert.ok(world.ball.velocity.z < -10, "the ball takes the paddle's speed");
+  });
+
+  it("puts topspin on the ball when brushed upward", () => {
+    const world = createWorld(createBall({ x: 0, y: 0, z: -3 }, { x: 0, y: 0, z: 4 }));
+    const paddle = createPaddle("player");
+    world.paddles.push(paddle);
+
+    // Closed face tilted forward, swung up and toward the opponent
+    const { normal } = getPaddlePose(
+      { x: 0, y: 0, z: 0 },
+      quaternionFromAxisAngle({ x: 1, y: 0, z: 0 }, 0.3)
+    );
+    movePaddle(paddle, { x: 0, y: -0.3, z: -2.7 }, normal, FRAME);
+    movePaddle(paddle, { x: 0, y: -0.1, z: -2.8 }, normal, FRAME);
+    paddle.velocity = { x: 0, y: 6, z: -3 };
+
+    const events = run(world, 0.2);
+    assert.ok(events.some((event) => event.type === "hit"));
+    // A ball travelling toward -z has topspin when it turns about -x
+    assert.ok(world.ball.spin.x < -5, `spin ${world.ball.spin.x}`);
+  });
+
+  it("ignores paddles that are out of play", () => {
+    const world = createWorld(createBall({ x: 0, y: 0, z: -3 }, { x: 0, y: 0, z: 4 }));
+    const paddle = createPaddle("player");
+    world.paddles.push(paddle);
+
+    movePaddle(paddle, { x: 0, y: 0, z: -2.8 }, { x: 0, y: 0, z: 1 }, FRAME);
+    releasePaddle(paddle);
+
+    const events = run(world, 0.2);
+    assert.ok(!events.some((event) => event.type === "hit"));
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createMatch } from "../experiments/tableTennis/rules.js";
+
+const hit = (by) => ({ type: "hit", by });
+const bounce = (side) => ({ type: "bounce", side });
+const floor = (side) => ({ type: "floor", side });
+
+/**
+ * Feeds events to a match and returns the point they ended with
+ * @param {Object} match - Match from createMatch
+ * @param {Array} events - Physics events
+ * @returns {Object|null} The last point awarded
+ */
+const play = (match, events) =>
+  events.reduce((point, event) => match.handleEvent(event) || point, null);
+
+/**
+ * Plays a rally the given side wins by a double bounce, then moves to the next serve
+ * @param {Object} match - Match from createMatch
+ * @param {string} winner - 'player' or 'opponent'
+ */
+const winPoint = (match, winner) => {
+  const { server } = match.getState();
+  const receiver = server === "player" ? "opponent" : "player";
+
+  if (server === winner) {
+    play(match, [hit(server), bounce(receiver), bounce(receiver)]);
+  } else {
+    play(match, [hit(server), bounce(receiver), hit(receiver), bounce(server), bounce(server)]);
+  }
+  match.nextServe();
+};
+
+describe("rally rules", () => {
+  it("scores a double bounce for the last hitter", () => {
+    const match = createMatch();
+    const point = play(match, [
+      hit("player"),
+      bounce("opponent"),
+      hit("opponent"),
+      bounce("player"),
+      bounce("player"),
+    ]);
+
+    assert.deepEqual(point, { winner: "opponent", reason: "double bounce" });
+    assert.deepEqual(match.getState().score, { player: 0, opponent: 1 });
+    assert.equal(match.getState().phase, "point");
+  });
+
+  it("faults a volley", () => {
+    const match = createMatch();
+    const point = play(match, [hit("player"), hit("opponent")]);
+    assert.deepEqual(point, { winner: "player", reason: "volley" });
+  });
+
+  it("faults a ball that lands on the hitter's own side", () => {
+    const match = createMatch();
+    const point = play(match, [hit("player"), bounce("player")]);
+    assert.deepEqual(point, { winner: "opponent", reason: "didn't clear the net" });
+  });
+
+  it("scores a ball that bounces then spins back over the net for the hitter", () => {
+    const match = createMatch();
+    const point = play(match, [hit("player"), bounce("opponent"), bounce("player")]);
+    assert.deepEqual(point, { winner: "player", reason: "not returned" });
+  });
+
+  it("tells out from not returned when the ball reaches the floor", () => {
+    const out = createMatch();
+    assert.deepEqual(play(out, [hit("player"), floor("opponent")]), {
+      winner: "opponent",
+      reason: "out",
+    });
+
+    const missed = createMatch();
+    assert.deepEqual(play(missed, [hit("player"), bounce("opponent"), floor("opponent")]), {
+      winner: "player",
+      reason: "not returned",
+    });
+  });
+
+  it("ignores everything but the server's hit before the serve", () => {
+    const match = createMatch();
+    assert.equal(play(match, [bounce("player"), floor("player"), hit("opponent")]), null);
+    assert.equal(match.getState().phase, "serve");
+
+    match.handleEvent(hit("player"));
+    assert.equal(match.getState().phase, "rally");
+  });
+
+  it("only lets the receiver hit after one bounce on their side", () => {
+    const match = createMatch();
+    match.handleEvent(hit("player"));
+    assert.equal(match.canHit("opponent"), false);
+
+    match.handleEvent(bounce("opponent"));
+    assert.equal(match.canHit("opponent"), true);
+    assert.equal(match.canHit("player"), false);
+  });
+
+  it("ignores events after a point until the next serve", () => {
+    const match = createMatch();
+    play(match, [hit("player"), floor("opponent")]);
+
+    assert.equal(play(match, [hit("player"), bounce("opponent"), bounce("opponent")]), null);
+    assert.deepEqual(match.getState().score, { player: 0, opponent: 1 });
+
+    match.nextServe();
+    assert.equal(match.getState().phase, "serve");
+  });
+});
+
+describe("serve and scoring", () => {
+  it("changes server every two points", () => {
+    const match = createMatch();
+    const servers = [];
+
+    for (let i = 0; i < 6; i++) {
+      servers.push(match.getState().server);
+      winPoint(match, i % 2 === 0 ? "player" : "opponent");
+    }
+
+    assert.deepEqual(servers, ["player", "player", "opponent", "opponent", "player", "player"]);
+  });
+
+  it("alternates every point at deuce and needs a two point lead", () => {
+    const match = createMatch();
+    for (let i = 0; i < 10; i++) {
+      winPoint(match, "player");
+      winPoint(match, "opponent");
+    }
+    assert.deepEqual(match.getState().score, { player: 10, opponent: 10 });
+
+    const servers = [match.getState().server];
+    winPoint(match, "player");
+    servers.push(match.getState().server);
+    assert.equal(match.getState().phase, "serve", "11-10 is not enough");
+
+    winPoint(match, "opponent");
+    servers.push(match.getState().server);
+    assert.deepEqual(servers, ["player", "opponent", "player"]);
+
+    winPoint(match, "opponent");
+    winPoint(match, "opponent");
+    const state = match.getState();
+    assert.equal(state.phase, "over");
+    assert.equal(state.winner, "opponent");
+    assert.deepEqual(state.score, { player: 11, opponent: 13 });
+  });
+
+  it("ends the game at eleven and stays over", () => {
+    const match = createMatch({ firstServer: "opponent" });
+    for (let i = 0; i < 11; i++) winPoint(match, "player");
+
+    const state = match.getState();
+    assert.equal(state.phase, "over");
+    assert.equal(state.winner, "player");
+
+    match.nextServe();
+    assert.equal(play(match, [hit(state.server), floor("player")]), null);
+    assert.equal(match.getState().phase, "over");
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createWorkerBackend } from "../workerDetection.js";
+
+/**
+ * Stands in for the detection worker, keeping what the page posts to it
+ */
+class FakeWorker {
+  constructor() {
+    this.listeners = {};
+    this.posted = [];
+    this.terminated = false;
+    FakeWorker.instance = this;
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  postMessage(data) {
+    this.posted.push(data);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  emit(type, event) {
+    this.listeners[type](event);
+  }
+}
+
+const rate = { isDue: () => true, markSent: () => {}, recordLatency: () => {} };
+
+/**
+ * Builds frame metrics that count drops and detections
+ * @returns {Object} Metrics stub
+ */
+const createMetrics = () => ({
+  drops: 0,
+  detections: 0,
+  recordDrop() {
+    this.drops++;
+  },
+  recordDetection() {
+    this.detections++;
+  },
+});
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const sentFrames = () => FakeWorker.instance.posted.filter(({ type }) => type === "detect");
+
+describe("createWorkerBackend", () => {
+  beforeEach(() => {
+    globalThis.Worker = FakeWorker;
+    globalThis.createImageBitmap = async () => ({ close: () => {} });
+  });
+
+  afterEach(() => {
+    delete globalThis.Worker;
+    delete globalThis.createImageBitmap;
+  });
+
+  it("gives each source only its own results", async () => {
+    const backend = createWorkerBackend();
+    const [metricsA, metricsB] = [createMetrics(), createMetrics()];
+    const a = backend.createSource({}, ["hands"], { rate, metrics: metricsA });
+    const b = backend.createSource({}, ["hands"], { rate, metrics: metricsB });
+
+    a.detect(0);
+    b.detect(0);
+    await tick();
+    const [frameA, frameB] = sentFrames();
+
+    FakeWorker.instance.emit("message", { data: { type: "results", source: frameB.source, timestamp: 0, results: "b", latency: 1 } });
+    assert.equal(a.detect(1), null);
+    assert.equal(b.detect(1), "b");
+
+    FakeWorker.instance.emit("message", { data: { type: "results", source: frameA.source, timestamp: 0, results: "a", latency: 1 } });
+    assert.equal(a.detect(2), "a");
+  });
+
+  it("stops sending frames once the worker fails mid-session", async () => {
+    const backend = createWorkerBackend();
+    const metrics = createMetrics();
+    const source = backend.createSource({}, ["hands"], { rate, metrics });
+
+    source.detect(0);
+    await tick();
+    const pendingInit = backend.initDetectors(["pose"], () => {});
+    FakeWorker.instance.emit("error", { message: "out of memory", preventDefault: () => {} });
+
+    await assert.rejects(pendingInit, /out of memory/);
+    assert.equal(backend.isBroken(), true);
+    assert.equal(FakeWorker.instance.terminated, true);
+
+    // The frame in flight never comes back, and nothing counts as dropped while it doesn't
+    [1, 2, 3].forEach((now) => assert.equal(source.detect(now), null));
+    await tick();
+    assert.equal(sentFrames().length, 1);
+    assert.equal(metrics.drops, 0);
+  });
+
+  it("fails for good when the worker can't load MediaPipe at all", async () => {
+    const backend = createWorkerBackend();
+    const loading = backend.initDetectors(["hands"], () => {});
+    const [init] = FakeWorker.instance.posted;
+
+    FakeWorker.instance.emit("message", { data: { type: "error", id: init.id, message: "blocked", fatal: true } });
+    await assert.rejects(loading, /blocked/);
+    assert.equal(backend.isBroken(), true);
+  });
+});
@@ -1,26 +1,36 @@
 import * as THREE from "three";
+import { createSceneCamera, setProjectionView } from "./projection.js";
+import { HAND_CONNECTIONS } from "./gestures.js";
+
+// Hand rig joint and bone radii in meters, scaled with the hand
+const RIG_JOINT_RADIUS = 0.008;
+const RIG_BONE_RADIUS = 0.004;
 
 let scene = null;
 let camera = null;
 let renderer = null;
+let targetCanvas = null;
 let cylinder = null;
 let isInitialized = false;
+let handRigs = new Map();
+let rigGeometry = null;
 
 /**
  * Initializes the Three.js scene with a cylinder
+ * Its camera becomes the one landmarks are projected through (see projection.js).
  * @param {HTMLCanvasElement} canvas - The canvas element for rendering
- * @param {HTMLVideoElement} video - The video element for background texture
  */
-export const initThreeScene = (canvas, video) => {
+export const initThreeScene = (canvas) => {
   if (isInitialized) return;
 
+  targetCanvas = canvas;
+
   // Scene setup
   scene = new THREE.Scene();
 
-  // Camera setup - perspective camera matching video aspect ratio
-  const aspect = video.videoWidth / video.videoHeight;
-  camera = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
-  camera.position.z = 5;
+  // Camera setup - perspective camera matching the viewport, which the canvas fills
+  camera = createSceneCamera(window.innerWidth / window.innerHeight);
+  setProjectionView({ camera });
 
   // Renderer setup
   renderer = new THREE.WebGLRenderer({
@@ -84,15 +94,29 @@ export const resetCylinderPosition = () => {
   cylinder.rotation.set(0, 0, 0);
 };
 
+/**
+ * Orients any 3D object from a quaternion or Euler angles
+ * @param {THREE.Object3D} object - Object to rotate
+ * @param {Object} rotation - Quaternion { x, y, z, w } (e.g. from getHandOrientation) or Euler angles { x, y, z } in radians
+ */
+export const setObjectRotation = (object, rotation) => {
+  if (!object) return;
+  if (rotation.w !== undefined) {
+    object.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+  } else {
+    object.rotation.set(rotation.x, rotation.y, rotation.z);
+  }
+};
+
 /**
  * Updates the cylinder rotation
- * @param {number} x - Rotation around X axis (pitch) in radians
- * @param {number} y - Rotation around Y axis (yaw) in radians
- * @param {number} z - Rotation around Z axis (roll) in radians
+ * Takes a quaternion or Euler object, or Euler angles as three numbers
+ * @param {Object|number} x - Quaternion { x, y, z, w }, Euler { x, y, z }, or rotation around X axis (pitch) in radians
+ * @param {number} y - Rotation around Y axis (yaw) in radians, when x is a number
+ * @param {number} z - Rotation around Z axis (roll) in radians, when x is a number
  */
 export const setCylinderRotation = (x, y, z) => {
-  if (!cylinder) return;
-  cylinder.rotation.set(x, y, z);
+  setObjectRotation(cylinder, typeof x === "object" ? x : { x, y, z });
 };
 
 /**
@@ -113,6 +137,88 @@ export const getCylinderPosition = () => {
   return cylinder.position.clone();
 };
 
+/**
+ * Adds an object to the scene
+ * @param {THREE.Object3D} object - Object to add
+ */
+export const addToScene = (object) => {
+  if (!scene) return;
+  scene.add(object);
+};
+
+/**
+ * Removes an object from the scene, leaving its geometry and materials to the caller
+ * @param {THREE.Object3D} object - Object to remove
+ */
+export const removeFromScene = (object) => {
+  if (!scene) return;
+  scene.remove(object);
+};
+
+/**
+ * Builds the meshes for one hand rig, sharing geometry with the other rigs
+ * @returns {Object} { group, material, joints, bones }
+ */
+const createHandRigMeshes = () => {
+  if (!rigGeometry) {
+    rigGeometry = {
+      joint: new THREE.SphereGeometry(1, 12, 8),
+      // A unit bone along +Y from the origin, stretched and turned into place each frame
+      bone: new THREE.CylinderGeometry(1, 1, 1, 8).translate(0, 0.5, 0),
+    };
+  }
+
+  const material = new THREE.MeshStandardMaterial({ metalness: 0.1, roughness: 0.6 });
+  const group = new THREE.Group();
+  const joints = Array.from({ length: 21 }, () => new THREE.Mesh(rigGeometry.joint, material));
+  const bones = HAND_CONNECTIONS.map(() => new THREE.Mesh(rigGeometry.bone, material));
+  group.add(...joints, ...bones);
+  scene.add(group);
+
+  return { group, material, joints, bones };
+};
+
+/**
+ * Shows a 3D skeleton for each hand, and removes the rigs of hands that are gone
+ * @param {Array<Object>} rigs - HandRigs from getHandRig (see handRig.js), each with a CSS color
+ */
+export const updateHandRigs = (rigs) => {
+  if (!scene) return;
+
+  const up = new THREE.Vector3(0, 1, 0);
+  const direction = new THREE.Vector3();
+  const seen = new Set();
+
+  rigs.forEach(({ id, joints, scale, color }) => {
+    seen.add(id);
+    if (!handRigs.has(id)) handRigs.set(id, createHandRigMeshes());
+    const rig = handRigs.get(id);
+    rig.material.color.set(color);
+
+    joints.forEach(({ x, y, z }, i) => {
+      rig.joints[i].position.set(x, y, z);
+      rig.joints[i].scale.setScalar(RIG_JOINT_RADIUS * scale);
+    });
+
+    HAND_CONNECTIONS.forEach(([a, b], i) => {
+      const bone = rig.bones[i];
+      direction.set(joints[b].x - joints[a].x, joints[b].y - joints[a].y, joints[b].z - joints[a].z);
+      const length = direction.length();
+
+      bone.position.set(joints[a].x, joints[a].y, joints[a].z);
+      if (length > 1e-9) bone.quaternion.setFromUnitVectors(up, direction.divideScalar(length));
+      bone.scale.set(RIG_BONE_RADIUS * scale, length, RIG_BONE_RADIUS * scale);
+    });
+  });
+
+  handRigs.forEach((rig, id) => {
+    if (seen.has(id)) return;
+    scene.remove(rig.group);
+    rig.material.dispose();
+    handRigs.delete(id);
+  });
+};
+
 /**
  * Renders the scene
  */
@@ -122,36 +228,32 @@ export const render = () => {
 };
 
 /**
- * Updates the renderer size to match canvas display dimensions
- * @param {number} width - New width (video pixel width, for aspect calculation)
- * @param {number} height - New height (video pixel height, for aspect calculation)
+ * Updates the renderer size and camera aspect to match the canvas display size
  */
-export const updateSize = (width, height) => {
-  if (!renderer || !camera || !canvas) return;
-  
-  // Update camera aspect ratio based on video dimensions
-  camera.aspect = width / height;
-  camera.updateProjectionMatrix();
-  
-  // Update renderer size to match canvas display size (full viewport)
+export const updateSize = () => {
   handleResize();
 };
 
 /**
- * Handles window resize to update renderer size
+ * Handles window resize to update renderer size and camera aspect
+ * The video canvas keeps its own aspect through object-fit, so the camera follows the
+ * viewport rather than the video and the scene isn't stretched.
  */
 const handleResize = () => {
-  if (!renderer || !camera || !canvas) return;
+  if (!renderer || !camera || !targetCanvas) return;
   
   const displayWidth = window.innerWidth;
   const displayHeight = window.innerHeight;
   
   // Update canvas element attributes
-  canvas.width = displayWidth;
-  canvas.height = displayHeight;
+  targetCanvas.width = displayWidth;
+  targetCanvas.height = displayHeight;
   
   // Update renderer size
   renderer.setSize(displayWidth, displayHeight, false);
+
+  camera.aspect = displayWidth / displayHeight;
+  camera.updateProjectionMatrix();
 };
 
 // Add window resize listener
@@ -159,6 +261,32 @@ if (typeof window !== 'undefined') {
   window.addEventListener('resize', handleResize);
 }
 
+/**
+ * Releases the scene, its GPU resources and the renderer so it can be initialized again
+ */
+export const disposeThreeScene = () => {
+  if (!isInitialized) return;
+
+  scene.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+
+  // Leave the overlay transparent for the next experiment
+  renderer.clear();
+  renderer.dispose();
+  setProjectionView({ camera: null });
+
+  scene = null;
+  camera = null;
+  renderer = null;
+  cylinder = null;
+  handRigs = new Map();
+  rigGeometry = null;
+  targetCanvas = null;
+  isInitialized = false;
+};
+
 /**
  * Checks if the scene is initialized
  * @returns {boolean} True if initialized
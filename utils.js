@@ -1,70 +1,96 @@
+import { getArm, getShoulderTilt, isVisible } from "./pose.js";
+import { getActiveProfile, getNearness } from "./profiles.js";
+import { DEFAULT_DEPTH, getProjectionView, landmarkToWorld } from "./projection.js";
+import { getCameraIntrinsics, locateHand } from "./cameraSpace.js";
+
 /**
- * Updates the debug panel with current detection information
- * @param {HTMLElement} debugContentEl - The debug content element to update
- * @param {Object} info - Key-value pairs to display
+ * Scene depths hands move between: a hand reaching toward the camera reaches into the scene
+ * far: depth of a hand at its farthest from the camera
+ * near: depth of a hand at its nearest
  */
-export const setDebug = (debugContentEl, info) => {
-  let txt = "";
-  
-  // Detection Info Section
-  txt += "Detection Info\n";
-  txt += "───────────────\n";
-  txt += `Hands: ${info.hands}\n`;
-  txt += `Distance: ${info.distance}\n`;
-  if (info.grabbed !== undefined) {
-    txt += `Grabbed: ${info.grabbed}\n`;
-  }
-  txt += "\n";
-  
-  // Hand A Gestures Section
-  txt += "Hand A Gestures\n";
-  txt += "───────────────\n";
-  txt += `Fist: ${info.handA_fist}\n`;
-  txt += `Peace: ${info.handA_peace}\n`;
-  txt += `Thumbs Up: ${info.handA_thumb}\n`;
-  txt += `Orientation: ${info.handA_orient}\n`;
-  if (info.handA_pos3D !== undefined && info.handA_pos3D !== "-") {
-    txt += `3D Position: ${info.handA_pos3D}\n`;
-  }
-  if (info.handA_rotation !== undefined && info.handA_rotation !== "-") {
-    txt += `Rotation: ${info.handA_rotation}\n`;
-  }
-  if (info.handA_to_cylinder_dist !== undefined && info.handA_to_cylinder_dist !== "-") {
-    txt += `To Cylinder: ${info.handA_to_cylinder_dist}\n`;
-  }
-  txt += "\n";
-  
-  // Hand B Gestures Section
-  if (info.handB_fist !== undefined) {
-    txt += "Hand B Gestures\n";
-    txt += "───────────────\n";
-    txt += `Fist: ${info.handB_fist}\n`;
-    txt += `Peace: ${info.handB_peace}\n`;
-    txt += `Thumbs Up: ${info.handB_thumb}\n`;
-    txt += `Orientation: ${info.handB_orient}\n`;
-    if (info.handB_pos3D !== undefined && info.handB_pos3D !== "-") {
-      txt += `3D Position: ${info.handB_pos3D}\n`;
-    }
-    if (info.handB_rotation !== undefined && info.handB_rotation !== "-") {
-      txt += `Rotation: ${info.handB_rotation}\n`;
-    }
-    if (info.handB_to_cylinder_dist !== undefined && info.handB_to_cylinder_dist !== "-") {
-      txt += `To Cylinder: ${info.handB_to_cylinder_dist}\n`;
-    }
-    txt += "\n";
+export const HAND_DEPTH = { far: -2.5, near: -4.5 };
+
+// Distances from the camera in meters that span HAND_DEPTH, from a hand at arm's length to one held close
+export const HAND_DISTANCE = { far: 0.7, near: 0.3 };
+
+/**
+ * Builds debug panel sections for the body pose and face of a frame
+ * Only detectors the experiment runs get a section
+ * @param {import("./experiments.js").DetectionFrame} frame - The current frame
+ * @param {Array<string>} detectors - Detector types the experiment runs
+ * @returns {Array<import("./debugPanel.js").DebugSection>} Body and face sections
+ */
+export const getBodyDebugSections = ({ pose, face }, detectors) => {
+  const sections = [];
+  const angleGraph = { min: 0, max: 180 };
+
+  if (detectors.includes("pose")) {
+    const landmarks = pose ? pose.worldLandmarks || pose.landmarks : null;
+    const arms = ["Left", "Right"].map((side) => ({
+      side,
+      arm: landmarks ? getArm(landmarks, side.toLowerCase()) : null,
+    }));
+
+    sections.push({
+      title: "Body",
+      fields: [
+        {
+          label: "Visible Points",
+          type: "number",
+          value: pose ? pose.landmarks.filter((pt) => isVisible(pt)).length : null,
+          digits: 0,
+        },
+        ...arms.flatMap(({ side, arm }) => [
+          { label: `${side} Elbow`, type: "angle", value: arm?.elbowAngle ?? null, digits: 0, graph: angleGraph },
+          { label: `${side} Arm Raise`, type: "angle", value: arm?.raise ?? null, digits: 0, graph: angleGraph },
+        ]),
+        {
+          label: "Shoulder Tilt",
+          type: "angle",
+          value: pose ? getShoulderTilt(pose.landmarks) : null,
+          graph: { min: -30, max: 30, thresholds: [0] },
+        },
+      ],
+    });
   }
-  
-  // Interaction Section
-  if (info.facing !== undefined) {
-    txt += "Interaction\n";
-    txt += "───────────────\n";
-    txt += `Facing Each Other: ${info.facing}\n`;
-    txt += `Close: ${info.close}\n`;
+
+  if (detectors.includes("face")) {
+    sections.push({
+      title: "Face",
+      fields: [
+        { label: "Points", type: "number", value: face ? face.landmarks.length : null, digits: 0 },
+      ],
+    });
   }
-  
-  debugContentEl.textContent = txt;
+
+  return sections;
+};
+
+/**
+ * Saves a blob to disk
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name of the downloaded file
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Firefox and Safari cancel the download if the URL goes before the click is handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 };
 
+/**
+ * Saves data to disk as a JSON file
+ * @param {Object} data - Anything JSON can hold
+ * @param {string} filename - Name of the downloaded file
+ */
+export const downloadJSON = (data, filename) =>
+  downloadBlob(new Blob([JSON.stringify(data)], { type: "application/json" }), filename);
+
 /**
  * Calculate distance between two 3D landmarks
  * @param {Object} a - First landmark with x, y properties
@@ -86,71 +112,84 @@ export const dist3D = (a, b) => {
   return Math.sqrt(dx * dx + dy * dy + dz * dz);
 };
 
+/**
+ * Measures how big a hand appears, from the wrist to the middle finger MCP
+ * @param {Array} hand - Array of hand landmarks
+ * @returns {number} Hand size in normalized image units
+ */
+export const getHandSize = (hand) => dist(hand[0], hand[9]);
+
 /**
  * Estimates hand depth (z coordinate) from hand size
- * Uses the distance between wrist and middle finger MCP as a proxy for hand size
+ * The calibration profile gives the sizes of this person's hand at its nearest and farthest
  * @param {Array} hand - Array of hand landmarks
+ * @param {import("./profiles.js").CalibrationProfile} profile - Profile (default: the active one)
  * @returns {number} Estimated depth value (normalized)
  */
-export const estimateHandDepth = (hand) => {
-  const wrist = hand[0];
-  const middleKnuckle = hand[9];
-  const handSize = dist(wrist, middleKnuckle);
-  
-  // Normalize hand size to depth estimate
+export const estimateHandDepth = (hand, profile = getActiveProfile()) => {
+  // Map the hand's size onto the depth range
   // Larger hands appear closer (more negative z in Three.js)
-  // Typical hand size is around 0.1-0.15 in normalized coordinates
-  const baseDepth = -2.5; // Base depth in 3D space
-  const depthRange = 2.0; // Range of depth variation
-  const normalizedSize = Math.max(0.05, Math.min(0.2, handSize)); // Clamp to reasonable range
-  const depth = baseDepth - (normalizedSize - 0.05) * (depthRange / 0.15);
-  
-  return depth;
+  const nearness = getNearness(getHandSize(hand), profile.handSize);
+  return HAND_DEPTH.far + nearness * (HAND_DEPTH.near - HAND_DEPTH.far);
+};
+
+/**
+ * Maps a distance from the camera onto the scene's hand depths
+ * @param {number} distance - Distance in meters along the camera's axis
+ * @returns {number} Scene z, between HAND_DEPTH.far and HAND_DEPTH.near
+ */
+export const distanceToDepth = (distance) => {
+  const nearness = (HAND_DISTANCE.far - distance) / (HAND_DISTANCE.far - HAND_DISTANCE.near);
+  return HAND_DEPTH.far + Math.max(0, Math.min(1, nearness)) * (HAND_DEPTH.near - HAND_DEPTH.far);
+};
+
+/**
+ * Finds a hand's scene depth from its distance to the camera
+ * The distance comes from the world landmarks and the camera intrinsics (see cameraSpace.js),
+ * which doesn't change as the hand turns. Without world landmarks, as in recordings made
+ * before they were kept, it falls back to estimateHandDepth.
+ * @param {Array} hand - Array of hand landmarks
+ * @param {Array|null} worldLandmarks - The hand's world landmarks in meters
+ * @param {number} canvasWidth - Width of the canvas/video
+ * @param {number} canvasHeight - Height of the canvas/video
+ * @param {string} part - 'wrist' or 'palm', the point to measure (default: 'wrist')
+ * @returns {number} Scene z
+ */
+export const getHandDepth = (hand, worldLandmarks, canvasWidth, canvasHeight, part = "wrist") => {
+  const location = locateHand(hand, worldLandmarks, getCameraIntrinsics(canvasWidth, canvasHeight));
+  if (!location) return estimateHandDepth(hand);
+
+  return distanceToDepth(part === "palm" ? location.palmCenter.z : location.wrist.z);
 };
 
 /**
  * Converts normalized hand landmark coordinates (0-1) to 3D world coordinates
+ * The point lies on the scene camera's ray through the landmark as shown on screen,
+ * so an object placed there covers the landmark (see projection.js).
  * @param {Object} landmark - Landmark with x, y, z properties (normalized 0-1)
  * @param {number} canvasWidth - Width of the canvas/video
  * @param {number} canvasHeight - Height of the canvas/video
  * @param {number} depth - Z coordinate in 3D space (optional, will estimate if not provided)
  * @returns {Object} Object with x, y, z coordinates in 3D world space
  */
-export const landmarkTo3D = (landmark, canvasWidth, canvasHeight, depth = null) => {
-  // Map normalized x (0-1) to 3D x (-width/2 to width/2)
-  // Scale to reasonable 3D world units (assuming camera FOV of 75 degrees)
-  const fov = 75;
-  const aspect = canvasWidth / canvasHeight;
-  const fovRad = (fov * Math.PI) / 180;
-  const distance = 5; // Distance from camera
-  
-  // Calculate world space dimensions at the given distance
-  const worldHeight = 2 * Math.tan(fovRad / 2) * distance;
-  const worldWidth = worldHeight * aspect;
-  
-  // Convert normalized coordinates to world space
-  // X: 0-1 maps to -worldWidth/2 to worldWidth/2
-  const x = (landmark.x - 0.5) * worldWidth;
-  
-  // Y: 0-1 maps to worldHeight/2 to -worldHeight/2 (inverted for Three.js)
-  const y = (0.5 - landmark.y) * worldHeight;
-  
-  // Z: Use provided depth or estimate from hand size
-  const z = depth !== null ? depth : -2.5;
-  
-  return { x, y, z };
-};
+export const landmarkTo3D = (landmark, canvasWidth, canvasHeight, depth = null) =>
+  landmarkToWorld(landmark, depth !== null ? depth : DEFAULT_DEPTH, {
+    ...getProjectionView(),
+    videoWidth: canvasWidth,
+    videoHeight: canvasHeight,
+  });
 
 /**
  * Converts hand wrist position to 3D coordinates
  * @param {Array} hand - Array of hand landmarks
  * @param {number} canvasWidth - Width of the canvas/video
  * @param {number} canvasHeight - Height of the canvas/video
+ * @param {Array|null} worldLandmarks - The hand's world landmarks, for its depth (see getHandDepth)
  * @returns {Object} Object with x, y, z coordinates in 3D world space
  */
-export const handTo3D = (hand, canvasWidth, canvasHeight) => {
+export const handTo3D = (hand, canvasWidth, canvasHeight, worldLandmarks = null) => {
   const wrist = hand[0];
-  const depth = estimateHandDepth(hand);
+  const depth = getHandDepth(hand, worldLandmarks, canvasWidth, canvasHeight);
   return landmarkTo3D(wrist, canvasWidth, canvasHeight, depth);
 };
 
@@ -0,0 +1,193 @@
+/**
+ * Checks if this browser can run detection in a worker
+ * The worker needs frames as ImageBitmaps, and OffscreenCanvas for the GPU delegate
+ * @returns {boolean} True if workers, createImageBitmap and OffscreenCanvas are all available
+ */
+export const canDetectInWorker = () =>
+  typeof Worker !== "undefined" &&
+  typeof createImageBitmap === "function" &&
+  typeof OffscreenCanvas !== "undefined";
+
+/**
+ * Creates a backend that runs detection in a Web Worker (see detectionWorker.js)
+ * It has the same shape as mainThreadBackend in detection.js. Frames are sent as
+ * ImageBitmaps, one at a time, and the render loop uses the latest results while
+ * the next frame is being detected.
+ * @returns {Object} Backend with initDetectors, getDelegate, createSource and isBroken methods
+ */
+export const createWorkerBackend = () => {
+  const worker = new Worker(new URL("./detectionWorker.js", import.meta.url), { type: "module" });
+  const pending = new Map();
+  const delegates = {};
+  let nextId = 0;
+  let broken = false;
+  // Live sources by id, each with the handlers for its results and for the worker failing
+  const sources = new Map();
+
+  /**
+   * Stops the worker once it has failed: rejects every waiting request and frees the
+   * live sources, so they stop waiting on frames that will never come back
+   * @param {Error} error - What went wrong
+   */
+  const fail = (error) => {
+    broken = true;
+    worker.terminate();
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+    sources.forEach(({ onFail }) => onFail());
+  };
+
+  worker.addEventListener("error", (event) => {
+    event.preventDefault();
+    fail(new Error(`The detection worker failed: ${event.message || "it could not start"}`));
+  });
+  worker.addEventListener("messageerror", () => {
+    fail(new Error("The detection worker sent a message that could not be read"));
+  });
+
+  worker.addEventListener("message", ({ data }) => {
+    if (data.type === "results") {
+      sources.get(data.source)?.onResults(data);
+      return;
+    }
+
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    if (data.type === "progress") {
+      request.onProgress(data.progress);
+    } else if (data.type === "ready") {
+      Object.assign(delegates, data.delegates);
+      pending.delete(data.id);
+      request.resolve();
+    } else if (data.type === "error") {
+      // The worker can't load MediaPipe at all, so stop using it
+      if (data.fatal) {
+        fail(new Error(data.message));
+        return;
+      }
+      pending.delete(data.id);
+      request.reject(new Error(data.message));
+    }
+  });
+
+  return {
+    inWorker: true,
+
+    /**
+     * Loads detectors in the worker
+     * @param {Array<string>} types - Detector types
+     * @param {Function} onProgress - See initDetector in detection.js
+     * @returns {Promise<void>} Resolves once every detector is ready
+     */
+    initDetectors: (types, onProgress = () => {}) => {
+      if (broken) return Promise.reject(new Error("The detection worker has stopped"));
+
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject, onProgress });
+        worker.postMessage({ type: "init", id, types });
+      });
+    },
+
+    /**
+     * Gets the delegate a detector is running on in the worker
+     * @param {string} type - Detector type (default: 'hands')
+     * @returns {string|null} 'GPU' or 'CPU', or null before it has loaded
+     */
+    getDelegate: (type = "hands") => delegates[type] || null,
+
+    /**
+     * Creates a detection source that sends video frames to the worker
+     * @param {HTMLVideoElement} video - The webcam video element
+     * @param {Array<string>} types - Detector types to run; each must be initialized
+     * @param {Object} options - { rate, metrics } from metrics.js, as for createLiveSource
+     * @returns {Object} Live source with detect() and close() methods
+     */
+    createSource: (video, types, { rate, metrics }) => {
+      const source = nextId++;
+      let busy = false;
+      let latest = null;
+      let closed = false;
+
+      const onResults = (data) => {
+        busy = false;
+        if (data.error) {
+          console.warn("Detection failed in the worker:", data.error);
+          return;
+        }
+
+        // The rate adapts to the whole round trip, the metrics report inference alone
+        const now = performance.now();
+        rate.recordLatency(now - data.timestamp);
+        metrics.recordDetection(now, data.latency);
+        latest = data.results;
+      };
+      sources.set(source, {
+        onResults,
+        onFail: () => {
+          busy = false;
+        },
+      });
+
+      /**
+       * Grabs the current video frame and hands it to the worker
+       * @param {number} now - Frame time in milliseconds
+       */
+      const send = async (now) => {
+        busy = true;
+        try {
+          const image = await createImageBitmap(video);
+          if (closed) {
+            image.close();
+            return;
+          }
+          worker.postMessage({ type: "detect", source, image, timestamp: now, types }, [image]);
+        } catch (error) {
+          busy = false;
+          console.warn("Could not grab a video frame for detection:", error);
+        }
+      };
+
+      return {
+        isReplay: false,
+
+        /**
+         * Starts detecting on the current frame when one is due and the worker is free,
+         * and returns any results that arrived since the last call
+         * Once the worker has failed it sends nothing more; see isBroken.
+         * @param {number} now - Current time in milliseconds
+         * @returns {import("./detection.js").DetectionResults|null} New results, or null if none arrived
+         */
+        detect: (now) => {
+          if (!broken && rate.isDue(now)) {
+            rate.markSent(now);
+            if (busy) {
+              metrics.recordDrop(now);
+            } else {
+              send(now);
+            }
+          }
+
+          const results = latest;
+          latest = null;
+          return results;
+        },
+
+        /**
+         * Stops taking results, so frames still in the worker are ignored
+         */
+        close: () => {
+          closed = true;
+          sources.delete(source);
+        },
+      };
+    },
+
+    /**
+     * Checks if the worker itself failed, as opposed to a model failing to load
+     * @returns {boolean} True once the worker can no longer be used
+     */
+    isBroken: () => broken,
+  };
+};